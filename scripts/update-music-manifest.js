@@ -1,10 +1,15 @@
 /**
  * Script to update music manifest.json with all MP3 files in the music_pack directory
+ *
+ * Usage: node scripts/update-music-manifest.js [--analyze-beats] [--force]
+ *   --analyze-beats  Fill durationSec, bpm, sections and beatTimes (needs FFmpeg; FFMPEG_PATH to override)
+ *   --force          Re-analyze tracks that already have beatTimes
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { analyzeTrackBeats } from '../server/utils/beatAnalysis.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -101,10 +106,40 @@ function inferMetadata(filename) {
   return metadata;
 }
 
+/**
+ * Run beat/onset analysis on tracks that are missing it (or all tracks with --force)
+ */
+async function analyzeBeats(tracks, { force }) {
+  let analyzed = 0;
+  for (const track of tracks) {
+    if (!force && Array.isArray(track.beatTimes) && track.beatTimes.length > 0) {
+      continue;
+    }
+    const filePath = path.join(MUSIC_PACK_DIR, track.file);
+    try {
+      const startedAt = Date.now();
+      const analysis = await analyzeTrackBeats(filePath);
+      track.durationSec = analysis.durationSec;
+      track.bpm = analysis.bpm;
+      track.sections = analysis.sections;
+      track.beatTimes = analysis.beatTimes;
+      analyzed++;
+      console.log(`[UPDATE-MANIFEST] Analyzed ${track.file}: bpm=${analysis.bpm} beats=${analysis.beatTimes.length} sections=${analysis.sections.length} (${Date.now() - startedAt}ms)`);
+    } catch (error) {
+      console.error(`[UPDATE-MANIFEST] Beat analysis failed for ${track.file}:`, error.message);
+    }
+  }
+  return analyzed;
+}
+
 /**
  * Main function
  */
-function main() {
+async function main() {
+  const args = process.argv.slice(2);
+  const shouldAnalyzeBeats = args.includes('--analyze-beats');
+  const force = args.includes('--force');
+
   console.log('[UPDATE-MANIFEST] Starting manifest update...');
   
   // Read existing manifest
@@ -147,16 +182,27 @@ function main() {
       tracks.push(existingByFile.get(filename));
       console.log(`[UPDATE-MANIFEST] Keeping existing: ${filename}`);
     } else {
-      // Generate new entry
-      const metadata = inferMetadata(filename);
+      // Generate new entry (analysis fields stay null until --analyze-beats)
+      const metadata = {
+        ...inferMetadata(filename),
+        key: `music/${filename}`,
+        durationSec: null,
+        bpm: null,
+        sections: null,
+        beatTimes: null,
+      };
       tracks.push(metadata);
       added++;
       console.log(`[UPDATE-MANIFEST] Added new: ${filename} (id: ${metadata.id})`);
     }
   }
   
+  const analyzed = shouldAnalyzeBeats ? await analyzeBeats(tracks, { force }) : 0;
+
   // Create new manifest
   const newManifest = {
+    version: 2,
+    updatedAt: new Date().toISOString(),
     tracks: tracks
   };
   
@@ -168,8 +214,14 @@ function main() {
   console.log(`[UPDATE-MANIFEST] Total tracks: ${tracks.length}`);
   console.log(`[UPDATE-MANIFEST] Added: ${added}`);
   console.log(`[UPDATE-MANIFEST] Preserved: ${tracks.length - added}`);
+  if (shouldAnalyzeBeats) {
+    console.log(`[UPDATE-MANIFEST] Beat-analyzed: ${analyzed}`);
+  }
   console.log(`[UPDATE-MANIFEST] Manifest written to: ${MANIFEST_PATH}`);
 }
 
-main();
+main().catch((error) => {
+  console.error('[UPDATE-MANIFEST] Failed:', error.message);
+  process.exit(1);
+});
 
@@ -0,0 +1,101 @@
+/**
+ * Auth
+ * Firebase ID token verification and the caller's plan (custom claim `plan`, else users/<uid>.plan in
+ * Firestore). Without FIREBASE_PROJECT_ID, or without a valid Bearer token, callers are anonymous free users.
+ */
+
+import { PLANS } from './entitlements.js';
+
+// Firebase Admin SDK (lazy-loaded to avoid startup dependency if not configured)
+let firebaseAdmin = null;
+let firebaseApp = null;
+
+async function initFirebaseAdmin() {
+  if (firebaseAdmin) return firebaseAdmin; // Already initialized
+  
+  try {
+    // Only import if FIREBASE_PROJECT_ID is set (indicates Firebase is configured)
+    if (!process.env.FIREBASE_PROJECT_ID) {
+      return null; // Firebase not configured
+    }
+    
+    firebaseAdmin = await import('firebase-admin');
+    
+    // Initialize Firebase Admin if not already initialized
+    if (!firebaseApp) {
+      // Use service account key if provided, otherwise use default credentials
+      if (process.env.FIREBASE_SERVICE_ACCOUNT_KEY) {
+        const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_KEY);
+        firebaseApp = firebaseAdmin.default.initializeApp({
+          credential: firebaseAdmin.default.credential.cert(serviceAccount),
+        });
+      } else {
+        // Try default credentials (e.g., from GCP environment)
+        firebaseApp = firebaseAdmin.default.initializeApp();
+      }
+    }
+    
+    return firebaseAdmin;
+  } catch (err) {
+    console.warn('[AUTH] Firebase Admin initialization failed:', err.message);
+    return null;
+  }
+}
+
+// Paid plans; anything else (or no plan at all) is free
+const isPaidPlan = (plan) => plan !== 'free' && PLANS.includes(plan);
+
+/**
+ * Verify Bearer token and extract user plan from Firebase
+ * Returns { uid, plan: 'free' | 'premium' | 'enterprise', verified: true } or { verified: false, plan: 'free' }
+ */
+export async function verifyUserPlan(authHeader) {
+  // Default to free if no auth header
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return { verified: false, plan: 'free', uid: null };
+  }
+  
+  const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+  
+  try {
+    const admin = await initFirebaseAdmin();
+    if (!admin) {
+      // Firebase not configured - default to free
+      console.warn('[AUTH] Firebase not configured, defaulting to free plan');
+      return { verified: false, plan: 'free', uid: null };
+    }
+    
+    // Verify the token
+    const decodedToken = await admin.default.auth().verifyIdToken(token);
+    const uid = decodedToken.uid;
+    
+    // Check custom claims first (preferred method)
+    // Firebase custom claims are properties directly on decodedToken
+    const plan = decodedToken.plan;
+    if (isPaidPlan(plan)) {
+      return { verified: true, plan, uid };
+    }
+    
+    // Fallback to Firestore lookup if custom claim not set
+    try {
+      const db = admin.default.firestore();
+      const userDoc = await db.collection('users').doc(uid).get();
+      if (userDoc.exists) {
+        const userData = userDoc.data();
+        const firestorePlan = userData?.plan;
+        if (isPaidPlan(firestorePlan)) {
+          return { verified: true, plan: firestorePlan, uid };
+        }
+      }
+    } catch (firestoreErr) {
+      console.warn('[AUTH] Firestore lookup failed:', firestoreErr.message);
+    }
+    
+    // Default to free without a paid plan
+    return { verified: true, plan: 'free', uid };
+  } catch (err) {
+    console.warn('[AUTH] Token verification failed:', err.message);
+    // Invalid token - default to free
+    return { verified: false, plan: 'free', uid: null };
+  }
+}
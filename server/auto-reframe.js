@@ -7,6 +7,7 @@
 import sharp from 'sharp';
 import { promises as fsp } from 'fs';
 import path from 'path';
+import { detectFaces } from './utils/faceDetector.js';
 
 /**
  * @typedef {Object} FramePlan
@@ -15,7 +16,10 @@ import path from 'path';
  * @property {number} confidence - Confidence score (0-1)
  * @property {string} reason - Human-readable reason for the plan
  * @property {{x:number, y:number}} [anchor] - Anchor point used (normalized 0-1, in rotated coordinates)
+ * @property {{x:number, y:number}} [anchorInCrop] - Anchor point within the crop (normalized 0-1), i.e. in the reframed image
  * @property {boolean} [needsReview] - Whether manual review is recommended
+ * @property {number} [faceCount] - Faces detected (0 when detection ran and found none; absent when it did not run)
+ * @property {boolean} [facesFit] - Whether the main face (with headroom) fits inside the crop
  */
 
 // In-memory cache for frame plans: Map<(imageKey, targetAspect), FramePlan>
@@ -123,10 +127,44 @@ function findEnergyPeak(energy, width, height, peakMeanRatioThreshold = 2.0) {
   return { x, y, score, confidence, peakMeanRatio };
 }
 
+// Margins kept around detected faces, as a fraction of the face box (more above for hair / headroom)
+const FACE_MARGIN_TOP = 0.35;
+const FACE_MARGIN_SIDE = 0.15;
+const FACE_MARGIN_BOTTOM = 0.15;
+// Faces smaller than this fraction of the largest face are background faces and may be cropped
+const FACE_GROUP_MIN_AREA = 0.2;
+const FACE_CONFIDENCE = 0.8;
+
+/**
+ * Pixel region that must stay inside the crop for a set of face boxes (normalized 0-1)
+ * @returns {{x:number, y:number, w:number, h:number}} Region in rotated pixel coordinates, clamped to the image
+ */
+function faceRegionFor(faces, srcWidth, srcHeight) {
+  let x1 = Infinity, y1 = Infinity, x2 = -Infinity, y2 = -Infinity;
+  for (const f of faces) {
+    x1 = Math.min(x1, (f.x - f.w * FACE_MARGIN_SIDE) * srcWidth);
+    x2 = Math.max(x2, (f.x + f.w * (1 + FACE_MARGIN_SIDE)) * srcWidth);
+    y1 = Math.min(y1, (f.y - f.h * FACE_MARGIN_TOP) * srcHeight);
+    y2 = Math.max(y2, (f.y + f.h * (1 + FACE_MARGIN_BOTTOM)) * srcHeight);
+  }
+  x1 = Math.max(0, x1);
+  y1 = Math.max(0, y1);
+  x2 = Math.min(srcWidth, x2);
+  y2 = Math.min(srcHeight, y2);
+  return { x: x1, y: y1, w: x2 - x1, h: y2 - y1 };
+}
+
+function regionFitsCrop(region, crop) {
+  return region.x >= crop.x - 1 && region.y >= crop.y - 1 &&
+    region.x + region.w <= crop.x + crop.w + 1 && region.y + region.h <= crop.y + crop.h + 1;
+}
+
 /**
  * Compute crop rectangle for target aspect ratio (in rotated coordinates)
+ * When faceRegion is given, the crop is shifted (never resized) to contain it; a region taller
+ * than the crop keeps its top edge so heads are not cut off
  */
-function computeCropRect(srcWidth, srcHeight, targetAspect, anchorX = 0.5, anchorY = 0.5, headroomBias = 0) {
+function computeCropRect(srcWidth, srcHeight, targetAspect, anchorX = 0.5, anchorY = 0.5, headroomBias = 0, faceRegion = null) {
   const srcAspect = srcWidth / srcHeight;
 
   // If aspect ratios are very close (within ±2%), no crop needed
@@ -168,6 +206,20 @@ function computeCropRect(srcWidth, srcHeight, targetAspect, anchorX = 0.5, ancho
   let cropX = anchorPixelX - cropW / 2;
   let cropY = anchorPixelY - cropH / 2;
 
+  // Keep detected faces (with margins) inside the window
+  if (faceRegion) {
+    if (faceRegion.w <= cropW) {
+      cropX = Math.min(Math.max(cropX, faceRegion.x + faceRegion.w - cropW), faceRegion.x);
+    } else {
+      cropX = faceRegion.x + faceRegion.w / 2 - cropW / 2;
+    }
+    if (faceRegion.h <= cropH) {
+      cropY = Math.min(Math.max(cropY, faceRegion.y + faceRegion.h - cropH), faceRegion.y);
+    } else {
+      cropY = faceRegion.y;
+    }
+  }
+
   // Clamp to bounds
   cropX = Math.max(0, Math.min(cropX, srcWidth - cropW));
   cropY = Math.max(0, Math.min(cropY, srcHeight - cropH));
@@ -226,6 +278,8 @@ export function validateCropRect(crop, srcWidth, srcHeight, targetAspect) {
  * @param {number} targetAspect - Target aspect ratio (width/height)
  * @param {Object} opts - Options
  * @param {string} [opts.imageKey] - Optional image key for caching
+ * @param {boolean} [opts.faceDetection] - false skips face detection (also FACE_DETECTION=off)
+ * @param {Array<{x:number, y:number, w:number, h:number}>} [opts.faces] - Precomputed face boxes (normalized, rotated coordinates)
  * @returns {Promise<FramePlan>}
  */
 export async function createFramePlan(
@@ -335,6 +389,27 @@ export async function createFramePlan(
     reason = 'energy computation error';
   }
 
+  // Step 3b: Faces override the energy anchor (Sobel energy locks onto busy backgrounds)
+  // Main group = faces at least FACE_GROUP_MIN_AREA of the largest; smaller ones are background
+  let faces = opts.faces ?? null; // Precomputed detections (normalized boxes) skip the detector
+  let faceGroup = [];
+  if (!faces && opts.faceDetection !== false) {
+    try {
+      faces = await detectFaces(inputBuffer);
+    } catch (err) {
+      console.warn('[AUTO-REFRAme] Face detection failed:', err.message);
+    }
+  }
+  if (faces && faces.length > 0) {
+    const largestArea = faces[0].w * faces[0].h;
+    faceGroup = faces.filter((f) => f.w * f.h >= largestArea * FACE_GROUP_MIN_AREA);
+    const region = faceRegionFor(faceGroup, 1, 1);
+    anchorX = region.x + region.w / 2;
+    anchorY = region.y + region.h / 2;
+    confidence = Math.max(confidence, FACE_CONFIDENCE);
+    reason = `faces (${faceGroup.length} of ${faces.length} detected)`;
+  }
+
   // Step 4: Improve anchor stability - clamp anchorY to [20%, 80%] unless confidence is very high
   if (confidence < highConfidenceThreshold) {
     const originalAnchorY = anchorY;
@@ -345,14 +420,30 @@ export async function createFramePlan(
   }
 
   // Step 5: Compute crop rectangle (in rotated coordinates)
+  // With faces: fit the whole group, else the largest face alone; neither fitting needs review
+  let facesFit;
+  let faceRegion = faceGroup.length > 0 ? faceRegionFor(faceGroup, rotatedWidth, rotatedHeight) : null;
   let crop = computeCropRect(
     rotatedWidth,
     rotatedHeight,
     targetAspect,
     anchorX,
     anchorY,
-    headroomBias
+    headroomBias,
+    faceRegion
   );
+  if (faceRegion && !regionFitsCrop(faceRegion, crop) && faceGroup.length > 1) {
+    const largest = faceRegionFor(faceGroup.slice(0, 1), 1, 1);
+    anchorX = largest.x + largest.w / 2;
+    anchorY = largest.y + largest.h / 2;
+    faceRegion = faceRegionFor(faceGroup.slice(0, 1), rotatedWidth, rotatedHeight);
+    crop = computeCropRect(rotatedWidth, rotatedHeight, targetAspect, anchorX, anchorY, headroomBias, faceRegion);
+    reason += ', group too wide, framed largest face';
+  }
+  if (faceRegion) {
+    facesFit = regionFitsCrop(faceRegion, crop);
+    if (!facesFit) reason += ', face does not fit crop';
+  }
   
   // Safe mode: very low confidence (< 0.35) falls back to center crop
   // This prevents drawing attention to questionable crops
@@ -380,13 +471,22 @@ export async function createFramePlan(
     }
   }
 
+  // Anchor relative to the crop: where the subject sits in the reframed image (drives motion focal points)
+  const anchorInCrop = {
+    x: Math.max(0, Math.min(1, (anchorX * rotatedWidth - crop.x) / crop.w)),
+    y: Math.max(0, Math.min(1, (anchorY * rotatedHeight - crop.y) / crop.h)),
+  };
+
   const plan = {
     rotationDeg,
     crop,
     confidence,
     reason,
     anchor: { x: anchorX, y: anchorY },
-    needsReview: confidence < confidenceThreshold,
+    anchorInCrop,
+    needsReview: confidence < confidenceThreshold || facesFit === false,
+    faceCount: faces ? faces.length : undefined,
+    facesFit,
     format, // Store original format for applyFramePlan
     safeModeUsed, // Flag for logging
   };
@@ -442,6 +542,58 @@ export async function applyFramePlan(inputBuffer, plan) {
   }
 }
 
+/**
+ * Reframe an image file: create its frame plan, apply it and write the result
+ * File-in / file-out so it can run in a worker thread without shipping buffers across
+ * 
+ * @param {string} inputPath - Source image
+ * @param {string} outputPath - Destination for the reframed image (directory must exist)
+ * @param {number} targetAspect - Target aspect ratio (width/height)
+ * @param {Object} opts - createFramePlan options
+ * @returns {Promise<FramePlan>}
+ */
+export async function reframeFile(inputPath, outputPath, targetAspect = 16 / 9, opts = {}) {
+  const inputBuffer = await fsp.readFile(inputPath);
+  const plan = await createFramePlan(inputBuffer, targetAspect, opts);
+  const reframedBuffer = await applyFramePlan(inputBuffer, plan);
+  await fsp.mkdir(path.dirname(outputPath), { recursive: true });
+  await fsp.writeFile(outputPath, reframedBuffer);
+  return plan;
+}
+
+/**
+ * Reframe an image file for several target aspects at once
+ * The file is read and faces are detected once; each aspect gets its own plan from createFramePlansBatch
+ *
+ * @param {string} inputPath - Source image
+ * @param {Array<{outputPath: string, targetAspect: number}>} targets - One output per aspect
+ * @param {Object} opts - createFramePlan options (shared by every aspect)
+ * @returns {Promise<Array<FramePlan>>} Plans in the order of targets
+ */
+export async function reframeFileForAspects(inputPath, targets, opts = {}) {
+  const inputBuffer = await fsp.readFile(inputPath);
+  // Faces do not depend on the target aspect; detections found here keep each plan from running the detector again
+  let faces = opts.faces ?? null;
+  if (!faces && opts.faceDetection !== false && targets.length > 0) {
+    try {
+      faces = await detectFaces(inputBuffer);
+    } catch (err) {
+      console.warn('[AUTO-REFRAme] Face detection failed:', err.message);
+    }
+  }
+  // No detections (detector off or unavailable) pass through as-is, so plans report faceCount like the inline path
+  const planOpts = faces ? { ...opts, faces } : opts;
+  const plans = await createFramePlansBatch(
+    targets.map(({ targetAspect }) => ({ buffer: inputBuffer, targetAspect, opts: { ...planOpts } }))
+  );
+  for (let i = 0; i < targets.length; i++) {
+    const reframedBuffer = await applyFramePlan(inputBuffer, plans[i]);
+    await fsp.mkdir(path.dirname(targets[i].outputPath), { recursive: true });
+    await fsp.writeFile(targets[i].outputPath, reframedBuffer);
+  }
+  return plans;
+}
+
 /**
  * Clear frame plan cache (useful for testing or memory management)
  */
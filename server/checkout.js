@@ -0,0 +1,165 @@
+/**
+ * Checkout
+ * Pay-per-memory unlock: the browser asks for a payment intent, the provider confirms it and calls the
+ * webhook, and only the verified webhook marks the memory paid (see payments/records.js). A paid memory
+ * downloads without counting against the monthly quota and can be re-rendered without the watermark.
+ *
+ *   POST /api/checkout/memories/:memoryId         create a payment intent (price from CHECKOUT_PRICE_CENTS)
+ *   GET  /api/checkout/memories/:memoryId         payment status (the UI polls this after confirming)
+ *   POST /api/checkout/webhook                    provider events; raw body, signature header checked
+ *   POST /api/checkout/local/:intentId/confirm    local driver only: settle an intent and deliver its webhook
+ */
+
+import { getStorage } from './storage/index.js';
+import { getJob } from './render-queue.js';
+import { verifyUserPlan } from './auth.js';
+import { getPayments, resolveCheckoutPrice } from './payments/index.js';
+import {
+  isValidMemoryId,
+  memoryIdForVideoKey,
+  getMemoryPayment,
+  recordPaymentIntent,
+  applyPaymentEvent,
+} from './payments/records.js';
+
+function jsonError(res, status, error, detail, extra = {}) {
+  return res.status(status).json({ error, detail, ...extra });
+}
+
+function checkoutStatusFor(memoryId, record) {
+  return {
+    memoryId,
+    paid: record?.status === 'paid',
+    status: record?.status || 'none',
+    paidAt: record?.paidAt || null,
+  };
+}
+
+// A finished, full-quality render in the job table, or (once the job has expired) a published video in storage
+async function findMemory(memoryId) {
+  const job = getJob(memoryId);
+  if (job) {
+    if (job.status !== 'complete' || job.params?.quality === 'draft') return { exists: false, job };
+    return { exists: true, job };
+  }
+  const published = await getStorage().listObjects(`videos/published/${memoryId}`);
+  return { exists: published.some((obj) => memoryIdForVideoKey(obj.key) === memoryId), job: null };
+}
+
+/**
+ * Verify and apply one webhook delivery
+ * @param {string|Buffer} rawBody - Body exactly as received
+ * @param {string} signature - Signature header value
+ * @returns {Promise<Object>} applyPaymentEvent result plus eventId / type
+ * @throws {Error} 400 INVALID_SIGNATURE / INVALID_PAYLOAD
+ */
+export async function processPaymentWebhook(rawBody, signature) {
+  const event = getPayments().verifyWebhook(rawBody, signature);
+  const outcome = await applyPaymentEvent(getStorage(), event);
+  if (outcome.handled) {
+    console.log(`[CHECKOUT] event=${event.type} id=${event.id} memoryId=${outcome.memoryId} status=${outcome.status}${outcome.reason ? ` (${outcome.reason})` : ''}`);
+  } else if (outcome.reason !== 'ignored_event_type') {
+    console.warn(`[CHECKOUT] Ignored event=${event.type} id=${event.id} memoryId=${outcome.memoryId || 'none'}: ${outcome.reason}`);
+  }
+  return { ...outcome, eventId: event.id || null, type: event.type };
+}
+
+// POST /api/checkout/memories/:memoryId
+export async function createCheckoutIntent(req, res) {
+  try {
+    const { memoryId } = req.params;
+    if (!isValidMemoryId(memoryId)) {
+      return jsonError(res, 400, 'INVALID_MEMORY_ID', `Invalid memoryId: ${memoryId}`);
+    }
+    const storage = getStorage();
+    const existing = await getMemoryPayment(storage, memoryId);
+    if (existing?.status === 'paid') {
+      return res.json({ ...checkoutStatusFor(memoryId, existing), provider: existing.provider });
+    }
+
+    const { exists, job } = await findMemory(memoryId);
+    if (!exists) {
+      return jsonError(res, 404, 'MEMORY_NOT_FOUND', `No finished memory ${memoryId} to pay for`);
+    }
+    const caller = await verifyUserPlan(req.headers.authorization);
+    if (job?.params?.uid && caller.uid !== job.params.uid) {
+      return jsonError(res, 403, 'NOT_JOB_OWNER', `Memory ${memoryId} belongs to another account`);
+    }
+
+    const payments = getPayments();
+    const price = resolveCheckoutPrice();
+    const intent = await payments.createPaymentIntent({
+      ...price,
+      memoryId,
+      metadata: { uid: caller.uid },
+      // One intent per memory, payer, price and day; a double-clicked checkout reuses it
+      idempotencyKey: `memory-${memoryId}-${caller.uid || 'anon'}-${price.amount}${price.currency}-${new Date().toISOString().slice(0, 10)}`,
+    });
+    const record = await recordPaymentIntent(storage, { memoryId, provider: payments.name, intent, uid: caller.uid });
+    console.log(`[CHECKOUT] intent=${intent.id} memoryId=${memoryId} amount=${intent.amount} ${intent.currency} provider=${payments.name}`);
+    return res.status(201).json({
+      ...checkoutStatusFor(memoryId, record),
+      provider: payments.name,
+      paymentIntentId: intent.id,
+      clientSecret: intent.clientSecret,
+      amount: intent.amount,
+      currency: intent.currency,
+    });
+  } catch (err) {
+    console.error('[CHECKOUT] Intent creation failed:', err?.message || err);
+    if (err?.code === 'PAYMENTS_MISCONFIGURED') return jsonError(res, 503, err.code, err.message);
+    return jsonError(res, err?.status || 500, err?.code || 'CHECKOUT_FAILED', err?.message || 'Unknown error', err?.extra);
+  }
+}
+
+// GET /api/checkout/memories/:memoryId
+export async function getCheckoutStatus(req, res) {
+  try {
+    const { memoryId } = req.params;
+    if (!isValidMemoryId(memoryId)) {
+      return jsonError(res, 400, 'INVALID_MEMORY_ID', `Invalid memoryId: ${memoryId}`);
+    }
+    return res.json(checkoutStatusFor(memoryId, await getMemoryPayment(getStorage(), memoryId)));
+  } catch (err) {
+    console.error('[CHECKOUT] Status lookup failed:', err?.message || err);
+    return jsonError(res, 500, 'CHECKOUT_STATUS_FAILED', err?.message || 'Unknown error');
+  }
+}
+
+// POST /api/checkout/webhook (mounted with express.raw so the signed bytes reach us unparsed)
+export async function handlePaymentWebhook(req, res) {
+  try {
+    if (!Buffer.isBuffer(req.body)) {
+      return jsonError(res, 400, 'INVALID_PAYLOAD', 'Webhook body must be sent as application/json');
+    }
+    const payments = getPayments();
+    const outcome = await processPaymentWebhook(req.body, req.headers[payments.signatureHeader]);
+    return res.json({ received: true, handled: outcome.handled, memoryId: outcome.memoryId, status: outcome.status || null });
+  } catch (err) {
+    if (err?.code === 'INVALID_SIGNATURE' || err?.code === 'INVALID_PAYLOAD') {
+      console.warn(`[CHECKOUT] Rejected webhook: ${err.message}`);
+      return jsonError(res, 400, err.code, err.message);
+    }
+    // Anything else (storage down, ...) is retried by the provider
+    console.error('[CHECKOUT] Webhook failed:', err?.message || err);
+    return jsonError(res, 500, 'WEBHOOK_FAILED', err?.message || 'Unknown error');
+  }
+}
+
+// POST /api/checkout/local/:intentId/confirm  body: { outcome?: 'succeeded' | 'failed' }
+export async function confirmLocalPayment(req, res) {
+  try {
+    const payments = getPayments();
+    if (payments.name !== 'local') {
+      return jsonError(res, 404, 'NOT_FOUND', `Route not found: ${req.method} ${req.path}`);
+    }
+    const outcome = req.body?.outcome === 'failed' ? 'failed' : 'succeeded';
+    const delivery = payments.confirmPaymentIntent(req.params.intentId, { outcome });
+    // Same verification and bookkeeping as a provider delivery to /api/checkout/webhook
+    const result = await processPaymentWebhook(delivery.rawBody, delivery.signature);
+    return res.json({ received: true, handled: result.handled, memoryId: result.memoryId, status: result.status || null });
+  } catch (err) {
+    console.error('[CHECKOUT] Local confirm failed:', err?.message || err);
+    return jsonError(res, err?.status || 500, err?.code || 'CHECKOUT_FAILED', err?.message || 'Unknown error');
+  }
+}
@@ -1,119 +1,108 @@
 import fs from 'fs';
 import fsp from 'fs/promises';
 import path from 'path';
-import os from 'os';
 import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
-
-import { S3Client, GetObjectCommand, PutObjectCommand, ListObjectsV2Command } from '@aws-sdk/client-s3';
-import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
-import { createFramePlan, applyFramePlan, createFramePlansBatch } from './auto-reframe.js';
+import sharp from 'sharp';
+
+import { getStorage } from './storage/index.js';
+import { reframeImageForAspects, REFRAME_WORKERS } from './reframe-pool.js';
+import { mapWithConcurrency } from './utils/concurrency.js';
+import {
+  resolveEncodeSettings,
+  outputEncodeArgs,
+  resolveOutputFormat,
+  validateOutputFormat,
+  OUTPUT_FORMATS,
+  DEFAULT_OUTPUT_FORMAT,
+} from './utils/videoEncode.js';
+import { ffprobeInfo } from './utils/videoFinalize.js';
+import {
+  resolveHlsSettings,
+  planHlsRenditions,
+  buildHlsArgs,
+  measureMediaPlaylist,
+  buildMasterPlaylist,
+  hlsKeysFor,
+  HLS_PLAYLIST_CONTENT_TYPE,
+  HLS_SEGMENT_CONTENT_TYPE,
+} from './hls-ladder.js';
+import {
+  mediaAssetKeysFor,
+  posterTimeFor,
+  planThumbnailSprite,
+  planPreview,
+  buildThumbnailsVtt,
+  buildPosterArgs,
+  buildSpriteArgs,
+  buildPreviewArgs,
+  signMediaAssetUrls,
+  ASSET_CONTENT_TYPES,
+  THUMBNAILS_CONTENT_TYPE,
+} from './media-assets.js';
+import {
+  resolveRenderQuality,
+  resolveDraftTtlMs,
+  draftDimensions,
+  draftKeyFor,
+  sweepExpiredDrafts,
+  RENDER_QUALITIES,
+  DEFAULT_RENDER_QUALITY,
+  DRAFT_FPS,
+  DRAFT_ENCODE_SETTINGS,
+} from './draft-renders.js';
+import {
+  sanitizeTitleCards,
+  titleCardsInRenderOrder,
+  summarizeTitleCards,
+  planTitleOverlays,
+  buildTitleCardFilters,
+  titleFontPath,
+  TITLE_PRESETS,
+  DEFAULT_TITLE_PRESET,
+} from './title-cards.js';
+import { sanitizeEndCard, buildEndCardFilter } from './end-card.js';
+import { resolveWatermarkConfig, shouldWatermark, unlockGrant, planWatermark, buildWatermarkFilters } from './watermark.js';
+import { verifyUserPlan } from './auth.js';
+import { getMemoryPayment, linkPaidMemory, isValidMemoryId } from './payments/records.js';
+import { buildMemoryRecord, saveMemoryRecord, getMemoryRecord, foreignPhotoKeys } from './memory-library.js';
+import { pickRenderRequest, buildJobManifest, saveJobManifest, getJobManifest, manifestKeyFor, remixRequest, jobFromManifest } from './job-manifest.js';
+import {
+  getEntitlements,
+  checkRenderEntitlements,
+  capToResolution,
+  consumeQuota,
+  refundQuota,
+  usageSubject,
+  isEntitlementError,
+} from './entitlements.js';
+import { ProgressReporter, PROGRESS_WEIGHTS, calculateProgress } from './progress-reporter.js';
+import { analyzeTrackBeats } from './utils/beatAnalysis.js';
+import {
+  createDefaultRenderPlan,
+  sanitizeRenderPlan,
+  fitPlanToDuration,
+  getTargetDurationRange,
+  snapPlanToBeats,
+  buildRenderTimeline,
+  buildTransitionChain,
+  summarizeTimeline,
+} from './render-plan.js';
+import {
+  setJobProgress,
+  getJob,
+  subscribeToJob,
+  getQueueInfo,
+  getJobDir,
+  enqueueRenderJob,
+  cancelRenderJob,
+  setRenderProcessor,
+  setJobFailedHandler,
+} from './render-queue.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Firebase Admin SDK (lazy-loaded to avoid startup dependency if not configured)
-let firebaseAdmin = null;
-let firebaseApp = null;
-
-async function initFirebaseAdmin() {
-  if (firebaseAdmin) return firebaseAdmin; // Already initialized
-  
-  try {
-    // Only import if FIREBASE_PROJECT_ID is set (indicates Firebase is configured)
-    if (!process.env.FIREBASE_PROJECT_ID) {
-      return null; // Firebase not configured
-    }
-    
-    firebaseAdmin = await import('firebase-admin');
-    
-    // Initialize Firebase Admin if not already initialized
-    if (!firebaseApp) {
-      // Use service account key if provided, otherwise use default credentials
-      if (process.env.FIREBASE_SERVICE_ACCOUNT_KEY) {
-        const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_KEY);
-        firebaseApp = firebaseAdmin.default.initializeApp({
-          credential: firebaseAdmin.default.credential.cert(serviceAccount),
-        });
-      } else {
-        // Try default credentials (e.g., from GCP environment)
-        firebaseApp = firebaseAdmin.default.initializeApp();
-      }
-    }
-    
-    return firebaseAdmin;
-  } catch (err) {
-    console.warn('[AUTH] Firebase Admin initialization failed:', err.message);
-    return null;
-  }
-}
-
-/**
- * Verify Bearer token and extract user plan from Firebase
- * Returns { uid, plan: 'free' | 'premium', verified: true } or { verified: false, plan: 'free' }
- */
-async function verifyUserPlan(authHeader) {
-  // Default to free if no auth header
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return { verified: false, plan: 'free', uid: null };
-  }
-  
-  const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-  
-  try {
-    const admin = await initFirebaseAdmin();
-    if (!admin) {
-      // Firebase not configured - default to free
-      console.warn('[AUTH] Firebase not configured, defaulting to free plan');
-      return { verified: false, plan: 'free', uid: null };
-    }
-    
-    // Verify the token
-    const decodedToken = await admin.default.auth().verifyIdToken(token);
-    const uid = decodedToken.uid;
-    
-    // Check custom claims first (preferred method)
-    // Firebase custom claims are properties directly on decodedToken
-    const plan = decodedToken.plan;
-    if (plan === 'premium') {
-      return { verified: true, plan: 'premium', uid };
-    }
-    
-    // Fallback to Firestore lookup if custom claim not set
-    try {
-      const db = admin.default.firestore();
-      const userDoc = await db.collection('users').doc(uid).get();
-      if (userDoc.exists) {
-        const userData = userDoc.data();
-        const firestorePlan = userData?.plan;
-        if (firestorePlan === 'premium') {
-          return { verified: true, plan: 'premium', uid };
-        }
-      }
-    } catch (firestoreErr) {
-      console.warn('[AUTH] Firestore lookup failed:', firestoreErr.message);
-    }
-    
-    // Default to free if not premium
-    return { verified: true, plan: 'free', uid };
-  } catch (err) {
-    console.warn('[AUTH] Token verification failed:', err.message);
-    // Invalid token - default to free
-    return { verified: false, plan: 'free', uid: null };
-  }
-}
-
-// -------------------- Config --------------------
-const AWS_REGION = process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'us-east-2';
-const S3_BUCKET = process.env.S3_BUCKET;
-
-if (!S3_BUCKET) {
-  // Do not throw at import-time in serverless; throw inside handler on request
-  console.warn('[CREATE_MEMORY] Missing S3_BUCKET env var');
-}
-
-const s3 = new S3Client({ region: AWS_REGION });
-
 // -------------------- Helpers --------------------
 function isNonEmptyString(v) {
   return typeof v === 'string' && v.trim().length > 0;
@@ -148,38 +137,44 @@ async function ensureDir(dir) {
   await fsp.mkdir(dir, { recursive: true });
 }
 
-function streamToFile(readable, filePath) {
-  return new Promise((resolve, reject) => {
-    const out = fs.createWriteStream(filePath);
-    readable.pipe(out);
-    out.on('finish', resolve);
-    out.on('error', reject);
-  });
+async function downloadImage(key, destPath) {
+  await getStorage().downloadToFile(key, destPath);
 }
 
-async function downloadImageFromS3(bucket, key, destPath) {
-  const resp = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
-  if (!resp || !resp.Body) throw new Error(`S3 GetObject returned empty body for key=${key}`);
-  await streamToFile(resp.Body, destPath);
+async function uploadFile(key, filePath, contentType, { signal } = {}) {
+  await getStorage().putObjectFromFile(key, filePath, { contentType, signal });
 }
 
-async function uploadFileToS3(bucket, key, filePath, contentType) {
-  const body = fs.createReadStream(filePath);
-  await s3.send(
-    new PutObjectCommand({
-      Bucket: bucket,
-      Key: key,
-      Body: body,
-      ContentType: contentType,
-    })
-  );
+/**
+ * Create the error a cancelled render job unwinds with
+ * @param {string} stage - Pipeline stage that was interrupted
+ */
+function cancelledError(stage = 'unknown') {
+  const err = new Error(`Render cancelled during ${stage}`);
+  err.code = 'CANCELLED';
+  err.error = 'JOB_CANCELLED';
+  err.stage = stage;
+  return err;
+}
+
+/**
+ * Throw the job's cancellation error if its AbortSignal has fired
+ * @param {AbortSignal} [signal] - Job signal from the render queue
+ * @param {string} stage - Stage about to start
+ */
+function throwIfCancelled(signal, stage) {
+  if (signal?.aborted) throw signal.reason?.code === 'CANCELLED' ? signal.reason : cancelledError(stage);
 }
 
 function run(cmd, args, opts = {}) {
   const timeoutMs = opts.timeout || 240000; // Default 4 minutes, can be overridden
   const stage = opts.stage || 'unknown';
+  const { signal, ...spawnOpts } = opts; // AbortSignal: kill the child when the job is cancelled
   
   return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(cancelledError(stage));
+    }
     const startTime = Date.now();
     
     // Log BEFORE spawn
@@ -191,29 +186,45 @@ function run(cmd, args, opts = {}) {
     console.log(`[PIPE] fullCommand=${cmdStr}`);
     console.log(`[PIPE] ============`);
     
-    const p = spawn(cmd, args, { ...opts, stdio: ['ignore', 'pipe', 'pipe'] });
+    const p = spawn(cmd, args, { ...spawnOpts, stdio: ['ignore', 'pipe', 'pipe'] });
     let stdout = '';
     let stderr = '';
+
+    // Every way out (exit, spawn error, timeout, cancel) drops the timer and the job signal's listener,
+    // so a long job's signal does not collect listeners that keep finished children referenced
+    const settle = () => {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onAbort);
+    };
+    // SIGTERM, then SIGKILL if the child is still running 2s later
+    const terminate = () => {
+      p.kill('SIGTERM');
+      setTimeout(() => {
+        if (p.exitCode === null && p.signalCode === null) {
+          p.kill('SIGKILL');
+        }
+      }, 2000).unref();
+    };
+    
+    // Cancellation handler: same escalation as the timeout
+    const onAbort = () => {
+      settle();
+      console.warn(`[PIPE] stage=${stage} CANCELLED elapsed=${Date.now() - startTime}ms`);
+      terminate();
+      reject(cancelledError(stage));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
     
     // Timeout handler
     const timeoutId = setTimeout(() => {
+      settle();
       const elapsed = Date.now() - startTime;
       console.error(`[PIPE] ============`);
       console.error(`[PIPE] stage=${stage} TIMEOUT`);
       console.error(`[PIPE] elapsed=${elapsed}ms timeout=${timeoutMs}ms`);
       console.error(`[PIPE] cmd=${cmd}`);
       console.error(`[PIPE] ============`);
-      p.kill('SIGTERM');
-      // Force kill after 2 seconds if still running
-      setTimeout(() => {
-        try {
-          if (!p.killed) {
-            p.kill('SIGKILL');
-          }
-        } catch (e) {
-          // Process already dead
-        }
-      }, 2000);
+      terminate();
       const err = new Error(`Command timed out after ${timeoutMs}ms: ${cmd} ${args.join(' ')}`);
       err.code = 'TIMEOUT';
       err.stage = stage;
@@ -226,7 +237,7 @@ function run(cmd, args, opts = {}) {
     p.stdout.on('data', (d) => (stdout += d.toString()));
     p.stderr.on('data', (d) => (stderr += d.toString()));
     p.on('error', (err) => {
-      clearTimeout(timeoutId);
+      settle();
       const elapsed = Date.now() - startTime;
       console.error(`[PIPE] ============`);
       console.error(`[PIPE] stage=${stage} SPAWN_ERROR`);
@@ -234,15 +245,15 @@ function run(cmd, args, opts = {}) {
       console.error(`[PIPE] ============`);
       reject(err);
     });
-    p.on('close', (code, signal) => {
-      clearTimeout(timeoutId);
+    p.on('close', (code, exitSignal) => {
+      settle();
       const elapsed = Date.now() - startTime;
       const stderrTail = stderr.slice(-500);
       
       if (code === 0) {
         console.log(`[PIPE] ============`);
         console.log(`[PIPE] stage=${stage} AFTER_EXIT (SUCCESS)`);
-        console.log(`[PIPE] exitCode=${code} signal=${signal || 'null'} wallTime=${elapsed}ms`);
+        console.log(`[PIPE] exitCode=${code} signal=${exitSignal || 'null'} wallTime=${elapsed}ms`);
         console.log(`[PIPE] stdoutLength=${stdout.length} stderrLength=${stderr.length}`);
         console.log(`[PIPE] ============`);
         return resolve({ stdout, stderr });
@@ -251,14 +262,14 @@ function run(cmd, args, opts = {}) {
       // Failure case
       console.error(`[PIPE] ============`);
       console.error(`[PIPE] stage=${stage} AFTER_EXIT (FAILURE)`);
-      console.error(`[PIPE] exitCode=${code} signal=${signal || 'null'} wallTime=${elapsed}ms`);
+      console.error(`[PIPE] exitCode=${code} signal=${exitSignal || 'null'} wallTime=${elapsed}ms`);
       console.error(`[PIPE] stdoutLength=${stdout.length} stderrLength=${stderr.length}`);
       console.error(`[PIPE] stderrTail=${stderrTail}`);
       console.error(`[PIPE] ============`);
       
-      const err = new Error(`Command failed (${code}${signal ? `, signal=${signal}` : ''}): ${cmd} ${args.join(' ')}`);
+      const err = new Error(`Command failed (${code}${exitSignal ? `, signal=${exitSignal}` : ''}): ${cmd} ${args.join(' ')}`);
       err.code = code;
-      err.signal = signal;
+      err.signal = exitSignal;
       err.stdout = stdout;
       err.stderr = stderr;
       err.stage = stage;
@@ -326,7 +337,10 @@ function simpleHash(str) {
   return Math.abs(hash);
 }
 
-async function selectMusicTrack(bucket, context = '', photoKeys = [], musicPrefix = 'music/') {
+const MUSIC_PREFIX = 'music/';
+
+// trackKey (a request's musicKey, or a remix keeping its song) wins over the deterministic pick while it is available
+async function selectMusicTrack(context = '', photoKeys = [], musicPrefix = MUSIC_PREFIX, trackKey = null) {
   console.log('[MUSIC] enabled=true');
   
   // Try manifest first
@@ -335,46 +349,41 @@ async function selectMusicTrack(bucket, context = '', photoKeys = [], musicPrefi
   let tracks = [];
   
   try {
-    const resp = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: manifestKey }));
-    if (resp && resp.Body) {
-      const chunks = [];
-      for await (const chunk of resp.Body) {
-        chunks.push(chunk);
-      }
-      const manifestBuf = Buffer.concat(chunks);
-      const manifest = parseManifest(manifestBuf);
-      tracks = manifest.tracks || [];
-      manifestFound = true;
-      console.log('[MUSIC] manifestFound=true tracks=' + tracks.length);
-    }
+    const manifestBuf = await getStorage().getObjectBuffer(manifestKey);
+    const manifest = parseManifest(manifestBuf);
+    tracks = manifest.tracks || [];
+    manifestFound = true;
+    console.log('[MUSIC] manifestFound=true tracks=' + tracks.length);
   } catch (err) {
     console.log('[MUSIC] manifestFound=false (not found or error)');
   }
   
-  // If no tracks from manifest, list S3 objects
+  // If no tracks from manifest, list stored objects
   if (tracks.length === 0) {
     try {
-      const listResp = await s3.send(
-        new ListObjectsV2Command({
-          Bucket: bucket,
-          Prefix: musicPrefix,
-        })
-      );
-      
-      const audioKeys = (listResp.Contents || [])
-        .map((obj) => obj.Key)
+      const audioKeys = (await getStorage().listObjects(musicPrefix))
+        .map((obj) => obj.key)
         .filter((key) => key && isAudioKey(key) && !key.endsWith('manifest.json'))
         .sort();
       
       tracks = audioKeys.map((key) => ({ key }));
-      console.log('[MUSIC] Listed S3 objects, found ' + audioKeys.length + ' audio files');
+      console.log('[MUSIC] Listed stored objects, found ' + audioKeys.length + ' audio files');
     } catch (err) {
-      console.error('[MUSIC] Failed to list S3 objects:', err.message);
+      console.error('[MUSIC] Failed to list stored objects:', err.message);
     }
   }
   
   if (tracks.length === 0) {
-    throw new Error('No music tracks available in S3');
+    throw new Error('No music tracks available in storage');
+  }
+
+  if (trackKey) {
+    const requested = tracks.find((t) => (t.key || t) === trackKey);
+    if (requested) {
+      console.log('[MUSIC] requested track selectedKey=' + trackKey);
+      return typeof requested === 'string' ? { key: requested } : { ...requested, key: trackKey };
+    }
+    console.warn('[MUSIC] requested track not available, picking one: ' + trackKey);
   }
   
   // Select deterministically using stable hash
@@ -386,18 +395,12 @@ async function selectMusicTrack(bucket, context = '', photoKeys = [], musicPrefi
   
   console.log('[MUSIC] seed=' + seed + ' index=' + index + ' candidates=' + tracks.length + ' selectedKey=' + selectedKey);
   
-  return selectedKey;
+  // Manifest entries carry bpm/beatTimes/sections when the pack has been analyzed
+  return typeof selected === 'string' ? { key: selected } : { ...selected, key: selectedKey };
 }
 
-async function downloadMusicTrack(bucket, key, destPath) {
-  const resp = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
-  if (!resp || !resp.Body) throw new Error(`S3 GetObject returned empty body for key=${key}`);
-  
-  const chunks = [];
-  for await (const chunk of resp.Body) {
-    chunks.push(chunk);
-  }
-  const buffer = Buffer.concat(chunks);
+async function downloadMusicTrack(key, destPath) {
+  const buffer = await getStorage().getObjectBuffer(key);
   
   if (buffer.length < 50 * 1024) {
     throw new Error(`Music file too small: ${buffer.length} bytes (minimum 50KB)`);
@@ -443,61 +446,6 @@ async function ffprobeDurationSeconds(filePath) {
   return Number.isFinite(v) ? v : 0;
 }
 
-async function ensureMinDurationMp4(filePath, minSeconds, { tolerance = 0.08 } = {}) {
-  const actual = await ffprobeDurationSeconds(filePath);
-  if (actual >= (minSeconds - tolerance)) return { padded: false, actual };
-
-  const delta = Math.max(0, minSeconds - actual);
-  const dir = path.dirname(filePath);
-  const base = path.basename(filePath, path.extname(filePath));
-  const tmp = path.join(dir, `${base}.padtmp.mp4`);
-
-  // Clone last frame for `delta` seconds
-  const ffmpeg = pickFfmpegPath();
-  const args = [
-    '-y',
-    '-i', filePath,
-    '-vf', `tpad=stop_mode=clone:stop_duration=${delta.toFixed(3)}`,
-    '-c:v', 'libx264',
-    '-pix_fmt', 'yuv420p',
-    '-movflags', '+faststart',
-    '-an',
-    tmp
-  ];
-
-  await run(ffmpeg, args, { logPrefix: '[FFMPEG_PAD]' });
-
-  await fsp.rename(tmp, filePath);
-  const after = await ffprobeDurationSeconds(filePath);
-  return { padded: true, before: actual, after, delta };
-}
-
-async function applyFades(inputVideoPath, outputPath, duration) {
-  const ffmpeg = pickFfmpegPath();
-  const fadeIn = 0.6;
-  const fadeOut = 0.8;
-  
-  // Video fade: fade in from black, fade out to black
-  const videoFilter = `fade=t=in:st=0:d=${fadeIn},fade=t=out:st=${Math.max(0, duration - fadeOut)}:d=${fadeOut}`;
-  
-  const args = [
-    '-y',
-    '-i', inputVideoPath,
-    '-vf', videoFilter,
-    '-c:v', 'libx264',
-    '-c:a', 'copy', // Copy audio as-is (fades applied separately)
-    outputPath,
-  ];
-  
-  console.log('[FADE] videoFadeIn=' + fadeIn + ' videoFadeOut=' + fadeOut + ' duration=' + duration);
-  const result = await run(ffmpeg, args, { 
-    env: process.env,
-    timeout: 120000, // 2 minutes for video fades
-    stage: 'apply_fades'
-  });
-  return result;
-}
-
 // Logo path cache (lazy initialization)
 let cachedLogoPath = null;
 let logoPathChecked = false;
@@ -535,281 +483,64 @@ function findLogoPath() {
 }
 
 /**
- * Append cinematic end cap to video (freeze last frame → fade to black → logo overlay)
- * @param {string} inputMp4Path - Input video path
- * @param {string} outputMp4Path - Output video path (with end cap appended)
- * @returns {Promise<void>}
+ * Append the end card to a rendered video (freeze last frame → fade to the card color → logo and tagline)
+ * Re-encodes in the video's own output format. Throws on failure; the caller decides whether the
+ * plain video is published instead (see TRACE_ENDCAP_STRICT).
+ * @param {string} inputPath - Rendered video
+ * @param {string} outputPath - Video with the end card appended
+ * @param {Object} opts
+ * @param {Object} opts.card - Output of sanitizeEndCard
+ * @param {string} opts.logoPath - Logo image (custom logo or findLogoPath())
+ * @param {string} opts.fontPath - Tagline font
+ * @param {number} opts.width - Video width
+ * @param {number} opts.height - Video height
+ * @param {number} opts.fps - Video frame rate
+ * @param {number} opts.durationSec - Video duration
+ * @param {boolean} opts.hasAudio - Whether the video has a music track
+ * @param {string} opts.outputFormat - Key of OUTPUT_FORMATS
+ * @param {Object|null} [opts.watermark] - { config, logoPath } for free-tier renders: the card is watermarked too
+ * @param {AbortSignal} [opts.signal] - Job signal
+ * @returns {Promise<{durationSec: number}>} Duration of the output
  */
-async function appendEndCap(inputMp4Path, outputMp4Path) {
+async function appendEndCap(inputPath, outputPath, { card, logoPath, fontPath, width, height, fps, durationSec, hasAudio, outputFormat, watermark = null, signal }) {
   const ffmpeg = pickFfmpegPath();
   const startTime = Date.now();
-  const logoPath = findLogoPath();
-  
-  // Comprehensive fail-loud logging
-  console.log('[ENDCAP] ============');
-  console.log('[ENDCAP] Starting end cap append');
-  console.log('[ENDCAP] inputMp4Path=', inputMp4Path);
-  console.log('[ENDCAP] outputMp4Path=', outputMp4Path);
-  console.log('[ENDCAP] logoPath=', logoPath);
-  console.log('[ENDCAP] logoPath exists=', logoPath ? fs.existsSync(logoPath) : false);
-  console.log('[ENDCAP] TRACE_ENDCAP_STRICT=', process.env.TRACE_ENDCAP_STRICT);
-  console.log('[ENDCAP] ============');
-  
-  if (!logoPath) {
-    const error = new Error('TRACE logo not found in assets directory');
-    console.error('[ENDCAP] FATAL: Logo not found - checked all paths');
-    if (process.env.TRACE_ENDCAP_STRICT === '1') {
-      throw error;
-    }
-    throw error;
-  }
-  
-  if (!fs.existsSync(logoPath)) {
-    const error = new Error(`TRACE logo path exists but file not found: ${logoPath}`);
-    console.error('[ENDCAP] FATAL: Logo file does not exist at path');
-    if (process.env.TRACE_ENDCAP_STRICT === '1') {
-      throw error;
-    }
-    throw error;
+
+  if (!logoPath || !fs.existsSync(logoPath)) {
+    throw new Error(`End card logo not found: ${logoPath || '(none)'}`);
   }
-  
-  // Get video dimensions and duration
-  const videoDuration = await ffprobeDurationSeconds(inputMp4Path);
-  const ffprobe = pickFfprobePath();
-  
-  // Get video dimensions and fps
-  const { stdout: probeStdout } = await run(ffprobe, [
-    '-v', 'error',
-    '-select_streams', 'v:0',
-    '-show_entries', 'stream=width,height,r_frame_rate',
-    '-of', 'json',
-    inputMp4Path,
-  ], {
-    timeout: 30000, // 30 seconds for probe
-    stage: 'endcap_probe'
-  });
-  const probeData = JSON.parse(probeStdout);
-  const width = probeData.streams?.[0]?.width || 1920;
-  const height = probeData.streams?.[0]?.height || 1080;
-  // Parse fps from r_frame_rate (e.g., "30/1" or "30000/1001")
-  const rFrameRate = probeData.streams?.[0]?.r_frame_rate || '30/1';
-  const [num, den] = rFrameRate.split('/').map(Number);
-  const fps = den ? num / den : 30;
-  
-  // End cap timings:
-  // - Freeze last frame: 0.75s
-  // - Fade to black: 1.0s (starts at 0.75s, ends at 1.75s)
-  // - Black hold with logo: 1.25s (starts at 1.75s, ends at 3.0s)
-  // Total end cap duration: 3.0s
-  const freezeDuration = 0.75;
-  const fadeDuration = 1.0;
-  const blackHoldDuration = 1.25;
-  const endCapDuration = freezeDuration + fadeDuration + blackHoldDuration; // 3.0s
-  
-  // Audio fade out over last 2.0s of final output
-  const audioFadeOutDuration = 2.0;
-  const audioFadeOutStart = videoDuration + endCapDuration - audioFadeOutDuration;
-  
-  // Filtergraph approach:
-  // Step 1: Extract last frame, freeze for 0.75s, fade to black over 1.0s (1.75s total) → [freeze_fade]
-  // Step 2: Create black background with logo for 1.25s → [black_logo]
-  // Step 3: Concatenate [freeze_fade] + [black_logo] → [endcap] (3.0s total)
-  // Step 4: Concatenate original video + [endcap] → [vout]
-  // Step 5: Apply audio fade out → [aout]
-  
-  const logoScale = Math.min(width, height) * 0.3; // 30% of smaller dimension
-  const logoX = `(W-w)/2`; // Center X
-  const logoY = `(H-h)/2`; // Center Y
-  
-  // Calculate frame counts for efficient looping (avoid infinite loop)
-  const freezeFadeFrames = Math.ceil((freezeDuration + fadeDuration) * fps);
-  const freezeFrames = Math.ceil(freezeDuration * fps);
-  
-  // More efficient approach: extract last frame, loop with specific frame count, then fade
-  // This avoids the infinite loop that causes massive frame duplication
-  const filterComplex = [
-    // Extract last frame, loop it for the freeze+fade duration (with exact frame count)
-    `[0:v]trim=start=${Math.max(0, videoDuration - 0.01)}:end=${videoDuration},setpts=PTS-STARTPTS,loop=loop=${freezeFadeFrames}:size=1:start=0,setpts=PTS-STARTPTS,fade=t=out:st=${freezeDuration}:d=${fadeDuration}[freeze_fade]`,
-    // Create black background with logo for black hold duration (1.25s)
-    `color=c=black:s=${width}x${height}:d=${blackHoldDuration}[blackbg]`,
-    `[1:v]scale=${logoScale}:-1:flags=lanczos[logo_scaled]`,
-    `[blackbg][logo_scaled]overlay=${logoX}:${logoY}[black_logo]`,
-    // Concatenate freeze+fade segment with black+logo segment to create end cap (3.0s total)
-    `[freeze_fade][black_logo]concat=n=2:v=1:a=0[endcap]`,
-    // Concatenate original video with end cap
-    `[0:v][endcap]concat=n=2:v=1:a=0[vout]`,
-    // Audio fade out over last 2.0s of final output
-    `[0:a]afade=t=out:st=${audioFadeOutStart}:d=${audioFadeOutDuration}[aout]`,
-  ].join(';');
-  
+
+  const placement = watermark ? planWatermark(watermark.config, { width, height }) : null;
+  const { filterComplex, maps, totalSec } = buildEndCardFilter({ card, width, height, fps, durationSec, hasAudio, fontPath, watermark: placement });
+  const encode = outputEncodeArgs(outputFormat, resolveEncodeSettings());
   const args = [
     '-y',
-    '-i', inputMp4Path,
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-i', inputPath,
     '-i', logoPath,
+    ...(watermark ? ['-i', watermark.logoPath] : []),
     '-filter_complex', filterComplex,
-    '-map', '[vout]',
-    '-map', '[aout]',
-    '-c:v', 'libx264',
-    '-c:a', 'aac',
-    '-b:a', '192k',
-    '-pix_fmt', 'yuv420p',
-    '-movflags', '+faststart',
-    outputMp4Path,
-  ];
-  
-  console.log('[ENDCAP] Appending end cap: freeze=0.75s fade=1.0s black_hold=1.25s logo_overlay total=' + endCapDuration + 's');
-  console.log('[ENDCAP] FFmpeg command:', ffmpeg, args.join(' '));
-  console.log('[ENDCAP] Output path:', outputMp4Path);
-  
-  try {
-    await run(ffmpeg, args, { 
-      env: process.env,
-      timeout: 180000, // 3 minutes max for end cap
-      stage: 'append_endcap'
-    });
-    
-    // Log success and verify output duration
-    const elapsed = Date.now() - startTime;
-    const outputDuration = await ffprobeDurationSeconds(outputMp4Path);
-    const outputStat = await fsp.stat(outputMp4Path).catch(() => null);
-    const outputSize = outputStat ? outputStat.size : 0;
-    
-    console.log('[ENDCAP] ============');
-    console.log('[ENDCAP] Success!');
-    console.log('[ENDCAP] wallTime=', elapsed, 'ms');
-    console.log('[ENDCAP] inputDuration=', videoDuration.toFixed(2), 's');
-    console.log('[ENDCAP] outputDuration=', outputDuration.toFixed(2), 's');
-    console.log('[ENDCAP] endCapDuration=', endCapDuration.toFixed(2), 's');
-    console.log('[ENDCAP] outputSize=', outputSize, 'bytes');
-    console.log('[ENDCAP] ============');
-  } catch (endCapErr) {
-    // Fail-loud logging
-    const elapsed = Date.now() - startTime;
-    const stderrTail = (endCapErr.stderr || endCapErr.message || '').slice(-500);
-    
-    console.error('[ENDCAP] ============');
-    console.error('[ENDCAP] FFmpeg command FAILED');
-    console.error('[ENDCAP] wallTime=', elapsed, 'ms');
-    console.error('[ENDCAP] exitCode=', endCapErr.code || 'unknown');
-    console.error('[ENDCAP] signal=', endCapErr.signal || 'none');
-    console.error('[ENDCAP] stderr tail:', stderrTail);
-    console.error('[ENDCAP] ============');
-    
-    // Strict mode: fail loud if enabled
-    if (process.env.TRACE_ENDCAP_STRICT === '1') {
-      const strictErr = new Error(`End cap failed in strict mode: ${endCapErr.message}`);
-      strictErr.stderr = endCapErr.stderr;
-      strictErr.code = endCapErr.code;
-      throw strictErr;
-    }
-    
-    // Otherwise, re-throw to be caught by caller
-    throw endCapErr;
-  }
-}
-
-async function muxAudioVideo(videoPath, audioPath, outputPath, videoDuration) {
-  const ffmpeg = pickFfmpegPath();
-  const startTime = Date.now();
-  
-  // Step 1: Detect if video has audio stream
-  const hasVideoAudio = await ffprobeHasAudio(videoPath);
-  console.log(`[MUSIC] Video has audio stream: ${hasVideoAudio}`);
-  
-  // Step 2: Get exact video duration from ffprobe (more reliable than passed value)
-  const actualVideoDuration = await ffprobeDurationSeconds(videoPath);
-  const durationSec = Math.max(actualVideoDuration, videoDuration);
-  console.log(`[MUSIC] Video duration: ${durationSec.toFixed(3)}s (passed: ${videoDuration.toFixed(3)}s)`);
-  
-  // Step 3: Audio fade parameters
-  const audioFadeIn = 0.7;
-  const audioFadeOut = 2.0; // Fixed 2s fade out
-  const audioFadeOutStart = Math.max(0, durationSec - audioFadeOut);
-  
-  // Step 4: Build filtergraph based on whether video has audio
-  let audioFilter;
-  let mapArgs;
-  
-  if (hasVideoAudio) {
-    // Mixing case: video has audio, mix with music
-    // Music chain: trim to duration, fade out
-    const musicChain = `[1:a]atrim=0:${durationSec},asetpts=PTS-STARTPTS,afade=t=out:st=${audioFadeOutStart}:d=${audioFadeOut}[m]`;
-    // Video audio: resample and set volume
-    const videoAudioChain = `[0:a]aresample=48000,volume=1.0[v0]`;
-    // Music: resample and set volume (60% for background)
-    const musicResampleChain = `[m]aresample=48000,volume=0.60[m0]`;
-    // Mix both
-    const mixChain = `[v0][m0]amix=inputs=2:duration=first:dropout_transition=2[aout]`;
-    audioFilter = `${musicChain};${videoAudioChain};${musicResampleChain};${mixChain}`;
-    mapArgs = ['-map', '0:v:0', '-map', '[aout]'];
-  } else {
-    // No video audio: use music only
-    const musicChain = `[1:a]atrim=0:${durationSec},asetpts=PTS-STARTPTS,afade=t=out:st=${audioFadeOutStart}:d=${audioFadeOut}[aout]`;
-    audioFilter = musicChain;
-    mapArgs = ['-map', '0:v:0', '-map', '[aout]'];
-  }
-  
-  // Step 5: Build FFmpeg args with explicit mapping and hard duration cap
-  const args = [
-    '-y',
-    '-i', videoPath,
-    '-stream_loop', '-1', // Loop music
-    '-i', audioPath,
-    '-filter_complex', audioFilter,
-    ...mapArgs,
-    '-c:v', 'copy', // Copy video (no re-encode)
-    '-c:a', 'aac',
-    '-b:a', '192k',
-    '-t', durationSec.toFixed(3), // HARD CAP: explicit duration limit
-    '-shortest', // Secondary safety: stop when shortest stream ends
-    '-movflags', '+faststart',
+    ...maps.flatMap((label) => ['-map', label]),
+    ...encode.video,
+    ...(hasAudio ? encode.audio : []),
+    '-t', totalSec.toFixed(3),
+    ...encode.container,
     outputPath,
   ];
-  
-  // Step 6: Log command before spawn
-  const cmdStr = `${ffmpeg} ${args.map(a => a.includes(' ') ? `"${a}"` : a).join(' ')}`;
-  console.log(`[MUSIC] ============`);
-  console.log(`[MUSIC] FFmpeg command (before spawn):`);
-  console.log(`[MUSIC] ${cmdStr}`);
-  console.log(`[MUSIC] hasVideoAudio=${hasVideoAudio} durationSec=${durationSec.toFixed(3)}`);
-  console.log(`[MUSIC] audioFilter length=${audioFilter.length} chars`);
-  console.log(`[MUSIC] ============`);
-  
-    // Step 7: Spawn FFmpeg with shorter timeout (2 minutes) for fail-fast
-    try {
-      const result = await run(ffmpeg, args, { 
-        env: process.env,
-        timeout: 120000, // 2 minutes max for fail-fast
-        stage: 'add_music'
-      });
-    
-    // Step 8: Log success with details
-    const elapsed = Date.now() - startTime;
-    const outputStat = await fsp.stat(outputPath).catch(() => null);
-    const outputSize = outputStat ? outputStat.size : 0;
-    console.log(`[MUSIC] ============`);
-    console.log(`[MUSIC] FFmpeg completed successfully`);
-    console.log(`[MUSIC] exitCode=0 signal=null wallTime=${elapsed}ms`);
-    console.log(`[MUSIC] outputFile=${outputPath}`);
-    console.log(`[MUSIC] outputSize=${outputSize} bytes`);
-    console.log(`[MUSIC] ============`);
-    
-    return result;
-  } catch (err) {
-    // Step 9: Log failure with comprehensive details
-    const elapsed = Date.now() - startTime;
-    const outputStat = await fsp.stat(outputPath).catch(() => null);
-    const outputSize = outputStat ? outputStat.size : 0;
-    const stderrTail = (err.stderr || err.message || '').slice(-500);
-    console.error(`[MUSIC] ============`);
-    console.error(`[MUSIC] FFmpeg FAILED`);
-    console.error(`[MUSIC] exitCode=${err.code || 'unknown'} signal=${err.signal || 'none'} wallTime=${elapsed}ms`);
-    console.error(`[MUSIC] outputFile=${outputPath}`);
-    console.error(`[MUSIC] outputSize=${outputSize} bytes`);
-    console.error(`[MUSIC] stderrTail=${stderrTail}`);
-    console.error(`[MUSIC] ============`);
-    throw err;
-  }
+
+  console.log(`[ENDCAP] freeze=${card.freezeSec}s fade=${card.fadeSec}s hold=${card.holdSec}s bg=${card.backgroundColor} logo=${path.basename(logoPath)} tagline=${card.tagline ? 'yes' : 'no'} watermark=${!!watermark} format=${outputFormat}`);
+  // The body is already encoded, so the whole pass is bounded by the format's render timeout
+  await run(ffmpeg, args, {
+    env: process.env,
+    timeout: OUTPUT_FORMATS[outputFormat].renderTimeoutMs,
+    stage: 'append_endcap',
+    signal,
+  });
+
+  const outputDuration = await ffprobeDurationSeconds(outputPath);
+  console.log(`[ENDCAP] done ms=${Date.now() - startTime} inputDuration=${durationSec.toFixed(2)}s outputDuration=${outputDuration.toFixed(2)}s`);
+  return { durationSec: outputDuration };
 }
 
 /**
@@ -882,19 +613,27 @@ function buildZoompanExpr({ startZoom, endZoom, focalX, focalY, panOffsetX, panO
   const centerXExpr = `if(lt(on, ${holdFrames}), ${focalPX}, ${focalPX} + ${panDX} * ${smootherstepExpr})`;
   const centerYExpr = `if(lt(on, ${holdFrames}), ${focalPY}, ${focalPY} + ${panDY} * ${smootherstepExpr})`;
 
-  // Pan X/Y: center - output/2 (zoompan expects top-left corner)
-  const panXExpr = `${centerXExpr} - ow / 2`;
-  const panYExpr = `${centerYExpr} - oh / 2`;
+  // Pan X/Y: center - visible window/2 (zoompan expects top-left corner of the iw/zoom x ih/zoom window)
+  const panXExpr = `${centerXExpr} - iw / zoom / 2`;
+  const panYExpr = `${centerYExpr} - ih / zoom / 2`;
 
   // Build zoompan filter (no rotation)
-  // zoompan=z='zoom_expr':x='panX_expr':y='panY_expr':d=frames
-  return `zoompan=z='${zoomExpr}':x='${panXExpr}':y='${panYExpr}':d=${frames}`;
+  // zoompan=z='zoom_expr':x='panX_expr':y='panY_expr':d=frames:s=WxH:fps=fps
+  // s/fps must be explicit: zoompan defaults to hd720 at 25fps
+  return `zoompan=z='${zoomExpr}':x='${panXExpr}':y='${panYExpr}':d=${frames}:s=${W}x${H}:fps=${fps}`;
 }
 
 // Generates a cinematic slideshow video with xfade transitions
 // - scales/crops to target dimensions based on aspect ratio
-// - uses cumulative xfade offsets to ensure correct timeline duration
+// - follows the render timeline (per-shot durations, xfade / hard cut / breath hold transitions)
 // - applies Phase 1 motion (Ken Burns) per segment
+// Final-encode fades (seconds)
+const VIDEO_FADE_IN_SEC = 0.6;
+const VIDEO_FADE_OUT_SEC = 0.8;
+const AUDIO_FADE_OUT_SEC = 2.0;
+// Last-frame padding before the exact trim; covers xfade chains that end a frame or two short
+const DURATION_PAD_SEC = 1;
+
 async function renderSlideshow({
   framesDir,
   frameCount,
@@ -903,6 +642,16 @@ async function renderSlideshow({
   aspectRatio = '16:9',
   motionPack = 'default',
   motionSeed = null,
+  timeline = null,
+  framePlans = [], // Auto-reframe plans by frame index; anchors drive motion focal points
+  audioPath = null, // Music track, looped / trimmed to the video and mixed in the same encode
+  outputFormat = DEFAULT_OUTPUT_FORMAT, // Key of OUTPUT_FORMATS; outPath should carry its extension
+  quality = DEFAULT_RENDER_QUALITY, // 'draft' renders a 480p proxy (see draft-renders.js); pass DRAFT_FPS as fps
+  titles = null, // Sanitized title cards with captions in render order (see title-cards.js)
+  endCard = false, // appendEndCap follows: no video fade-out, so the end card freezes on the last shot
+  watermark = null, // { config, logoPath } for free-tier renders: logo burned in under the fades (see watermark.js)
+  maxResolution = null, // Plan's short-side cap (see entitlements.js); the 4K supersampling is kept
+  signal,
 }) {
   const ffmpeg = pickFfmpegPath();
 
@@ -936,43 +685,39 @@ async function renderSlideshow({
     outputWidth = 1920;
     outputHeight = 1080;
   }
+
+  // Draft proxy: render straight at 480p, skipping the 4K supersampling
+  const isDraft = quality === 'draft';
+  if (isDraft) {
+    ({ width: outputWidth, height: outputHeight } = draftDimensions(outputWidth, outputHeight));
+    renderWidth = outputWidth;
+    renderHeight = outputHeight;
+  } else {
+    ({ width: outputWidth, height: outputHeight } = capToResolution(outputWidth, outputHeight, maxResolution));
+  }
   
-  console.log(`[RENDER] aspectRatio=${aspectRatio} renderDimensions=${renderWidth}x${renderHeight} outputDimensions=${outputWidth}x${outputHeight} fps=${fps}`);
+  console.log(`[RENDER] quality=${quality} aspectRatio=${aspectRatio} renderDimensions=${renderWidth}x${renderHeight} outputDimensions=${outputWidth}x${outputHeight} fps=${fps}`);
 
-  // Timing calculation with deterministic filtergraph
-  // N = number of images, xf = crossfade duration
-  // xfade overlap model: totalDuration = N * hold + xf
+  // Timing comes from the render timeline (see render-plan.js); without a client plan
+  // this is the uniform model: hold = (targetDuration - xf) / N, totalDuration = N * hold + xf
   const N = frameCount;
-  const xf = 0.4; // Crossfade duration in seconds (increased from 0.35s for smoother transitions)
-  const targetDuration = Math.max(12, Math.min(30, N * 1.7)); // 9 images -> 15.3s
-  // Correct formula: hold = (targetDuration - xf) / N
-  const hold = Math.max(1.0, (targetDuration - xf) / N); // Increased min hold to 1.0s for better dissolve support
-  const clipDur = hold + xf; // Each clip includes overlap room for xfade
-  
-  // Calculate cumulative offsets for xfade transitions
-  // Offset for transition i (from stream i to i+1): (i+1) * hold + i * xf
-  const offsets = [];
-  for (let i = 0; i < N - 1; i++) {
-    const offset = (i + 1) * hold + i * xf;
-    offsets.push(offset);
+  if (!timeline) {
+    timeline = buildRenderTimeline(createDefaultRenderPlan(N), fps);
   }
-  
-  // Expected total duration (xfade overlap model: N * hold + xf)
-  const expectedTotalSeconds = N * hold + xf;
-  
-  // Fail-loud check: prevent hold from being too long
-  if (hold > 3.0) {
-    throw new Error(`HOLD_TOO_LONG_BUG: hold=${hold.toFixed(2)} for N=${N} targetDuration=${targetDuration.toFixed(2)}`);
+  if (timeline.clips.length !== N) {
+    throw new Error(`RENDER_PLAN_MISMATCH: timeline has ${timeline.clips.length} clips for ${N} frames`);
   }
-  
+  const expectedTotalSeconds = timeline.totalDuration;
+  const offsets = timeline.transitions.filter((t) => t.type === 'xfade').map((t) => t.offset);
+  const planSummary = summarizeTimeline(timeline);
+
   // Log plan
   console.log(`[PLAN] ========================================`);
   console.log(`[PLAN] RENDER_PLAN`);
-  console.log(`[PLAN] N=${N} targetDurationSec=${targetDuration.toFixed(2)} holdSec=${hold.toFixed(2)} xfadeSec=${xf} clipDurSec=${clipDur.toFixed(2)}`);
-  console.log(`[PLAN] expectedTotalSeconds=${expectedTotalSeconds.toFixed(2)}`);
+  console.log(`[PLAN] N=${N} shotSec=${planSummary.minShotSec}..${planSummary.maxShotSec} transitions=${JSON.stringify(planSummary.transitionCounts)} chapterBoundaries=[${planSummary.chapterBoundaries.join(', ')}]`);
+  console.log(`[PLAN] expectedTotalSeconds=${expectedTotalSeconds.toFixed(2)} totalFrames=${timeline.totalFrames}`);
   console.log(`[PLAN] inputCount=${N}`);
-  console.log(`[PLAN] offsets=[${offsets.map(o => o.toFixed(2)).join(', ')}]`);
-  console.log(`[PLAN] lastOffset=${offsets.length > 0 ? offsets[offsets.length - 1].toFixed(2) : 'N/A'}`);
+  console.log(`[PLAN] starts=[${timeline.clips.map(c => c.start.toFixed(2)).join(', ')}]`);
   console.log(`[PLAN] ========================================`);
 
   // Build FFmpeg inputs (one per image)
@@ -992,47 +737,50 @@ async function renderSlideshow({
     aspectRatio,
     fps,
     seed: motionSeed,
+    framePlans,
   });
 
   // Log motion summary
   const motionCounts = {};
   let maxZoomUsed = 1.0;
   let movedCount = 0;
+  let anchoredCount = 0;
   motions.forEach((m, idx) => {
     motionCounts[m.type] = (motionCounts[m.type] || 0) + 1;
+    if (m.focalSource === 'anchor') anchoredCount++;
     maxZoomUsed = Math.max(maxZoomUsed, m.startZoom, m.endZoom);
     if (m.startZoom !== 1.0 || m.endZoom !== 1.0 || Math.abs(m.panOffsetX) > 0.001 || Math.abs(m.panOffsetY) > 0.001) {
       movedCount++;
     }
   });
-  console.log(`[FOCUS_THEN_MOVE] pack=${motionPack} counts=${JSON.stringify(motionCounts)} maxZoom=${maxZoomUsed.toFixed(3)} movedFrames=${movedCount}/${N}`);
+  console.log(`[FOCUS_THEN_MOVE] pack=${motionPack} counts=${JSON.stringify(motionCounts)} maxZoom=${maxZoomUsed.toFixed(3)} movedFrames=${movedCount}/${N} anchoredFocal=${anchoredCount}/${N}`);
 
   // Build filtergraph: process each image with motion, then chain xfade transitions
   const filterParts = [];
   
-  // Calculate frames per segment (must match exactly for correct duration)
-  const segmentFrames = Math.round(clipDur * fps);
-  const xfadeFrames = Math.round(xf * fps);
-  
   // Log per-segment timing for verification
-  console.log(`[PLAN] clipDur=${clipDur.toFixed(3)}s segmentFrames=${segmentFrames} xfadeFrames=${xfadeFrames} hold=${hold.toFixed(3)}s xfade=${xf.toFixed(3)}s`);
+  console.log(`[PLAN] segmentFrames=[${timeline.clips.map(c => c.frames).join(',')}] transitionFrames=[${timeline.transitions.map(t => t.frames || `hold${t.holdFrames}`).join(',')}]`);
   
   // Process each input image: apply motion or static crop
   const isStaticMode = motionPack === 'none' || motionPack === 'static';
   
   for (let i = 0; i < N; i++) {
     const motion = motions[i];
+    // Frames per segment must match the timeline exactly for correct offsets and duration
+    const segmentFrames = timeline.clips[i].frames;
+    const clipDur = timeline.clips[i].duration;
     
     if (isStaticMode || (motion.type === 'STATIC' && motion.startZoom === 1.0 && motion.endZoom === 1.0)) {
       // Static mode: no motion, just scale to output size, loop for duration, set fps
       // Auto-reframe already crops to target aspect ratio, so scale to exact dimensions
       // Use force_original_aspect_ratio=disable to ensure exact output size (images are pre-cropped)
+      // loop + setpts=N/fps yields exactly segmentFrames frames at the output rate (image inputs default to 25fps)
       filterParts.push(
         `[${i}:v]scale=${outputWidth}:${outputHeight}:force_original_aspect_ratio=disable,` +
-        `loop=${segmentFrames}:size=1:start=0,` +
-        `setpts=PTS-STARTPTS,` +
+        `loop=${segmentFrames - 1}:size=1:start=0,` +
+        `setpts=N/${fps}/TB,` +
         `fps=${fps},` +
-        `format=yuv420p[img${i}]`
+        `format=yuv420p,settb=AVTB[img${i}]`
       );
       
       if (i < 3 || i >= N - 1) {
@@ -1063,7 +811,7 @@ async function renderSlideshow({
       
       // Log segment motion (sample a few)
       if (i < 3 || i >= N - 1) {
-        console.log(`[DOC_GIMBAL] seg#${i} type=${motion.type} zoom ${motion.startZoom.toFixed(3)}→${motion.endZoom.toFixed(3)} focal=(${motion.focalX.toFixed(2)},${motion.focalY.toFixed(2)}) pan=(${motion.panOffsetX.toFixed(3)},${motion.panOffsetY.toFixed(3)}) hold=${motion.holdSeconds}s duration=${clipDur.toFixed(2)}s`);
+        console.log(`[DOC_GIMBAL] seg#${i} type=${motion.type} zoom ${motion.startZoom.toFixed(3)}→${motion.endZoom.toFixed(3)} focal=(${motion.focalX.toFixed(2)},${motion.focalY.toFixed(2)})/${motion.focalSource} pan=(${motion.panOffsetX.toFixed(3)},${motion.panOffsetY.toFixed(3)}) hold=${motion.holdSeconds}s duration=${clipDur.toFixed(2)}s`);
       }
       
       // Process image: scale to base, apply zoompan motion at 4K (no rotation), downscale to output with lanczos, set fps and format
@@ -1074,55 +822,106 @@ async function renderSlideshow({
         `${zoompanExpr},` +
         `scale=${outputWidth}:${outputHeight}:flags=lanczos,` +
         `fps=${fps},` +
-        `format=yuv420p[img${i}]`
+        `format=yuv420p,settb=AVTB[img${i}]`
       );
     }
   }
   
-  // Chain xfade transitions with cumulative offsets
-  // First transition: [img0][img1]xfade=...:offset=offset0[xf0]
-  // Second: [xf0][img2]xfade=...:offset=offset1[xf1]
-  // etc.
-  if (N === 1) {
-    // Single image: no xfade needed
-    filterParts.push(`[img0]trim=duration=${hold}[out]`);
-  } else {
-    // First xfade
-    filterParts.push(`[img0][img1]xfade=transition=fade:duration=${xf}:offset=${offsets[0].toFixed(3)}[xf0]`);
-    
-    // Subsequent xfades (chain previous result with next image)
-    for (let i = 1; i < N - 1; i++) {
-      const prevLabel = i === 1 ? 'xf0' : `xf${i - 1}`;
-      filterParts.push(`[${prevLabel}][img${i + 1}]xfade=transition=fade:duration=${xf}:offset=${offsets[i].toFixed(3)}[xf${i}]`);
+  // Chain transitions at timeline offsets
+  // Dissolves: [img0][img1]xfade=...:offset=start1[tx0]; cuts / breath holds: [img0][img1]concat=n=2[tx0]
+  // then [tx0][img2]... and a final trim to the planned total
+  filterParts.push(...buildTransitionChain(timeline));
+
+  // Video fades in the same graph: clone the last frame so the stream can never come up short of
+  // the planned total, trim to it exactly, draw any title cards and the watermark, then fade in from /
+  // out to black (drafts skip the fades). Both go under the fades so they fade out with the video.
+  const total = expectedTotalSeconds;
+  let videoFades = '';
+  if (!isDraft) {
+    videoFades = `,fade=t=in:st=0:d=${VIDEO_FADE_IN_SEC}`;
+    if (!endCard) {
+      videoFades += `,fade=t=out:st=${Math.max(0, total - VIDEO_FADE_OUT_SEC).toFixed(6)}:d=${VIDEO_FADE_OUT_SEC}`;
     }
-    
-    // Final output label
-    const finalLabel = N === 2 ? 'xf0' : `xf${N - 2}`;
-    filterParts.push(`[${finalLabel}]trim=duration=${expectedTotalSeconds}[out]`);
   }
-  
+  const paddedVideo = `[out]tpad=stop_mode=clone:stop_duration=${DURATION_PAD_SEC},` +
+    `trim=duration=${total.toFixed(6)},setpts=PTS-STARTPTS`;
+  let videoChain = paddedVideo;
+  if (titles) {
+    const overlays = planTitleOverlays(titles, { timeline, width: outputWidth, height: outputHeight });
+    console.log(`[TITLES] preset=${titles.preset} layout=${overlays.safe.layout} safe=${overlays.safe.w}x${overlays.safe.h}+${overlays.safe.x}+${overlays.safe.y} texts=${overlays.texts.map((t) => `${t.kind}@${t.start.toFixed(2)}-${t.end.toFixed(2)}`).join(',')}`);
+    filterParts.push(`${videoChain}[untitled]`);
+    filterParts.push(...buildTitleCardFilters(overlays, { input: 'untitled', output: 'titled', width: outputWidth, height: outputHeight, fps }));
+    videoChain = '[titled]null';
+  }
+  if (watermark) {
+    // The logo is the last input: after the images and the music track, when there is one
+    const placement = planWatermark(watermark.config, { width: outputWidth, height: outputHeight });
+    console.log(`[WATERMARK] layout=${placement.layout} position=${placement.position} logoWidth=${placement.logoWidth} opacity=${placement.opacity} logo=${path.basename(watermark.logoPath)}`);
+    filterParts.push(`${videoChain}[unmarked]`);
+    filterParts.push(...buildWatermarkFilters(placement, { input: 'unmarked', output: 'marked', logoInput: N + (audioPath ? 1 : 0) }));
+    videoChain = '[marked]null';
+  }
+  filterParts.push(`${videoChain}${videoFades}[vout]`);
+
+  // Music: looped input, trimmed to the video, faded out over the last seconds
+  const audioArgs = [];
+  if (audioPath) {
+    inputArgs.push('-stream_loop', '-1', '-i', audioPath);
+    filterParts.push(
+      `[${N}:a]atrim=0:${total.toFixed(6)},asetpts=PTS-STARTPTS,aresample=48000,` +
+      `afade=t=out:st=${Math.max(0, total - AUDIO_FADE_OUT_SEC).toFixed(6)}:d=${AUDIO_FADE_OUT_SEC}[aout]`
+    );
+  }
+  if (watermark) {
+    inputArgs.push('-i', watermark.logoPath);
+  }
+
   const filtergraph = filterParts.join(';');
-  
+  const encodeSettings = isDraft ? DRAFT_ENCODE_SETTINGS : resolveEncodeSettings();
+  const encode = outputEncodeArgs(outputFormat, encodeSettings);
+  if (audioPath) {
+    audioArgs.push('-map', '[aout]', ...encode.audio);
+  }
+
+  // One encode for motion, transitions, fades and music
   const args = [
     '-y',
     '-hide_banner',
     '-loglevel', 'error',
     ...inputArgs,
     '-filter_complex', filtergraph,
-    '-map', '[out]',
-    '-c:v', 'libx264',
-    '-pix_fmt', 'yuv420p',
+    '-map', '[vout]',
+    ...encode.video,
+    ...audioArgs,
+    '-t', total.toFixed(3),
+    ...encode.container,
     outPath,
   ];
   
-  console.log(`[PLAN] FFmpeg inputCount=${N} offsets=[${offsets.map(o => o.toFixed(2)).join(',')}]`);
+  console.log(`[PLAN] FFmpeg inputCount=${N} xfadeOffsets=[${offsets.map(o => o.toFixed(2)).join(',')}]`);
   console.log(`[PLAN] FFmpeg filtergraph length=${filtergraph.length} chars`);
+  console.log(`[ENCODE] single pass format=${outputFormat} ${outputFormat === 'h264' ? `crf=${encodeSettings.crf} preset=${encodeSettings.preset}` : '(per-codec defaults)'} fades=${isDraft ? 'off' : `${VIDEO_FADE_IN_SEC}/${VIDEO_FADE_OUT_SEC}s`} music=${audioPath ? path.basename(audioPath) : 'none'}`);
 
-  return run(ffmpeg, args, { 
+  const result = await run(ffmpeg, args, { 
     env: process.env,
-    timeout: 300000, // 5 minutes for video rendering
-    stage: 'render_slideshow'
+    timeout: OUTPUT_FORMATS[outputFormat].renderTimeoutMs, // 5 minutes for H.264; AV1 / VP9 / HEVC encode slower
+    stage: 'render_slideshow',
+    signal,
   });
+  return { ...result, timeline, motionPackApplied: isStaticMode ? 'none' : motionPack, movedCount, width: outputWidth, height: outputHeight };
+}
+
+const MOTION_PACKS = ['default', 'documentary'];
+
+// Resolve the motion pack actually rendered: 'none' when the request opts out
+// (motion: false, or motionPack 'none' / 'static'); unknown packs fall back to 'default'
+function resolveMotionPack(rawPack, motion = true) {
+  if (motion === false) return 'none';
+  const pack = typeof rawPack === 'string' ? rawPack.trim().toLowerCase() : 'default';
+  if (pack === 'none' || pack === 'static') return 'none';
+  if (MOTION_PACKS.includes(pack)) return pack;
+  console.warn(`[MOTION] unknown motionPack=${rawPack}, using 'default'`);
+  return 'default';
 }
 
 function normalizeAspectRatio(input) {
@@ -1161,6 +960,26 @@ function aspectRatioToNumber(aspectRatioStr) {
   return 16 / 9;
 }
 
+// One job renders at most this many aspects (each one is a full encode)
+const MAX_ASPECT_RATIOS = 4;
+
+/**
+ * Normalize a request's aspect list: each entry through normalizeAspectRatio, duplicates dropped
+ * @param {string[]} input - e.g. ['16:9', 'portrait', '1:1']
+ * @returns {string[]|null} Normalized ratios in request order, or null when input is not a usable list
+ */
+function normalizeAspectRatioList(input) {
+  if (!Array.isArray(input) || input.length === 0 || !input.every(isNonEmptyString)) return null;
+  return [...new Set(input.map(normalizeAspectRatio))];
+}
+
+/**
+ * Filesystem / storage-key safe form of an aspect ratio ('9:16' -> '9x16', '2.39:1' -> '2_39x1')
+ */
+function aspectRatioSlug(aspectRatio) {
+  return aspectRatio.replace(/\./g, '_').replace(':', 'x');
+}
+
 function normalizeFps(input) {
   if (typeof input === 'number' && Number.isFinite(input)) {
     return Math.max(1, Math.min(60, Math.round(input)));
@@ -1178,508 +997,1225 @@ function jsonError(res, status, error, detail, extra = {}) {
   return res.status(status).json({ error, detail, ...extra });
 }
 
-// In-memory progress tracking: Map<jobId, {percent: number, step: string, detail: string}>
-const progressStore = new Map();
+const SSE_HEARTBEAT_MS = 15 * 1000; // Keep idle SSE connections alive behind proxies
 
-// Clean up old progress entries (older than 1 hour)
-setInterval(() => {
-  // Progress entries are cleaned up after completion, but this prevents memory leaks
-  // if jobs fail silently
-}, 3600000); // 1 hour
+/**
+ * Report progress for a pipeline stage using the shared PROGRESS_WEIGHTS ranges
+ * Stage mapping: download → VALIDATE_UPLOAD, frames + auto-reframe → ANALYZE_IMAGES,
+ * motion → MOTION_PLANNING, render → RENDER_SEGMENTS, fades + music → FFMPEG_ENCODE,
+ * upload → FINALIZE (SEQUENCE_PLANNING happens client-side via /api/sequence)
+ * @param {string} jobId - Job ID
+ * @param {{start: number, end: number}} weight - Entry from PROGRESS_WEIGHTS
+ * @param {number} fraction - Progress within the stage (0-1)
+ * @param {string} step - Step name reported to clients
+ * @param {string} detail - Human-readable status message
+ */
+function reportStage(jobId, weight, fraction, step, detail) {
+  const percent = Math.round(calculateProgress(weight, fraction) * 10) / 10;
+  return setJobProgress(jobId, { percent, step, detail });
+}
 
-// -------------------- Main Handler --------------------
-async function createMemoryRenderOnly(req, res) {
-  const handlerStartTime = Date.now();
-  console.log('[CREATE_MEMORY] render-only handler hit');
-  try {
-    if (!S3_BUCKET) {
-      return jsonError(res, 500, 'server_misconfigured', 'Missing S3_BUCKET env var');
-    }
+/**
+ * Create an error that fails a render job with the same shape jsonError sends
+ * ({ error, detail, ...extra }) so pollers see the usual error codes
+ */
+function renderJobError(status, error, detail, extra = {}) {
+  const err = new Error(detail);
+  err.status = status;
+  err.error = error;
+  err.extra = extra;
+  return err;
+}
 
-    // CORS (keep simple; match your domain)
-    res.setHeader('Access-Control-Allow-Origin', 'https://tracememory.store');
-    res.setHeader('Access-Control-Allow-Methods', 'POST,OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization');
+const INGEST_CONCURRENCY = Math.max(1, Number(process.env.INGEST_CONCURRENCY) || 6);
+const SUPPORTED_IMAGE_FORMATS = new Set(['jpeg', 'png', 'webp']);
 
-    if (req.method === 'OPTIONS') return res.status(204).end();
+/**
+ * Check a downloaded image's bytes: non-empty, decodable header, supported format, real dimensions
+ * @returns {Promise<string|null>} Why the image is unusable, or null when it is fine
+ */
+async function inspectImageFile(filePath) {
+  const stat = await fsp.stat(filePath);
+  if (stat.size === 0) return 'empty file';
+  try {
+    const { format, width, height } = await sharp(filePath).metadata();
+    if (!SUPPORTED_IMAGE_FORMATS.has(format)) return `unsupported format: ${format || 'unknown'}`;
+    if (!width || !height) return 'missing dimensions';
+    return null;
+  } catch (err) {
+    return `unreadable image: ${err.message}`;
+  }
+}
 
-    const {
-      photoKeys,
-      order,
-      aspectRatio: rawAspectRatio,
-      fps: rawFps,
-      frameRate: rawFrameRate, // Accept both fps and frameRate for compatibility
-      context = '',
-      enableMusic = true,
-      motionPack = 'default',
-      autoReframe = true, // Default true
-    } = req.body || {};
-    
-    // Override motionPack from req.body if provided
-    const finalMotionPack = req.body?.motionPack || motionPack;
-
-    // Comprehensive logging at handler start
-    console.log('[CREATE_MEMORY] ========================================');
-    console.log('[CREATE_MEMORY] BACKEND_HANDLER_START');
-    console.log('[CREATE_MEMORY] received photoKeys.length =', Array.isArray(photoKeys) ? photoKeys.length : 'not-array');
-    console.log('[CREATE_MEMORY] received photoKeys.first3 =', Array.isArray(photoKeys) ? photoKeys.slice(0, 3) : null);
-    console.log('[CREATE_MEMORY] received photoKeys.last3 =', Array.isArray(photoKeys) ? photoKeys.slice(-3) : null);
-    console.log('[CREATE_MEMORY] received aspectRatio =', rawAspectRatio);
-    console.log('[CREATE_MEMORY] received fps =', rawFps);
-    console.log('[CREATE_MEMORY] received frameRate =', rawFrameRate);
-    console.log('[CREATE_MEMORY] received order.length =', Array.isArray(order) ? order.length : 'not-array');
-    console.log('[CREATE_MEMORY] received order.first5 =', Array.isArray(order) ? order.slice(0, 5) : null);
-    console.log('[CREATE_MEMORY] received order.last5 =', Array.isArray(order) ? order.slice(-5) : null);
-    console.log('[CREATE_MEMORY] received context.length =', String(context || '').length);
-
-    // Normalize aspectRatio and fps
-    const aspectRatio = normalizeAspectRatio(rawAspectRatio);
-    const fps = normalizeFps(rawFps || rawFrameRate);
-    
-    console.log('[CREATE_MEMORY] normalized aspectRatio =', aspectRatio);
-    console.log('[CREATE_MEMORY] aspectRatio numeric =', aspectRatioToNumber(aspectRatio));
-    console.log('[CREATE_MEMORY] normalized fps =', fps);
-    console.log('[CREATE_MEMORY] motionPack =', req.body?.motionPack);
-    console.log('[CREATE_MEMORY] motionPack (final) =', finalMotionPack);
-    console.log('[CREATE_MEMORY] autoReframe =', autoReframe);
-
-    // Validate photoKeys
-    if (!Array.isArray(photoKeys) || photoKeys.length < 2) {
-      return jsonError(res, 400, 'invalid_request', 'photoKeys must be an array with at least 2 items');
+/**
+ * Single-pass image ingestion: each photo is downloaded once (INGEST_CONCURRENCY at a time) straight
+ * into framesDir, validated with sharp, then auto-reframed on the worker pool while later photos
+ * are still downloading. Every requested aspect gets its own frame plans and reframed frames from
+ * one worker task per photo.
+ * @param {string} jobId
+ * @param {string[]} orderedKeys - Storage keys in render order (frame N = orderedKeys[N - 1])
+ * @param {Object} opts
+ * @param {string} opts.framesDir - Destination for 0001.jpg, 0002.jpg...
+ * @param {string[]} opts.aspectRatios - Normalized target aspect ratios
+ * @param {boolean} opts.autoReframe - Run auto-reframe into framesDir/normalized/<aspect>
+ * @param {AbortSignal} [opts.signal] - Job cancellation
+ * @returns {Promise<{aspects: Array<{aspectRatio: string, renderFramesDir: string, framePlans: Array}>, reframeNeedsReview: Array}>}
+ */
+async function ingestImages(jobId, orderedKeys, { framesDir, aspectRatios, autoReframe, signal }) {
+  const total = orderedKeys.length;
+  const aspects = aspectRatios.map((aspectRatio) => ({
+    aspectRatio,
+    targetAspect: aspectRatioToNumber(aspectRatio),
+    normalizedFramesDir: path.join(framesDir, 'normalized', aspectRatioSlug(aspectRatio)),
+    framePlans: new Array(total).fill(null), // Saliency anchors for motion focal points
+  }));
+  const reframeNeedsReview = []; // Collect images that need review
+  const invalidImages = [];
+  let downloaded = 0;
+  let reframed = 0;
+  const startedAt = Date.now();
+
+  // Downloads take the first 20% of ANALYZE_IMAGES; auto-reframe takes the rest
+  const reportIngest = (step, detail) => {
+    const fraction = autoReframe ? (downloaded * 0.2 + reframed * 0.8) / total : downloaded / total;
+    reportStage(jobId, PROGRESS_WEIGHTS.ANALYZE_IMAGES, fraction, step, detail);
+  };
+
+  if (autoReframe) {
+    await Promise.all(aspects.map((aspect) => ensureDir(aspect.normalizedFramesDir)));
+    const targetsLog = aspects.map((a) => `${a.targetAspect} (${a.aspectRatio})`).join(', ');
+    console.log(`[AUTO-REFRAme] Starting reframe for ${total} images with targetAspect=${targetsLog} workers=${REFRAME_WORKERS || 'inline'}`);
+  }
+
+  await mapWithConcurrency(orderedKeys, INGEST_CONCURRENCY, async (key, idx) => {
+    const frameName = String(idx + 1).padStart(4, '0') + '.jpg';
+    const originalPath = path.join(framesDir, frameName);
+    throwIfCancelled(signal, 'download');
+    try {
+      await downloadImage(key, originalPath);
+    } catch (err) {
+      throwIfCancelled(signal, 'download');
+      console.error(`[IMAGES] Failed to download ${key}:`, err.message);
+      throw renderJobError(400, 'IMAGE_DOWNLOAD_FAILED', `Failed to download image: ${key}`, {
+        key,
+        reason: err.message,
+      });
     }
-    if (!photoKeys.every(isNonEmptyString)) {
-      return jsonError(res, 400, 'invalid_request', 'photoKeys must be an array of strings');
+
+    const problem = await inspectImageFile(originalPath);
+    if (problem) {
+      console.error(`[IMAGES] Unusable image ${key}: ${problem}`);
+      invalidImages.push({ key, reason: problem });
+      return;
     }
+    downloaded++;
+    reportIngest('downloading', `Downloaded photo ${downloaded}/${total}`);
+    if (!autoReframe || invalidImages.length > 0) return;
 
-    // Validate and download images
-    const usableImages = [];
-    const missingKeys = [];
-    
-    for (const key of photoKeys) {
-      if (!isImageKey(key)) {
-        console.warn(`[IMAGES] Skipping non-image key: ${key}`);
-        missingKeys.push(key);
-        continue;
-      }
-      
-      try {
-        // Test download to temp location first
-        const tempPath = path.join(os.tmpdir(), `test_${Date.now()}_${path.basename(key)}`);
-        await downloadImageFromS3(S3_BUCKET, key, tempPath);
-        
-        // Verify file exists and has content
-        const stat = await fsp.stat(tempPath);
-        if (stat.size > 0) {
-          usableImages.push(key);
-          // Clean up temp file
-          await fsp.unlink(tempPath).catch(() => {});
-        } else {
-          missingKeys.push(key);
-          await fsp.unlink(tempPath).catch(() => {});
+    // Auto-reframe: fix orientation and compute smart crops, once per aspect
+    throwIfCancelled(signal, 'auto_reframe');
+    try {
+      const plans = await reframeImageForAspects({
+        inputPath: originalPath,
+        targets: aspects.map((aspect) => ({
+          outputPath: path.join(aspect.normalizedFramesDir, frameName),
+          targetAspect: aspect.targetAspect,
+        })),
+        opts: {
+          imageKey: key, // Use storage key for caching
+          confidenceThreshold: 0.55,
+          headroomBias: 0.075,
+          highConfidenceThreshold: 0.75,
+        },
+      });
+
+      plans.forEach((plan, a) => {
+        const { aspectRatio, targetAspect } = aspects[a];
+        // Collect needsReview items for response
+        if (plan.needsReview) {
+          reframeNeedsReview.push({
+            imageKey: key,
+            aspectRatio,
+            confidence: plan.confidence,
+            reason: plan.reason,
+            safeModeUsed: plan.safeModeUsed || false,
+          });
         }
-      } catch (err) {
-        console.error(`[IMAGES] Failed to download ${key}:`, err.message);
-        missingKeys.push(key);
-        return jsonError(res, 400, 'IMAGE_DOWNLOAD_FAILED', `Failed to download image: ${key}`, {
-          key,
-          reason: err.message,
-        });
-      }
-    }
 
-    console.log(`[IMAGES] ========================================`);
-    console.log(`[IMAGES] VALIDATION_COMPLETE`);
-    console.log(`[IMAGES] usableImages.length = ${usableImages.length}`);
-    console.log(`[IMAGES] photoKeys.length = ${photoKeys.length}`);
-    
-    // Enforce all images must be used - use Set for accurate comparison
-    if (usableImages.length !== photoKeys.length) {
-      const usableSet = new Set(usableImages);
-      const missing = photoKeys.filter(k => !usableSet.has(k));
-      console.error(`[IMAGES] IMAGE_VALIDATION_FAILED: requested=${photoKeys.length} usable=${usableImages.length} missing=${missing.slice(0, 5).join(', ')}`);
-      return jsonError(res, 400, 'IMAGE_VALIDATION_FAILED', `Not all images could be processed: requested ${photoKeys.length}, usable ${usableImages.length}`, {
-        ok: false,
-        error: 'IMAGE_VALIDATION_FAILED',
-        requestedImageCount: photoKeys.length,
-        usableImageCount: usableImages.length,
-        missingKeys: missing,
+        // Log crop details for first few and last images to verify aspect ratio
+        if (idx < 3 || idx >= total - 1) {
+          const cropAspect = (plan.crop.w / plan.crop.h).toFixed(3);
+          const targetAspectStr = targetAspect.toFixed(3);
+          console.log(`[AUTO-REFRAme] [${idx + 1}/${total}] ${key} rotation=${plan.rotationDeg}° crop=${plan.crop.w}x${plan.crop.h} (aspect=${cropAspect}, target=${targetAspectStr}) anchor=(${plan.anchor?.x?.toFixed(2) || 'N/A'},${plan.anchor?.y?.toFixed(2) || 'N/A'}) confidence=${plan.confidence.toFixed(2)} faces=${plan.faceCount ?? 'off'} ${plan.needsReview ? '[NEEDS_REVIEW]' : ''} ${plan.safeModeUsed ? '[SAFE_MODE]' : ''}`);
+        } else if (plan.needsReview || plan.confidence < 0.55) {
+          console.log(`[AUTO-REFRAme] [${idx + 1}/${total}] ${key} aspect=${aspectRatio} rotation=${plan.rotationDeg}° crop=${plan.crop.w}x${plan.crop.h} confidence=${plan.confidence.toFixed(2)} ${plan.needsReview ? '[NEEDS_REVIEW]' : ''} ${plan.safeModeUsed ? '[SAFE_MODE]' : ''}`);
+        }
+        aspects[a].framePlans[idx] = plan;
       });
+    } catch (err) {
+      console.error(`[AUTO-REFRAme] Error processing ${key}:`, err.message);
+      // Copy original to the normalized paths if reframing fails
+      await Promise.all(aspects.map((aspect) => fsp.copyFile(originalPath, path.join(aspect.normalizedFramesDir, frameName)).catch(() => {})));
     }
-    
-    if (missingKeys.length > 0) {
-      console.log(`[IMAGES] missingKeys=${missingKeys.join(',')}`);
-    }
-    
+    reframed++;
+    reportIngest('reframing', `Reframed photo ${reframed}/${total}`);
+  }, { signal });
+  throwIfCancelled(signal, 'download');
+
+  console.log(`[IMAGES] ========================================`);
+  console.log(`[IMAGES] VALIDATION_COMPLETE`);
+  console.log(`[IMAGES] usableImages.length = ${downloaded}`);
+  console.log(`[IMAGES] photoKeys.length = ${total}`);
+
+  // Enforce all images must be used
+  if (invalidImages.length > 0) {
+    const missing = invalidImages.map((img) => img.key);
+    console.error(`[IMAGES] IMAGE_VALIDATION_FAILED: requested=${total} usable=${downloaded} missing=${missing.slice(0, 5).join(', ')}`);
+    throw renderJobError(400, 'IMAGE_VALIDATION_FAILED', `Not all images could be processed: requested ${total}, usable ${downloaded}`, {
+      ok: false,
+      error: 'IMAGE_VALIDATION_FAILED',
+      requestedImageCount: total,
+      usableImageCount: downloaded,
+      missingKeys: missing,
+      invalidImages,
+    });
+  }
+
+  if (autoReframe) {
+    // TEMPORARY LOGGING: Count needsReview
+    console.log(`[CREATE_MEMORY] reframeNeedsReview count = ${reframeNeedsReview.length}`);
+  }
+  console.log(`[IMAGES] ingested=${total} aspects=${aspectRatios.join(',')} concurrency=${INGEST_CONCURRENCY} reframed=${autoReframe ? reframed : 'off'} ms=${Date.now() - startedAt}`);
+
+  // Render each aspect from its normalized frames; without auto-reframe all aspects share the originals
+  return {
+    aspects: aspects.map(({ aspectRatio, normalizedFramesDir, framePlans }) => ({
+      aspectRatio,
+      renderFramesDir: autoReframe ? normalizedFramesDir : framesDir,
+      framePlans,
+    })),
+    reframeNeedsReview,
+  };
+}
+
+// HLS_LADDER=on publishes the ladder for requests that don't say; the request's `hls` flag wins
+const HLS_LADDER_DEFAULT = ['1', 'true', 'on'].includes(String(process.env.HLS_LADDER || '').toLowerCase());
+
+/**
+ * Encode the published video into an HLS ladder and upload it next to it
+ * Segments and media playlists go up first and the master playlist last, so a master
+ * playlist in storage always points at a complete ladder.
+ * @param {string} jobId - Job identifier (for logs)
+ * @param {Object} opts
+ * @param {string} opts.inputPath - Final video (any OUTPUT_FORMATS format)
+ * @param {string} opts.videoKey - Its published key
+ * @param {string} opts.workDir - Scratch directory for the ladder
+ * @param {number} opts.width - Video width
+ * @param {number} opts.height - Video height
+ * @param {number} opts.fps - Frame rate
+ * @param {boolean} opts.hasAudio - The video has an audio track
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<{masterKey: string, renditions: string[]}>}
+ */
+async function publishHlsLadder(jobId, { inputPath, videoKey, workDir, width, height, fps, hasAudio, signal }) {
+  const startedAt = Date.now();
+  const { renditions: sizes, segmentSec } = resolveHlsSettings();
+  const renditions = planHlsRenditions(width, height, fps, sizes);
+  const { masterKey, renditionPrefix } = hlsKeysFor(videoKey);
+  await ensureDir(workDir);
+
+  console.log(`[HLS] jobId=${jobId} renditions=${renditions.map((r) => `${r.name}:${r.width}x${r.height}@${r.maxrateKbps}k`).join(',')} segmentSec=${segmentSec}`);
+  await run(pickFfmpegPath(), buildHlsArgs({ inputPath, outDir: workDir, renditions, segmentSec, hasAudio }), {
+    env: process.env,
+    timeout: 300000,
+    stage: 'hls_ladder',
+    signal,
+  });
+
+  const variants = [];
+  const uploads = [];
+  for (const r of renditions) {
+    const playlistFile = `${r.name}.m3u8`;
+    const text = await fsp.readFile(path.join(workDir, playlistFile), 'utf8');
+    const sizes = new Map();
+    for (const segment of text.split(/\r?\n/).filter((line) => line.endsWith('.ts'))) {
+      sizes.set(segment, (await fsp.stat(path.join(workDir, segment))).size);
+    }
+    const measured = measureMediaPlaylist(text, (uri) => sizes.get(uri) || 0);
+    if (measured.segments.length === 0) {
+      throw new Error(`HLS rendition ${r.name} has no segments`);
+    }
+    variants.push({ ...r, ...measured, uri: `${path.posix.basename(renditionPrefix)}/${playlistFile}` });
+    uploads.push(...measured.segments.map((segment) => ({ file: segment, contentType: HLS_SEGMENT_CONTENT_TYPE })));
+    uploads.push({ file: playlistFile, contentType: HLS_PLAYLIST_CONTENT_TYPE });
+  }
+
+  await mapWithConcurrency(uploads, INGEST_CONCURRENCY, ({ file, contentType }) => (
+    uploadFile(`${renditionPrefix}${file}`, path.join(workDir, file), contentType, { signal })
+  ), { signal });
+
+  const masterPath = path.join(workDir, 'master.m3u8');
+  await fsp.writeFile(masterPath, buildMasterPlaylist(variants, { fps, hasAudio }));
+  await uploadFile(masterKey, masterPath, HLS_PLAYLIST_CONTENT_TYPE, { signal });
+
+  console.log(`[HLS] jobId=${jobId} published master=${masterKey} files=${uploads.length + 1} bandwidth=${variants.map((v) => `${v.name}:${Math.round(v.averageBps / 1000)}k`).join(',')} ms=${Date.now() - startedAt}`);
+  return { masterKey, renditions: variants.map((v) => v.name) };
+}
+
+/**
+ * Cut the poster, thumbnail sprite + WebVTT track and looping teaser from the published video
+ * and upload them next to it (see media-assets.js)
+ * @param {string} jobId - Job identifier (for logs)
+ * @param {Object} opts
+ * @param {string} opts.inputPath - Final video
+ * @param {string} opts.videoKey - Its published key
+ * @param {string} opts.workDir - Scratch directory
+ * @param {number} opts.width - Video width
+ * @param {number} opts.height - Video height
+ * @param {number} opts.durationSec - Video duration
+ * @param {number} opts.posterAtSec - Poster frame time
+ * @param {AbortSignal} [opts.signal] - Job cancellation
+ * @returns {Promise<{posterKey: string, spriteKey: string, thumbnailsKey: string, previewKey: string}>}
+ */
+async function publishMediaAssets(jobId, { inputPath, videoKey, workDir, width, height, durationSec, posterAtSec, signal }) {
+  const startedAt = Date.now();
+  const ffmpeg = pickFfmpegPath();
+  const runOpts = { env: process.env, timeout: 120000, stage: 'media_assets', signal };
+  const { posterKey, spriteKey, thumbnailsKey } = mediaAssetKeysFor(videoKey);
+  await ensureDir(workDir);
+
+  const posterPath = path.join(workDir, 'poster.jpg');
+  await run(ffmpeg, buildPosterArgs({ inputPath, atSec: posterAtSec, outPath: posterPath }), runOpts);
+
+  const sprite = planThumbnailSprite({ durationSec, width, height });
+  const spritePath = path.join(workDir, 'sprite.jpg');
+  await run(ffmpeg, buildSpriteArgs({ inputPath, sprite, outPath: spritePath }), runOpts);
+  const vttPath = path.join(workDir, 'sprite.vtt');
+  await fsp.writeFile(vttPath, buildThumbnailsVtt(sprite, durationSec, path.posix.basename(spriteKey)));
+
+  // Animated WebP where the ffmpeg build has libwebp, GIF otherwise
+  const preview = planPreview({ durationSec, width, height });
+  let previewPath = path.join(workDir, 'preview.webp');
+  try {
+    await run(ffmpeg, buildPreviewArgs({ inputPath, preview, outPath: previewPath }), runOpts);
+  } catch (webpErr) {
+    throwIfCancelled(signal, 'media_assets');
+    console.warn(`[ASSETS] WebP teaser failed, falling back to GIF: ${webpErr.stderr?.slice(-200) || webpErr.message}`);
+    previewPath = path.join(workDir, 'preview.gif');
+    await run(ffmpeg, buildPreviewArgs({ inputPath, preview, outPath: previewPath }), runOpts);
+  }
+  const { previewKey } = mediaAssetKeysFor(videoKey, { previewExtension: path.extname(previewPath) });
+
+  // The track goes up last so a stored VTT never points at a missing sprite
+  const uploads = [[posterKey, posterPath], [spriteKey, spritePath], [previewKey, previewPath]];
+  await mapWithConcurrency(uploads, INGEST_CONCURRENCY, ([key, file]) => (
+    uploadFile(key, file, ASSET_CONTENT_TYPES[path.extname(file)], { signal })
+  ), { signal });
+  await uploadFile(thumbnailsKey, vttPath, THUMBNAILS_CONTENT_TYPE, { signal });
+
+  console.log(`[ASSETS] jobId=${jobId} poster=${posterKey}@${posterAtSec.toFixed(2)}s sprite=${sprite.count}x${sprite.thumbWidth}x${sprite.thumbHeight}/${sprite.intervalSec}s preview=${previewKey} ms=${Date.now() - startedAt}`);
+  return { posterKey, spriteKey, thumbnailsKey, previewKey };
+}
+
+// -------------------- Request Validation --------------------
+/**
+ * Validate and normalize a create-memory body (also used for remixes, see job-manifest.js)
+ * Throws renderJobError(400, ...) with the usual error codes for a bad request
+ * @param {Object} body - Request body
+ * @returns {Object} Render job params (photos, order, plan, timing, aspects, music, titles...), request as sent
+ */
+function normalizeRenderRequest(body) {
+  const {
+    photoKeys,
+    order: rawOrder,
+    plan: rawPlan, // Optional per-image durations / transitions / chapterCuts (render order)
+    targetDurationSec: rawTargetDuration = null, // Seconds, or 'music' to match the selected track
+    beatSync = false, // Snap cuts and xfade offsets to the music track's beats
+    aspectRatio: rawAspectRatio,
+    aspectRatios: rawAspectRatios, // e.g. ['16:9', '9:16', '1:1']: one video per aspect, first is the primary
+    fps: rawFps,
+    frameRate: rawFrameRate, // Accept both fps and frameRate for compatibility
+    context = '',
+    enableMusic = true,
+    musicKey: rawMusicKey = null, // Storage key of a track under music/ instead of the automatic pick
+    motionPack = 'default',
+    motion = true, // false opts out of camera motion (same as motionPack 'none')
+    autoReframe = true, // Default true
+    hls = HLS_LADDER_DEFAULT, // Also publish an HLS ladder (see hls-ladder.js) next to the MP4
+    outputFormat: rawOutputFormat, // h264 (default) | hevc | av1 | vp9 | prores, see OUTPUT_FORMATS
+    quality: rawQuality, // 'full' (default) | 'draft' for a quick 480p preview, see draft-renders.js
+    titles: rawTitles, // Opening title / closing card / per-photo captions, see title-cards.js
+    endCard: rawEndCard, // true or { logoKey, tagline, colors, durations } for a branded end card, see end-card.js
+  } = body;
+  
+  // Pack actually rendered: 'default' / 'documentary', or 'none' when motion is opted out
+  const finalMotionPack = resolveMotionPack(motionPack, motion);
+  // A full plan carries its own order; an explicit order still wins
+  const order = rawOrder ?? rawPlan?.order;
+
+  // Comprehensive logging at handler start
+  console.log('[CREATE_MEMORY] ========================================');
+  console.log('[CREATE_MEMORY] BACKEND_HANDLER_START');
+  console.log('[CREATE_MEMORY] received photoKeys.length =', Array.isArray(photoKeys) ? photoKeys.length : 'not-array');
+  console.log('[CREATE_MEMORY] received photoKeys.first3 =', Array.isArray(photoKeys) ? photoKeys.slice(0, 3) : null);
+  console.log('[CREATE_MEMORY] received photoKeys.last3 =', Array.isArray(photoKeys) ? photoKeys.slice(-3) : null);
+  console.log('[CREATE_MEMORY] received aspectRatio =', rawAspectRatio);
+  console.log('[CREATE_MEMORY] received aspectRatios =', rawAspectRatios);
+  console.log('[CREATE_MEMORY] received fps =', rawFps);
+  console.log('[CREATE_MEMORY] received frameRate =', rawFrameRate);
+  console.log('[CREATE_MEMORY] received order.length =', Array.isArray(order) ? order.length : 'not-array');
+  console.log('[CREATE_MEMORY] received order.first5 =', Array.isArray(order) ? order.slice(0, 5) : null);
+  console.log('[CREATE_MEMORY] received order.last5 =', Array.isArray(order) ? order.slice(-5) : null);
+  console.log('[CREATE_MEMORY] received context.length =', String(context || '').length);
+  console.log('[CREATE_MEMORY] received targetDurationSec =', rawTargetDuration);
+  console.log('[CREATE_MEMORY] received beatSync =', beatSync);
+  console.log('[CREATE_MEMORY] received musicKey =', rawMusicKey);
+  console.log('[CREATE_MEMORY] received endCard =', rawEndCard ? JSON.stringify(rawEndCard).slice(0, 200) : 'none');
+  console.log('[CREATE_MEMORY] received titles =', rawTitles ? Object.keys(rawTitles).join(',') : 'none');
+  console.log('[CREATE_MEMORY] received plan =', rawPlan ? `durations=${Array.isArray(rawPlan.durations) ? rawPlan.durations.length : 'not-array'} transitions=${Array.isArray(rawPlan.transitions) ? rawPlan.transitions.length : 'not-array'} chapterCuts=${rawPlan.chapterCuts ? 'yes' : 'no'}` : 'none');
+
+  // Normalize aspectRatio and fps
+  const fps = normalizeFps(rawFps || rawFrameRate);
+  let aspectRatios = [normalizeAspectRatio(rawAspectRatio)];
+  if (rawAspectRatios !== undefined && rawAspectRatios !== null) {
+    aspectRatios = normalizeAspectRatioList(rawAspectRatios);
+    if (!aspectRatios || aspectRatios.length > MAX_ASPECT_RATIOS) {
+      throw renderJobError(400, 'INVALID_ASPECT_RATIOS', `aspectRatios must be an array of 1 to ${MAX_ASPECT_RATIOS} aspect ratio strings`, {
+        maxAspectRatios: MAX_ASPECT_RATIOS,
+      });
+    }
+  }
+  const aspectRatio = aspectRatios[0];
+  
+  console.log('[CREATE_MEMORY] normalized aspectRatio =', aspectRatio);
+  console.log('[CREATE_MEMORY] normalized aspectRatios =', aspectRatios.join(','));
+  console.log('[CREATE_MEMORY] aspectRatio numeric =', aspectRatioToNumber(aspectRatio));
+  console.log('[CREATE_MEMORY] normalized fps =', fps);
+  console.log('[CREATE_MEMORY] motionPack =', motionPack, 'motion =', motion);
+  console.log('[CREATE_MEMORY] motionPack (final) =', finalMotionPack);
+  console.log('[CREATE_MEMORY] autoReframe =', autoReframe);
+  console.log('[CREATE_MEMORY] hls =', hls);
+  console.log('[CREATE_MEMORY] outputFormat =', rawOutputFormat ?? DEFAULT_OUTPUT_FORMAT);
+  console.log('[CREATE_MEMORY] quality =', rawQuality ?? DEFAULT_RENDER_QUALITY);
+
+  // Validate photoKeys
+  if (!Array.isArray(photoKeys) || photoKeys.length < 2) {
+    throw renderJobError(400, 'invalid_request', 'photoKeys must be an array with at least 2 items');
+  }
+  if (!photoKeys.every(isNonEmptyString)) {
+    throw renderJobError(400, 'invalid_request', 'photoKeys must be an array of strings');
+  }
+
+  // Reject non-image keys up front (cheap, no S3 round-trip needed)
+  const nonImageKeys = photoKeys.filter((key) => !isImageKey(key));
+  if (nonImageKeys.length > 0) {
+    console.warn(`[IMAGES] Non-image keys: ${nonImageKeys.slice(0, 5).join(', ')}`);
+    throw renderJobError(400, 'IMAGE_VALIDATION_FAILED', `Not all images could be processed: requested ${photoKeys.length}, usable ${photoKeys.length - nonImageKeys.length}`, {
+      ok: false,
+      error: 'IMAGE_VALIDATION_FAILED',
+      requestedImageCount: photoKeys.length,
+      usableImageCount: photoKeys.length - nonImageKeys.length,
+      missingKeys: nonImageKeys,
+    });
+  }
+
+  // Validate target duration: a number of seconds within what N shots can fill, or 'music'
+  let targetDurationSec = null;
+  if (rawTargetDuration === 'music') {
+    if (!enableMusic) {
+      throw renderJobError(400, 'INVALID_TARGET_DURATION', "targetDurationSec 'music' requires enableMusic");
+    }
+    targetDurationSec = 'music';
+  } else if (rawTargetDuration !== null && rawTargetDuration !== undefined && rawTargetDuration !== '') {
+    const value = Number(rawTargetDuration);
+    const { minSec, maxSec } = getTargetDurationRange(photoKeys.length);
+    if (!Number.isFinite(value) || value < minSec || value > maxSec) {
+      throw renderJobError(400, 'INVALID_TARGET_DURATION', `targetDurationSec must be between ${minSec.toFixed(1)} and ${maxSec.toFixed(1)} seconds for ${photoKeys.length} photos`, {
+        minTargetDurationSec: parseFloat(minSec.toFixed(1)),
+        maxTargetDurationSec: parseFloat(maxSec.toFixed(1)),
+      });
+    }
+    targetDurationSec = value;
+  }
+
+  if (beatSync && !enableMusic) {
+    throw renderJobError(400, 'invalid_request', 'beatSync requires enableMusic');
+  }
+
+  let musicKey = null;
+  if (rawMusicKey !== null && rawMusicKey !== undefined && rawMusicKey !== '') {
+    if (!enableMusic) {
+      throw renderJobError(400, 'invalid_request', 'musicKey requires enableMusic');
+    }
+    if (!isNonEmptyString(rawMusicKey) || !rawMusicKey.startsWith(MUSIC_PREFIX) || !isAudioKey(rawMusicKey)) {
+      throw renderJobError(400, 'INVALID_MUSIC_KEY', `musicKey must be the storage key of an audio file under ${MUSIC_PREFIX}`);
+    }
+    musicKey = rawMusicKey;
+  }
+
+  const outputFormat = resolveOutputFormat(rawOutputFormat);
+  if (!outputFormat) {
+    throw renderJobError(400, 'INVALID_OUTPUT_FORMAT', `outputFormat must be one of ${Object.keys(OUTPUT_FORMATS).join(', ')}`, {
+      outputFormats: Object.keys(OUTPUT_FORMATS),
+    });
+  }
+
+  const quality = resolveRenderQuality(rawQuality);
+  if (!quality) {
+    throw renderJobError(400, 'INVALID_QUALITY', `quality must be one of ${RENDER_QUALITIES.join(', ')}`, {
+      qualities: RENDER_QUALITIES,
+    });
+  }
+
+  // Validate the plan before queueing so a bad plan fails fast instead of after downloads
+  let plan = null;
+  if (rawPlan !== undefined && rawPlan !== null) {
+    try {
+      const { warnings, ...sanitized } = sanitizeRenderPlan(rawPlan, photoKeys.length);
+      plan = sanitized;
+      if (warnings.length > 0) {
+        console.warn(`[PLAN] plan warnings: ${warnings.join('; ')}`);
+      }
+    } catch (planErr) {
+      if (planErr.code !== 'INVALID_PLAN') throw planErr;
+      throw renderJobError(400, 'INVALID_PLAN', planErr.message, planErr.extra);
+    }
+  }
+
+  // Title cards: captions stay in photoKeys order until the job knows the render order
+  let titles = null;
+  try {
+    const sanitized = sanitizeTitleCards(rawTitles, {
+      imageCount: photoKeys.length,
+      fallbackTitle: rawPlan?.memoryNote || context,
+    });
+    if (sanitized) {
+      const { warnings, ...cards } = sanitized;
+      titles = cards;
+      if (warnings.length > 0) {
+        console.warn(`[TITLES] titles warnings: ${warnings.join('; ')}`);
+      }
+    }
+  } catch (titlesErr) {
+    if (titlesErr.code !== 'INVALID_TITLES') throw titlesErr;
+    throw renderJobError(400, 'INVALID_TITLES', titlesErr.message, titlesErr.extra);
+  }
+
+  let endCard = null;
+  try {
+    endCard = sanitizeEndCard(rawEndCard);
+  } catch (endCardErr) {
+    if (endCardErr.code !== 'INVALID_END_CARD') throw endCardErr;
+    throw renderJobError(400, 'INVALID_END_CARD', endCardErr.message, endCardErr.extra);
+  }
+
+  return {
+    photoKeys,
+    order,
+    plan,
+    targetDurationSec,
+    beatSync: !!beatSync,
+    aspectRatio,
+    aspectRatios,
+    fps,
+    context,
+    enableMusic,
+    musicKey,
+    motionPackRequested: motionPack,
+    finalMotionPack,
+    autoReframe,
+    hls: !!hls,
+    outputFormat,
+    quality,
+    titles,
+    endCard,
+    request: pickRenderRequest(body),
+  };
+}
+
+/**
+ * An end card logo is fetched from storage like the photos, so it too must be the caller's own upload
+ * @param {string|null} uid
+ * @param {Object|null} endCard - Output of sanitizeEndCard
+ * @returns {string[]} The refused key, if any
+ */
+function foreignLogoKeys(uid, endCard) {
+  return endCard?.logoKey ? foreignPhotoKeys(uid, [endCard.logoKey]) : [];
+}
+
+/**
+ * Check a render against the caller's plan limits and count it against their monthly renders
+ * A client plan without a target renders at its own length; 'music' is clamped to the plan's maximum
+ * once the track is known. Drafts count against the plan's monthly drafts instead. Throws the entitlement
+ * error when the plan does not allow the render.
+ * @param {{plan: string, uid: string|null}} caller - From verifyUserPlan
+ * @param {Object} options - Output of normalizeRenderRequest
+ * @param {string} ip - Usage subject of anonymous callers
+ * @returns {Promise<{entitlements: Object, quotaCharge: Object}>} The plan's entitlements and the charge,
+ *   kept in the job params so a failed or cancelled job can give it back (see refundRenderCharge)
+ */
+async function admitRender(caller, { photoKeys, targetDurationSec, plan, fps, outputFormat, quality }, ip) {
+  const entitlements = getEntitlements(caller.plan);
+  checkRenderEntitlements(caller.plan, {
+    photoCount: photoKeys.length,
+    durationSec: typeof targetDurationSec === 'number' ? targetDurationSec
+      : plan && targetDurationSec === null ? buildRenderTimeline(plan, fps).totalDuration : null,
+    fps,
+    outputFormat,
+  });
+  const quota = quality === 'draft' ? 'drafts' : 'renders';
+  const subject = usageSubject({ uid: caller.uid, ip });
+  const usage = await consumeQuota(getStorage(), { plan: caller.plan, subject, quota });
+  console.log(`[ENTITLEMENTS] plan=${caller.plan} ${quota}=${usage.used}/${usage.allowed ?? 'unlimited'}`);
+  return { entitlements, quotaCharge: { quota, subject, month: usage.month } };
+}
+
+/**
+ * Give back the render (or draft) a job was charged when it fails or is cancelled
+ * Jobs charged nothing (clean re-renders of paid memories, jobs from before charges were recorded) are skipped.
+ * @param {Object} job - Failed or cancelled job record
+ */
+async function refundRenderCharge(job) {
+  const charge = job.params?.quotaCharge;
+  if (!charge) return;
+  const usage = await refundQuota(getStorage(), charge);
+  console.log(`[ENTITLEMENTS] Refunded ${charge.quota} for ${job.status} jobId=${job.jobId} month=${charge.month} used=${usage.used}`);
+}
+
+// -------------------- Main Handler --------------------
+async function createMemoryRenderOnly(req, res) {
+  const handlerStartTime = Date.now();
+  console.log('[CREATE_MEMORY] render-only handler hit');
+  try {
+    try {
+      getStorage();
+    } catch (storageErr) {
+      return jsonError(res, 500, 'server_misconfigured', storageErr.message);
+    }
+
+    // CORS (keep simple; match your domain)
+    res.setHeader('Access-Control-Allow-Origin', 'https://tracememory.store');
+    res.setHeader('Access-Control-Allow-Methods', 'POST,OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization');
+
+    if (req.method === 'OPTIONS') return res.status(204).end();
+
+    let options;
+    try {
+      options = normalizeRenderRequest(req.body || {});
+    } catch (requestErr) {
+      if (requestErr.status !== 400) throw requestErr;
+      return jsonError(res, 400, requestErr.error, requestErr.message, requestErr.extra);
+    }
+
+    // Plan limits (see entitlements.js) and the monthly render count
+    const caller = await verifyUserPlan(req.headers.authorization);
+
+    // Only the caller's own uploads: deleting the memory later deletes its photos (memory-library.js)
+    const foreignKeys = foreignPhotoKeys(caller.uid, options.photoKeys);
+    if (foreignKeys.length > 0) {
+      return jsonError(res, 403, 'PHOTO_NOT_OWNED', `${foreignKeys.length} photo(s) were not uploaded by this account`, { keys: foreignKeys });
+    }
+    const foreignLogo = foreignLogoKeys(caller.uid, options.endCard);
+    if (foreignLogo.length > 0) {
+      return jsonError(res, 403, 'LOGO_NOT_OWNED', 'endCard.logoKey was not uploaded by this account', { keys: foreignLogo });
+    }
+
+    let entitlements;
+    let quotaCharge;
+    try {
+      ({ entitlements, quotaCharge } = await admitRender(caller, options, req.ip));
+    } catch (limitErr) {
+      if (!isEntitlementError(limitErr)) throw limitErr;
+      console.warn(`[ENTITLEMENTS] plan=${caller.plan} uid=${caller.uid || 'none'} ${limitErr.code}: ${limitErr.message}`);
+      return jsonError(res, limitErr.status, limitErr.code, limitErr.message, limitErr.extra);
+    }
+
+    // Free-tier (and anonymous) renders are watermarked; paid plans get clean output
+    const watermark = shouldWatermark(caller.plan, resolveWatermarkConfig());
+    console.log(`[CREATE_MEMORY] plan=${caller.plan} verified=${caller.verified} uid=${caller.uid || 'none'} watermark=${watermark}`);
+
+    const jobId = createJobId();
+    const job = enqueueRenderJob(jobId, {
+      ...options,
+      uid: caller.uid,
+      userPlan: caller.plan,
+      watermark,
+      maxDurationSec: entitlements.maxDurationSec,
+      maxResolution: entitlements.maxResolution,
+      quotaCharge,
+    });
+
+    // Respond immediately; the client follows GET /api/jobs/:jobId (or /events) for progress and the final URL
+    console.log(`[CREATE_MEMORY] jobId=${jobId} queued position=${job.queuePosition} depth=${job.queueDepth} handlerMs=${Date.now() - handlerStartTime}`);
+    res.status(202).json({
+      ok: true,
+      jobId,
+      status: job.status,
+      queuePosition: job.queuePosition,
+      queueDepth: job.queueDepth,
+      plan: caller.plan,
+      watermark,
+      statusUrl: `/api/jobs/${jobId}`,
+    });
+  } catch (err) {
+    console.error('[CREATE_MEMORY] ERROR', err?.message || err, err?.stderr || '');
+    return jsonError(res, 500, 'render_failed', err?.message || 'unknown_error');
+  }
+}
+
+function createJobId() {
+  return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+}
+
+// -------------------- Render Job --------------------
+// Runs the full download → reframe → render → fades → music → upload pipeline as the
+// render-queue worker, reporting into the job table. Throws renderJobError for expected failures.
+async function runRenderJob(jobId, {
+  photoKeys,
+  order,
+  plan = null,
+  targetDurationSec = null,
+  beatSync = false,
+  aspectRatio,
+  aspectRatios = [aspectRatio], // Jobs queued before multi-aspect support carry only aspectRatio
+  fps,
+  context = '',
+  enableMusic = true,
+  musicKey = null, // Requested track (see selectMusicTrack)
+  motionPackRequested = null,
+  finalMotionPack = 'default',
+  autoReframe = true,
+  hls = false,
+  outputFormat = DEFAULT_OUTPUT_FORMAT,
+  quality = DEFAULT_RENDER_QUALITY,
+  titles = null,
+  endCard = null,
+  uid = null, // Signed-in owner; finished full-quality renders go into their library (memory-library.js)
+  userPlan = 'free',
+  watermark = false, // Burn the watermark in (free tier, see watermark.js)
+  maxDurationSec = null, // Plan limits from entitlements.js (null: jobs queued before plans were enforced)
+  maxResolution = null,
+  motionSeed: seedOverride = null, // Unlocked re-renders keep the watermarked job's camera moves
+  promotedFrom = null, // Draft jobId when this is a promoted draft
+  unlockedFrom = null, // Watermarked jobId when this is its clean re-render
+  remixedFrom = null, // Memory this job remixes (POST /api/memories/:id/remix)
+  request = null, // Request as sent, kept in the job manifest for remixes
+}, { signal } = {}) {
+  // Drafts render a 480p / 15fps H.264 proxy whatever format was asked for; promotion renders the real one
+  const isDraft = quality === 'draft';
+  const renderFps = isDraft ? DRAFT_FPS : fps;
+  const renderFormat = isDraft ? DEFAULT_OUTPUT_FORMAT : outputFormat;
+  const baseDir = getJobDir(jobId);
+  // A job resumed after a crash starts over from clean working dirs
+  await removeJobWorkDirs(baseDir);
+  try {
+    reportStage(jobId, PROGRESS_WEIGHTS.VALIDATE_UPLOAD, 0, 'downloading', 'Downloading photos...');
+
     // Validate minimum image count
     if (!Array.isArray(photoKeys) || photoKeys.length < 2) {
-      return jsonError(res, 400, 'NOT_ENOUGH_IMAGES', 'photoKeys must be an array with at least 2 items', {
+      throw renderJobError(400, 'NOT_ENOUGH_IMAGES', 'photoKeys must be an array with at least 2 items', {
         ok: false,
         error: 'NOT_ENOUGH_IMAGES',
         requestedImageCount: Array.isArray(photoKeys) ? photoKeys.length : 0,
       });
     }
 
-    // Determine order
-    // Build mapping from original photoKeys indices to usableImages indices
-    const keyToUsableIndex = new Map();
-    usableImages.forEach((key, idx) => {
-      const origIdx = photoKeys.indexOf(key);
-      if (origIdx >= 0) {
-        keyToUsableIndex.set(origIdx, idx);
-      }
-    });
-
+    // Determine order (indices into photoKeys)
     let finalOrder;
     if (Array.isArray(order) && isValidPermutation(order, photoKeys.length)) {
-      // Map order indices (which reference photoKeys) to usableImages indices
-      finalOrder = order
-        .map((origIdx) => keyToUsableIndex.get(origIdx))
-        .filter((idx) => idx !== undefined);
-      
-      // If mapping resulted in fewer items, use default order
-      if (finalOrder.length !== usableImages.length) {
-        console.log(`[IMAGES] Order mapping incomplete, using default order`);
-        finalOrder = Array.from({ length: usableImages.length }, (_, i) => i);
-      }
+      finalOrder = [...order];
     } else {
       // Storytelling order fallback: use input order (deterministic)
-      console.log(`[IMAGES] order missing or invalid, using input order [0..${usableImages.length - 1}]`);
-      finalOrder = Array.from({ length: usableImages.length }, (_, i) => i);
+      console.log(`[IMAGES] order missing or invalid, using input order [0..${photoKeys.length - 1}]`);
+      finalOrder = Array.from({ length: photoKeys.length }, (_, i) => i);
     }
 
-    // Apply order to usable images - ensure correct indexing
     console.log(`[IMAGES] ========================================`);
     console.log(`[IMAGES] ORDER_MAPPING`);
-    console.log(`[IMAGES] usableImages.length = ${usableImages.length}`);
-    console.log(`[IMAGES] finalOrder.length = ${finalOrder.length}`);
+    console.log(`[IMAGES] photoKeys.length = ${photoKeys.length}`);
     console.log(`[IMAGES] finalOrder.first5 = [${finalOrder.slice(0, 5).join(',')}]`);
     console.log(`[IMAGES] finalOrder.last5 = [${finalOrder.slice(-5).join(',')}]`);
-    
-    // Validate finalOrder indices are within bounds
-    const invalidIndices = finalOrder.filter(idx => idx < 0 || idx >= usableImages.length);
-    if (invalidIndices.length > 0) {
-      console.error(`[IMAGES] ORDER_MAPPING_ERROR: invalid indices ${invalidIndices.join(', ')} for usableImages.length=${usableImages.length}`);
-      return jsonError(res, 400, 'INVALID_ORDER', `Order contains invalid indices: ${invalidIndices.slice(0, 5).join(', ')}`, {
-        ok: false,
-        error: 'INVALID_ORDER',
-        invalidIndices: invalidIndices,
-        usableImageCount: usableImages.length,
-      });
-    }
-    
-    // Ensure finalOrder length matches usableImages
-    if (finalOrder.length !== usableImages.length) {
-      console.error(`[IMAGES] ORDER_LENGTH_MISMATCH: finalOrder.length=${finalOrder.length} !== usableImages.length=${usableImages.length}`);
-      return jsonError(res, 400, 'ORDER_LENGTH_MISMATCH', `Order length ${finalOrder.length} does not match usable images ${usableImages.length}`, {
-        ok: false,
-        error: 'ORDER_LENGTH_MISMATCH',
-        orderLength: finalOrder.length,
-        usableImageCount: usableImages.length,
-      });
-    }
-    
-    const orderedKeys = finalOrder.map((idx) => usableImages[idx]);
+
+    const orderedKeys = finalOrder.map((idx) => photoKeys[idx]);
+    const renderTitles = titles ? titleCardsInRenderOrder(titles, finalOrder) : null;
     console.log(`[IMAGES] orderedKeys.length = ${orderedKeys.length}`);
     console.log(`[IMAGES] ========================================`);
 
     // fps is already normalized above, no need to validate again
 
-    const jobId = Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
-
-    const baseDir = path.join(os.tmpdir(), 'trace_jobs', jobId);
     const framesDir = path.join(baseDir, 'frames');
     const outDir = path.join(baseDir, 'out');
     await ensureDir(framesDir);
     await ensureDir(outDir);
 
     console.log(
-      `[CREATE_MEMORY] jobId=${jobId} photoKeys=${orderedKeys.length} fps=${fps} aspect=${aspectRatio} contextLen=${String(context || '').length}`
+      `[CREATE_MEMORY] jobId=${jobId} photoKeys=${orderedKeys.length} fps=${renderFps} quality=${quality} aspect=${aspectRatios.join(',')} contextLen=${String(context || '').length}`
     );
 
-    // Download images into frames as 0001.jpg, 0002.jpg...
-    for (let idx = 0; idx < orderedKeys.length; idx++) {
-      const key = orderedKeys[idx];
-      const frameName = String(idx + 1).padStart(4, '0') + '.jpg';
-      const dest = path.join(framesDir, frameName);
-      console.log(`[CREATE_MEMORY] downloading ${key} -> ${frameName}`);
-      await downloadImageFromS3(S3_BUCKET, key, dest);
-    }
-
-    // Auto-reframe images: fix orientation and compute smart crops
-    let renderFramesDir = framesDir;
-    const reframeNeedsReview = []; // Collect images that need review
-    if (autoReframe) {
-      const normalizedFramesDir = path.join(framesDir, 'normalized');
-      await ensureDir(normalizedFramesDir);
-      const targetAspectNum = aspectRatioToNumber(aspectRatio);
-      
-      console.log(`[AUTO-REFRAme] Starting reframe for ${orderedKeys.length} images with targetAspect=${targetAspectNum} (${aspectRatio})`);
-      
-      // Read images as buffers, create frame plans, and apply them
-      for (let idx = 0; idx < orderedKeys.length; idx++) {
-        const key = orderedKeys[idx];
-        const frameName = String(idx + 1).padStart(4, '0') + '.jpg';
-        const originalPath = path.join(framesDir, frameName);
-        const normalizedPath = path.join(normalizedFramesDir, frameName);
-        
-        try {
-          const imageBuffer = await fsp.readFile(originalPath);
-          const plan = await createFramePlan(imageBuffer, targetAspectNum, {
-            imageKey: key, // Use S3 key for caching
-            confidenceThreshold: 0.55,
-            headroomBias: 0.075,
-            highConfidenceThreshold: 0.75,
-          });
-          
-          // Collect needsReview items for response
-          if (plan.needsReview) {
-            reframeNeedsReview.push({
-              imageKey: key,
-              confidence: plan.confidence,
-              reason: plan.reason,
-              safeModeUsed: plan.safeModeUsed || false,
-            });
-          }
-          
-          // Log crop details for first few and last images to verify aspect ratio
-          if (idx < 3 || idx >= orderedKeys.length - 1) {
-            const cropAspect = (plan.crop.w / plan.crop.h).toFixed(3);
-            const targetAspectStr = targetAspectNum.toFixed(3);
-            console.log(`[AUTO-REFRAme] [${idx + 1}/${orderedKeys.length}] ${key} rotation=${plan.rotationDeg}° crop=${plan.crop.w}x${plan.crop.h} (aspect=${cropAspect}, target=${targetAspectStr}) anchor=(${plan.anchor?.x?.toFixed(2) || 'N/A'},${plan.anchor?.y?.toFixed(2) || 'N/A'}) confidence=${plan.confidence.toFixed(2)} ${plan.needsReview ? '[NEEDS_REVIEW]' : ''} ${plan.safeModeUsed ? '[SAFE_MODE]' : ''}`);
-          } else if (plan.needsReview || plan.confidence < 0.55) {
-            console.log(`[AUTO-REFRAme] [${idx + 1}/${orderedKeys.length}] ${key} rotation=${plan.rotationDeg}° crop=${plan.crop.w}x${plan.crop.h} confidence=${plan.confidence.toFixed(2)} ${plan.needsReview ? '[NEEDS_REVIEW]' : ''} ${plan.safeModeUsed ? '[SAFE_MODE]' : ''}`);
-          }
-          
-          // Apply frame plan (rotate + crop)
-          const reframedBuffer = await applyFramePlan(imageBuffer, plan);
-          // Write to normalized path (do not overwrite original)
-          await fsp.writeFile(normalizedPath, reframedBuffer);
-        } catch (err) {
-          console.error(`[AUTO-REFRAme] Error processing ${key}:`, err.message);
-          // Copy original to normalized path if reframing fails
-          await fsp.copyFile(originalPath, normalizedPath).catch(() => {});
-        }
-      }
-      
-      // Use normalized frames directory for rendering
-      renderFramesDir = normalizedFramesDir;
-      
-      // TEMPORARY LOGGING: Count needsReview
-      console.log(`[CREATE_MEMORY] reframeNeedsReview count = ${reframeNeedsReview.length}`);
-    }
+    // Download each image once into frames/0001.jpg..., validate it, and reframe it on the worker pool
+    // (once per aspect, each with its own frame plans)
+    const { aspects, reframeNeedsReview } = await ingestImages(jobId, orderedKeys, {
+      framesDir,
+      aspectRatios,
+      autoReframe,
+      signal,
+    });
+    const usableImages = orderedKeys;
 
-    // Render silent video
-    const silentMp4 = path.join(outDir, 'silent.mp4');
+    // Render: motion, transitions, fades and music in a single encode per aspect
+    const formatSpec = OUTPUT_FORMATS[renderFormat];
     console.log(`[CREATE_MEMORY] ========================================`);
     console.log(`[CREATE_MEMORY] RENDER_START`);
     console.log(`[CREATE_MEMORY] orderedKeys.length = ${orderedKeys.length}`);
-    console.log(`[CREATE_MEMORY] framesDir = ${renderFramesDir}`);
-    console.log(`[CREATE_MEMORY] ffmpeg start -> ${silentMp4}`);
+    console.log(`[CREATE_MEMORY] aspects = ${aspectRatios.join(',')}`);
     
-    // Disable motion: use 'none' pack for still images with focal crop only
-    const motionEnabled = false; // Motion disabled - static images only
-    const staticMotionPack = 'none'; // Use 'none' pack for static mode
-    console.log('[RENDER] motionEnabled=', motionEnabled, 'motionPack=', staticMotionPack, '(static mode - focal crop only)');
+    console.log('[RENDER] motionPack=', finalMotionPack, finalMotionPack === 'none' ? '(static mode - focal crop only)' : '(Phase 1 motion)');
     
     // Generate seed for deterministic motion (use jobId hash)
-    const motionSeed = jobId;
+    const motionSeed = seedOverride || jobId;
+    reportStage(jobId, PROGRESS_WEIGHTS.MOTION_PLANNING, 1, 'motion', 'Planning camera motion...');
     
-    const renderStartTime = Date.now();
-    console.log(`[PIPE] stage=render_slideshow start jobId=${jobId}`);
-    try {
-      await renderSlideshow({
-        framesDir: renderFramesDir,
-        frameCount: orderedKeys.length,
-        outPath: silentMp4,
-        fps,
-        aspectRatio,
-        motionPack: staticMotionPack, // Use 'none' for static images
-        motionSeed,
-      });
-      const renderElapsed = Date.now() - renderStartTime;
-      console.log(`[PIPE] stage=render_slideshow done ms=${renderElapsed} jobId=${jobId}`);
-    } catch (renderErr) {
-      const renderElapsed = Date.now() - renderStartTime;
-      console.error(`[PIPE] stage=render_slideshow fail ms=${renderElapsed} jobId=${jobId} error=${renderErr.message}`);
-      throw renderErr;
+    // Music is mixed in the render encode, so the track is picked before timing is decided
+    // ('Match music length' and beat sync also need it for timing)
+    let music = null;
+    let beatTimes = null;
+    let targetSeconds = typeof targetDurationSec === 'number' ? targetDurationSec : null;
+    if (enableMusic) {
+      const musicStartTime = Date.now();
+      console.log(`[PIPE] stage=select_music start jobId=${jobId}`);
+      try {
+        const track = await selectMusicTrack(context, photoKeys, MUSIC_PREFIX, musicKey);
+        const musicKey = track.key;
+        const musicPath = path.join(outDir, path.basename(musicKey));
+        await downloadMusicTrack(musicKey, musicPath);
+        music = { track, musicKey, musicPath };
+        console.log(`[PIPE] stage=select_music done ms=${Date.now() - musicStartTime} jobId=${jobId} musicKey=${musicKey}`);
+      } catch (musicErr) {
+        // A cancelled job must not fall back to the no-music path
+        throwIfCancelled(signal, 'select_music');
+        console.error(`[PIPE] stage=select_music fail ms=${Date.now() - musicStartTime} jobId=${jobId} error=${musicErr.message}`);
+        console.error('[MUSIC] Falling back to video without music');
+      }
+    } else {
+      console.log(`[PIPE] stage=select_music skipped (music disabled) jobId=${jobId}`);
     }
 
-    const silentStat = await fsp.stat(silentMp4);
-    console.log(`[CREATE_MEMORY] ffmpeg done size=${silentStat.size} bytes`);
-    progressStore.set(jobId, { percent: 85, step: 'rendering', detail: 'Video rendered, applying effects...' });
+    if (music && (targetDurationSec === 'music' || beatSync)) {
+      const { track, musicKey, musicPath } = music;
+      try {
+        if (targetDurationSec === 'music') {
+          const musicDuration = track.durationSec || await ffprobeDurationSeconds(musicPath);
+          const { minSec, maxSec } = getTargetDurationRange(orderedKeys.length);
+          targetSeconds = Math.max(minSec, Math.min(maxSec, musicDuration));
+          console.log(`[PLAN] target=music track=${musicKey} musicSec=${musicDuration.toFixed(2)} targetSec=${targetSeconds.toFixed(2)}`);
+        }
 
-    // Get video duration for fades and music muxing
-    let videoDuration = await getVideoDuration(silentMp4);
-    console.log(`[VIDEO] Silent video duration=${videoDuration.toFixed(2)}s`);
-    
-    // Validate output with ffprobe (using centralized duration calculation)
-    console.log(`[CREATE_MEMORY] ========================================`);
-    console.log(`[CREATE_MEMORY] OUTPUT_VALIDATION_START`);
-    const outputN = orderedKeys.length;
-    
-    // Use centralized duration calculation (defined in renderSlideshow, but recalculate here for validation)
-    const outputXf = 0.4; // Match renderSlideshow xfade duration
-    const outputTargetDuration = Math.max(12, Math.min(30, outputN * 1.7));
-    const outputHold = Math.max(1.0, (outputTargetDuration - outputXf) / outputN); // Match renderSlideshow min hold
-    const expectedTotalSeconds = outputN * outputHold + outputXf;
-    const expectedMinDuration = expectedTotalSeconds - 0.5;
-    
-    // Calculate offsets for error reporting
-    const offsets = [];
-    for (let i = 0; i < outputN - 1; i++) {
-      offsets.push((i + 1) * outputHold + i * outputXf);
-    }
-    
-    // Ensure minimum duration by padding if needed
-    const padResult = await ensureMinDurationMp4(silentMp4, expectedMinDuration);
-    console.log('[DURATION_GUARD]', { minDurationSeconds: expectedMinDuration, ...padResult });
-    
-    // Re-check duration after padding
-    videoDuration = await getVideoDuration(silentMp4);
-    
-    // Log duration comparison
-    console.log(`[DURATION] expected=${expectedTotalSeconds.toFixed(2)} actual=${videoDuration.toFixed(2)} images=${outputN} fps=${fps}`);
-    
-    // Fail if duration is too short (with small tolerance for ffprobe rounding)
-    if (videoDuration < expectedMinDuration - 0.15) {
-      console.error(`[CREATE_MEMORY] OUTPUT_VALIDATION_FAILED: videoDuration=${videoDuration.toFixed(2)}s < expectedMin=${expectedMinDuration.toFixed(2)}s for N=${outputN}`);
-      console.error(`[CREATE_MEMORY] DURATION_TOO_SHORT: actual=${videoDuration.toFixed(2)}s target=${outputTargetDuration.toFixed(2)}s expectedTotal=${expectedTotalSeconds.toFixed(2)}s hold=${outputHold.toFixed(2)}s xfade=${outputXf}s`);
-      console.error(`[CREATE_MEMORY] offsets=[${offsets.map(o => o.toFixed(2)).join(',')}] inputCount=${outputN}`);
-      return jsonError(res, 500, 'DURATION_TOO_SHORT', `Video duration ${videoDuration.toFixed(2)}s is too short for ${outputN} images (expected >= ${expectedMinDuration.toFixed(2)}s)`, {
-        ok: false,
-        error: 'DURATION_TOO_SHORT',
-        actualDurationSec: parseFloat(videoDuration.toFixed(2)),
-        targetDurationSec: parseFloat(outputTargetDuration.toFixed(2)),
-        expectedTotalSeconds: parseFloat(expectedTotalSeconds.toFixed(2)),
-        holdSec: parseFloat(outputHold.toFixed(2)),
-        xfadeSec: outputXf,
-        offsets: offsets.map(o => parseFloat(o.toFixed(2))),
-        ffmpegInputCount: outputN,
-      });
+        if (beatSync) {
+          // Prefer the manifest's offline analysis; analyze on the fly for tracks that lack it
+          if (Array.isArray(track.beatTimes) && track.beatTimes.length > 0) {
+            beatTimes = track.beatTimes;
+            console.log(`[BEATS] source=manifest track=${musicKey} bpm=${track.bpm} beats=${beatTimes.length}`);
+          } else {
+            const analysis = await analyzeTrackBeats(musicPath, { ffmpegPath: pickFfmpegPath() });
+            beatTimes = analysis.beatTimes;
+            console.log(`[BEATS] source=analysis track=${musicKey} bpm=${analysis.bpm} beats=${beatTimes.length}`);
+          }
+        }
+      } catch (timingErr) {
+        throwIfCancelled(signal, 'select_music');
+        console.error(`[PLAN] music-driven timing failed, using default timing: ${timingErr.message}`);
+      }
     }
-    
-    console.log(`[CREATE_MEMORY] OUTPUT_VALIDATION_PASSED: duration=${videoDuration.toFixed(2)}s >= expectedMin=${expectedMinDuration.toFixed(2)}s`);
-    console.log(`[CREATE_MEMORY] RENDER_COMPLETE`);
-    console.log(`[CREATE_MEMORY] plan: imageCountUsed=${outputN} targetDurationSec=${outputTargetDuration.toFixed(2)} holdSec=${outputHold.toFixed(2)} xfadeSec=${outputXf} expectedTotalSeconds=${expectedTotalSeconds.toFixed(2)}`);
 
-    // Apply video fades to silent video first
-    progressStore.set(jobId, { percent: 88, step: 'rendering', detail: 'Applying video effects...' });
-    const videoWithFades = path.join(outDir, 'video_with_fades.mp4');
-    const fadeStartTime = Date.now();
-    console.log(`[PIPE] stage=apply_fades start jobId=${jobId}`);
-    try {
-      await applyFades(silentMp4, videoWithFades, videoDuration);
-      const fadeElapsed = Date.now() - fadeStartTime;
-      console.log(`[PIPE] stage=apply_fades done ms=${fadeElapsed} jobId=${jobId}`);
-    } catch (fadeErr) {
-      const fadeElapsed = Date.now() - fadeStartTime;
-      console.error(`[PIPE] stage=apply_fades fail ms=${fadeElapsed} jobId=${jobId} error=${fadeErr.message}`);
-      throw fadeErr;
+    // Client plan (already sanitized at enqueue) or the uniform timing, fitted to the target if one was asked for
+    let renderPlan;
+    if (plan) {
+      renderPlan = targetSeconds ? fitPlanToDuration(plan, targetSeconds, renderFps) : plan;
+    } else {
+      renderPlan = createDefaultRenderPlan(orderedKeys.length, { targetDurationSec: targetSeconds });
+    }
+    // 'music' targets (and a client plan whose music fell through) never outgrow the plan's maximum length
+    if (maxDurationSec && buildRenderTimeline(renderPlan, renderFps).totalDuration > maxDurationSec) {
+      console.log(`[PLAN] fitting to the plan maximum ${maxDurationSec}s`);
+      renderPlan = fitPlanToDuration(renderPlan, maxDurationSec, renderFps);
+    }
+    let beatSyncResult = null;
+    if (beatTimes) {
+      const snapped = snapPlanToBeats(renderPlan, beatTimes, renderFps);
+      renderPlan = snapped.plan;
+      beatSyncResult = { snappedCuts: snapped.snappedCuts, maxShiftSec: snapped.maxShiftSec };
+      console.log(`[BEATS] snapped ${snapped.snappedCuts}/${orderedKeys.length - 1} cuts maxShift=${snapped.maxShiftSec}s`);
+    }
+    const timeline = buildRenderTimeline(renderPlan, renderFps);
+    const planSummary = summarizeTimeline(timeline);
+    console.log(`[PLAN] source=${plan ? 'client' : 'default'} targetSec=${targetSeconds ? targetSeconds.toFixed(2) : 'auto'} ${JSON.stringify(planSummary)}`);
+
+    // End card logo: the customer's own (downloaded once for every aspect) or the TRACE logo. Drafts skip
+    // the card; a logo that cannot be fetched drops the card rather than showing someone else's branding
+    let endCardLogoPath = null;
+    let endCardError = null;
+    if (endCard && isDraft) {
+      console.log(`[PIPE] stage=append_endcap skipped (draft) jobId=${jobId}`);
+    } else if (endCard && endCard.logoKey) {
+      try {
+        endCardLogoPath = path.join(outDir, `endcard-logo${path.extname(endCard.logoKey).toLowerCase()}`);
+        await downloadImage(endCard.logoKey, endCardLogoPath);
+      } catch (logoErr) {
+        throwIfCancelled(signal, 'append_endcap');
+        console.error(`[ENDCAP] logo download failed key=${endCard.logoKey} error=${logoErr.message}; rendering without the end card`);
+        endCardLogoPath = null;
+        endCardError = 'END_CARD_LOGO_UNAVAILABLE';
+      }
+    } else if (endCard) {
+      endCardLogoPath = findLogoPath();
+      if (!endCardLogoPath) endCardError = 'END_CARD_LOGO_UNAVAILABLE';
+    }
+    const endCardFontPath = titleFontPath(TITLE_PRESETS[titles?.preset || DEFAULT_TITLE_PRESET].bodyFont);
+
+    // Watermark logo: TRACE_WATERMARK_LOGO or the TRACE logo. A free render never falls back to clean output
+    let renderWatermark = null;
+    if (watermark) {
+      const watermarkConfig = resolveWatermarkConfig();
+      const logoPath = watermarkConfig.logoPath || findLogoPath();
+      if (!logoPath || !fs.existsSync(logoPath)) {
+        throw renderJobError(500, 'WATERMARK_UNAVAILABLE', `Watermark logo not found: ${logoPath || '(none)'}`, {
+          ok: false,
+          error: 'WATERMARK_UNAVAILABLE',
+        });
+      }
+      renderWatermark = { config: watermarkConfig, logoPath };
     }
-    
-    // Music muxing stage
-    progressStore.set(jobId, { percent: 92, step: 'rendering', detail: 'Adding music...' });
 
-    // Music muxing (with audio fades)
-    let finalMp4 = videoWithFades;
+    // Every aspect shares the timeline and music, so all videos cut on the same beats
+    const renderStartTime = Date.now();
     let musicKeyUsed = null;
-
-    if (enableMusic) {
-      const musicStartTime = Date.now();
-      console.log(`[PIPE] stage=add_music start jobId=${jobId} videoDur=${videoDuration.toFixed(3)}`);
+    const expectedTotalSeconds = timeline.totalDuration;
+    const expectedMinDuration = expectedTotalSeconds - 0.5;
+    const offsets = timeline.clips.slice(1).map((c) => c.start);
+    const outputN = orderedKeys.length;
+    const outputs = [];
+    for (const [i, { aspectRatio: outputAspect, renderFramesDir, framePlans }] of aspects.entries()) {
+      const aspectLabel = aspects.length > 1 ? `${outputAspect} video (${i + 1}/${aspects.length})` : 'video';
+      reportStage(jobId, PROGRESS_WEIGHTS.RENDER_SEGMENTS, i / aspects.length, 'rendering', `Rendering ${aspectLabel}...`);
+      const aspectOutDir = path.join(outDir, aspectRatioSlug(outputAspect));
+      await ensureDir(aspectOutDir);
+      let finalVideo = path.join(aspectOutDir, `final${formatSpec.extension}`);
+      console.log(`[CREATE_MEMORY] aspect=${outputAspect} framesDir = ${renderFramesDir}`);
+      console.log(`[CREATE_MEMORY] ffmpeg start -> ${finalVideo}`);
+
+      const aspectStartTime = Date.now();
+      const renderOpts = {
+        framesDir: renderFramesDir,
+        frameCount: orderedKeys.length,
+        outPath: finalVideo,
+        fps: renderFps,
+        aspectRatio: outputAspect,
+        motionPack: finalMotionPack,
+        motionSeed,
+        timeline,
+        framePlans,
+        outputFormat: renderFormat,
+        quality,
+        titles: renderTitles,
+        endCard: !!endCardLogoPath,
+        watermark: renderWatermark,
+        maxResolution,
+        signal,
+      };
+      let slideshow;
+      console.log(`[PIPE] stage=render_slideshow start jobId=${jobId} aspect=${outputAspect} music=${music ? music.musicKey : 'none'}`);
       try {
-        // Select and download music
-        const musicKey = await selectMusicTrack(S3_BUCKET, context, photoKeys);
-        const musicPath = path.join(outDir, path.basename(musicKey));
-        await downloadMusicTrack(S3_BUCKET, musicKey, musicPath);
-
-        // Mux audio and video (with audio fades)
-        finalMp4 = path.join(outDir, 'final_with_music.mp4');
-        console.log(`[MUSIC] Starting mux... videoDur=${videoDuration.toFixed(3)} track=${musicKey}`);
-        progressStore.set(jobId, { percent: 94, step: 'rendering', detail: 'Muxing audio and video...' });
-        await muxAudioVideo(videoWithFades, musicPath, finalMp4, videoDuration);
-        console.log(`[PIPE] stage=add_music done out=${finalMp4}`);
-        console.log('[MUSIC] Mux complete');
-        progressStore.set(jobId, { percent: 96, step: 'rendering', detail: 'Music added successfully...' });
-
-        // Verify audio stream exists
-        const hasAudio = await ffprobeHasAudio(finalMp4);
-        console.log(`[MUSIC] ffprobeAudioStreams=${hasAudio ? 1 : 0}`);
+        slideshow = await renderSlideshow({ ...renderOpts, audioPath: music ? music.musicPath : null });
+      } catch (renderErr) {
+        const renderElapsed = Date.now() - aspectStartTime;
+        console.error(`[PIPE] stage=render_slideshow fail ms=${renderElapsed} jobId=${jobId} aspect=${outputAspect} error=${renderErr.message}`);
+        throwIfCancelled(signal, 'render_slideshow');
+        if (!music) throw renderErr;
+        // A bad music file must not cost the video: render once more (and any remaining aspects) without it
+        console.error('[MUSIC] stderrTail=' + (renderErr.stderr?.slice(-200) || ''));
+        console.error('[MUSIC] Falling back to video without music');
+        music = null;
+        slideshow = await renderSlideshow(renderOpts);
+      }
+      console.log(`[PIPE] stage=render_slideshow done ms=${Date.now() - aspectStartTime} jobId=${jobId} aspect=${outputAspect}`);
+
+      // Validate output with ffprobe (using centralized duration calculation)
+      let videoDuration = await getVideoDuration(finalVideo);
+      console.log(`[CREATE_MEMORY] ========================================`);
+      console.log(`[CREATE_MEMORY] OUTPUT_VALIDATION_START aspect=${outputAspect}`);
+
+      // Expected duration comes from the same timeline renderSlideshow rendered
+      console.log(`[DURATION] expected=${expectedTotalSeconds.toFixed(2)} actual=${videoDuration.toFixed(2)} images=${outputN} fps=${renderFps} aspect=${outputAspect}`);
+
+      // Fail if duration is too short (with small tolerance for ffprobe rounding)
+      if (videoDuration < expectedMinDuration - 0.15) {
+        console.error(`[CREATE_MEMORY] OUTPUT_VALIDATION_FAILED: videoDuration=${videoDuration.toFixed(2)}s < expectedMin=${expectedMinDuration.toFixed(2)}s for N=${outputN} aspect=${outputAspect}`);
+        console.error(`[CREATE_MEMORY] DURATION_TOO_SHORT: actual=${videoDuration.toFixed(2)}s expectedTotal=${expectedTotalSeconds.toFixed(2)}s shotSec=${planSummary.minShotSec}..${planSummary.maxShotSec}`);
+        console.error(`[CREATE_MEMORY] offsets=[${offsets.map(o => o.toFixed(2)).join(',')}] inputCount=${outputN}`);
+        throw renderJobError(500, 'DURATION_TOO_SHORT', `Video duration ${videoDuration.toFixed(2)}s is too short for ${outputN} images (expected >= ${expectedMinDuration.toFixed(2)}s)`, {
+          ok: false,
+          error: 'DURATION_TOO_SHORT',
+          aspectRatio: outputAspect,
+          actualDurationSec: parseFloat(videoDuration.toFixed(2)),
+          targetDurationSec: planSummary.totalDurationSec,
+          expectedTotalSeconds: parseFloat(expectedTotalSeconds.toFixed(2)),
+          offsets: offsets.map(o => parseFloat(o.toFixed(2))),
+          ffmpegInputCount: outputN,
+        });
+      }
+      console.log(`[CREATE_MEMORY] OUTPUT_VALIDATION_PASSED: duration=${videoDuration.toFixed(2)}s >= expectedMin=${expectedMinDuration.toFixed(2)}s`);
 
+      // Verify the music made it into the file
+      let hasAudio = false;
+      if (music) {
+        hasAudio = await ffprobeHasAudio(finalVideo);
+        console.log(`[MUSIC] aspect=${outputAspect} ffprobeAudioStreams=${hasAudio ? 1 : 0}`);
         if (!hasAudio) {
-          throw new Error('Muxed video has no audio stream');
+          console.error('[MUSIC] Rendered video has no audio stream; reporting no music');
+        } else if (i === 0) {
+          musicKeyUsed = music.musicKey;
         }
-
-        musicKeyUsed = musicKey;
-        const musicElapsed = Date.now() - musicStartTime;
-        console.log(`[PIPE] stage=add_music done ms=${musicElapsed} jobId=${jobId} musicKey=${musicKey}`);
-      } catch (musicErr) {
-        const musicElapsed = Date.now() - musicStartTime;
-        console.error(`[PIPE] stage=add_music fail ms=${musicElapsed} jobId=${jobId} code=${musicErr.code || 'unknown'} signal=${musicErr.signal || 'none'} stderrTail=${(musicErr.stderr?.slice(-200) || musicErr.message).slice(-200)}`);
-        console.error('[MUSIC] Music mux failed:', musicErr.message);
-        console.error('[MUSIC] ffmpegExitCode=' + (musicErr.code || 'unknown'));
-        console.error('[MUSIC] stderrTail=' + (musicErr.stderr?.slice(-200) || ''));
-        console.error('[MUSIC] Falling back to video without music');
-        // Fallback: continue without music (use videoWithFades as finalMp4)
-        finalMp4 = videoWithFades;
-        musicKeyUsed = null;
-        // Don't fail the whole job, just proceed without music
       }
-    } else {
-      console.log(`[PIPE] stage=add_music skipped (music disabled) jobId=${jobId}`);
-    }
 
-    const finalStat = await fsp.stat(finalMp4);
-    console.log(`[CREATE_MEMORY] Final video size=${finalStat.size} bytes`);
+      // Branded end card as a second pass; a failure publishes the video without it (unless
+      // TRACE_ENDCAP_STRICT=1) instead of holding the job near the end
+      let endCardApplied = false;
+      if (endCardLogoPath) {
+        reportStage(jobId, PROGRESS_WEIGHTS.RENDER_SEGMENTS, (i + 0.9) / aspects.length, 'rendering', 'Adding end card...');
+        const cappedVideo = path.join(aspectOutDir, `final-endcard${formatSpec.extension}`);
+        const endCapStartTime = Date.now();
+        console.log(`[PIPE] stage=append_endcap start jobId=${jobId} aspect=${outputAspect}`);
+        try {
+          const capped = await appendEndCap(finalVideo, cappedVideo, {
+            card: endCard,
+            logoPath: endCardLogoPath,
+            fontPath: endCardFontPath,
+            width: slideshow.width,
+            height: slideshow.height,
+            fps: renderFps,
+            durationSec: videoDuration,
+            hasAudio,
+            outputFormat: renderFormat,
+            watermark: renderWatermark,
+            signal,
+          });
+          finalVideo = cappedVideo;
+          videoDuration = capped.durationSec;
+          endCardApplied = true;
+          console.log(`[PIPE] stage=append_endcap done ms=${Date.now() - endCapStartTime} jobId=${jobId} aspect=${outputAspect}`);
+        } catch (endCapErr) {
+          throwIfCancelled(signal, 'append_endcap');
+          console.error(`[PIPE] stage=append_endcap fail ms=${Date.now() - endCapStartTime} jobId=${jobId} aspect=${outputAspect} error=${endCapErr.message}`);
+          console.error('[ENDCAP] stderrTail=' + (endCapErr.stderr?.slice(-200) || ''));
+          if (process.env.TRACE_ENDCAP_STRICT === '1') {
+            throw renderJobError(500, 'END_CARD_FAILED', `End card failed: ${endCapErr.message}`, {
+              ok: false,
+              error: 'END_CARD_FAILED',
+              aspectRatio: outputAspect,
+            });
+          }
+          console.error('[ENDCAP] Publishing the video without the end card');
+          endCardError = 'END_CARD_FAILED';
+        }
+      }
 
-    // End cap removed completely - was causing issues and pausing at 95%
-    console.log('[ENDCAP] End cap completely removed from pipeline');
+      // The file must really be the requested codec / pixel format / container before it is published
+      const probed = await ffprobeInfo(finalVideo, { ffprobePath: pickFfprobePath() });
+      const formatProblems = validateOutputFormat(probed, renderFormat);
+      if (formatProblems.length > 0) {
+        console.error(`[ENCODE] OUTPUT_FORMAT_MISMATCH format=${renderFormat} aspect=${outputAspect} problems=${formatProblems.join('; ')}`);
+        throw renderJobError(500, 'OUTPUT_FORMAT_MISMATCH', `Rendered video is not valid ${formatSpec.label}: ${formatProblems.join('; ')}`, {
+          ok: false,
+          error: 'OUTPUT_FORMAT_MISMATCH',
+          outputFormat: renderFormat,
+          aspectRatio: outputAspect,
+          problems: formatProblems,
+        });
+      }
+      console.log(`[ENCODE] verified format=${renderFormat} aspect=${outputAspect} codec=${probed.video.codec_name} pix_fmt=${probed.video.pix_fmt} container=${probed.formatName}`);
+
+      const finalStat = await fsp.stat(finalVideo);
+      console.log(`[CREATE_MEMORY] Final video aspect=${outputAspect} size=${finalStat.size} bytes`);
+
+      // The primary (first) aspect keeps the single-aspect key; the others get an aspect suffix.
+      // Drafts go under the drafts prefix, where they are swept after DRAFT_RENDER_TTL_HOURS
+      const keySuffix = i === 0 ? '' : `-${aspectRatioSlug(outputAspect)}`;
+      outputs.push({
+        aspectRatio: outputAspect,
+        finalVideo,
+        aspectOutDir,
+        fileSize: finalStat.size,
+        videoKey: isDraft ? draftKeyFor(jobId, keySuffix) : `videos/published/${jobId}${keySuffix}${formatSpec.extension}`,
+        slideshow,
+        videoDuration,
+        hasAudio,
+        endCardApplied,
+      });
+      reportStage(jobId, PROGRESS_WEIGHTS.RENDER_SEGMENTS, (i + 1) / aspects.length, 'rendering', `Rendered ${aspectLabel}`);
+    }
+    const primary = outputs[0];
+    const motionPackApplied = primary.slideshow.motionPackApplied;
+    const motionEnabled = primary.slideshow.movedCount > 0;
+    console.log(`[PIPE] stage=render_all done ms=${Date.now() - renderStartTime} jobId=${jobId} aspects=${outputs.length}`);
+    reportStage(jobId, PROGRESS_WEIGHTS.FFMPEG_ENCODE, 1, 'rendering', 'Video rendered, verifying...');
+    console.log(`[CREATE_MEMORY] RENDER_COMPLETE`);
+    console.log(`[CREATE_MEMORY] plan: imageCountUsed=${outputN} source=${plan ? 'client' : 'default'} expectedTotalSeconds=${expectedTotalSeconds.toFixed(2)} transitions=${JSON.stringify(planSummary.transitionCounts)}`);
 
     // Upload to published
-    progressStore.set(jobId, { percent: 99, step: 'rendering', detail: 'Uploading final video...' });
-    const videoKey = `videos/published/${jobId}.mp4`;
+    throwIfCancelled(signal, 's3_upload');
+    reportStage(jobId, PROGRESS_WEIGHTS.FINALIZE, 0, 'uploading', outputs.length > 1 ? `Uploading ${outputs.length} videos...` : 'Uploading final video...');
     console.log(`[CREATE_MEMORY] ========================================`);
-    console.log(`[CREATE_MEMORY] S3_UPLOAD_START`);
-    console.log(`[CREATE_MEMORY] S3_BUCKET=${S3_BUCKET}`);
-    console.log(`[CREATE_MEMORY] AWS_REGION=${AWS_REGION}`);
-    console.log(`[CREATE_MEMORY] videoKey=${videoKey}`);
-    console.log(`[CREATE_MEMORY] localFile=${finalMp4}`);
-    console.log(`[CREATE_MEMORY] fileSize=${finalStat.size} bytes`);
-
-    const uploadStartTime = Date.now();
-    console.log(`[PIPE] stage=s3_upload start jobId=${jobId}`);
+    console.log(`[CREATE_MEMORY] UPLOAD_START`);
+    console.log(`[CREATE_MEMORY] storage=${getStorage().name}`);
+    for (const output of outputs) {
+      const { videoKey, finalVideo, fileSize } = output;
+      console.log(`[CREATE_MEMORY] videoKey=${videoKey}`);
+      console.log(`[CREATE_MEMORY] localFile=${finalVideo}`);
+      console.log(`[CREATE_MEMORY] fileSize=${fileSize} bytes`);
+
+      const uploadStartTime = Date.now();
+      console.log(`[PIPE] stage=s3_upload start jobId=${jobId} aspect=${output.aspectRatio}`);
+      try {
+        await uploadFile(videoKey, finalVideo, formatSpec.contentType, { signal });
+        console.log(`[CREATE_MEMORY] UPLOAD_SUCCESS key=${videoKey}`);
+        const uploadElapsed = Date.now() - uploadStartTime;
+        console.log(`[PIPE] stage=s3_upload done ms=${uploadElapsed} jobId=${jobId} aspect=${output.aspectRatio}`);
+      } catch (uploadError) {
+        const uploadElapsed = Date.now() - uploadStartTime;
+        console.error(`[PIPE] stage=s3_upload fail ms=${uploadElapsed} jobId=${jobId} error=${uploadError.message}`);
+        console.error(`[CREATE_MEMORY] UPLOAD_FAILED key=${videoKey}`);
+        console.error(`[CREATE_MEMORY] uploadError=${uploadError.message || uploadError}`);
+        console.error(`[CREATE_MEMORY] uploadErrorCode=${uploadError.code || 'unknown'}`);
+        console.error(`[CREATE_MEMORY] uploadErrorName=${uploadError.name || 'unknown'}`);
+        throw uploadError;
+      }
+    }
+    reportStage(jobId, PROGRESS_WEIGHTS.FINALIZE, 0.5, 'uploading', 'Upload complete, finalizing...');
+
+    // Poster, scrubbing thumbnails and teaser for the gallery and share cards; like the ladder below,
+    // a failure only costs the assets
+    if (isDraft) {
+      console.log(`[PIPE] stage=media_assets skipped (draft) jobId=${jobId}`);
+    } else {
+      reportStage(jobId, PROGRESS_WEIGHTS.FINALIZE, 0.55, 'packaging', 'Generating poster and previews...');
+      for (const output of outputs) {
+        console.log(`[PIPE] stage=media_assets start jobId=${jobId} aspect=${output.aspectRatio}`);
+        try {
+          output.assets = await publishMediaAssets(jobId, {
+            inputPath: output.finalVideo,
+            videoKey: output.videoKey,
+            workDir: path.join(output.aspectOutDir, 'assets'),
+            width: output.slideshow.width,
+            height: output.slideshow.height,
+            durationSec: output.videoDuration,
+            posterAtSec: posterTimeFor(timeline),
+            signal,
+          });
+          console.log(`[PIPE] stage=media_assets done jobId=${jobId} aspect=${output.aspectRatio}`);
+        } catch (assetsErr) {
+          throwIfCancelled(signal, 'media_assets');
+          console.error(`[PIPE] stage=media_assets fail jobId=${jobId} aspect=${output.aspectRatio} error=${assetsErr.message}`);
+          console.error('[ASSETS] stderrTail=' + (assetsErr.stderr?.slice(-200) || ''));
+        }
+      }
+    }
+
+    // Adaptive-bitrate ladder for weak connections; the video is already published, so a failure only costs the ladder
+    if (hls && isDraft) {
+      console.log(`[PIPE] stage=hls_ladder skipped (draft) jobId=${jobId}`);
+    } else if (hls) {
+      reportStage(jobId, PROGRESS_WEIGHTS.FINALIZE, 0.6, 'packaging', 'Preparing streaming versions...');
+      for (const output of outputs) {
+        console.log(`[PIPE] stage=hls_ladder start jobId=${jobId} aspect=${output.aspectRatio}`);
+        try {
+          output.hls = await publishHlsLadder(jobId, {
+            inputPath: output.finalVideo,
+            videoKey: output.videoKey,
+            workDir: path.join(output.aspectOutDir, 'hls'),
+            width: output.slideshow.width,
+            height: output.slideshow.height,
+            fps,
+            hasAudio: output.hasAudio,
+            signal,
+          });
+          console.log(`[PIPE] stage=hls_ladder done jobId=${jobId} aspect=${output.aspectRatio}`);
+        } catch (hlsErr) {
+          throwIfCancelled(signal, 'hls_ladder');
+          console.error(`[PIPE] stage=hls_ladder fail jobId=${jobId} aspect=${output.aspectRatio} error=${hlsErr.message}`);
+          console.error('[HLS] stderrTail=' + (hlsErr.stderr?.slice(-200) || ''));
+          console.error('[HLS] Publishing the video file only');
+        }
+      }
+    }
+
+    // Job manifest next to the video: what a remix re-renders from, and what promote / unlock re-queue once the
+    // job has left the job table (see job-manifest.js). The video is published either way, so a failure only
+    // costs remixing it, and promoting or unlocking it after the job table has dropped it
+    let manifestKey = null;
     try {
-      await uploadFileToS3(S3_BUCKET, videoKey, finalMp4, 'video/mp4');
-      console.log(`[CREATE_MEMORY] S3_UPLOAD_SUCCESS key=${videoKey}`);
-      progressStore.set(jobId, { percent: 100, step: 'complete', detail: 'Video ready!' });
-      const uploadElapsed = Date.now() - uploadStartTime;
-      console.log(`[PIPE] stage=s3_upload done ms=${uploadElapsed} jobId=${jobId}`);
-    } catch (uploadError) {
-      const uploadElapsed = Date.now() - uploadStartTime;
-      console.error(`[PIPE] stage=s3_upload fail ms=${uploadElapsed} jobId=${jobId} error=${uploadError.message}`);
-      console.error(`[CREATE_MEMORY] S3_UPLOAD_FAILED key=${videoKey}`);
-      console.error(`[CREATE_MEMORY] uploadError=${uploadError.message || uploadError}`);
-      console.error(`[CREATE_MEMORY] uploadErrorCode=${uploadError.code || 'unknown'}`);
-      console.error(`[CREATE_MEMORY] uploadErrorName=${uploadError.name || 'unknown'}`);
-      throw uploadError;
+      await saveJobManifest(getStorage(), buildJobManifest({
+        jobId,
+        photoKeys,
+        order: finalOrder,
+        request: request && { ...request, quality },
+        options: {
+          plan,
+          targetDurationSec,
+          beatSync,
+          aspectRatios,
+          fps,
+          context,
+          enableMusic,
+          musicKey,
+          motionPack: finalMotionPack,
+          motionSeed,
+          autoReframe,
+          hls,
+          outputFormat,
+          quality,
+          titles,
+          endCard,
+          watermark: !!renderWatermark,
+        },
+        renderPlan,
+        aspects,
+        music: { enabled: enableMusic, trackKey: musicKeyUsed, beatSynced: !!beatSyncResult },
+        outputs,
+        params: getJob(jobId)?.params,
+      }));
+      manifestKey = manifestKeyFor(jobId, { draft: isDraft });
+      console.log(`[PIPE] stage=job_manifest done jobId=${jobId} key=${manifestKey}`);
+    } catch (manifestErr) {
+      throwIfCancelled(signal, 'job_manifest');
+      console.error(`[PIPE] stage=job_manifest fail jobId=${jobId} error=${manifestErr.message}`);
     }
 
     console.log(`[CREATE_MEMORY] ========================================`);
 
-    // Return signed URL
-    const playbackUrl = await getSignedUrl(
-      s3,
-      new GetObjectCommand({ Bucket: S3_BUCKET, Key: videoKey }),
-      { expiresIn: 60 * 30 } // 30 minutes
-    );
-
-    console.log(`[CREATE_MEMORY] uploaded OK key=${videoKey}`);
+    // Keys only: video URLs are signed (and counted as downloads) by /api/media/playback-url
+    const outputResults = outputs.map((output) => ({
+      aspectRatio: output.aspectRatio,
+      videoKey: output.videoKey,
+      hlsKey: output.hls ? output.hls.masterKey : null,
+      hlsRenditions: output.hls ? output.hls.renditions : undefined,
+      posterKey: output.assets ? output.assets.posterKey : null,
+      thumbnailsKey: output.assets ? output.assets.thumbnailsKey : null,
+      previewKey: output.assets ? output.assets.previewKey : null,
+      width: output.slideshow.width,
+      height: output.slideshow.height,
+      endCardApplied: output.endCardApplied,
+      finalDurationSec: parseFloat(output.videoDuration.toFixed(2)),
+    }));
+    const { videoKey, hlsKey, hlsRenditions, posterKey, thumbnailsKey, previewKey } = outputResults[0];
+
+    console.log(`[CREATE_MEMORY] uploaded OK keys=${outputResults.map((o) => o.videoKey).join(',')}`);
 
     // Enforce image count used matches usable images
     const imageCountUsed = orderedKeys.length;
     if (imageCountUsed !== usableImages.length) {
       console.error(`[CREATE_MEMORY] IMAGE_COUNT_USED_MISMATCH: imageCountUsed=${imageCountUsed} usableImages=${usableImages.length}`);
-      return jsonError(res, 500, 'IMAGE_COUNT_USED_MISMATCH', `Image count mismatch: used ${imageCountUsed}, usable ${usableImages.length}`, {
+      throw renderJobError(500, 'IMAGE_COUNT_USED_MISMATCH', `Image count mismatch: used ${imageCountUsed}, usable ${usableImages.length}`, {
         ok: false,
         error: 'IMAGE_COUNT_USED_MISMATCH',
         imageCountUsed,
@@ -1688,27 +2224,13 @@ async function createMemoryRenderOnly(req, res) {
       });
     }
     
-    // Calculate final render stats for response
-    const N = imageCountUsed;
-    const xfade = 0.35;
-    const targetDuration = Math.max(12, Math.min(30, N * 1.7));
-    // Correct xfade overlap formula: hold = (targetDuration - xf) / N
-    const hold = Math.max(0.9, (targetDuration - xfade) / N);
+    // Final render stats for response (from the rendered timeline)
+    const targetDuration = timeline.totalDuration;
+    const hold = planSummary.minShotSec;
+    const xfade = Math.max(0, ...timeline.transitions.map((t) => t.duration));
     
-    // Get actual final video duration (after all processing: music, end cap, etc.)
-    let finalDurationSec = null;
-    try {
-      // Use the finalMp4 path (which may have end cap if enabled)
-      if (await fsp.access(finalMp4).then(() => true).catch(() => false)) {
-        finalDurationSec = await ffprobeDurationSeconds(finalMp4);
-      } else {
-        // Fallback to videoDuration
-        finalDurationSec = videoDuration;
-      }
-    } catch (e) {
-      // Ignore if we can't get duration
-      finalDurationSec = videoDuration;
-    }
+    // Final video duration: the single encode already carries music and fades
+    const finalDurationSec = primary.videoDuration || null;
 
     console.log(`[CREATE_MEMORY] ========================================`);
     console.log(`[CREATE_MEMORY] RESPONSE_PREP`);
@@ -1717,16 +2239,14 @@ async function createMemoryRenderOnly(req, res) {
     console.log(`[CREATE_MEMORY] imageCountUsed = ${imageCountUsed}`);
     console.log(`[CREATE_MEMORY] targetDurationSec = ${targetDuration.toFixed(2)}`);
     console.log(`[CREATE_MEMORY] holdSec = ${hold.toFixed(2)}`);
-    console.log(`[CREATE_MEMORY] xfadeSec = ${xfade}`);
+    console.log(`[CREATE_MEMORY] xfadeSec = ${xfade.toFixed(3)}`);
     console.log(`[CREATE_MEMORY] finalDurationSec = ${finalDurationSec ? finalDurationSec.toFixed(2) : 'null'}`);
-    console.log(`[CREATE_MEMORY] motionPackUsed = ${finalMotionPack}`);
+    console.log(`[CREATE_MEMORY] motionPackUsed = ${motionPackApplied} (requested ${motionPackRequested || 'default'})`);
     console.log(`[CREATE_MEMORY] motionEnabled = ${motionEnabled}`);
-    console.log(`[CREATE_MEMORY] endCapEnabled = false (removed)`);
+    console.log(`[CREATE_MEMORY] endCapEnabled = ${primary.endCardApplied}${endCardError ? ` (${endCardError})` : ''}`);
     console.log(`[CREATE_MEMORY] musicTrackUsed = ${musicKeyUsed || 'none'}`);
     console.log(`[CREATE_MEMORY] ========================================`);
 
-    // Cleanup best-effort
-    fsp.rm(baseDir, { recursive: true, force: true }).catch(() => {});
 
     const responseStartTime = Date.now();
     console.log(`[PIPE] stage=response_send start jobId=${jobId}`);
@@ -1735,33 +2255,526 @@ async function createMemoryRenderOnly(req, res) {
       ok: true,
       jobId,
       videoKey,
-      playbackUrl,
+      hlsKey,
+      hlsRenditions,
+      posterKey,
+      thumbnailsKey,
+      previewKey,
+      manifestKey: manifestKey || undefined,
+      outputs: outputResults,
       requestedImageCount: photoKeys.length,
       usableImageCount: usableImages.length,
       imageCountUsed: imageCountUsed,
       targetDurationSec: parseFloat(targetDuration.toFixed(2)),
+      requestedTargetDurationSec: targetDurationSec,
+      beatSync: beatSync ? { applied: !!beatSyncResult, ...beatSyncResult } : undefined,
       holdSec: parseFloat(hold.toFixed(2)),
-      xfadeSec: xfade,
+      xfadeSec: parseFloat(xfade.toFixed(3)),
+      renderPlan: { source: plan ? 'client' : 'default', ...planSummary },
+      titles: titles ? summarizeTitleCards(titles) : undefined,
       finalDurationSec: finalDurationSec ? parseFloat(finalDurationSec.toFixed(2)) : null,
-      motionPackUsed: finalMotionPack,
+      motionPackRequested: motionPackRequested || 'default',
+      motionPackUsed: motionPackApplied,
       motionEnabled: motionEnabled,
-      endCapEnabled: false,
+      endCapEnabled: primary.endCardApplied,
+      endCard: endCard && !isDraft ? { applied: primary.endCardApplied, customLogo: !!endCard.logoKey, error: endCardError || undefined } : undefined,
       musicTrackUsed: musicKeyUsed || null,
       missingKeys: [],
       orderUsed: order || [],
       musicKeyUsed: musicKeyUsed,
-      aspectRatioUsed: aspectRatio,
-      fpsUsed: fps,
+      aspectRatioUsed: primary.aspectRatio,
+      aspectRatiosUsed: aspectRatios,
+      outputFormat: renderFormat,
+      contentType: formatSpec.contentType,
+      quality,
+      draftExpiresAt: isDraft ? new Date(Date.now() + resolveDraftTtlMs()).toISOString() : undefined,
+      promotedFrom: promotedFrom || undefined,
+      unlockedFrom: unlockedFrom || undefined,
+      remixedFrom: remixedFrom || undefined,
+      plan: userPlan,
+      watermarked: !!renderWatermark,
+      fpsUsed: renderFps,
       reframeNeedsReview: reframeNeedsReview.length > 0 ? reframeNeedsReview : undefined,
     };
     
-    res.status(200).json(responseData);
+    if (uid && !isDraft) {
+      // The film is published either way; a library write failure only costs the user the listing
+      try {
+        await saveMemoryRecord(getStorage(), buildMemoryRecord({
+          jobId,
+          uid,
+          params: { photoKeys, plan, targetDurationSec, beatSync, context, enableMusic, autoReframe, hls, titles, endCard },
+          result: responseData,
+          order: finalOrder,
+          createdAt: getJob(jobId)?.createdAt,
+        }));
+        console.log(`[MEMORIES] Saved jobId=${jobId} uid=${uid}`);
+      } catch (libraryErr) {
+        console.warn(`[MEMORIES] Could not save jobId=${jobId} to the library: ${libraryErr.message}`);
+      }
+    }
+
+    setJobProgress(jobId, { status: 'complete', percent: 100, step: 'complete', detail: 'Video ready!', result: responseData });
     const responseElapsed = Date.now() - responseStartTime;
     console.log(`[PIPE] stage=response_send done ms=${responseElapsed} jobId=${jobId}`);
+  } finally {
+    // Cleanup best-effort (success or failure); job.json stays for status polls
+    removeJobWorkDirs(baseDir).catch(() => {});
+  }
+}
+
+/**
+ * Remove a job's frames/ and out/ working dirs, keeping its job.json
+ * @param {string} baseDir - Job dir from getJobDir
+ */
+function removeJobWorkDirs(baseDir) {
+  return Promise.all(['frames', 'out'].map((dir) => fsp.rm(path.join(baseDir, dir), { recursive: true, force: true })));
+}
+
+setRenderProcessor(runRenderJob);
+setJobFailedHandler(refundRenderCharge);
+
+// Draft videos past DRAFT_RENDER_TTL_HOURS are deleted hourly (first sweep a minute after startup)
+function sweepDraftRenders() {
+  Promise.resolve()
+    .then(() => sweepExpiredDrafts(getStorage()))
+    .then((deleted) => {
+      if (deleted.length > 0) console.log(`[DRAFT] Swept ${deleted.length} expired draft video(s)`);
+    })
+    .catch((err) => console.warn(`[DRAFT] Draft sweep failed: ${err.message}`));
+}
+setTimeout(sweepDraftRenders, 60 * 1000).unref();
+setInterval(sweepDraftRenders, 60 * 60 * 1000).unref();
+
+// -------------------- Job Status Handler --------------------
+/**
+ * Build the client-facing view of a job record
+ * Videos and HLS ladders are returned as keys: the client signs them through /api/media/playback-url, which
+ * checks the owner and counts the month's downloads (or the memory's payment). Poster, thumbnails and teaser
+ * are re-signed on every call so a late poll never hands out an expired URL.
+ * @param {Object} job - Record from the render queue job table
+ * @param {import('express').Request} req - Request being answered (origin for HLS playlist URLs)
+ * @returns {Promise<Object>} Status payload
+ */
+async function buildJobStatusPayload(job, req) {
+  const payload = {
+    ok: job.status !== 'failed' && job.status !== 'cancelled',
+    jobId: job.jobId,
+    status: job.status,
+    step: job.step,
+    percent: job.percent,
+    detail: job.detail,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+  };
+
+  if (job.status === 'queued') {
+    const { queuePosition, queueDepth } = getQueueInfo(job.jobId);
+    payload.queuePosition = queuePosition;
+    payload.queueDepth = queueDepth;
+  }
+
+  if (job.status === 'complete' && job.result) {
+    // Jobs from before keys-only results stored a signed URL
+    const { playbackUrl, ...result } = job.result;
+    payload.videoKey = result.videoKey;
+    payload.result = result;
+    // Poster / teaser / thumbnails track (null for drafts and jobs from before assets were generated)
+    Object.assign(payload, await signMediaAssetUrls(req, getStorage(), job.result, { expiresIn: 60 * 30 }));
+    Object.assign(payload.result, { posterUrl: payload.posterUrl, thumbnailsUrl: payload.thumbnailsUrl, previewUrl: payload.previewUrl });
+    // One entry per requested aspect (jobs from before multi-aspect support have none)
+    if (Array.isArray(result.outputs)) {
+      payload.outputs = await Promise.all(result.outputs.map(async ({ playbackUrl: outputUrl, ...output }) => ({
+        ...output,
+        ...await signMediaAssetUrls(req, getStorage(), output, { expiresIn: 60 * 30 }),
+      })));
+      payload.result.outputs = payload.outputs;
+    }
+  }
+
+  if (job.status === 'failed' || job.status === 'cancelled') {
+    payload.error = job.error;
+  }
+
+  return payload;
+}
+
+/**
+ * Caller of a job handler, or null once a 403 NOT_JOB_OWNER has been sent
+ * A signed-in user's job is only visible to that user; jobs rendered signed out have no owner
+ * @param {Object} job - Record from the render queue job table
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {string} [authorization] - Authorization header value (defaults to the request's)
+ * @returns {Promise<{plan: string, uid: string|null, verified: boolean}|null>}
+ */
+async function callerOwningJob(job, req, res, authorization = req.headers.authorization) {
+  const caller = await verifyUserPlan(authorization);
+  if (job.params?.uid && caller.uid !== job.params.uid) {
+    jsonError(res, 403, 'NOT_JOB_OWNER', `Render job ${job.jobId} belongs to another account`);
+    return null;
+  }
+  return caller;
+}
+
+/**
+ * A job from the job table or, once the table has dropped it (an hour after it finished), rebuilt from its
+ * job manifest (see jobFromManifest)
+ * @param {string} jobId
+ * @returns {Promise<Object|null>} Job record; null when neither has it
+ */
+async function getJobOrManifest(jobId) {
+  const job = getJob(jobId);
+  if (job || !isValidMemoryId(jobId)) return job;
+  return jobFromManifest(await getJobManifest(getStorage(), jobId));
+}
+
+// GET /api/jobs/:jobId - report stage, percent, detail and (once complete) the video
+async function getRenderJobStatus(req, res) {
+  try {
+    const { jobId } = req.params;
+    const job = await getJobOrManifest(jobId);
+    if (!job) {
+      return jsonError(res, 404, 'JOB_NOT_FOUND', `No render job found for jobId=${jobId}`);
+    }
+    if (!(await callerOwningJob(job, req, res))) return;
+
+    return res.status(200).json(await buildJobStatusPayload(job, req));
   } catch (err) {
-    console.error('[CREATE_MEMORY] ERROR', err?.message || err, err?.stderr || '');
-    return jsonError(res, 500, 'render_failed', err?.message || 'unknown_error');
+    console.error('[JOBS] Status lookup failed:', err?.message || err);
+    return jsonError(res, 500, 'job_status_failed', err?.message || 'unknown_error');
+  }
+}
+
+// -------------------- Job Cancel Handler --------------------
+// DELETE /api/jobs/:jobId - cancel a queued or running render (kills its FFmpeg processes)
+async function deleteRenderJob(req, res) {
+  try {
+    const { jobId } = req.params;
+    const job = getJob(jobId);
+    if (!job) {
+      return jsonError(res, 404, 'JOB_NOT_FOUND', `No render job found for jobId=${jobId}`);
+    }
+    if (!(await callerOwningJob(job, req, res))) return;
+    if (job.status === 'complete' || job.status === 'failed') {
+      return jsonError(res, 409, 'JOB_ALREADY_FINISHED', `Render job ${jobId} already ${job.status}`, {
+        status: job.status,
+      });
+    }
+
+    const cancelled = cancelRenderJob(jobId);
+    console.log(`[JOBS] Cancelled jobId=${jobId} previousStatus=${job.status}`);
+    return res.status(200).json({
+      ok: true,
+      jobId,
+      status: cancelled.status,
+      previousStatus: job.status,
+    });
+  } catch (err) {
+    console.error('[JOBS] Cancel failed:', err?.message || err);
+    return jsonError(res, 500, 'job_cancel_failed', err?.message || 'unknown_error');
+  }
+}
+
+// -------------------- Draft Promote Handler --------------------
+// POST /api/jobs/:jobId/promote - re-render a finished draft at full quality as a new job
+// The new job reuses the draft's params (photos, order, plan, timing, music context), so nothing is re-uploaded;
+// they come from the draft's manifest once the job table has dropped it, for as long as the draft is kept
+async function promoteRenderJob(req, res) {
+  try {
+    const { jobId } = req.params;
+    const draft = await getJobOrManifest(jobId);
+    if (!draft) {
+      return jsonError(res, 404, 'JOB_NOT_FOUND', `No render job found for jobId=${jobId}`);
+    }
+    const caller = await callerOwningJob(draft, req, res);
+    if (!caller) return;
+    if (draft.params?.quality !== 'draft') {
+      return jsonError(res, 409, 'NOT_A_DRAFT', `Render job ${jobId} is not a draft`);
+    }
+    if (draft.status !== 'complete') {
+      return jsonError(res, 409, 'DRAFT_NOT_COMPLETE', `Draft ${jobId} is ${draft.status}; only finished drafts can be promoted`, {
+        status: draft.status,
+      });
+    }
+
+    // The full render counts against the caller's monthly renders (the draft was counted as a draft)
+    const subject = usageSubject({ uid: caller.uid, ip: req.ip });
+    let usage;
+    try {
+      usage = await consumeQuota(getStorage(), { plan: caller.plan, subject, quota: 'renders' });
+    } catch (limitErr) {
+      if (!isEntitlementError(limitErr)) throw limitErr;
+      return jsonError(res, limitErr.status, limitErr.code, limitErr.message, limitErr.extra);
+    }
+
+    const promotedJobId = createJobId();
+    const job = enqueueRenderJob(promotedJobId, {
+      ...draft.params,
+      quality: 'full',
+      promotedFrom: jobId,
+      quotaCharge: { quota: 'renders', subject, month: usage.month },
+    });
+    console.log(`[DRAFT] Promoted draft=${jobId} -> jobId=${promotedJobId} queued position=${job.queuePosition}`);
+    return res.status(202).json({
+      ok: true,
+      jobId: promotedJobId,
+      promotedFrom: jobId,
+      status: job.status,
+      queuePosition: job.queuePosition,
+      queueDepth: job.queueDepth,
+      statusUrl: `/api/jobs/${promotedJobId}`,
+    });
+  } catch (err) {
+    console.error('[DRAFT] Promote failed:', err?.message || err);
+    return jsonError(res, 500, 'job_promote_failed', err?.message || 'unknown_error');
   }
 }
 
-export { createMemoryRenderOnly };
+// -------------------- Unlock Handler --------------------
+// POST /api/jobs/:jobId/unlock - clean re-render of a finished watermarked job once the memory is paid for
+// The new job reuses the job's params and camera moves, so the paid video is the same film without the logo.
+// Payment can come long after the render: the job and its clean re-render are then read from their manifests.
+const unlockedJobIds = new Map(); // Watermarked jobId -> clean re-render jobId (also kept in the source's manifest)
+
+const isLiveJob = (job) => !!job && job.status !== 'failed' && job.status !== 'cancelled';
+
+async function unlockRenderJob(req, res) {
+  try {
+    const { jobId } = req.params;
+    const source = await getJobOrManifest(jobId);
+    if (!source) {
+      return jsonError(res, 404, 'JOB_NOT_FOUND', `No render job found for jobId=${jobId}`);
+    }
+    if (source.status !== 'complete') {
+      return jsonError(res, 409, 'JOB_NOT_COMPLETE', `Render job ${jobId} is ${source.status}; only finished jobs can be unlocked`, {
+        status: source.status,
+      });
+    }
+    if (!source.params?.watermark) {
+      return jsonError(res, 409, 'NOT_WATERMARKED', `Render job ${jobId} is already clean`);
+    }
+    if (source.params.quality === 'draft') {
+      return jsonError(res, 409, 'DRAFT_NOT_UNLOCKABLE', `Draft ${jobId} must be promoted before it is unlocked`);
+    }
+    // Paid through checkout (webhook-verified), or the owner has since moved to a plan without watermark
+    const caller = await verifyUserPlan(req.headers.authorization);
+    const payment = await getMemoryPayment(getStorage(), jobId);
+    const grant = unlockGrant({ params: source.params, caller, payment });
+    if (grant.reason === 'not_owner') {
+      return jsonError(res, 403, 'NOT_JOB_OWNER', `Render job ${jobId} belongs to another account`);
+    }
+    if (!grant.allowed) {
+      return jsonError(res, 402, 'PAYMENT_REQUIRED', `Memory ${jobId} has not been paid for`, {
+        memoryId: jobId,
+        checkoutUrl: `/api/checkout/memories/${jobId}`,
+      });
+    }
+
+    // One clean render per memory: a repeat unlock (or a double click) gets the one already queued, running or done;
+    // only a failed or cancelled one is replaced. The in-process claim is checked and set with no await in between.
+    const sourceManifest = await getJobManifest(getStorage(), jobId, { draft: false });
+    const stored = sourceManifest?.unlockedJobId ? await getJobOrManifest(sourceManifest.unlockedJobId) : null;
+    const previous = [getJob(unlockedJobIds.get(jobId)), stored].find(isLiveJob);
+    if (previous) {
+      const { queuePosition, queueDepth } = getQueueInfo(previous.jobId);
+      console.log(`[WATERMARK] Unlock of jobId=${jobId} already ${previous.status} as jobId=${previous.jobId}`);
+      return res.status(previous.status === 'complete' ? 200 : 202).json({
+        ok: true,
+        jobId: previous.jobId,
+        unlockedFrom: jobId,
+        status: previous.status,
+        queuePosition,
+        queueDepth,
+        statusUrl: `/api/jobs/${previous.jobId}`,
+      });
+    }
+    const unlockedJobId = createJobId();
+    unlockedJobIds.set(jobId, unlockedJobId);
+    const job = enqueueRenderJob(unlockedJobId, {
+      ...source.params,
+      watermark: false,
+      motionSeed: source.params.motionSeed || jobId,
+      unlockedFrom: jobId,
+      quotaCharge: null, // Part of the payment, not the monthly renders
+    });
+    // The clean video is the paid memory's download; linked only once it is queued (a failed link cancels it,
+    // so the next unlock starts over)
+    if (grant.reason === 'paid') {
+      try {
+        await linkPaidMemory(getStorage(), unlockedJobId, payment);
+      } catch (linkErr) {
+        cancelRenderJob(unlockedJobId);
+        throw linkErr;
+      }
+    }
+    // Repeat unlocks after a restart find the clean render through the source's manifest
+    if (sourceManifest) {
+      await saveJobManifest(getStorage(), { ...sourceManifest, unlockedJobId }).catch((err) => {
+        console.warn(`[WATERMARK] Could not record jobId=${unlockedJobId} in the manifest of jobId=${jobId}: ${err.message}`);
+      });
+    }
+    console.log(`[WATERMARK] Unlocked jobId=${jobId} -> jobId=${unlockedJobId} via=${grant.reason} queued position=${job.queuePosition}`);
+    return res.status(202).json({
+      ok: true,
+      jobId: unlockedJobId,
+      unlockedFrom: jobId,
+      status: job.status,
+      queuePosition: job.queuePosition,
+      queueDepth: job.queueDepth,
+      statusUrl: `/api/jobs/${unlockedJobId}`,
+    });
+  } catch (err) {
+    console.error('[WATERMARK] Unlock failed:', err?.message || err);
+    return jsonError(res, 500, 'job_unlock_failed', err?.message || 'unknown_error');
+  }
+}
+
+// -------------------- Remix Handler --------------------
+// POST /api/memories/:memoryId/remix - re-render a memory from its job manifest as a new job
+// The body is a partial request (aspect ratio, music, order, titles...); everything else, the photos already
+// uploaded under videos/drafts/ and the camera moves stay as they were
+async function remixMemory(req, res) {
+  try {
+    const { memoryId } = req.params;
+    const caller = await verifyUserPlan(req.headers.authorization);
+    if (!caller.uid) {
+      return jsonError(res, 401, 'AUTH_REQUIRED', 'Sign in to remix your memories');
+    }
+    const memory = await getMemoryRecord(getStorage(), caller.uid, memoryId);
+    if (!memory) {
+      return jsonError(res, 404, 'MEMORY_NOT_FOUND', `No memory ${memoryId} in your library`);
+    }
+    const manifest = await getJobManifest(getStorage(), memoryId);
+    if (!manifest?.request) {
+      return jsonError(res, 409, 'REMIX_UNAVAILABLE', `Memory ${memoryId} has no job manifest to remix from`);
+    }
+    // Deleting another memory may have removed photos this one shared
+    const missingKeys = (await Promise.all(manifest.inputs.photoKeys.map(async (key) => ((await getStorage().headObject(key)) ? null : key))))
+      .filter(Boolean);
+    if (missingKeys.length > 0) {
+      return jsonError(res, 409, 'PHOTOS_MISSING', `${missingKeys.length} photo(s) of memory ${memoryId} are no longer stored`, {
+        missingKeys,
+      });
+    }
+
+    let options;
+    try {
+      options = normalizeRenderRequest(remixRequest(manifest, req.body || {}));
+    } catch (requestErr) {
+      if (requestErr.status !== 400) throw requestErr;
+      return jsonError(res, 400, requestErr.error, requestErr.message, requestErr.extra);
+    }
+    const foreignLogo = foreignLogoKeys(caller.uid, options.endCard);
+    if (foreignLogo.length > 0) {
+      return jsonError(res, 403, 'LOGO_NOT_OWNED', 'endCard.logoKey was not uploaded by this account', { keys: foreignLogo });
+    }
+
+    let entitlements;
+    let quotaCharge;
+    try {
+      ({ entitlements, quotaCharge } = await admitRender(caller, options, req.ip));
+    } catch (limitErr) {
+      if (!isEntitlementError(limitErr)) throw limitErr;
+      return jsonError(res, limitErr.status, limitErr.code, limitErr.message, limitErr.extra);
+    }
+
+    const watermark = shouldWatermark(caller.plan, resolveWatermarkConfig());
+    const remixJobId = createJobId();
+    const job = enqueueRenderJob(remixJobId, {
+      ...options,
+      uid: caller.uid,
+      userPlan: caller.plan,
+      watermark,
+      maxDurationSec: entitlements.maxDurationSec,
+      maxResolution: entitlements.maxResolution,
+      quotaCharge,
+      motionSeed: manifest.options?.motionSeed || memoryId,
+      remixedFrom: memoryId,
+    });
+    const overridden = Object.keys(req.body || {});
+    console.log(`[REMIX] Remixed memoryId=${memoryId} -> jobId=${remixJobId} overrides=${overridden.join(',') || 'none'} queued position=${job.queuePosition}`);
+    return res.status(202).json({
+      ok: true,
+      jobId: remixJobId,
+      remixedFrom: memoryId,
+      status: job.status,
+      queuePosition: job.queuePosition,
+      queueDepth: job.queueDepth,
+      plan: caller.plan,
+      watermark,
+      statusUrl: `/api/jobs/${remixJobId}`,
+    });
+  } catch (err) {
+    console.error('[REMIX] Remix failed:', err?.message || err);
+    return jsonError(res, 500, 'memory_remix_failed', err?.message || 'unknown_error');
+  }
+}
+
+// -------------------- Job Events Handler --------------------
+// GET /api/jobs/:jobId/events - SSE stream of progress/complete/error for a render job
+// EventSource cannot set headers, so the ID token may also come as ?access_token=
+async function streamRenderJobEvents(req, res) {
+  const { jobId } = req.params;
+  const queryToken = typeof req.query.access_token === 'string' ? req.query.access_token : '';
+  let job;
+  try {
+    job = await getJobOrManifest(jobId);
+    if (!job) {
+      return jsonError(res, 404, 'JOB_NOT_FOUND', `No render job found for jobId=${jobId}`);
+    }
+    if (!(await callerOwningJob(job, req, res, req.headers.authorization || (queryToken && `Bearer ${queryToken}`)))) return;
+  } catch (err) {
+    console.error('[JOBS] Event stream auth failed:', err?.message || err);
+    return jsonError(res, 500, 'job_events_failed', err?.message || 'unknown_error');
+  }
+
+  const reporter = new ProgressReporter(res);
+  reporter.start();
+
+  let closed = false;
+  let heartbeat = null;
+  let unsubscribe = () => {};
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  // Forward a job record as the matching SSE frame; returns true once the job is finished
+  async function send(record) {
+    if (record.status === 'complete') {
+      try {
+        reporter.complete(await buildJobStatusPayload(record, req));
+      } catch (err) {
+        reporter.error(err, 'complete', { error: 'job_status_failed' });
+        res.end();
+      }
+      return true;
+    }
+    if (record.status === 'failed' || record.status === 'cancelled') {
+      reporter.error(record.error?.detail || record.detail || 'Render failed', record.step, record.error);
+      res.end();
+      return true;
+    }
+    reporter.report(record.step, record.percent || 0, record.detail || '');
+    return false;
+  }
+
+  function onUpdate(record) {
+    if (closed) return;
+    send(record).then((done) => {
+      if (done) close();
+    });
+  }
+
+  req.on('close', close);
+  unsubscribe = subscribeToJob(jobId, onUpdate);
+  heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+
+  // Send the current state first so late subscribers are not left blank
+  onUpdate(getJob(jobId) || job);
+}
+
+export { createMemoryRenderOnly, getRenderJobStatus, streamRenderJobEvents, deleteRenderJob, promoteRenderJob, unlockRenderJob, remixMemory };
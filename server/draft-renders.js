@@ -0,0 +1,111 @@
+/**
+ * Draft Renders
+ * Low-resolution proxy renders (`quality: 'draft'` on /api/create-memory) for checking order,
+ * timing and music before paying for a full render. A draft renders at 480p / 15fps straight at
+ * output size (no 4K supersampling), without the video fades, as a fast H.264 MP4.
+ *
+ * Drafts are stored under videos/drafts/renders/ with their job manifest and swept once they are older than
+ * the TTL; POST /api/jobs/:jobId/promote re-renders a finished draft's plan at full quality.
+ *
+ * DRAFT_RENDER_TTL_HOURS  how long draft videos are kept (default 24)
+ */
+
+export const RENDER_QUALITIES = ['full', 'draft'];
+export const DEFAULT_RENDER_QUALITY = 'full';
+
+export const DRAFT_PREFIX = 'videos/drafts/renders/';
+export const DRAFT_FPS = 15;
+export const DRAFT_SHORT_SIDE = 480;
+// Encode speed over size: drafts are watched once and thrown away
+export const DRAFT_ENCODE_SETTINGS = { crf: 28, preset: 'ultrafast' };
+export const DEFAULT_DRAFT_TTL_HOURS = 24;
+
+const even = (n) => Math.max(2, Math.round(n / 2) * 2);
+
+/**
+ * Canonical render quality for a request value
+ * @param {string} [value] - 'full' | 'draft' (case-insensitive); empty selects full
+ * @returns {string|null} One of RENDER_QUALITIES, or null when unknown
+ */
+export function resolveRenderQuality(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_RENDER_QUALITY;
+  if (typeof value !== 'string') return null;
+  const quality = value.trim().toLowerCase();
+  return RENDER_QUALITIES.includes(quality) ? quality : null;
+}
+
+/**
+ * Draft frame size for a full-quality output size: short side DRAFT_SHORT_SIDE, same aspect
+ * @param {number} width - Full-quality output width
+ * @param {number} height - Full-quality output height
+ * @returns {{width: number, height: number}}
+ */
+export function draftDimensions(width, height) {
+  const scale = DRAFT_SHORT_SIDE / Math.min(width, height);
+  return { width: even(width * scale), height: even(height * scale) };
+}
+
+/**
+ * Read DRAFT_RENDER_TTL_HOURS; invalid values fall back to the default with a warning
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {number} TTL in milliseconds
+ */
+export function resolveDraftTtlMs(env = process.env) {
+  let hours = DEFAULT_DRAFT_TTL_HOURS;
+  if (env.DRAFT_RENDER_TTL_HOURS) {
+    const parsed = Number(env.DRAFT_RENDER_TTL_HOURS);
+    if (Number.isFinite(parsed) && parsed > 0) {
+      hours = parsed;
+    } else {
+      console.warn(`[DRAFT] Ignoring DRAFT_RENDER_TTL_HOURS=${env.DRAFT_RENDER_TTL_HOURS} (expected a positive number), using ${DEFAULT_DRAFT_TTL_HOURS}`);
+    }
+  }
+  return hours * 60 * 60 * 1000;
+}
+
+/**
+ * Storage key for a draft video
+ * @param {string} jobId - Draft job
+ * @param {string} [suffix] - Aspect suffix for secondary aspects (e.g. '-9x16')
+ * @returns {string}
+ */
+export function draftKeyFor(jobId, suffix = '') {
+  return `${DRAFT_PREFIX}${jobId}${suffix}.mp4`;
+}
+
+/**
+ * Draft job a draft video belongs to (inverse of draftKeyFor)
+ * @param {string} key - Storage key
+ * @returns {string|null}
+ */
+export function draftJobIdForKey(key) {
+  const match = typeof key === 'string' ? key.match(/^videos\/drafts\/renders\/([a-z0-9]+-[a-z0-9]+)(?:-[a-z0-9_]+)?\.mp4$/) : null;
+  return match ? match[1] : null;
+}
+
+/**
+ * Draft job any draft object belongs to: its videos and its job manifest (<jobId>.manifest.json)
+ * @param {string} key - Storage key
+ * @returns {string|null}
+ */
+export function draftJobIdForObjectKey(key) {
+  const match = typeof key === 'string' ? key.match(/^videos\/drafts\/renders\/([a-z0-9]+-[a-z0-9]+)[-.]/) : null;
+  return match ? match[1] : null;
+}
+
+/**
+ * Delete draft videos (and manifests) older than the TTL
+ * @param {Object} storage - Storage driver (listObjects with lastModified, deleteObject)
+ * @param {Object} [opts]
+ * @param {number} [opts.ttlMs] - Defaults to resolveDraftTtlMs()
+ * @param {number} [opts.now] - Current time in ms (tests)
+ * @returns {Promise<string[]>} Deleted keys
+ */
+export async function sweepExpiredDrafts(storage, { ttlMs = resolveDraftTtlMs(), now = Date.now() } = {}) {
+  const cutoff = now - ttlMs;
+  const expired = (await storage.listObjects(DRAFT_PREFIX)).filter((obj) => obj.lastModified && obj.lastModified < cutoff);
+  for (const { key } of expired) {
+    await storage.deleteObject(key);
+  }
+  return expired.map((obj) => obj.key);
+}
@@ -0,0 +1,190 @@
+/**
+ * End Card
+ * Branded end card appended to a finished render by appendEndCap: the last frame freezes, fades
+ * to the card color, then the logo (and an optional tagline) holds on that color
+ *
+ * Request shape (`endCard` on /api/create-memory):
+ *   true | { logoKey?, tagline?, backgroundColor?, textColor?, freezeSec?, fadeSec?, holdSec? }
+ * logoKey is the storage key of a PNG / JPEG / WebP logo the caller uploaded (see foreignPhotoKeys);
+ * without one the TRACE logo is used. Watermarked renders carry the watermark on the card as well.
+ * Colors are #RRGGBB. The card is silent: the music keeps its own fade-out at the end of the body.
+ */
+
+import { safeAreaFor, fitTextLines, escapeFilterValue } from './title-cards.js';
+import { buildWatermarkFilters } from './watermark.js';
+
+export const END_CARD_DEFAULTS = {
+  backgroundColor: '#000000',
+  textColor: '#ffffff',
+  freezeSec: 0.75,
+  fadeSec: 1.0,
+  holdSec: 1.25,
+};
+const DURATION_LIMITS = {
+  freezeSec: [0, 3],
+  fadeSec: [0.2, 3],
+  holdSec: [0.5, 10],
+};
+export const MAX_TAGLINE_CHARS = 80;
+
+// Logo box and tagline size as fractions of the frame's short side (the logo keeps its aspect inside the box)
+const LOGO_BOX = 0.3;
+const TAGLINE_SIZE = 0.045;
+const TAGLINE_CHAR_WIDTH = 0.55;
+const TAGLINE_GAP = 0.04;
+
+function endCardError(detail, extra = {}) {
+  const err = new Error(detail);
+  err.status = 400;
+  err.code = 'INVALID_END_CARD';
+  err.error = 'INVALID_END_CARD';
+  err.extra = extra;
+  return err;
+}
+
+function parseColor(value, field) {
+  if (value === undefined || value === null) return END_CARD_DEFAULTS[field];
+  const match = typeof value === 'string' ? value.trim().match(/^#?([0-9a-f]{6})$/i) : null;
+  if (!match) {
+    throw endCardError(`endCard.${field} must be a #RRGGBB color`, { field });
+  }
+  return `#${match[1].toLowerCase()}`;
+}
+
+function parseDuration(value, field) {
+  if (value === undefined || value === null) return END_CARD_DEFAULTS[field];
+  const [min, max] = DURATION_LIMITS[field];
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds < min || seconds > max) {
+    throw endCardError(`endCard.${field} must be between ${min} and ${max} seconds`, { field, min, max });
+  }
+  return seconds;
+}
+
+/**
+ * Validate a request's `endCard`
+ * @param {Object|boolean|null|undefined} raw - Request value (falsy: no end card, true: TRACE defaults)
+ * @returns {{logoKey: string|null, tagline: string|null, backgroundColor: string, textColor: string,
+ *   freezeSec: number, fadeSec: number, holdSec: number}|null}
+ * @throws {Error} code INVALID_END_CARD
+ */
+export function sanitizeEndCard(raw) {
+  if (raw === undefined || raw === null || raw === false) return null;
+  if (raw === true) return { logoKey: null, tagline: null, ...END_CARD_DEFAULTS };
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw endCardError('endCard must be true or an object');
+  }
+
+  let logoKey = null;
+  if (raw.logoKey !== undefined && raw.logoKey !== null) {
+    if (typeof raw.logoKey !== 'string' || !/\.(png|jpe?g|webp)$/i.test(raw.logoKey.trim())) {
+      throw endCardError('endCard.logoKey must be the storage key of a PNG, JPEG or WebP image', { field: 'logoKey' });
+    }
+    logoKey = raw.logoKey.trim();
+  }
+
+  let tagline = null;
+  if (raw.tagline !== undefined && raw.tagline !== null) {
+    if (typeof raw.tagline !== 'string') {
+      throw endCardError('endCard.tagline must be a string', { field: 'tagline' });
+    }
+    tagline = raw.tagline.replace(/[\u0000-\u001f\u007f]+/g, ' ').replace(/\s+/g, ' ').trim() || null;
+    if (tagline && tagline.length > MAX_TAGLINE_CHARS) {
+      throw endCardError(`endCard.tagline must be at most ${MAX_TAGLINE_CHARS} characters (got ${tagline.length})`, {
+        field: 'tagline',
+        maxChars: MAX_TAGLINE_CHARS,
+      });
+    }
+  }
+
+  return {
+    logoKey,
+    tagline,
+    backgroundColor: parseColor(raw.backgroundColor, 'backgroundColor'),
+    textColor: parseColor(raw.textColor, 'textColor'),
+    freezeSec: parseDuration(raw.freezeSec, 'freezeSec'),
+    fadeSec: parseDuration(raw.fadeSec, 'fadeSec'),
+    holdSec: parseDuration(raw.holdSec, 'holdSec'),
+  };
+}
+
+/**
+ * Seconds the end card adds to a video
+ */
+export function endCardDuration(card) {
+  return card.freezeSec + card.fadeSec + card.holdSec;
+}
+
+const sec = (value) => value.toFixed(6);
+const ffColor = (hex) => `0x${hex.slice(1)}`;
+
+/**
+ * Filtergraph for appendEndCap: input 0 is the rendered video, input 1 the logo image, input 2 the
+ * watermark logo when there is one
+ * The body is extended by cloning its last frame (no second decode of the video), so the graph
+ * streams straight through; audio, when present, is padded with silence under the card. The body
+ * already carries its watermark (it fades out with the picture), so only the card gets one drawn.
+ * @param {Object} opts
+ * @param {Object} opts.card - Output of sanitizeEndCard
+ * @param {number} opts.width - Video width
+ * @param {number} opts.height - Video height
+ * @param {number} opts.fps - Video frame rate
+ * @param {number} opts.durationSec - Video duration before the card
+ * @param {boolean} opts.hasAudio - Whether input 0 has an audio stream
+ * @param {string} opts.fontPath - Tagline font file
+ * @param {Object|null} [opts.watermark] - Output of planWatermark for watermarked renders
+ * @returns {{filterComplex: string, maps: string[], totalSec: number}}
+ */
+export function buildEndCardFilter({ card, width, height, fps, durationSec, hasAudio, fontPath, watermark = null }) {
+  const base = Math.min(width, height);
+  const safe = safeAreaFor(width, height);
+  const logoBox = Math.max(2, Math.round(base * LOGO_BOX / 2) * 2);
+
+  let tagline = null;
+  if (card.tagline) {
+    const { lines, fontSize } = fitTextLines(card.tagline, {
+      maxWidth: safe.w,
+      fontSize: base * TAGLINE_SIZE,
+      charWidth: TAGLINE_CHAR_WIDTH,
+      maxLines: 2,
+    });
+    tagline = { lines, fontSize, lineHeight: Math.round(fontSize * 1.25), gap: Math.round(base * TAGLINE_GAP) };
+  }
+  // Logo box and tagline are centered together in the safe area; the logo is centered in its box
+  const blockHeight = logoBox + (tagline ? tagline.gap + tagline.lines.length * tagline.lineHeight : 0);
+  const boxTop = safe.y + Math.round((safe.h - blockHeight) / 2);
+
+  const bodyHold = card.freezeSec + card.fadeSec;
+  const totalSec = durationSec + endCardDuration(card);
+  let cardChain = `[cardbg][logo]overlay=x=(W-w)/2:y=${boxTop}+(${logoBox}-h)/2`;
+  if (tagline) {
+    const top = boxTop + logoBox + tagline.gap;
+    const draws = tagline.lines.map((line, i) =>
+      `drawtext=fontfile=${escapeFilterValue(fontPath)}:text=${escapeFilterValue(line)}:expansion=none:` +
+      `fontsize=${tagline.fontSize}:fontcolor=${ffColor(card.textColor)}:x=(w-text_w)/2:y=${top + i * tagline.lineHeight}`
+    );
+    cardChain += `,${draws.join(',')}`;
+  }
+
+  const parts = [
+    `[0:v]tpad=stop_mode=clone:stop_duration=${sec(bodyHold)},` +
+      `fade=t=out:st=${sec(durationSec + card.freezeSec)}:d=${sec(card.fadeSec)}:color=${ffColor(card.backgroundColor)},setsar=1[body]`,
+    `color=c=${ffColor(card.backgroundColor)}:s=${width}x${height}:r=${fps}:d=${sec(card.holdSec)}[cardbg]`,
+    `[1:v]scale=w=${logoBox}:h=${logoBox}:force_original_aspect_ratio=decrease:flags=lanczos,format=rgba[logo]`,
+  ];
+  if (watermark) {
+    parts.push(`${cardChain}[unmarked]`, ...buildWatermarkFilters(watermark, { input: 'unmarked', output: 'marked', logoInput: 2 }));
+    cardChain = '[marked]null';
+  }
+  parts.push(
+    `${cardChain},setsar=1[card]`,
+    `[body][card]concat=n=2:v=1:a=0[vout]`,
+  );
+  const maps = ['[vout]'];
+  if (hasAudio) {
+    // Endless silence; appendEndCap cuts the output at totalSec
+    parts.push('[0:a]apad[aout]');
+    maps.push('[aout]');
+  }
+  return { filterComplex: parts.join(';'), maps, totalSec };
+}
@@ -0,0 +1,311 @@
+/**
+ * Entitlements
+ * What each plan (from verifyUserPlan) may render and download, and the monthly usage counters
+ * that back the quotas.
+ *
+ * Errors the UI acts on (same { error, detail, ...extra } shape as every other API error):
+ *   403 PLAN_LIMIT_EXCEEDED  the request asks for more than the plan allows (photos, length, fps, format);
+ *                            extra: { limit, allowed, requested, plan, upgradeTo }
+ *   402 QUOTA_EXHAUSTED      the plan's renders, drafts or downloads for this month are used up;
+ *                            extra: { quota, used, allowed, plan, resetsAt, upgradeTo }
+ * upgradeTo is the cheapest plan that would allow the request (null when none does).
+ *
+ * Usage is counted per calendar month (UTC) under usage/<subject>/<YYYY-MM>.json in storage; the
+ * subject is the Firebase uid, or a hash of the client IP for anonymous callers (req.ip, which is the
+ * client's address only with the right 'trust proxy' setting, see resolveTrustProxy). A render that fails
+ * or is cancelled gives its render (or draft) back with refundQuota.
+ */
+
+import crypto from 'crypto';
+import { uidKeySegment } from './utils/storageKeys.js';
+
+export const PLANS = ['free', 'premium', 'enterprise'];
+
+// maxResolution caps the output's short side (1:1 renders at 2000x2000 otherwise); null quotas are unlimited
+export const PLAN_ENTITLEMENTS = {
+  free: {
+    maxPhotos: 24,
+    maxDurationSec: 60,
+    maxResolution: 1080,
+    maxFps: 30,
+    outputFormats: ['h264'],
+    monthlyRenders: 5,
+    monthlyDrafts: 20,
+    monthlyDownloads: 3,
+    watermark: true,
+  },
+  premium: {
+    maxPhotos: 60,
+    maxDurationSec: 180,
+    maxResolution: 2160,
+    maxFps: 60,
+    outputFormats: ['h264', 'hevc', 'av1', 'vp9'],
+    monthlyRenders: 100,
+    monthlyDrafts: 500,
+    monthlyDownloads: 300,
+    watermark: false,
+  },
+  enterprise: {
+    maxPhotos: 200,
+    maxDurationSec: 180,
+    maxResolution: 2160,
+    maxFps: 60,
+    outputFormats: ['h264', 'hevc', 'av1', 'vp9', 'prores'],
+    monthlyRenders: null,
+    monthlyDrafts: null,
+    monthlyDownloads: null,
+    watermark: false,
+  },
+};
+
+const QUOTAS = {
+  renders: 'monthlyRenders',
+  drafts: 'monthlyDrafts',
+  downloads: 'monthlyDownloads',
+};
+
+const USAGE_PREFIX = 'usage/';
+const usageChains = new Map(); // usage key -> Promise, serializes read-modify-write per subject and month
+
+function entitlementError(status, code, detail, extra) {
+  const err = new Error(detail);
+  err.status = status;
+  err.code = code;
+  err.error = code;
+  err.extra = extra;
+  return err;
+}
+
+/**
+ * Limits for a plan; unknown plans get the free tier
+ * @param {string} plan - 'free' | 'premium' | 'enterprise'
+ */
+export function getEntitlements(plan) {
+  return PLAN_ENTITLEMENTS[plan] || PLAN_ENTITLEMENTS.free;
+}
+
+/**
+ * Cheapest plan above `plan` whose entitlements pass `allows`
+ * @param {string} plan - Current plan
+ * @param {(entitlements: Object) => boolean} allows
+ * @returns {string|null}
+ */
+export function upgradePlanFor(plan, allows) {
+  const current = Math.max(0, PLANS.indexOf(plan));
+  return PLANS.slice(current + 1).find((candidate) => allows(PLAN_ENTITLEMENTS[candidate])) || null;
+}
+
+function planLimitError(plan, limit, allowed, requested, detail, allows) {
+  return entitlementError(403, 'PLAN_LIMIT_EXCEEDED', detail, {
+    limit,
+    allowed,
+    requested,
+    plan,
+    upgradeTo: upgradePlanFor(plan, allows),
+  });
+}
+
+/**
+ * Reject a render request that asks for more than the plan allows
+ * @param {string} plan - Caller's plan
+ * @param {Object} request
+ * @param {number} request.photoCount - Number of photoKeys
+ * @param {number|null} request.durationSec - Requested or planned length in seconds (null when automatic)
+ * @param {number} request.fps - Normalized frame rate
+ * @param {string} request.outputFormat - Key of OUTPUT_FORMATS
+ * @throws {Error} 403 PLAN_LIMIT_EXCEEDED
+ */
+export function checkRenderEntitlements(plan, { photoCount, durationSec, fps, outputFormat }) {
+  const limits = getEntitlements(plan);
+  if (photoCount > limits.maxPhotos) {
+    throw planLimitError(plan, 'maxPhotos', limits.maxPhotos, photoCount,
+      `The ${plan} plan renders up to ${limits.maxPhotos} photos (got ${photoCount})`,
+      (e) => photoCount <= e.maxPhotos);
+  }
+  if (durationSec !== null && durationSec > limits.maxDurationSec) {
+    throw planLimitError(plan, 'maxDurationSec', limits.maxDurationSec, durationSec,
+      `The ${plan} plan renders videos up to ${limits.maxDurationSec} seconds (got ${durationSec.toFixed(1)})`,
+      (e) => durationSec <= e.maxDurationSec);
+  }
+  if (fps > limits.maxFps) {
+    throw planLimitError(plan, 'maxFps', limits.maxFps, fps,
+      `The ${plan} plan renders up to ${limits.maxFps} fps (got ${fps})`,
+      (e) => fps <= e.maxFps);
+  }
+  if (!limits.outputFormats.includes(outputFormat)) {
+    throw planLimitError(plan, 'outputFormats', limits.outputFormats, outputFormat,
+      `The ${plan} plan renders ${limits.outputFormats.join(', ')} (got ${outputFormat})`,
+      (e) => e.outputFormats.includes(outputFormat));
+  }
+}
+
+/**
+ * Output size with the short side capped at maxResolution (same aspect, even dimensions)
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @param {number|null} maxResolution - Short-side cap (null: no cap)
+ * @returns {{width: number, height: number}}
+ */
+export function capToResolution(width, height, maxResolution) {
+  const shortSide = Math.min(width, height);
+  if (!maxResolution || shortSide <= maxResolution) return { width, height };
+  const scale = maxResolution / shortSide;
+  const even = (n) => Math.max(2, Math.round(n / 2) * 2);
+  return { width: even(width * scale), height: even(height * scale) };
+}
+
+/**
+ * Express 'trust proxy' setting from TRUST_PROXY: a hop count, true / false, or comma-separated proxy
+ * addresses / subnets. Defaults to 1, the deploy's one proxy; without it every anonymous caller would
+ * share the proxy's address and so one set of counters.
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {number|boolean|string[]}
+ */
+export function resolveTrustProxy(env = process.env) {
+  const raw = String(env.TRUST_PROXY ?? '').trim();
+  if (!raw) return 1;
+  if (/^\d+$/.test(raw)) return Number(raw);
+  if (raw === 'true' || raw === 'false') return raw === 'true';
+  return raw.split(',').map((entry) => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Usage subject for a caller: the uid when signed in, else a hash of the client IP
+ * @param {{uid: string|null, ip?: string}} caller
+ * @returns {string}
+ */
+export function usageSubject({ uid, ip }) {
+  if (uid) return `uid-${uidKeySegment(uid)}`;
+  return `anon-${crypto.createHash('sha256').update(String(ip || 'unknown')).digest('hex').slice(0, 16)}`;
+}
+
+function monthOf(now) {
+  return now.toISOString().slice(0, 7);
+}
+
+function nextMonthStart(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString();
+}
+
+/**
+ * Storage key of a subject's usage counters for the month containing `now`
+ */
+export function usageKeyFor(subject, now = new Date()) {
+  return monthUsageKey(subject, monthOf(now));
+}
+
+function monthUsageKey(subject, month) {
+  return `${USAGE_PREFIX}${subject}/${month}.json`;
+}
+
+async function readUsage(storage, key) {
+  try {
+    const parsed = JSON.parse((await storage.getObjectBuffer(key)).toString('utf8'));
+    return {
+      renders: Number(parsed.renders) || 0,
+      drafts: Number(parsed.drafts) || 0,
+      downloads: Number(parsed.downloads) || 0,
+      items: parsed.items && typeof parsed.items === 'object' ? parsed.items : {},
+    };
+  } catch (err) {
+    if (err.code !== 'NOT_FOUND') {
+      console.warn(`[ENTITLEMENTS] Unreadable usage ${key}: ${err.message}; counting from zero`);
+    }
+    return { renders: 0, drafts: 0, downloads: 0, items: {} };
+  }
+}
+
+// Serialize read-modify-write of one usage file; the chain itself never rejects, the caller gets the outcome
+function updateUsage(key, update) {
+  const previous = usageChains.get(key) || Promise.resolve();
+  const next = previous.then(update);
+  const tail = next.catch(() => {}).finally(() => {
+    if (usageChains.get(key) === tail) usageChains.delete(key);
+  });
+  usageChains.set(key, tail);
+  return next;
+}
+
+/**
+ * This month's usage for a subject
+ * @param {Object} storage - Storage driver (getStorage())
+ * @param {string} subject - From usageSubject
+ * @param {Date} [now]
+ * @returns {Promise<{renders: number, drafts: number, downloads: number, month: string, resetsAt: string}>}
+ */
+export async function getMonthlyUsage(storage, subject, now = new Date()) {
+  const { items, ...usage } = await readUsage(storage, usageKeyFor(subject, now));
+  return { ...usage, month: monthOf(now), resetsAt: nextMonthStart(now) };
+}
+
+/**
+ * Count one render, draft or download against the plan's monthly quota
+ * Check and increment are serialized per subject, so concurrent requests cannot both take the last one.
+ * With `item`, each item counts once a month (e.g. a video fetched again is not another download).
+ * @param {Object} storage - Storage driver (getStorage())
+ * @param {Object} opts
+ * @param {string} opts.plan - Caller's plan
+ * @param {string} opts.subject - From usageSubject
+ * @param {'renders'|'drafts'|'downloads'} opts.quota
+ * @param {string} [opts.item] - What is being counted (a video key)
+ * @param {Date} [opts.now]
+ * @returns {Promise<{used: number, allowed: number|null, month: string, repeat: boolean}>} Usage including this
+ *   one, the month it was counted in (what refundQuota needs) and whether the item was already counted
+ * @throws {Error} 402 QUOTA_EXHAUSTED
+ */
+export function consumeQuota(storage, { plan, subject, quota, item = null, now = new Date() }) {
+  const field = QUOTAS[quota];
+  const allowed = getEntitlements(plan)[field];
+  const key = usageKeyFor(subject, now);
+  return updateUsage(key, async () => {
+    const usage = await readUsage(storage, key);
+    const counted = usage.items[quota] || [];
+    if (item && counted.includes(item)) {
+      return { used: usage[quota], allowed, month: monthOf(now), repeat: true };
+    }
+    if (allowed !== null && usage[quota] >= allowed) {
+      throw entitlementError(402, 'QUOTA_EXHAUSTED', `The ${plan} plan includes ${allowed} ${quota} a month; this month's are used up`, {
+        quota: field,
+        used: usage[quota],
+        allowed,
+        plan,
+        resetsAt: nextMonthStart(now),
+        upgradeTo: upgradePlanFor(plan, (e) => e[field] === null || e[field] > usage[quota]),
+      });
+    }
+    usage[quota] += 1;
+    // Unlimited plans never run out, so there is nothing to remember
+    if (item && allowed !== null) usage.items = { ...usage.items, [quota]: [...counted, item] };
+    await storage.putObject(key, JSON.stringify({ ...usage, updatedAt: now.toISOString() }), { contentType: 'application/json' });
+    return { used: usage[quota], allowed, month: monthOf(now), repeat: false };
+  });
+}
+
+/**
+ * Give back one render, draft or download counted by consumeQuota (a render that failed or was cancelled)
+ * The refund goes to the month the charge was counted in and never takes a counter below zero.
+ * @param {Object} storage - Storage driver (getStorage())
+ * @param {Object} charge
+ * @param {string} charge.subject - From usageSubject
+ * @param {'renders'|'drafts'|'downloads'} charge.quota
+ * @param {string} charge.month - YYYY-MM, from consumeQuota
+ * @param {Date} [now]
+ * @returns {Promise<{used: number}>} Usage after the refund
+ */
+export function refundQuota(storage, { subject, quota, month }, now = new Date()) {
+  const key = monthUsageKey(subject, month);
+  return updateUsage(key, async () => {
+    const usage = await readUsage(storage, key);
+    if (usage[quota] === 0) return { used: 0 };
+    usage[quota] -= 1;
+    await storage.putObject(key, JSON.stringify({ ...usage, updatedAt: now.toISOString() }), { contentType: 'application/json' });
+    return { used: usage[quota] };
+  });
+}
+
+/**
+ * Whether an error is one of the 402 / 403 entitlement errors above
+ */
+export function isEntitlementError(err) {
+  return err?.code === 'PLAN_LIMIT_EXCEEDED' || err?.code === 'QUOTA_EXHAUSTED';
+}
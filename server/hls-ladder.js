@@ -0,0 +1,347 @@
+/**
+ * HLS Ladder
+ * Builds the adaptive-bitrate renditions published next to a video's MP4, and signs the
+ * playlists when they are served so every segment fetch carries its own presigned URL
+ *
+ * Storage layout for videos/published/<jobId>.mp4:
+ *   videos/published/<jobId>.m3u8          master playlist (uploaded last; its presence means the ladder is complete)
+ *   videos/published/<jobId>/<rung>.m3u8   media playlist per rendition (e.g. 720p)
+ *   videos/published/<jobId>/<rung>_NNN.ts MPEG-TS segments
+ *
+ * Playlists are never handed out as raw storage URLs: GET /api/media/hls?key=&expires=&sig= reads
+ * the stored playlist and rewrites its URIs (media playlists → signed links back to that route,
+ * segments → storage presigned URLs).
+ *
+ * HLS_RENDITIONS   short-side heights of the ladder (default 1080,720,480; rungs above the source are dropped)
+ * HLS_SEGMENT_SEC  target segment length in seconds (default 4)
+ */
+
+import path from 'path';
+import crypto from 'crypto';
+import { x264Args, resolveEncodeSettings } from './utils/videoEncode.js';
+import { getSigningSecret } from './storage/index.js';
+
+export const HLS_PLAYLIST_ROUTE = '/api/media/hls';
+export const HLS_PLAYLIST_CONTENT_TYPE = 'application/vnd.apple.mpegurl';
+export const HLS_SEGMENT_CONTENT_TYPE = 'video/mp2t';
+
+export const DEFAULT_HLS_RENDITIONS = [1080, 720, 480];
+export const DEFAULT_HLS_SEGMENT_SEC = 4;
+const AUDIO_BITRATE_KBPS = 128;
+// Peak video bitrate per rendition: bits per pixel per frame, before CRF decides the actual rate
+const MAXRATE_BITS_PER_PIXEL = 0.1;
+
+// H.264 levels: [level, max macroblocks per frame, max macroblocks per second]
+const H264_LEVELS = [
+  [30, 1620, 40500],
+  [31, 3600, 108000],
+  [32, 5120, 216000],
+  [40, 8192, 245760],
+  [42, 8704, 522240],
+  [50, 22080, 589824],
+  [51, 36864, 983040],
+];
+
+function playlistError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_PLAYLIST';
+  err.status = 400;
+  return err;
+}
+
+const even = (n) => Math.max(2, Math.round(n / 2) * 2);
+
+/**
+ * Parse HLS_RENDITIONS / HLS_SEGMENT_SEC; invalid values fall back to the defaults with a warning
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {{renditions: number[], segmentSec: number}}
+ */
+export function resolveHlsSettings(env = process.env) {
+  let renditions = DEFAULT_HLS_RENDITIONS;
+  if (env.HLS_RENDITIONS) {
+    const parsed = String(env.HLS_RENDITIONS).split(',').map((s) => Number(s.trim()));
+    if (parsed.length > 0 && parsed.every((n) => Number.isInteger(n) && n >= 144 && n <= 2160)) {
+      renditions = [...new Set(parsed)].sort((a, b) => b - a);
+    } else {
+      console.warn(`[HLS] Ignoring HLS_RENDITIONS=${env.HLS_RENDITIONS} (expected heights 144-2160, e.g. 1080,720,480)`);
+    }
+  }
+
+  let segmentSec = DEFAULT_HLS_SEGMENT_SEC;
+  if (env.HLS_SEGMENT_SEC) {
+    const parsed = Number(env.HLS_SEGMENT_SEC);
+    if (Number.isFinite(parsed) && parsed >= 1 && parsed <= 15) {
+      segmentSec = parsed;
+    } else {
+      console.warn(`[HLS] Ignoring HLS_SEGMENT_SEC=${env.HLS_SEGMENT_SEC} (expected 1-15), using ${DEFAULT_HLS_SEGMENT_SEC}`);
+    }
+  }
+
+  return { renditions, segmentSec };
+}
+
+/**
+ * Lowest H.264 level that fits a frame size and rate
+ * @returns {number} Level times ten (e.g. 31 for 3.1)
+ */
+export function h264LevelFor(width, height, fps) {
+  const macroblocks = Math.ceil(width / 16) * Math.ceil(height / 16);
+  const fit = H264_LEVELS.find(([, maxFs, maxMbps]) => macroblocks <= maxFs && macroblocks * fps <= maxMbps);
+  return (fit || H264_LEVELS[H264_LEVELS.length - 1])[0];
+}
+
+/**
+ * Renditions for a source video: each rung scales the short side, keeping the aspect ratio
+ * Rungs taller than the source are dropped; a source smaller than every rung gets one at its own size
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {number} fps - Source frame rate
+ * @param {number[]} [renditions] - Short-side heights, largest first
+ * @returns {Array<{name: string, width: number, height: number, level: number, maxrateKbps: number}>}
+ */
+export function planHlsRenditions(width, height, fps, renditions = DEFAULT_HLS_RENDITIONS) {
+  const shortSide = Math.min(width, height);
+  let sizes = renditions.filter((size) => size <= shortSide);
+  if (sizes.length === 0) sizes = [even(shortSide)];
+
+  return sizes.map((size) => {
+    const scale = size / shortSide;
+    const w = width <= height ? even(size) : even(width * scale);
+    const h = width <= height ? even(height * scale) : even(size);
+    return {
+      name: `${size}p`,
+      width: w,
+      height: h,
+      level: h264LevelFor(w, h, fps),
+      maxrateKbps: Math.round((w * h * fps * MAXRATE_BITS_PER_PIXEL) / 1000),
+    };
+  });
+}
+
+/**
+ * FFmpeg args that encode every rendition in one pass (decode once, split, scale)
+ * Keyframes are forced on segment boundaries so all renditions switch cleanly
+ * @param {Object} opts
+ * @param {string} opts.inputPath - Published MP4
+ * @param {string} opts.outDir - Directory the playlists and segments are written to
+ * @param {Array} opts.renditions - From planHlsRenditions
+ * @param {number} opts.segmentSec - Target segment length
+ * @param {boolean} opts.hasAudio - Map the source's audio track into each rendition
+ * @param {{crf: number, preset: string}} [opts.encodeSettings] - Defaults to resolveEncodeSettings()
+ * @returns {string[]}
+ */
+export function buildHlsArgs({ inputPath, outDir, renditions, segmentSec, hasAudio, encodeSettings = resolveEncodeSettings() }) {
+  const splitLabels = renditions.map((_, i) => `[s${i}]`).join('');
+  const scales = renditions.map((r, i) => `[s${i}]scale=${r.width}:${r.height}:flags=lanczos,setsar=1[v${i}]`);
+  const args = [
+    '-y', '-hide_banner', '-loglevel', 'error',
+    '-i', inputPath,
+    '-filter_complex', `[0:v]split=${renditions.length}${splitLabels};${scales.join(';')}`,
+  ];
+
+  renditions.forEach((r, i) => {
+    args.push('-map', `[v${i}]`);
+    if (hasAudio) {
+      args.push('-map', '0:a:0', '-c:a', 'aac', '-b:a', `${AUDIO_BITRATE_KBPS}k`, '-ac', '2');
+    }
+    args.push(
+      ...x264Args(encodeSettings),
+      '-level:v', (r.level / 10).toFixed(1),
+      '-maxrate', `${r.maxrateKbps}k`,
+      '-bufsize', `${r.maxrateKbps * 2}k`,
+      '-force_key_frames', `expr:gte(t,n_forced*${segmentSec})`,
+      '-sc_threshold', '0',
+      '-f', 'hls',
+      '-hls_time', String(segmentSec),
+      '-hls_playlist_type', 'vod',
+      '-hls_list_size', '0',
+      '-hls_segment_filename', path.join(outDir, `${r.name}_%03d.ts`),
+      path.join(outDir, `${r.name}.m3u8`)
+    );
+  });
+
+  return args;
+}
+
+/**
+ * Segment URIs and bitrates of a media playlist
+ * @param {string} text - Media playlist
+ * @param {(uri: string) => number} sizeOf - Segment size in bytes
+ * @returns {{segments: string[], durationSec: number, peakBps: number, averageBps: number}}
+ */
+export function measureMediaPlaylist(text, sizeOf) {
+  const segments = [];
+  let durationSec = 0;
+  let totalBytes = 0;
+  let peakBps = 0;
+  let pendingDuration = null;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (line.startsWith('#EXTINF:')) {
+      pendingDuration = parseFloat(line.slice('#EXTINF:'.length));
+    } else if (line && !line.startsWith('#') && pendingDuration !== null) {
+      const bytes = sizeOf(line);
+      segments.push(line);
+      durationSec += pendingDuration;
+      totalBytes += bytes;
+      if (pendingDuration > 0) peakBps = Math.max(peakBps, (bytes * 8) / pendingDuration);
+      pendingDuration = null;
+    }
+  }
+  return {
+    segments,
+    durationSec,
+    peakBps: Math.ceil(peakBps),
+    averageBps: durationSec > 0 ? Math.ceil((totalBytes * 8) / durationSec) : 0,
+  };
+}
+
+/**
+ * Master playlist for measured renditions, lowest bitrate first so weak connections start fast
+ * @param {Array<{uri: string, width: number, height: number, level: number, peakBps: number, averageBps: number}>} variants
+ * @param {Object} opts
+ * @param {number} opts.fps - Frame rate
+ * @param {boolean} opts.hasAudio - Renditions carry AAC audio
+ * @returns {string}
+ */
+export function buildMasterPlaylist(variants, { fps, hasAudio }) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-INDEPENDENT-SEGMENTS'];
+  for (const v of [...variants].sort((a, b) => a.peakBps - b.peakBps)) {
+    const codecs = [`avc1.6400${v.level.toString(16).padStart(2, '0')}`];
+    if (hasAudio) codecs.push('mp4a.40.2');
+    lines.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${v.peakBps},AVERAGE-BANDWIDTH=${v.averageBps},RESOLUTION=${v.width}x${v.height},FRAME-RATE=${fps.toFixed(3)},CODECS="${codecs.join(',')}"`,
+      v.uri
+    );
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Storage keys of a published MP4's ladder
+ * @param {string} videoKey - e.g. videos/published/<jobId>.mp4
+ * @returns {{masterKey: string, renditionPrefix: string}}
+ */
+export function hlsKeysFor(videoKey) {
+  const base = videoKey.replace(/\.[^/.]+$/, '');
+  return { masterKey: `${base}.m3u8`, renditionPrefix: `${base}/` };
+}
+
+function signPlaylistKey(key, expires, secret) {
+  return crypto.createHmac('sha256', secret).update(`HLS\n${key}\n${expires}`).digest('base64url');
+}
+
+/**
+ * Query string for a signed GET of HLS_PLAYLIST_ROUTE
+ * @param {string} key - Playlist storage key
+ * @param {Object} opts
+ * @param {string} opts.secret - HMAC key
+ * @param {number} [opts.expiresIn] - Seconds (default 3600)
+ * @returns {string}
+ */
+export function signPlaylistParams(key, { secret, expiresIn = 3600 }) {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  return new URLSearchParams({ key, expires: String(expires), sig: signPlaylistKey(key, expires, secret) }).toString();
+}
+
+/**
+ * Check a playlist request's key / expires / sig
+ * @returns {string|null} Error code, or null when the signature is valid and unexpired
+ */
+export function verifyPlaylistParams({ key, expires, sig } = {}, secret) {
+  if (typeof key !== 'string' || !key.startsWith('videos/') || !key.endsWith('.m3u8')) return 'INVALID_SIGNATURE';
+  if (!/^\d+$/.test(String(expires || '')) || typeof sig !== 'string') return 'INVALID_SIGNATURE';
+  const expected = Buffer.from(signPlaylistKey(key, expires, secret));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return 'INVALID_SIGNATURE';
+  if (Number(expires) < Math.floor(Date.now() / 1000)) return 'URL_EXPIRED';
+  return null;
+}
+
+/**
+ * Absolute signed URL of a playlist on this server
+ * PUBLIC_BASE_URL wins over the request's own origin (proxies, separate API host)
+ * @param {import('express').Request} req - Request the URL is handed out on
+ * @param {string} key - Playlist storage key
+ * @param {Object} [opts]
+ * @param {number} [opts.expiresIn] - Seconds (default 3600)
+ * @returns {string}
+ */
+export function signedPlaylistUrl(req, key, { expiresIn = 3600 } = {}) {
+  const origin = (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  return `${origin}${HLS_PLAYLIST_ROUTE}?${signPlaylistParams(key, { secret: getSigningSecret(), expiresIn })}`;
+}
+
+/**
+ * Master playlist key for a published video, or null when no ladder was published
+ * @param {Object} storage - Storage driver
+ * @param {string} videoKey - MP4 storage key
+ * @returns {Promise<string|null>}
+ */
+export async function findHlsMaster(storage, videoKey) {
+  const { masterKey } = hlsKeysFor(videoKey);
+  return (await storage.headObject(masterKey)) ? masterKey : null;
+}
+
+// Resolve a playlist URI to a storage key; URIs may only point at or below the playlist's directory
+function resolvePlaylistUri(playlistKey, uri) {
+  const dir = path.posix.dirname(playlistKey);
+  const key = path.posix.normalize(path.posix.join(dir, uri.split(/[?#]/)[0]));
+  if (!key.startsWith(`${dir}/`)) throw playlistError(`Playlist URI escapes ${dir}/: ${uri}`);
+  return key;
+}
+
+/**
+ * Rewrite a stored playlist's URIs for one viewer
+ * Absolute URIs are kept; relative ones are resolved against the playlist's key and handed to
+ * signPlaylist (other .m3u8 files) or signSegment (everything else)
+ * @param {string} text - Stored playlist
+ * @param {string} playlistKey - Its storage key
+ * @param {Object} signers
+ * @param {(key: string) => string|Promise<string>} signers.signPlaylist
+ * @param {(key: string) => string|Promise<string>} signers.signSegment
+ * @returns {Promise<string>}
+ */
+export async function rewritePlaylist(text, playlistKey, { signPlaylist, signSegment }) {
+  const sign = (uri) => {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(uri)) return uri;
+    const key = resolvePlaylistUri(playlistKey, uri);
+    return key.endsWith('.m3u8') ? signPlaylist(key) : signSegment(key);
+  };
+
+  const out = [];
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) {
+      out.push(line);
+    } else if (line.startsWith('#')) {
+      // Tags such as EXT-X-MAP / EXT-X-MEDIA carry their URI as an attribute
+      const match = line.match(/URI="([^"]*)"/);
+      out.push(match ? line.replace(match[0], `URI="${await sign(match[1])}"`) : line);
+    } else {
+      out.push(await sign(line));
+    }
+  }
+  return out.join('\n');
+}
+
+/**
+ * A stored playlist rewritten for one viewer: media playlists become signed links back to
+ * HLS_PLAYLIST_ROUTE (relative, so they resolve against the URL the player already used) and
+ * segments become storage presigned URLs
+ * @param {Object} storage - Storage driver
+ * @param {string} key - Playlist storage key (already signature-checked)
+ * @param {Object} opts
+ * @param {string} opts.secret - HMAC key for the nested playlist links
+ * @param {number} opts.playlistTtlSec - Lifetime of nested playlist links
+ * @param {number} opts.segmentTtlSec - Lifetime of segment URLs
+ * @returns {Promise<string>}
+ */
+export async function buildSignedPlaylist(storage, key, { secret, playlistTtlSec, segmentTtlSec }) {
+  const text = (await storage.getObjectBuffer(key)).toString('utf8');
+  const route = path.posix.basename(HLS_PLAYLIST_ROUTE);
+  return rewritePlaylist(text, key, {
+    signPlaylist: (playlistKey) => `${route}?${signPlaylistParams(playlistKey, { secret, expiresIn: playlistTtlSec })}`,
+    signSegment: (segmentKey) => storage.getDownloadUrl(segmentKey, { expiresIn: segmentTtlSec, contentType: HLS_SEGMENT_CONTENT_TYPE }),
+  });
+}
@@ -5,14 +5,38 @@ import multer from 'multer';
 import { spawn, spawnSync } from 'child_process';
 import { exec as execCb } from 'node:child_process';
 import { promisify } from 'node:util';
-import fs, { readdirSync, statSync, existsSync, createReadStream } from 'fs';
+import fs, { readdirSync, statSync, existsSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
 import OpenAI from 'openai';
-import { S3Client, PutObjectCommand, GetObjectCommand } from '@aws-sdk/client-s3';
-import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { getStorage, getMusicStorage, getSigningSecret, LOCAL_OBJECT_ROUTE } from './storage/index.js';
+import { videoContentTypeFor } from './utils/videoEncode.js';
+import {
+  HLS_PLAYLIST_ROUTE,
+  HLS_PLAYLIST_CONTENT_TYPE,
+  verifyPlaylistParams,
+  buildSignedPlaylist,
+  signedPlaylistUrl,
+  findHlsMaster,
+} from './hls-ladder.js';
+import {
+  THUMBNAILS_ROUTE,
+  THUMBNAILS_CONTENT_TYPE,
+  verifyThumbnailsParams,
+  buildSignedThumbnails,
+  findMediaAssets,
+  signMediaAssetUrls,
+} from './media-assets.js';
 import { getTemplate } from './templates/index.js';
+import { verifyUserPlan } from './auth.js';
+import { getEntitlements, getMonthlyUsage, consumeQuota, usageSubject, isEntitlementError, resolveTrustProxy } from './entitlements.js';
+import { createCheckoutIntent, getCheckoutStatus, handlePaymentWebhook, confirmLocalPayment } from './checkout.js';
+import { memoryIdForVideoKey, memoryIdForPublishedKey, getMemoryPayment } from './payments/records.js';
+import { listMemoryRecords, getMemoryRecord, getMemoryOwner, deleteMemoryRecord, summarizeMemory, photoUploadPrefix } from './memory-library.js';
+import { getJob } from './render-queue.js';
+import { draftJobIdForKey, draftJobIdForObjectKey } from './draft-renders.js';
+import { getJobManifest } from './job-manifest.js';
 // Vision analysis and sequence planning moved to Vercel - Railway backend no longer handles OpenAI
 // import { analyzeAllImages } from './vision-analysis.js';
 // import { createSequencePlan } from './sequence-planning.js';
@@ -46,6 +70,8 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
+// req.ip is the client behind the deploy proxy (anonymous quotas are counted by it)
+app.set('trust proxy', resolveTrustProxy());
 
 // CRITICAL: Lightweight OPTIONS handler MUST be at the top, before any heavy imports
 // This handles CORS preflight requests instantly without loading FFmpeg, Sharp, etc.
@@ -85,18 +111,14 @@ console.log(`[SERVER]   NODE_ENV: ${process.env.NODE_ENV || 'not set'}`);
 const MIN_PHOTOS = 6;
 const MAX_PHOTOS = 24;
 
-// AWS S3 Configuration
-const AWS_REGION = process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'us-east-2';
-const S3_BUCKET = process.env.S3_BUCKET;
-if (!S3_BUCKET) {
-  console.error('[SERVER] FATAL ERROR: S3_BUCKET environment variable is missing!');
-  console.error('[SERVER] Please set S3_BUCKET in your .env file.');
+// Object storage (S3 or local disk, see storage/index.js)
+try {
+  getStorage();
+} catch (err) {
+  console.error('[SERVER] FATAL ERROR: storage is misconfigured:', err.message);
+  console.error('[SERVER] Set S3_BUCKET, or STORAGE_DRIVER=local to keep media on this machine.');
   process.exit(1);
 }
-console.log('[S3] Using bucket:', S3_BUCKET);
-console.log('[S3] Region:', AWS_REGION);
-
-const s3 = new S3Client({ region: AWS_REGION });
 
 /**
  * Health check: Verify CloudFront URL is reachable with retry/backoff
@@ -137,31 +159,17 @@ async function healthCheckCloudFrontUrl(signedUrl, unsignedUrl, maxRetries = 6)
 }
 
 /**
- * Download image from S3 to local file
+ * Download image from storage to local file
  */
-async function downloadImageFromS3(s3Key, localPath) {
+async function downloadImageFromStorage(key, localPath) {
   try {
-    const command = new GetObjectCommand({
-      Bucket: S3_BUCKET,
-      Key: s3Key,
-    });
-    
-    const response = await s3.send(command);
-    
-    // Convert stream to buffer and write to file
-    const chunks = [];
-    for await (const chunk of response.Body) {
-      chunks.push(chunk);
-    }
-    const buffer = Buffer.concat(chunks);
-    
-    // Write buffer to file
+    const buffer = await getStorage().getObjectBuffer(key);
     fs.writeFileSync(localPath, buffer);
     
-    console.log(`[CREATE_MEMORY] Downloaded ${s3Key} (${(buffer.length / 1024 / 1024).toFixed(2)} MB) to ${localPath}`);
+    console.log(`[CREATE_MEMORY] Downloaded ${key} (${(buffer.length / 1024 / 1024).toFixed(2)} MB) to ${localPath}`);
     return buffer.length;
   } catch (error) {
-    console.error(`[CREATE_MEMORY] Failed to download ${s3Key} from S3:`, error.message);
+    console.error(`[CREATE_MEMORY] Failed to download ${key} from storage:`, error.message);
     throw error;
   }
 }
@@ -207,34 +215,25 @@ async function uploadFinalVideoToS3(rawPath, filename, musicTrack = null) {
   console.log("[UPLOAD][SHA256]", sha);
   console.log("[UPLOAD][SIZE_BYTES]", fileBuf.length);
   
-  console.log("[S3] Upload start", { bucket: S3_BUCKET, region: AWS_REGION, key, localPath: webPath });
+  const storage = getStorage();
+  console.log("[S3] Upload start", { storage: storage.name, key, localPath: webPath });
   
   try {
-    await s3.send(
-      new PutObjectCommand({
-        Bucket: S3_BUCKET,
-        Key: key,
-        Body: createReadStream(webPath),
-        ContentType: 'video/mp4',
-        ContentDisposition: 'inline',
-        CacheControl: 'public, max-age=31536000, immutable',
-      })
-    );
+    await storage.putObjectFromFile(key, webPath, {
+      contentType: 'video/mp4',
+      contentDisposition: 'inline',
+      cacheControl: 'public, max-age=31536000, immutable',
+    });
     console.log("[S3] Uploaded WEBSAFE bytes.", { key, localPath: webPath });
     
-    // Generate signed S3 URL (24h TTL) - this is the primary playback URL
-    const signedS3Url = await getSignedUrl(
-      s3,
-      new GetObjectCommand({
-        Bucket: S3_BUCKET,
-        Key: key,
-        ResponseContentType: 'video/mp4',
-        ResponseContentDisposition: 'inline',
-      }),
-      { expiresIn: 60 * 60 * 24 } // 24 hours
-    );
+    // Generate signed URL (24h TTL) - this is the primary playback URL
+    const signedS3Url = await storage.getDownloadUrl(key, {
+      expiresIn: 60 * 60 * 24, // 24 hours
+      contentType: 'video/mp4',
+      contentDisposition: 'inline',
+    });
     
-    const s3Url = `https://${S3_BUCKET}.s3.${AWS_REGION}.amazonaws.com/${key}`;
+    const s3Url = storage.getObjectUrl(key);
     const resourcePath = `/videos/published/${filename}`;
     const cdnUrl = process.env.CLOUDFRONT_DOMAIN 
       ? `https://${process.env.CLOUDFRONT_DOMAIN}${resourcePath}`
@@ -275,6 +274,26 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization'],
 }));
 
+// Local storage driver: presigned upload / playback URLs point here (HMAC-checked, Range-aware GET).
+// Mounted before the body parsers so PUT bodies reach the handler as a raw stream.
+app.all(LOCAL_OBJECT_ROUTE, async (req, res) => {
+  const objectStorage = getStorage();
+  if (objectStorage.name !== 'local') {
+    return res.status(404).json({ error: `Route not found: ${req.method} ${req.path}` });
+  }
+  try {
+    return await objectStorage.handleObjectRequest(req, res);
+  } catch (err) {
+    console.error('[STORAGE] Object request failed:', err);
+    if (!res.headersSent) res.status(500).json({ error: 'STORAGE_ERROR', detail: err.message });
+  }
+});
+console.log(`Registered: GET/PUT ${LOCAL_OBJECT_ROUTE}`);
+
+// Payment provider webhook: the signature covers the exact bytes, so the body must not go through express.json
+app.post('/api/checkout/webhook', express.raw({ type: 'application/json', limit: '1mb' }), handlePaymentWebhook);
+console.log('Registered: POST /api/checkout/webhook');
+
 app.use(express.json({ limit: '300mb' }));
 app.use(express.urlencoded({ extended: true, limit: '300mb' }));
 
@@ -2153,6 +2172,61 @@ app.post('/api/create-memory', async (req, res) => {
   }
 });
 
+// Render job status (create-memory returns a jobId immediately; clients poll this)
+app.get('/api/jobs/:jobId', async (req, res) => {
+  try {
+    const { getRenderJobStatus } = await import('./createMemoryRenderOnly.js');
+    return getRenderJobStatus(req, res);
+  } catch (error) {
+    console.error('[JOBS] Failed to load handler:', error);
+    return res.status(500).json({ error: 'Failed to load job status handler', details: error.message });
+  }
+});
+
+// Cancel a queued or running render job
+app.delete('/api/jobs/:jobId', async (req, res) => {
+  try {
+    const { deleteRenderJob } = await import('./createMemoryRenderOnly.js');
+    return deleteRenderJob(req, res);
+  } catch (error) {
+    console.error('[JOBS] Failed to load handler:', error);
+    return res.status(500).json({ error: 'Failed to load job cancel handler', details: error.message });
+  }
+});
+
+// Re-render a finished draft (quality: 'draft') at full quality
+app.post('/api/jobs/:jobId/promote', async (req, res) => {
+  try {
+    const { promoteRenderJob } = await import('./createMemoryRenderOnly.js');
+    return promoteRenderJob(req, res);
+  } catch (error) {
+    console.error('[JOBS] Failed to load handler:', error);
+    return res.status(500).json({ error: 'Failed to load job promote handler', details: error.message });
+  }
+});
+
+// Clean (unwatermarked) re-render of a finished free-tier job once the memory is paid for
+app.post('/api/jobs/:jobId/unlock', async (req, res) => {
+  try {
+    const { unlockRenderJob } = await import('./createMemoryRenderOnly.js');
+    return unlockRenderJob(req, res);
+  } catch (error) {
+    console.error('[JOBS] Failed to load handler:', error);
+    return res.status(500).json({ error: 'Failed to load job unlock handler', details: error.message });
+  }
+});
+
+// Render job progress stream (SSE: progress / complete / error events)
+app.get('/api/jobs/:jobId/events', async (req, res) => {
+  try {
+    const { streamRenderJobEvents } = await import('./createMemoryRenderOnly.js');
+    return streamRenderJobEvents(req, res);
+  } catch (error) {
+    console.error('[JOBS] Failed to load handler:', error);
+    return res.status(500).json({ error: 'Failed to load job events handler', details: error.message });
+  }
+});
+
 // OLD ENDPOINT (kept for reference, no longer used - route is overridden above):
 // This endpoint code remains but is not reachable since the route is overridden above
 app.post('/api/create-memory-OLD', async (req, res) => {
@@ -2787,7 +2861,6 @@ app.post('/api/create-memory-OLD', async (req, res) => {
     if (videoDuration > 0 && analysisResults && analysisResults.length > 0) {
       try {
         const { selectMusicTrack } = await import('./utils/musicSelector.js');
-        const musicBucket = process.env.MUSIC_BUCKET || S3_BUCKET;
         const musicPrefix = process.env.MUSIC_PREFIX || 'music/';
         
         // Get durations from plan if available
@@ -2801,8 +2874,7 @@ app.post('/api/create-memory-OLD', async (req, res) => {
           analysisResults: analysisResults,
           durations: durations,
           promptText: promptText || '',
-          s3Client: s3,
-          bucket: musicBucket,
+          storage: getMusicStorage(),
           musicPrefix: musicPrefix,
           usedTrackId: null // TODO: Track recently used tracks
         });
@@ -3447,12 +3519,165 @@ app.post('/api/generate-video', async (req, res) => {
   }
 });
 
+/**
+ * Gate a URL to a rendered memory's object: a video file (published or draft), or anything else stored
+ * under its jobId (poster, thumbnails, HLS ladder, manifest)
+ * The memory must belong to the caller: its job's uid while the job is in the job table, then the library's
+ * owner pointer or the job manifest's params (memories rendered signed out have no owner). A video's file URL can be saved, so handing it
+ * out counts as a download, once per video a month. Memories paid for through checkout (verified by the
+ * payment webhook) do not count, for their payer when the payment was made signed in.
+ * Sends 403 NOT_JOB_OWNER or 402 QUOTA_EXHAUSTED and returns false when the URL is refused.
+ */
+async function allowVideoUrl(req, res, key) {
+  const videoMemoryId = memoryIdForVideoKey(key) || draftJobIdForKey(key);
+  const memoryId = videoMemoryId || memoryIdForPublishedKey(key) || draftJobIdForObjectKey(key);
+  if (!memoryId) return true;
+  const caller = await verifyUserPlan(req.headers.authorization);
+  const owner = getJob(memoryId)?.params?.uid
+    || await getMemoryOwner(getStorage(), memoryId)
+    || (await getJobManifest(getStorage(), memoryId))?.params?.uid;
+  if (owner && caller.uid !== owner) {
+    console.warn(`[ENTITLEMENTS] media refused memoryId=${memoryId} uid=${caller.uid || 'none'}: not the owner`);
+    res.status(403).json({ error: 'NOT_JOB_OWNER', detail: `${key} belongs to another account` });
+    return false;
+  }
+  if (!videoMemoryId) return true;
+  const payment = await getMemoryPayment(getStorage(), memoryId);
+  if (payment?.status === 'paid' && (!payment.uid || payment.uid === caller.uid)) {
+    console.log(`[ENTITLEMENTS] download memoryId=${memoryId} paid${payment.paidVia ? ` via=${payment.paidVia}` : ''}`);
+    return true;
+  }
+  try {
+    const usage = await consumeQuota(getStorage(), {
+      plan: caller.plan,
+      subject: usageSubject({ uid: caller.uid, ip: req.ip }),
+      quota: 'downloads',
+      item: key,
+    });
+    console.log(`[ENTITLEMENTS] download plan=${caller.plan} key=${key} downloads=${usage.used}/${usage.allowed ?? 'unlimited'}${usage.repeat ? ' (already counted)' : ''}`);
+    return true;
+  } catch (err) {
+    if (!isEntitlementError(err)) throw err;
+    console.warn(`[ENTITLEMENTS] download refused plan=${caller.plan} uid=${caller.uid || 'none'}: ${err.message}`);
+    // memoryId: the UI offers checkout for this memory (POST /api/checkout/memories/:memoryId)
+    res.status(err.status).json({ error: err.code, detail: err.message, ...err.extra, memoryId });
+    return false;
+  }
+}
+
+const isDownloadRequest = (req) => req.query.download === '1' || req.query.download === 'true';
+const attachmentFor = (key) => `attachment; filename="trace-${path.basename(key)}"`;
+
+// Caller's plan, its limits and this month's usage (the UI shows remaining renders / downloads from here)
+app.get('/api/entitlements', async (req, res) => {
+  try {
+    const caller = await verifyUserPlan(req.headers.authorization);
+    const entitlements = getEntitlements(caller.plan);
+    const usage = await getMonthlyUsage(getStorage(), usageSubject({ uid: caller.uid, ip: req.ip }));
+    const remaining = (allowed, used) => (allowed === null ? null : Math.max(0, allowed - used));
+    return res.json({
+      plan: caller.plan,
+      verified: caller.verified,
+      entitlements,
+      usage,
+      remaining: {
+        renders: remaining(entitlements.monthlyRenders, usage.renders),
+        drafts: remaining(entitlements.monthlyDrafts, usage.drafts),
+        downloads: remaining(entitlements.monthlyDownloads, usage.downloads),
+      },
+    });
+  } catch (err) {
+    console.error('[ENTITLEMENTS] Lookup failed:', err);
+    return res.status(500).json({ error: 'ENTITLEMENTS_FAILED', detail: err?.message || 'Unknown error' });
+  }
+});
+console.log('Registered: GET /api/entitlements');
+
+// Signed-in users' library of finished films (see memory-library.js); anonymous callers get 401
+async function libraryOwner(req, res) {
+  const caller = await verifyUserPlan(req.headers.authorization);
+  if (!caller.uid) {
+    res.status(401).json({ error: 'AUTH_REQUIRED', detail: 'Sign in to see your memories' });
+    return null;
+  }
+  return caller.uid;
+}
+
+app.get('/api/memories', async (req, res) => {
+  try {
+    const uid = await libraryOwner(req, res);
+    if (!uid) return;
+    const records = await listMemoryRecords(getStorage(), uid);
+    const memories = await Promise.all(records.map(async (record) => ({
+      ...summarizeMemory(record),
+      posterUrl: record.posterKey
+        ? await getStorage().getDownloadUrl(record.posterKey, { expiresIn: 3600, contentType: 'image/jpeg' })
+        : null,
+    })));
+    return res.json({ memories });
+  } catch (err) {
+    console.error('[MEMORIES] List failed:', err);
+    return res.status(500).json({ error: 'MEMORIES_FAILED', detail: err?.message || 'Unknown error' });
+  }
+});
+
+app.get('/api/memories/:memoryId', async (req, res) => {
+  try {
+    const uid = await libraryOwner(req, res);
+    if (!uid) return;
+    const memory = await getMemoryRecord(getStorage(), uid, req.params.memoryId);
+    if (!memory) {
+      return res.status(404).json({ error: 'MEMORY_NOT_FOUND', detail: `No memory ${req.params.memoryId} in your library` });
+    }
+    if (!(await allowVideoUrl(req, res, memory.videoKey))) return;
+    return res.json({ memory, ...(await playbackUrlsFor(req, memory.videoKey)) });
+  } catch (err) {
+    console.error('[MEMORIES] Lookup failed:', err);
+    return res.status(500).json({ error: 'MEMORIES_FAILED', detail: err?.message || 'Unknown error' });
+  }
+});
+
+app.delete('/api/memories/:memoryId', async (req, res) => {
+  try {
+    const uid = await libraryOwner(req, res);
+    if (!uid) return;
+    const deleted = await deleteMemoryRecord(getStorage(), uid, req.params.memoryId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'MEMORY_NOT_FOUND', detail: `No memory ${req.params.memoryId} in your library` });
+    }
+    console.log(`[MEMORIES] Deleted memoryId=${req.params.memoryId} uid=${uid} videos=${deleted.videos} photos=${deleted.photos}`);
+    return res.json({ ok: true, memoryId: req.params.memoryId, deleted });
+  } catch (err) {
+    console.error('[MEMORIES] Delete failed:', err);
+    return res.status(500).json({ error: 'MEMORIES_FAILED', detail: err?.message || 'Unknown error' });
+  }
+});
+// Re-render a memory from its job manifest with partial overrides (see job-manifest.js)
+app.post('/api/memories/:memoryId/remix', async (req, res) => {
+  try {
+    const { remixMemory } = await import('./createMemoryRenderOnly.js');
+    return remixMemory(req, res);
+  } catch (error) {
+    console.error('[MEMORIES] Failed to load handler:', error);
+    return res.status(500).json({ error: 'Failed to load memory remix handler', details: error.message });
+  }
+});
+console.log('Registered: GET /api/memories, GET/DELETE /api/memories/:memoryId, POST /api/memories/:memoryId/remix');
+
+// Pay-per-memory checkout (see checkout.js; the webhook is registered before the body parsers)
+app.post('/api/checkout/memories/:memoryId', createCheckoutIntent);
+app.get('/api/checkout/memories/:memoryId', getCheckoutStatus);
+app.post('/api/checkout/local/:intentId/confirm', confirmLocalPayment);
+console.log('Registered: POST/GET /api/checkout/memories/:memoryId, POST /api/checkout/local/:intentId/confirm');
+
 // CloudFront signed URL endpoint (register before 404 handler)
-// CloudFront signed URL endpoint (register before 404 handler)
+// download=1 issues an attachment URL; a rendered video's URL counts against the plan's monthly downloads
+// either way, and anything published under a memory's jobId is signed for its owner only (see allowVideoUrl)
 app.get('/api/media/signed-url', async (req, res) => {
   try {
     const resourcePath = req.query.path;
-    const prefer = (req.query.prefer || '').toString();
+    const download = isDownloadRequest(req);
+    const prefer = download ? 's3' : (req.query.prefer || '').toString();
     const isDev = process.env.NODE_ENV !== 'production';
 
     if (!resourcePath || typeof resourcePath !== 'string') {
@@ -3466,10 +3691,11 @@ app.get('/api/media/signed-url', async (req, res) => {
     }
 
     const s3Key = resourcePath.startsWith('/') ? resourcePath.slice(1) : resourcePath;
+    if (!(await allowVideoUrl(req, res, s3Key))) return;
 
-    // CloudFront only in production
+    // CloudFront only in production (streaming; downloads need the storage URL's Content-Disposition)
     let cdnUrl = null;
-    if (!isDev && process.env.CLOUDFRONT_DOMAIN) {
+    if (!isDev && !download && process.env.CLOUDFRONT_DOMAIN) {
       try {
         const cloudFrontResult = signVideoPath(resourcePath);
         cdnUrl = cloudFrontResult.signedUrl;
@@ -3478,32 +3704,47 @@ app.get('/api/media/signed-url', async (req, res) => {
       }
     }
 
+    // Storage presigned URL (S3, or a signed link to this server with the local driver)
     let s3SignedUrl = null;
     try {
-      s3SignedUrl = await getSignedUrl(
-        s3,
-        new GetObjectCommand({
-          Bucket: S3_BUCKET,
-          Key: s3Key,
-          ResponseContentType: 'video/mp4',
-          ResponseContentDisposition: 'inline',
-        }),
-        { expiresIn: 3600 }
-      );
+      s3SignedUrl = await getStorage().getDownloadUrl(s3Key, {
+        expiresIn: 3600,
+        contentType: videoContentTypeFor(s3Key),
+        contentDisposition: download ? attachmentFor(s3Key) : 'inline',
+      });
     } catch (s3Error) {
-      console.error('[SIGNED_URL] S3 presigned URL generation failed:', s3Error.message);
+      console.error('[SIGNED_URL] Presigned URL generation failed:', s3Error.message);
       return res.status(500).json({
-        error: 'Failed to generate S3 presigned URL',
+        error: 'Failed to generate presigned URL',
         details: s3Error.message,
       });
     }
 
+    // Adaptive streaming playlist when the video was published with an HLS ladder
+    let hlsUrl = null;
+    try {
+      const masterKey = await findHlsMaster(getStorage(), s3Key);
+      hlsUrl = masterKey ? signedPlaylistUrl(req, masterKey, { expiresIn: 3600 }) : null;
+    } catch (hlsError) {
+      console.warn('[SIGNED_URL] HLS lookup failed:', hlsError.message);
+    }
+
+    // Poster / teaser / scrubbing thumbnails when they were generated for the video
+    let assetUrls = { posterUrl: null, thumbnailsUrl: null, previewUrl: null };
+    try {
+      assetUrls = await signMediaAssetUrls(req, getStorage(), await findMediaAssets(getStorage(), s3Key), { expiresIn: 3600 });
+    } catch (assetsError) {
+      console.warn('[SIGNED_URL] Media asset lookup failed:', assetsError.message);
+    }
+
     const preferredUrl = prefer === 's3' ? s3SignedUrl : (cdnUrl || s3SignedUrl);
     const payload = {
       signedUrl: preferredUrl,
       preferred: prefer === 's3' ? 's3' : (cdnUrl ? 'cdn' : 's3'),
       cdnUrl: cdnUrl || null,
       s3SignedUrl: s3SignedUrl || null,
+      hlsUrl,
+      ...assetUrls,
       resourcePath: resourcePath || null,
     };
 
@@ -3542,27 +3783,23 @@ app.post('/api/media/presign-upload', async (req, res) => {
       return res.status(400).json({ error: 'Invalid contentType. Must be an image type.' });
     }
 
-    // Generate unique key: videos/drafts/<timestamp>-<uuid>.<ext>
+    // Generate unique key: videos/drafts/[users/<uid>/]<timestamp>-<uuid>.<ext> (signed-in users get their own prefix)
+    const caller = await verifyUserPlan(req.headers.authorization);
     const timestamp = Date.now();
     const uuid = crypto.randomUUID();
     const ext = path.extname(fileName) || '.jpg';
-    const key = `videos/drafts/${timestamp}-${uuid}${ext}`;
+    const key = `${photoUploadPrefix(caller.uid)}${timestamp}-${uuid}${ext}`;
 
     // Generate presigned PUT URL (expires in 5 minutes)
-    const url = await getSignedUrl(
-      s3,
-      new PutObjectCommand({
-        Bucket: S3_BUCKET,
-        Key: key,
-        ContentType: contentType,
-        // Optional: Add metadata
-        Metadata: {
-          uploadedAt: new Date().toISOString(),
-          originalFileName: fileName,
-        },
-      }),
-      { expiresIn: 300 } // 5 minutes
-    );
+    const url = await getStorage().getUploadUrl(key, {
+      contentType,
+      expiresIn: 300, // 5 minutes
+      // Optional: Add metadata
+      metadata: {
+        uploadedAt: new Date().toISOString(),
+        originalFileName: fileName,
+      },
+    });
 
     console.log(`[PRESIGN_UPLOAD] Generated presigned PUT URL for key: ${key}`);
 
@@ -3579,10 +3816,39 @@ app.post('/api/media/presign-upload', async (req, res) => {
   }
 });
 console.log('Registered: POST /api/media/presign-upload');
-console.log('[ROUTES] Media routes mounted: /api/media/presign-upload, /api/media/signed-url, /api/media/playback-url');
+console.log('[ROUTES] Media routes mounted: /api/media/presign-upload, /api/media/signed-url, /api/media/playback-url, /api/media/hls, /api/media/thumbnails');
 
-// CloudFront signed playback URL (production)
-app.get('/api/media/playback-url', (req, res) => {
+/**
+ * Freshly signed viewer URLs for a published video
+ * fileUrl is CloudFront-signed in production (storage presigned otherwise, and always for downloads);
+ * playbackUrl prefers the HLS ladder when one was published
+ * @param {import('express').Request} req
+ * @param {string} key - Video storage key
+ * @param {{download?: boolean}} [opts] - download: fileUrl is an attachment link
+ */
+async function playbackUrlsFor(req, key, { download = false } = {}) {
+  const { signCloudFrontUrl } = await import('./utils/cloudfrontSign.js');
+  const fileUrl = download
+    ? await getStorage().getDownloadUrl(key, { expiresIn: 3600, contentDisposition: attachmentFor(key) })
+    : signCloudFrontUrl(key) || await getStorage().getDownloadUrl(key, { expiresIn: 3600 });
+  const masterKey = await findHlsMaster(getStorage(), key).catch((hlsErr) => {
+    console.warn('[playback-url] HLS lookup failed:', hlsErr.message);
+    return null;
+  });
+  const hlsUrl = masterKey ? signedPlaylistUrl(req, masterKey, { expiresIn: 3600 }) : null;
+  const assetUrls = await findMediaAssets(getStorage(), key)
+    .then((assets) => signMediaAssetUrls(req, getStorage(), assets, { expiresIn: 3600 }))
+    .catch((assetsErr) => {
+      console.warn('[playback-url] Media asset lookup failed:', assetsErr.message);
+      return { posterUrl: null, thumbnailsUrl: null, previewUrl: null };
+    });
+  return { playbackUrl: hlsUrl || fileUrl, fileUrl, hlsUrl, ...assetUrls };
+}
+
+// CloudFront signed playback URL (production); storage presigned URL without CloudFront
+// download=1 returns an attachment fileUrl; a rendered video's URL counts against the plan's monthly downloads
+// either way (see allowVideoUrl)
+app.get('/api/media/playback-url', async (req, res) => {
   try {
     const { path } = req.query;
 
@@ -3605,15 +3871,63 @@ app.get('/api/media/playback-url', (req, res) => {
     }
 
     const s3Key = path.replace(/^\//, '');
-    const playbackUrl = signCloudFrontUrl(s3Key);
-
-    return res.json({ playbackUrl });
+    const download = isDownloadRequest(req);
+    if (!(await allowVideoUrl(req, res, s3Key))) return;
+    return res.json(await playbackUrlsFor(req, s3Key, { download }));
   } catch (err) {
     console.error('[playback-url] error', err);
     return res.status(500).json({ error: 'Failed to create playback URL' });
   }
 });
 
+// Signed HLS playlists (see hls-ladder.js): the stored playlist is rewritten per request so nested
+// playlists link back here and every segment is a storage presigned URL
+app.get(HLS_PLAYLIST_ROUTE, async (req, res) => {
+  const secret = getSigningSecret();
+  const invalid = verifyPlaylistParams(req.query, secret);
+  if (invalid) {
+    return res.status(403).json({ error: invalid, detail: invalid === 'URL_EXPIRED' ? 'Playlist URL has expired' : 'Signature does not match' });
+  }
+  try {
+    const remainingSec = Number(req.query.expires) - Math.floor(Date.now() / 1000);
+    const body = await buildSignedPlaylist(getStorage(), req.query.key, {
+      secret,
+      playlistTtlSec: remainingSec,
+      segmentTtlSec: 3600,
+    });
+    res.set({ 'Content-Type': HLS_PLAYLIST_CONTENT_TYPE, 'Cache-Control': 'private, no-store' });
+    return res.send(body);
+  } catch (err) {
+    if (err.code === 'NOT_FOUND') {
+      return res.status(404).json({ error: 'NOT_FOUND', detail: `No playlist at ${req.query.key}` });
+    }
+    console.error('[HLS] Playlist request failed:', err);
+    return res.status(err.status || 500).json({ error: err.code || 'PLAYLIST_ERROR', detail: err.message });
+  }
+});
+console.log(`Registered: GET ${HLS_PLAYLIST_ROUTE}`);
+
+// Signed scrubbing-thumbnail tracks (see media-assets.js): the sprite reference is rewritten to a presigned URL
+app.get(THUMBNAILS_ROUTE, async (req, res) => {
+  const invalid = verifyThumbnailsParams(req.query, getSigningSecret());
+  if (invalid) {
+    return res.status(403).json({ error: invalid, detail: invalid === 'URL_EXPIRED' ? 'Thumbnails URL has expired' : 'Signature does not match' });
+  }
+  try {
+    const remainingSec = Number(req.query.expires) - Math.floor(Date.now() / 1000);
+    const body = await buildSignedThumbnails(getStorage(), req.query.key, { spriteTtlSec: Math.max(remainingSec, 3600) });
+    res.set({ 'Content-Type': THUMBNAILS_CONTENT_TYPE, 'Cache-Control': 'private, no-store' });
+    return res.send(body);
+  } catch (err) {
+    if (err.code === 'NOT_FOUND') {
+      return res.status(404).json({ error: 'NOT_FOUND', detail: `No thumbnails track at ${req.query.key}` });
+    }
+    console.error('[ASSETS] Thumbnails request failed:', err);
+    return res.status(err.status || 500).json({ error: err.code || 'THUMBNAILS_ERROR', detail: err.message });
+  }
+});
+console.log(`Registered: GET ${THUMBNAILS_ROUTE}`);
+
 // REMOVED: Duplicate /api/media/signed-url endpoint - using updated version above (line ~3147)
 
 // Playback URL endpoint is now registered in server/index.js
@@ -3648,6 +3962,13 @@ const server = app.listen(PORT, HOST, () => {
     console.warn('[VIDEO] WARNING: FFmpeg not found. Video generation will fail.');
     console.warn('[VIDEO] Please install FFmpeg: winget install Gyan.FFmpeg');
   }
+
+  // Resume or fail render jobs left in TRACE_JOBS_DIR by a crash (loading the render
+  // handler registers it as the queue worker)
+  import('./createMemoryRenderOnly.js')
+    .then(() => import('./render-queue.js'))
+    .then(({ recoverRenderJobs }) => recoverRenderJobs())
+    .catch((err) => console.error('[QUEUE] Job recovery failed:', err.message));
 });
 
 // Port conflict detection and cleanup (Windows) - ESM-safe, non-crashing
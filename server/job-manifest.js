@@ -0,0 +1,200 @@
+/**
+ * Job Manifest
+ * What a finished render was made from, stored next to its video as videos/published/<jobId>.manifest.json
+ * (drafts: videos/drafts/renders/<jobId>.manifest.json, swept with the draft): the photos and order, the
+ * request as sent and its normalized options, the timing plan and per-aspect frame plans that were rendered,
+ * the music used, and the job params it was queued with.
+ *
+ * POST /api/memories/:id/remix re-renders a memory from its manifest with partial overrides
+ * (see remixRequest); the photos are the ones already uploaded under videos/drafts/.
+ * The finished job table only keeps jobs for an hour; promote and unlock rebuild older jobs from their
+ * manifest's params (jobFromManifest), whose uid is the job's owner. An unlocked watermarked job's manifest
+ * also names its clean re-render (unlockedJobId), so a repeat unlock returns it.
+ */
+
+import { DRAFT_PREFIX } from './draft-renders.js';
+
+export const MANIFEST_VERSION = 1;
+
+// Request fields a remix may override (photoKeys are fixed: a remix re-uses the uploaded photos)
+export const REMIX_FIELDS = [
+  'order',
+  'plan',
+  'targetDurationSec',
+  'beatSync',
+  'aspectRatio',
+  'aspectRatios',
+  'fps',
+  'frameRate',
+  'context',
+  'enableMusic',
+  'musicKey',
+  'motionPack',
+  'motion',
+  'autoReframe',
+  'hls',
+  'outputFormat',
+  'quality',
+  'titles',
+  'endCard',
+];
+
+// Fields that say the same thing: overriding one drops the stored value of the others
+const EXCLUSIVE_FIELDS = [
+  ['aspectRatio', 'aspectRatios'],
+  ['fps', 'frameRate'],
+  ['motionPack', 'motion'],
+];
+
+function manifestError(status, code, detail, extra = {}) {
+  const err = new Error(detail);
+  err.status = status;
+  err.code = code;
+  err.error = code;
+  err.extra = extra;
+  return err;
+}
+
+export function manifestKeyFor(jobId, { draft = false } = {}) {
+  return draft ? `${DRAFT_PREFIX}${jobId}.manifest.json` : `videos/published/${jobId}.manifest.json`;
+}
+
+/**
+ * Request fields of a create-memory body (everything but photoKeys), as sent
+ * @param {Object} body - Request body
+ * @returns {Object}
+ */
+export function pickRenderRequest(body = {}) {
+  const request = {};
+  for (const field of REMIX_FIELDS) {
+    if (body[field] !== undefined) request[field] = body[field];
+  }
+  return request;
+}
+
+/**
+ * Manifest for a finished render
+ * @param {Object} opts
+ * @param {string} opts.jobId
+ * @param {string[]} opts.photoKeys
+ * @param {number[]} opts.order - Render order (indices into photoKeys)
+ * @param {Object|null} opts.request - Request as sent (pickRenderRequest), null for jobs queued without one
+ * @param {Object} opts.options - Normalized options the job ran with
+ * @param {Object} opts.renderPlan - Timing plan rendered (durations / transitions, after fitting and beat sync)
+ * @param {Array<{aspectRatio: string, framePlans: Array}>} opts.aspects - Auto-reframe plans per aspect, render order
+ * @param {{enabled: boolean, trackKey: string|null, beatSynced: boolean}} opts.music - Music used
+ * @param {Array<{aspectRatio: string, videoKey: string}>} opts.outputs - Published videos
+ * @param {Object|null} [opts.params] - Job params it was queued with (render-queue); the quota charge is dropped
+ * @param {Date} [opts.now]
+ */
+export function buildJobManifest({ jobId, photoKeys, order, request, options, renderPlan, aspects, music, outputs, params = null, now = new Date() }) {
+  const { quotaCharge, ...jobParams } = params || {};
+  return {
+    version: MANIFEST_VERSION,
+    jobId,
+    createdAt: now.toISOString(),
+    inputs: {
+      photoKeys: [...photoKeys],
+      order: [...order],
+    },
+    request: request || null,
+    options,
+    renderPlan,
+    framePlans: aspects.map(({ aspectRatio, framePlans }) => ({ aspectRatio, framePlans })),
+    music,
+    outputs: outputs.map(({ aspectRatio, videoKey }) => ({ aspectRatio, videoKey })),
+    params: params ? jobParams : null,
+  };
+}
+
+const isDraftManifest = (manifest) => manifest.options?.quality === 'draft';
+
+export async function saveJobManifest(storage, manifest) {
+  await storage.putObject(manifestKeyFor(manifest.jobId, { draft: isDraftManifest(manifest) }), JSON.stringify(manifest, null, 2), {
+    contentType: 'application/json',
+  });
+  return manifest;
+}
+
+/**
+ * A render's manifest, or null for renders from before manifests were written
+ * @param {Object} storage
+ * @param {string} jobId
+ * @param {Object} [opts]
+ * @param {boolean} [opts.draft] - Look next to the draft video instead; with neither set, both are tried
+ */
+export async function getJobManifest(storage, jobId, { draft } = {}) {
+  if (draft === undefined) {
+    return (await getJobManifest(storage, jobId, { draft: false })) || getJobManifest(storage, jobId, { draft: true });
+  }
+  try {
+    return JSON.parse((await storage.getObjectBuffer(manifestKeyFor(jobId, { draft }))).toString('utf8'));
+  } catch (err) {
+    if (err.code === 'NOT_FOUND') return null;
+    throw err;
+  }
+}
+
+/**
+ * Finished job record (the job table's shape) for a render that has left the job table
+ * @param {Object|null} manifest - Output of buildJobManifest
+ * @returns {Object|null} { jobId, status: 'complete', params, result }; null without a manifest,
+ *   or for manifests from before the params were kept
+ */
+export function jobFromManifest(manifest) {
+  if (!manifest?.params) return null;
+  const at = Date.parse(manifest.createdAt);
+  return {
+    jobId: manifest.jobId,
+    status: 'complete',
+    params: manifest.params,
+    result: { videoKey: manifest.outputs[0]?.videoKey, outputs: manifest.outputs },
+    createdAt: at,
+    updatedAt: at,
+  };
+}
+
+/**
+ * Create-memory body for a remix: the manifest's request with the overrides applied
+ * The memory keeps its photos, its order and its song unless overridden; turning music off also drops
+ * beat sync and a 'music' target duration. The result is validated like any new request.
+ * @param {Object} manifest - Output of buildJobManifest
+ * @param {Object} overrides - Partial request (REMIX_FIELDS only)
+ * @returns {Object} Request body, photoKeys included
+ */
+export function remixRequest(manifest, overrides = {}) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw manifestError(400, 'INVALID_REMIX', 'Remix overrides must be an object');
+  }
+  const unknown = Object.keys(overrides).filter((field) => !REMIX_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw manifestError(400, 'INVALID_REMIX', `Cannot override ${unknown.join(', ')}`, {
+      fields: unknown,
+      allowedFields: REMIX_FIELDS,
+    });
+  }
+
+  const base = {
+    ...(manifest.request || {}),
+    order: manifest.inputs.order,
+    musicKey: manifest.music?.trackKey || manifest.request?.musicKey,
+  };
+  // A new plan brings its own order (an explicit order still wins)
+  if (overrides.plan !== undefined && overrides.order === undefined) delete base.order;
+  for (const group of EXCLUSIVE_FIELDS) {
+    if (group.some((field) => overrides[field] !== undefined)) {
+      for (const field of group) delete base[field];
+    }
+  }
+  if (overrides.enableMusic === false) {
+    delete base.musicKey;
+    delete base.beatSync;
+    if (base.targetDurationSec === 'music') delete base.targetDurationSec;
+  }
+
+  const body = { ...base, ...overrides, photoKeys: [...manifest.inputs.photoKeys] };
+  for (const field of Object.keys(body)) {
+    if (body[field] === undefined) delete body[field];
+  }
+  return body;
+}
@@ -0,0 +1,273 @@
+/**
+ * Media Assets
+ * Poster frame, thumbnail sprite + WebVTT track for scrubbing, and a short looping animated teaser,
+ * all cut from the final video and stored next to it
+ *
+ * Storage layout for videos/published/<jobId>.mp4:
+ *   videos/published/<jobId>.poster.jpg    full-size poster frame
+ *   videos/published/<jobId>.sprite.jpg    thumbnail grid
+ *   videos/published/<jobId>.sprite.vtt    WebVTT track pointing into the grid (#xywh=)
+ *   videos/published/<jobId>.preview.webp  looping teaser (.preview.gif when the ffmpeg build lacks libwebp)
+ *
+ * The VTT is served through GET /api/media/thumbnails?key=&expires=&sig=, which rewrites its sprite
+ * reference to a storage presigned URL the same way HLS playlists are signed.
+ */
+
+import path from 'path';
+import crypto from 'crypto';
+import { getSigningSecret } from './storage/index.js';
+
+export const THUMBNAILS_ROUTE = '/api/media/thumbnails';
+export const THUMBNAILS_CONTENT_TYPE = 'text/vtt';
+export const ASSET_CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.vtt': THUMBNAILS_CONTENT_TYPE,
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+};
+
+// At most this many thumbnails in the sprite; longer videos get a wider interval
+const MAX_SPRITE_THUMBS = 100;
+const MIN_SPRITE_INTERVAL_SEC = 2;
+const SPRITE_COLUMNS = 10;
+const SPRITE_THUMB_WIDTH = 160;
+const PREVIEW_LENGTH_SEC = 3;
+const PREVIEW_FPS = 10;
+const PREVIEW_LONG_SIDE = 480;
+
+const even = (n) => Math.max(2, Math.round(n / 2) * 2);
+
+/**
+ * Asset keys for a published video
+ * @param {string} videoKey - Video storage key
+ * @param {Object} [opts]
+ * @param {string} [opts.previewExtension] - '.webp' (default) or '.gif'
+ * @returns {{posterKey: string, spriteKey: string, thumbnailsKey: string, previewKey: string}}
+ */
+export function mediaAssetKeysFor(videoKey, { previewExtension = '.webp' } = {}) {
+  const base = videoKey.replace(/\.[^/.]+$/, '');
+  return {
+    posterKey: `${base}.poster.jpg`,
+    spriteKey: `${base}.sprite.jpg`,
+    thumbnailsKey: `${base}.sprite.vtt`,
+    previewKey: `${base}.preview${previewExtension}`,
+  };
+}
+
+/**
+ * Poster time: the middle of the first shot, past the fade-in and before the first transition
+ * @param {{clips: Array<{start: number, duration: number}>, totalDuration: number}} timeline - Render timeline
+ * @returns {number} Seconds
+ */
+export function posterTimeFor(timeline) {
+  const first = timeline.clips[0];
+  if (!first) return 0;
+  return Math.min(first.start + first.duration / 2, Math.max(0, timeline.totalDuration - 0.1));
+}
+
+/**
+ * Sprite layout for a video
+ * @param {Object} opts
+ * @param {number} opts.durationSec - Video duration
+ * @param {number} opts.width - Video width
+ * @param {number} opts.height - Video height
+ * @returns {{intervalSec: number, count: number, columns: number, rows: number, thumbWidth: number, thumbHeight: number}}
+ */
+export function planThumbnailSprite({ durationSec, width, height }) {
+  const intervalSec = Math.max(MIN_SPRITE_INTERVAL_SEC, Math.ceil(durationSec / MAX_SPRITE_THUMBS));
+  const count = Math.max(1, Math.ceil(durationSec / intervalSec));
+  const columns = Math.min(SPRITE_COLUMNS, count);
+  return {
+    intervalSec,
+    count,
+    columns,
+    rows: Math.ceil(count / columns),
+    thumbWidth: SPRITE_THUMB_WIDTH,
+    thumbHeight: even((SPRITE_THUMB_WIDTH * height) / width),
+  };
+}
+
+/**
+ * Teaser window and size: PREVIEW_LENGTH_SEC from a quarter of the way in, long side PREVIEW_LONG_SIDE
+ * @param {Object} opts
+ * @param {number} opts.durationSec - Video duration
+ * @param {number} opts.width - Video width
+ * @param {number} opts.height - Video height
+ * @returns {{startSec: number, lengthSec: number, fps: number, width: number, height: number}}
+ */
+export function planPreview({ durationSec, width, height }) {
+  const lengthSec = Math.min(PREVIEW_LENGTH_SEC, durationSec);
+  const startSec = Math.max(0, Math.min(durationSec - lengthSec, durationSec * 0.25));
+  const scale = PREVIEW_LONG_SIDE / Math.max(width, height);
+  return { startSec, lengthSec, fps: PREVIEW_FPS, width: even(width * scale), height: even(height * scale) };
+}
+
+function vttTimestamp(sec) {
+  const ms = Math.round(sec * 1000);
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * WebVTT thumbnail track: one cue per sprite tile
+ * @param {ReturnType<typeof planThumbnailSprite>} sprite - Sprite layout
+ * @param {number} durationSec - Video duration (last cue ends here)
+ * @param {string} spriteUri - Sprite URI as written into the track (relative to the track)
+ * @returns {string}
+ */
+export function buildThumbnailsVtt(sprite, durationSec, spriteUri) {
+  const lines = ['WEBVTT', ''];
+  for (let i = 0; i < sprite.count; i++) {
+    const start = i * sprite.intervalSec;
+    const end = Math.min((i + 1) * sprite.intervalSec, durationSec);
+    const x = (i % sprite.columns) * sprite.thumbWidth;
+    const y = Math.floor(i / sprite.columns) * sprite.thumbHeight;
+    lines.push(`${vttTimestamp(start)} --> ${vttTimestamp(end)}`);
+    lines.push(`${spriteUri}#xywh=${x},${y},${sprite.thumbWidth},${sprite.thumbHeight}`);
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * FFmpeg args for the poster JPEG (input seek, one full-size frame)
+ */
+export function buildPosterArgs({ inputPath, atSec, outPath }) {
+  return ['-y', '-hide_banner', '-loglevel', 'error', '-ss', atSec.toFixed(3), '-i', inputPath, '-frames:v', '1', '-q:v', '2', outPath];
+}
+
+/**
+ * FFmpeg args for the sprite grid (one frame per interval, scaled and tiled into a single JPEG)
+ */
+export function buildSpriteArgs({ inputPath, sprite, outPath }) {
+  const filter = `fps=1/${sprite.intervalSec},scale=${sprite.thumbWidth}:${sprite.thumbHeight},tile=${sprite.columns}x${sprite.rows}`;
+  return ['-y', '-hide_banner', '-loglevel', 'error', '-i', inputPath, '-vf', filter, '-frames:v', '1', '-q:v', '4', outPath];
+}
+
+/**
+ * FFmpeg args for the looping teaser
+ * @param {Object} opts
+ * @param {string} opts.inputPath - Final video
+ * @param {ReturnType<typeof planPreview>} opts.preview - Teaser window and size
+ * @param {string} opts.outPath - .webp (libwebp) or .gif (palette pass for clean colors)
+ */
+export function buildPreviewArgs({ inputPath, preview, outPath }) {
+  const head = [
+    '-y', '-hide_banner', '-loglevel', 'error',
+    '-ss', preview.startSec.toFixed(3), '-t', preview.lengthSec.toFixed(3), '-i', inputPath,
+  ];
+  const frames = `fps=${preview.fps},scale=${preview.width}:${preview.height}:flags=lanczos`;
+  if (path.extname(outPath) === '.gif') {
+    return [
+      ...head,
+      '-filter_complex', `[0:v]${frames},split[a][b];[a]palettegen=stats_mode=diff[p];[b][p]paletteuse=dither=bayer`,
+      '-an', '-loop', '0', outPath,
+    ];
+  }
+  return [...head, '-vf', frames, '-an', '-c:v', 'libwebp', '-loop', '0', '-quality', '70', '-compression_level', '4', outPath];
+}
+
+function signThumbnailsKey(key, expires, secret) {
+  return crypto.createHmac('sha256', secret).update(`VTT\n${key}\n${expires}`).digest('base64url');
+}
+
+/**
+ * Query string for a signed GET of THUMBNAILS_ROUTE
+ * @param {string} key - VTT storage key
+ * @param {Object} opts
+ * @param {string} opts.secret - HMAC key
+ * @param {number} [opts.expiresIn] - Seconds (default 3600)
+ * @returns {string}
+ */
+export function signThumbnailsParams(key, { secret, expiresIn = 3600 }) {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  return new URLSearchParams({ key, expires: String(expires), sig: signThumbnailsKey(key, expires, secret) }).toString();
+}
+
+/**
+ * Check a thumbnails request's key / expires / sig
+ * @returns {string|null} Error code, or null when the signature is valid and unexpired
+ */
+export function verifyThumbnailsParams({ key, expires, sig } = {}, secret) {
+  if (typeof key !== 'string' || !key.startsWith('videos/') || !key.endsWith('.vtt')) return 'INVALID_SIGNATURE';
+  if (!/^\d+$/.test(String(expires || '')) || typeof sig !== 'string') return 'INVALID_SIGNATURE';
+  const expected = Buffer.from(signThumbnailsKey(key, expires, secret));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return 'INVALID_SIGNATURE';
+  if (Number(expires) < Math.floor(Date.now() / 1000)) return 'URL_EXPIRED';
+  return null;
+}
+
+/**
+ * A stored thumbnails track with its sprite references replaced by one presigned URL
+ * @param {Object} storage - Storage driver
+ * @param {string} key - VTT storage key (already signature-checked)
+ * @param {Object} opts
+ * @param {number} opts.spriteTtlSec - Lifetime of the sprite URL
+ * @returns {Promise<string>}
+ */
+export async function buildSignedThumbnails(storage, key, { spriteTtlSec }) {
+  const text = (await storage.getObjectBuffer(key)).toString('utf8');
+  const dir = path.posix.dirname(key);
+  const signed = new Map();
+  const out = [];
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^([^#\s][^#]*)#xywh=/);
+    if (!match || line.includes('-->') || /^[a-z][a-z0-9+.-]*:/i.test(match[1])) {
+      out.push(line);
+      continue;
+    }
+    const spriteKey = path.posix.normalize(path.posix.join(dir, match[1]));
+    if (!spriteKey.startsWith(`${dir}/`)) {
+      const err = new Error(`Thumbnail URI escapes ${dir}/: ${match[1]}`);
+      err.code = 'INVALID_THUMBNAILS';
+      err.status = 400;
+      throw err;
+    }
+    if (!signed.has(spriteKey)) {
+      signed.set(spriteKey, await storage.getDownloadUrl(spriteKey, { expiresIn: spriteTtlSec, contentType: 'image/jpeg' }));
+    }
+    out.push(`${signed.get(spriteKey)}${line.slice(match[1].length)}`);
+  }
+  return out.join('\n');
+}
+
+/**
+ * Stored assets for a video (null for each one that was never generated)
+ * @param {Object} storage - Storage driver
+ * @param {string} videoKey - Video storage key
+ * @returns {Promise<{posterKey: string|null, thumbnailsKey: string|null, previewKey: string|null}>}
+ */
+export async function findMediaAssets(storage, videoKey) {
+  const { posterKey, thumbnailsKey, previewKey } = mediaAssetKeysFor(videoKey);
+  const gifKey = mediaAssetKeysFor(videoKey, { previewExtension: '.gif' }).previewKey;
+  const exists = async (key) => ((await storage.headObject(key)) ? key : null);
+  const [poster, thumbnails, webp, gif] = await Promise.all([posterKey, thumbnailsKey, previewKey, gifKey].map(exists));
+  return { posterKey: poster, thumbnailsKey: thumbnails, previewKey: webp || gif };
+}
+
+/**
+ * Viewer URLs for a video's assets: presigned poster / teaser, and the signed thumbnails track on this server
+ * PUBLIC_BASE_URL wins over the request's own origin (proxies, separate API host)
+ * @param {import('express').Request} req - Request the URLs are handed out on
+ * @param {Object} storage - Storage driver
+ * @param {{posterKey?: string|null, thumbnailsKey?: string|null, previewKey?: string|null}} assets - Asset keys
+ * @param {Object} [opts]
+ * @param {number} [opts.expiresIn] - Seconds (default 3600)
+ * @returns {Promise<{posterUrl: string|null, thumbnailsUrl: string|null, previewUrl: string|null}>}
+ */
+export async function signMediaAssetUrls(req, storage, { posterKey, thumbnailsKey, previewKey }, { expiresIn = 3600 } = {}) {
+  const origin = (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  return {
+    posterUrl: posterKey ? await storage.getDownloadUrl(posterKey, { expiresIn, contentType: 'image/jpeg' }) : null,
+    thumbnailsUrl: thumbnailsKey
+      ? `${origin}${THUMBNAILS_ROUTE}?${signThumbnailsParams(thumbnailsKey, { secret: getSigningSecret(), expiresIn })}`
+      : null,
+    previewUrl: previewKey
+      ? await storage.getDownloadUrl(previewKey, { expiresIn, contentType: ASSET_CONTENT_TYPES[path.extname(previewKey)] })
+      : null,
+  };
+}
@@ -0,0 +1,244 @@
+/**
+ * Memory Library
+ * Signed-in users' finished films, one JSON record per memory (the render jobId) under
+ * memories/<uid>/<memoryId>.json in storage, written when the render completes. Anonymous renders
+ * and drafts are not recorded; a promoted draft is recorded under its full-quality jobId.
+ *
+ * Record: { memoryId, uid, createdAt, completedAt, photoKeys, order, settings, music, videoKey, outputs,
+ *           posterKey, durationSec, title, promotedFrom, unlockedFrom, remixedFrom }
+ * A clean re-render (unlockedFrom) replaces its watermarked source in the library; a remix (remixedFrom)
+ * is a memory of its own that shares its source's photos.
+ *
+ * memory-owners/<memoryId>.json points each recorded memory at its owner, so a video's owner can be found from
+ * its key alone (the media routes check it once the render job has left the job table).
+ *
+ * Signed-in users upload photos under videos/drafts/users/<uid>/ (photoUploadPrefix) and may only render
+ * their own uploads (foreignPhotoKeys), so a record never lists another user's photos or shared assets.
+ *
+ * Deleting a memory removes its record and published media (video, extra aspects, HLS ladder, poster /
+ * thumbnails / teaser, job manifest, and the watermarked original of a clean re-render). Its photos go too
+ * when they are the user's own uploads and no other memory of the user still lists them (no one else can
+ * render them); payment records are kept.
+ */
+
+import { uidKeySegment } from './utils/storageKeys.js';
+
+const LIBRARY_PREFIX = 'memories/';
+const OWNERS_PREFIX = 'memory-owners/';
+const UPLOADS_PREFIX = 'videos/drafts/';
+
+function libraryError(status, code, detail, extra = {}) {
+  const err = new Error(detail);
+  err.status = status;
+  err.code = code;
+  err.error = code;
+  err.extra = extra;
+  return err;
+}
+
+function ownerPrefix(uid) {
+  if (!uid) throw libraryError(401, 'AUTH_REQUIRED', 'Sign in to keep a memory library');
+  return `${LIBRARY_PREFIX}${uidKeySegment(uid)}/`;
+}
+
+/**
+ * Where a caller's photo uploads go: videos/drafts/users/<uid>/ when signed in, videos/drafts/ when not
+ * @param {string|null} uid
+ */
+export function photoUploadPrefix(uid) {
+  return uid ? `${UPLOADS_PREFIX}users/${uidKeySegment(uid)}/` : UPLOADS_PREFIX;
+}
+
+/**
+ * Photo keys a caller may not render: anything but an upload directly under their photoUploadPrefix
+ * (signed-out callers get the anonymous uploads only, never a user's photos or rendered drafts)
+ * @param {string|null} uid
+ * @param {string[]} photoKeys
+ * @returns {string[]} The refused keys
+ */
+export function foreignPhotoKeys(uid, photoKeys) {
+  const prefix = photoUploadPrefix(uid);
+  return photoKeys.filter((key) => !key.startsWith(prefix) || !/^[^/]+$/.test(key.slice(prefix.length)));
+}
+
+export function memoryRecordKey(uid, memoryId) {
+  return `${ownerPrefix(uid)}${memoryId}.json`;
+}
+
+export function memoryOwnerKey(memoryId) {
+  return `${OWNERS_PREFIX}${memoryId}.json`;
+}
+
+/**
+ * Library record for a finished render job
+ * @param {Object} opts
+ * @param {string} opts.jobId
+ * @param {string} opts.uid - Owner
+ * @param {Object} opts.params - Job params (as queued by /api/create-memory)
+ * @param {Object} opts.result - Job result (runRenderJob's response data)
+ * @param {number[]} [opts.order] - Photo order rendered (indices into photoKeys)
+ * @param {number|string} [opts.createdAt] - When the job was queued (epoch ms or ISO)
+ * @param {Date} [opts.now]
+ */
+export function buildMemoryRecord({ jobId, uid, params, result, order = null, createdAt = null, now = new Date() }) {
+  return {
+    memoryId: jobId,
+    uid,
+    createdAt: new Date(createdAt || now).toISOString(),
+    completedAt: now.toISOString(),
+    photoKeys: [...params.photoKeys],
+    order: order ? [...order] : params.photoKeys.map((_, i) => i),
+    settings: {
+      aspectRatio: result.aspectRatioUsed,
+      aspectRatios: result.aspectRatiosUsed,
+      fps: result.fpsUsed,
+      outputFormat: result.outputFormat,
+      quality: result.quality,
+      targetDurationSec: params.targetDurationSec ?? null,
+      beatSync: !!params.beatSync,
+      motionPack: result.motionPackUsed,
+      autoReframe: params.autoReframe !== false,
+      hls: !!params.hls,
+      context: params.context || '',
+      plan: params.plan || null,
+      titles: params.titles || null,
+      endCard: params.endCard || null,
+      watermarked: !!result.watermarked,
+    },
+    music: {
+      enabled: params.enableMusic !== false,
+      trackKey: result.musicKeyUsed || null,
+    },
+    videoKey: result.videoKey,
+    outputs: (result.outputs || []).map((output) => ({
+      aspectRatio: output.aspectRatio,
+      videoKey: output.videoKey,
+      hlsKey: output.hlsKey || null,
+      posterKey: output.posterKey || null,
+    })),
+    posterKey: result.posterKey || null,
+    durationSec: result.finalDurationSec ?? null,
+    title: params.titles?.opening?.text || params.context || null,
+    promotedFrom: result.promotedFrom || null,
+    unlockedFrom: result.unlockedFrom || null,
+    remixedFrom: result.remixedFrom || null,
+  };
+}
+
+async function readRecord(storage, key) {
+  try {
+    return JSON.parse((await storage.getObjectBuffer(key)).toString('utf8'));
+  } catch (err) {
+    if (err.code === 'NOT_FOUND') return null;
+    throw err;
+  }
+}
+
+/**
+ * Store a memory record; a clean re-render drops its watermarked source from the library
+ * @param {Object} storage - Storage driver (getStorage())
+ * @param {Object} record - Output of buildMemoryRecord
+ */
+export async function saveMemoryRecord(storage, record) {
+  await storage.putObject(memoryOwnerKey(record.memoryId), JSON.stringify({ memoryId: record.memoryId, uid: record.uid }), {
+    contentType: 'application/json',
+  });
+  await storage.putObject(memoryRecordKey(record.uid, record.memoryId), JSON.stringify(record, null, 2), {
+    contentType: 'application/json',
+  });
+  if (record.unlockedFrom) {
+    await storage.deleteObject(memoryRecordKey(record.uid, record.unlockedFrom));
+  }
+  return record;
+}
+
+/**
+ * Account a memory belongs to, or null for memories rendered signed out (or recorded before owners were)
+ * @param {Object} storage
+ * @param {string} memoryId - Render jobId
+ * @returns {Promise<string|null>}
+ */
+export async function getMemoryOwner(storage, memoryId) {
+  if (typeof memoryId !== 'string' || !/^[a-z0-9]+-[a-z0-9]+$/.test(memoryId)) return null;
+  return (await readRecord(storage, memoryOwnerKey(memoryId)))?.uid || null;
+}
+
+/**
+ * A user's memory, or null when they have none with this id
+ */
+export async function getMemoryRecord(storage, uid, memoryId) {
+  if (typeof memoryId !== 'string' || !/^[a-z0-9]+-[a-z0-9]+$/.test(memoryId)) return null;
+  return readRecord(storage, memoryRecordKey(uid, memoryId));
+}
+
+/**
+ * All of a user's memories, newest first
+ * @param {Object} storage
+ * @param {string} uid
+ * @returns {Promise<Object[]>}
+ */
+export async function listMemoryRecords(storage, uid) {
+  const objects = (await storage.listObjects(ownerPrefix(uid))).filter((obj) => obj.key.endsWith('.json'));
+  const records = await Promise.all(objects.map((obj) => readRecord(storage, obj.key).catch((err) => {
+    console.warn(`[MEMORIES] Unreadable record ${obj.key}: ${err.message}`);
+    return null;
+  })));
+  return records.filter(Boolean).sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+// Published objects of a memory: <id>.<ext>, <id>-<aspect>.<ext>, <id>.m3u8 / <id>/ (HLS), <id>.poster.jpg, ...
+async function publishedKeysFor(storage, memoryId) {
+  const prefix = `videos/published/${memoryId}`;
+  return (await storage.listObjects(prefix))
+    .map((obj) => obj.key)
+    .filter((key) => ['.', '-', '/'].includes(key.charAt(prefix.length)));
+}
+
+/**
+ * Delete a memory with its published media and those of its photos that are the user's own uploads
+ * and are not listed by another of the user's memories
+ * @param {Object} storage
+ * @param {string} uid
+ * @param {string} memoryId
+ * @returns {Promise<{videos: number, photos: number}|null>} Deleted object counts, null when not found
+ */
+export async function deleteMemoryRecord(storage, uid, memoryId) {
+  const record = await getMemoryRecord(storage, uid, memoryId);
+  if (!record) return null;
+
+  const ownPhotos = [...new Set(record.photoKeys || [])].filter((key) => foreignPhotoKeys(uid, [key]).length === 0);
+  const others = ownPhotos.length > 0 ? (await listMemoryRecords(storage, uid)).filter((other) => other.memoryId !== memoryId) : [];
+  const stillUsed = new Set(others.flatMap((other) => other.photoKeys || []));
+  const photoKeys = ownPhotos.filter((key) => !stillUsed.has(key));
+  const mediaKeys = [...new Set([
+    ...(await publishedKeysFor(storage, memoryId)),
+    ...(record.unlockedFrom ? await publishedKeysFor(storage, record.unlockedFrom) : []),
+    ...(record.outputs || []).map((output) => output.videoKey).filter(Boolean),
+  ])];
+
+  // Media first: if this fails halfway the record is still there to retry the delete
+  for (const key of [...mediaKeys, ...photoKeys]) {
+    await storage.deleteObject(key);
+  }
+  await storage.deleteObject(memoryRecordKey(uid, memoryId));
+  await storage.deleteObject(memoryOwnerKey(memoryId));
+  if (record.unlockedFrom) await storage.deleteObject(memoryOwnerKey(record.unlockedFrom));
+  return { videos: mediaKeys.length, photos: photoKeys.length };
+}
+
+/**
+ * Library entry as listed by GET /api/memories (no photo keys or settings)
+ */
+export function summarizeMemory(record) {
+  return {
+    memoryId: record.memoryId,
+    title: record.title,
+    createdAt: record.createdAt,
+    videoKey: record.videoKey,
+    posterKey: record.posterKey,
+    durationSec: record.durationSec,
+    aspectRatio: record.settings?.aspectRatio || null,
+    photoCount: record.photoKeys?.length || 0,
+    watermarked: !!record.settings?.watermarked,
+  };
+}
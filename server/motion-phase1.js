@@ -44,6 +44,28 @@ function clamp(v, min, max) {
   return Math.max(min, Math.min(max, v));
 }
 
+// Below this auto-reframe confidence the anchor is a guess: keep the centered focal point
+const MIN_FOCAL_CONFIDENCE = 0.55;
+// Anchors further than this from center (normalized, either axis) sit near an edge: no pan there
+const EDGE_OFFSET = 0.2;
+// Default focal point: slightly above center feels like "face/subject first"
+const CENTER_FOCAL_X = 0.5;
+const CENTER_FOCAL_Y = 0.45;
+
+/**
+ * Focal point for one image from its auto-reframe frame plan
+ * Uses the saliency anchor (relative to the crop) when confident, else the centered default
+ * @param {Object|null} framePlan - FramePlan from auto-reframe.js (or null)
+ * @returns {{focalX:number, focalY:number, focalSource:'anchor'|'center'}}
+ */
+function resolveFocalPoint(framePlan) {
+  const anchor = framePlan?.anchorInCrop;
+  if (!anchor || !(framePlan.confidence >= MIN_FOCAL_CONFIDENCE) || framePlan.safeModeUsed) {
+    return { focalX: CENTER_FOCAL_X, focalY: CENTER_FOCAL_Y, focalSource: 'center' };
+  }
+  return { focalX: clamp(anchor.x, 0, 1), focalY: clamp(anchor.y, 0, 1), focalSource: 'anchor' };
+}
+
 /**
  * Generate FOCUS_THEN_MOVE motion specs for image segments
  * @param {Object} options
@@ -52,9 +74,10 @@ function clamp(v, min, max) {
  * @param {string} options.aspectRatio - Aspect ratio
  * @param {number} options.fps - Frame rate
  * @param {string} options.seed - Optional seed string for determinism
+ * @param {Array<Object|null>} [options.framePlans] - Auto-reframe frame plans by image index (focal points)
  * @returns {Array} Array of motion specs with FOCUS_THEN_MOVE plan
  */
-export function generatePhase1Motions({ count, pack = 'default', aspectRatio = '16:9', fps = 24, seed = null }) {
+export function generatePhase1Motions({ count, pack = 'default', aspectRatio = '16:9', fps = 24, seed = null, framePlans = [] }) {
   // Generate deterministic seed if not provided
   let seedValue = seed;
   if (!seedValue) {
@@ -82,6 +105,7 @@ export function generatePhase1Motions({ count, pack = 'default', aspectRatio = '
         panOffsetX: 0,
         panOffsetY: 0,
         holdSeconds: 0,
+        focalSource: 'center',
       });
     }
     return motions;
@@ -111,16 +135,27 @@ export function generatePhase1Motions({ count, pack = 'default', aspectRatio = '
       moveType = 'PAN';
     }
 
-    // Focal point: rule-of-thirds center bias (deterministic, no randomization)
-    // fx = 0.5w, fy = 0.45h (slightly above center feels like "face/subject first")
-    const focalX = 0.5;
-    const focalY = 0.45;
+    // Focal point: salient anchor from auto-reframe when confident, else center bias
+    // (fx = 0.5w, fy = 0.45h); push-ins and pull-outs are centered on it
+    const { focalX, focalY, focalSource } = resolveFocalPoint(framePlans?.[i]);
+    const subjectDX = focalX - CENTER_FOCAL_X;
+    const subjectDY = focalY - CENTER_FOCAL_Y;
+
+    // Subject near an edge: a pan either runs into the frame border or drifts off the subject
+    if (moveType === 'PAN' && focalSource === 'anchor' && Math.max(Math.abs(subjectDX), Math.abs(subjectDY)) > EDGE_OFFSET) {
+      moveType = 'PUSH_IN';
+    }
 
     // Pan direction for PAN type (deterministic based on index, no random flips)
     // Use index to create subtle variation without randomness
     const panAngle = (i * 137.5) % 360; // Golden angle for even distribution
-    const panDirX = Math.cos((panAngle * Math.PI) / 180);
-    const panDirY = Math.sin((panAngle * Math.PI) / 180);
+    let panDirX = Math.cos((panAngle * Math.PI) / 180);
+    let panDirY = Math.sin((panAngle * Math.PI) / 180);
+    // Never drift away from an off-center subject
+    if (focalSource === 'anchor' && panDirX * subjectDX + panDirY * subjectDY < 0) {
+      panDirX = -panDirX;
+      panDirY = -panDirY;
+    }
 
     // Compute zoom range based on move type
     let startZoom, endZoom;
@@ -148,6 +183,7 @@ export function generatePhase1Motions({ count, pack = 'default', aspectRatio = '
       panOffsetX, // Normalized pan offset (-1..1), will be scaled to 1-3% in buildZoompanExpr
       panOffsetY,
       holdSeconds, // Absolute time in seconds (0.7s)
+      focalSource,
     });
   }
 
@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+
+/**
+ * Shared helpers for payment drivers
+ *
+ * Webhook signatures use Stripe's scheme for both drivers, so the local stand-in exercises the same
+ * verification path: header `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">`.
+ */
+
+// Events older than this are rejected, so a captured request cannot be replayed later
+export const WEBHOOK_TOLERANCE_SEC = 300;
+
+export function paymentsError(status, code, detail, extra = {}) {
+  const err = new Error(detail);
+  err.status = status;
+  err.code = code;
+  err.error = code;
+  err.extra = extra;
+  return err;
+}
+
+function hmacHex(secret, timestamp, rawBody) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(rawBody).digest('hex');
+}
+
+/**
+ * Signature header for a webhook body
+ * @param {string} secret - Webhook signing secret
+ * @param {string|Buffer} rawBody - Exact bytes that will be delivered
+ * @param {number} [timestamp] - Unix seconds (default now)
+ */
+export function signWebhookPayload(secret, rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${hmacHex(secret, timestamp, rawBody)}`;
+}
+
+/**
+ * Verify a webhook signature header and parse the event
+ * @param {string} secret - Webhook signing secret
+ * @param {string|Buffer} rawBody - Request body exactly as received (not re-serialized JSON)
+ * @param {string} header - Signature header value
+ * @param {Object} [opts]
+ * @param {number} [opts.toleranceSec]
+ * @param {number} [opts.now] - Unix seconds (default now)
+ * @returns {Object} Parsed event
+ * @throws {Error} 400 INVALID_SIGNATURE
+ */
+export function verifyWebhookSignature(secret, rawBody, header, { toleranceSec = WEBHOOK_TOLERANCE_SEC, now = Math.floor(Date.now() / 1000) } = {}) {
+  if (typeof header !== 'string' || !header) {
+    throw paymentsError(400, 'INVALID_SIGNATURE', 'Webhook signature header is missing');
+  }
+  const pairs = header.split(',').map((part) => part.trim().split('='));
+  const timestamp = Number(pairs.find(([name]) => name === 't')?.[1]);
+  const signatures = pairs.filter(([name]) => name === 'v1').map(([, value]) => value || '');
+  if (!Number.isInteger(timestamp) || signatures.length === 0) {
+    throw paymentsError(400, 'INVALID_SIGNATURE', 'Webhook signature header is malformed');
+  }
+  if (Math.abs(now - timestamp) > toleranceSec) {
+    throw paymentsError(400, 'INVALID_SIGNATURE', `Webhook timestamp is outside the ${toleranceSec}s tolerance`);
+  }
+  const expected = Buffer.from(hmacHex(secret, timestamp, rawBody), 'hex');
+  const matches = signatures.some((signature) => {
+    const given = Buffer.from(signature, 'hex');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+  if (!matches) {
+    throw paymentsError(400, 'INVALID_SIGNATURE', 'Webhook signature does not match');
+  }
+  try {
+    return JSON.parse(Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody);
+  } catch {
+    throw paymentsError(400, 'INVALID_PAYLOAD', 'Webhook body is not JSON');
+  }
+}
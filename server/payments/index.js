@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+import { createStripePayments } from './stripe-payments.js';
+import { createLocalPayments } from './local-payments.js';
+
+/**
+ * Payment provider selection
+ *
+ * PAYMENTS_DRIVER=stripe  STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET (signing secret of the webhook endpoint)
+ * PAYMENTS_DRIVER=local   PAYMENTS_WEBHOOK_SECRET (a random per-process key is used when unset); development
+ *                         only: nothing is charged and POST /api/checkout/local/:intentId/confirm settles intents
+ * Without PAYMENTS_DRIVER the Stripe driver is used when STRIPE_SECRET_KEY is set, otherwise the local one.
+ * The local driver is refused when NODE_ENV=production.
+ * CHECKOUT_PRICE_CENTS (default 499) and CHECKOUT_CURRENCY (default usd) price one memory.
+ *
+ * Every driver exposes the same interface:
+ *   name, signatureHeader (request header carrying the webhook signature),
+ *   createPaymentIntent({amount, currency, memoryId, metadata, idempotencyKey}) -> {id, clientSecret, amount, currency, status},
+ *   retrievePaymentIntent(intentId), verifyWebhook(rawBody, signatureHeaderValue) -> event
+ * verifyWebhook throws err.code === 'INVALID_SIGNATURE' (status 400) for forged, altered or stale deliveries.
+ */
+
+let paymentsInstance = null;
+
+function paymentsConfigError(message) {
+  const err = new Error(message);
+  err.code = 'PAYMENTS_MISCONFIGURED';
+  return err;
+}
+
+export function resolvePaymentsDriver(env = process.env) {
+  const driver = String(env.PAYMENTS_DRIVER || '').trim().toLowerCase();
+  if (driver) return driver;
+  return env.STRIPE_SECRET_KEY ? 'stripe' : 'local';
+}
+
+/**
+ * Price of unlocking one memory
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {{amount: number, currency: string}} amount in the currency's smallest unit
+ */
+export function resolveCheckoutPrice(env = process.env) {
+  const amount = parseInt(env.CHECKOUT_PRICE_CENTS || '499', 10);
+  const currency = String(env.CHECKOUT_CURRENCY || 'usd').trim().toLowerCase();
+  if (!Number.isInteger(amount) || amount < 50) {
+    throw paymentsConfigError(`CHECKOUT_PRICE_CENTS must be an integer of at least 50 (got ${env.CHECKOUT_PRICE_CENTS})`);
+  }
+  if (!/^[a-z]{3}$/.test(currency)) {
+    throw paymentsConfigError(`CHECKOUT_CURRENCY must be a three-letter ISO code (got ${env.CHECKOUT_CURRENCY})`);
+  }
+  return { amount, currency };
+}
+
+/**
+ * Build a payment driver from environment variables
+ * @param {Object} [env] - Defaults to process.env
+ */
+export function createPaymentsFromEnv(env = process.env) {
+  const driver = resolvePaymentsDriver(env);
+  if (driver === 'stripe') {
+    if (!env.STRIPE_SECRET_KEY) throw paymentsConfigError('PAYMENTS_DRIVER=stripe requires STRIPE_SECRET_KEY');
+    if (!env.STRIPE_WEBHOOK_SECRET) throw paymentsConfigError('PAYMENTS_DRIVER=stripe requires STRIPE_WEBHOOK_SECRET');
+    return createStripePayments({ secretKey: env.STRIPE_SECRET_KEY, webhookSecret: env.STRIPE_WEBHOOK_SECRET });
+  }
+  if (driver === 'local') {
+    if (env.NODE_ENV === 'production') {
+      throw paymentsConfigError('PAYMENTS_DRIVER=local settles payments without charging; it is disabled in production');
+    }
+    let webhookSecret = env.PAYMENTS_WEBHOOK_SECRET;
+    if (!webhookSecret) {
+      webhookSecret = crypto.randomBytes(32).toString('hex');
+      console.warn('[PAYMENTS] PAYMENTS_WEBHOOK_SECRET not set; local webhook signatures use a per-process key');
+    }
+    return createLocalPayments({ webhookSecret });
+  }
+  throw paymentsConfigError(`Unknown PAYMENTS_DRIVER: ${driver} (expected 'stripe' or 'local')`);
+}
+
+/**
+ * Process-wide payment driver, created on first use
+ * Throws err.code === 'PAYMENTS_MISCONFIGURED' when the environment is incomplete
+ */
+export function getPayments() {
+  if (!paymentsInstance) {
+    paymentsInstance = createPaymentsFromEnv();
+    console.log(`[PAYMENTS] driver=${paymentsInstance.name}`);
+  }
+  return paymentsInstance;
+}
+
+// Tests and embedders can swap in a preconfigured driver
+export function setPayments(payments) {
+  paymentsInstance = payments;
+}
@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+import { paymentsError, signWebhookPayload, verifyWebhookSignature } from './common.js';
+
+/**
+ * Local payment driver (development stand-in for Stripe)
+ * Intents live in memory and nothing is charged. confirmPaymentIntent plays the provider's part:
+ * it builds the payment_intent.* event Stripe would send and signs it with the webhook secret, so the
+ * caller can deliver it to the real webhook handler and the signature check runs as in production.
+ * @param {Object} opts
+ * @param {string} opts.webhookSecret - HMAC key for webhook signatures
+ */
+export function createLocalPayments({ webhookSecret }) {
+  const intents = new Map(); // intentId -> intent (as Stripe would return it)
+
+  const randomId = (prefix) => `${prefix}_local_${crypto.randomBytes(12).toString('hex')}`;
+  const toIntent = (intent) => ({
+    id: intent.id,
+    clientSecret: intent.client_secret,
+    amount: intent.amount,
+    currency: intent.currency,
+    status: intent.status,
+  });
+
+  return {
+    name: 'local',
+    signatureHeader: 'stripe-signature',
+
+    async createPaymentIntent({ amount, currency, memoryId, metadata = {} }) {
+      const id = randomId('pi');
+      const intent = {
+        id,
+        object: 'payment_intent',
+        client_secret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+        amount,
+        amount_received: 0,
+        currency,
+        status: 'requires_payment_method',
+        metadata: { ...metadata, memoryId },
+      };
+      intents.set(id, intent);
+      return toIntent(intent);
+    },
+
+    async retrievePaymentIntent(intentId) {
+      const intent = intents.get(intentId);
+      if (!intent) throw paymentsError(404, 'PAYMENT_INTENT_NOT_FOUND', `No payment intent ${intentId}`);
+      return toIntent(intent);
+    },
+
+    verifyWebhook(rawBody, header) {
+      return verifyWebhookSignature(webhookSecret, rawBody, header);
+    },
+
+    /**
+     * Settle an intent and return the signed webhook delivery for it
+     * @param {string} intentId
+     * @param {{outcome?: 'succeeded'|'failed'}} [opts]
+     * @returns {{rawBody: string, signature: string, event: Object}}
+     */
+    confirmPaymentIntent(intentId, { outcome = 'succeeded' } = {}) {
+      const intent = intents.get(intentId);
+      if (!intent) throw paymentsError(404, 'PAYMENT_INTENT_NOT_FOUND', `No payment intent ${intentId}`);
+      const succeeded = outcome === 'succeeded';
+      intent.status = succeeded ? 'succeeded' : 'requires_payment_method';
+      intent.amount_received = succeeded ? intent.amount : 0;
+      const event = {
+        id: randomId('evt'),
+        object: 'event',
+        type: succeeded ? 'payment_intent.succeeded' : 'payment_intent.payment_failed',
+        created: Math.floor(Date.now() / 1000),
+        data: { object: { ...intent, metadata: { ...intent.metadata } } },
+      };
+      const rawBody = JSON.stringify(event);
+      return { rawBody, signature: signWebhookPayload(webhookSecret, rawBody), event };
+    },
+  };
+}
@@ -0,0 +1,193 @@
+/**
+ * Paid memory records
+ * One JSON record per memory (the render jobId) under payments/memories/<memoryId>.json in storage.
+ * Only verified webhook events mark a memory paid; the browser never writes here.
+ *
+ * Record: { memoryId, status: 'pending' | 'paid' | 'failed', provider, uid, intents: [{id, amount, currency}],
+ *           amount, currency, paidIntentId, eventId, paidVia, createdAt, updatedAt, paidAt }
+ * paidVia is set on clean re-renders (POST /api/jobs/:jobId/unlock): they inherit the source memory's payment.
+ */
+
+const PAYMENTS_PREFIX = 'payments/memories/';
+const MEMORY_ID_PATTERN = /^[a-z0-9]+-[a-z0-9]+$/;
+const recordChains = new Map(); // record key -> Promise, serializes read-modify-write per memory
+
+export function isValidMemoryId(memoryId) {
+  return typeof memoryId === 'string' && memoryId.length <= 64 && MEMORY_ID_PATTERN.test(memoryId);
+}
+
+export function paymentKeyFor(memoryId) {
+  return `${PAYMENTS_PREFIX}${memoryId}.json`;
+}
+
+/**
+ * Memory (jobId) a published video belongs to: videos/published/<jobId>[-<aspect>].<ext> (aspect slugs like 2_39x1)
+ * @returns {string|null}
+ */
+export function memoryIdForVideoKey(key) {
+  const match = typeof key === 'string' ? key.match(/^videos\/published\/([a-z0-9]+-[a-z0-9]+)(?:-[a-z0-9_]+)?\.[a-z0-9]+$/) : null;
+  return match ? match[1] : null;
+}
+
+/**
+ * Memory (jobId) any published object belongs to: its videos, and everything else named after it
+ * (videos/published/<jobId>.poster.jpg, <jobId>.manifest.json, <jobId>/<rendition>.m3u8, ...)
+ * @returns {string|null}
+ */
+export function memoryIdForPublishedKey(key) {
+  const match = typeof key === 'string' ? key.match(/^videos\/published\/([a-z0-9]+-[a-z0-9]+)[-./]/) : null;
+  return match ? match[1] : null;
+}
+
+/**
+ * Payment record of a memory, or null when none was ever started
+ * @param {Object} storage - Storage driver (getStorage())
+ * @param {string} memoryId
+ */
+export async function getMemoryPayment(storage, memoryId) {
+  if (!isValidMemoryId(memoryId)) return null;
+  try {
+    return JSON.parse((await storage.getObjectBuffer(paymentKeyFor(memoryId))).toString('utf8'));
+  } catch (err) {
+    if (err.code === 'NOT_FOUND') return null;
+    throw err;
+  }
+}
+
+export async function isMemoryPaid(storage, memoryId) {
+  return (await getMemoryPayment(storage, memoryId))?.status === 'paid';
+}
+
+function updateRecord(storage, memoryId, update) {
+  const key = paymentKeyFor(memoryId);
+  const previous = recordChains.get(key) || Promise.resolve();
+  const next = previous.then(async () => {
+    const current = await getMemoryPayment(storage, memoryId);
+    const { record, result } = await update(current);
+    if (record) {
+      await storage.putObject(key, JSON.stringify(record, null, 2), { contentType: 'application/json' });
+    }
+    return result;
+  });
+  // The chain itself never rejects; the caller gets the outcome through `next`
+  const tail = next.catch(() => {}).finally(() => {
+    if (recordChains.get(key) === tail) recordChains.delete(key);
+  });
+  recordChains.set(key, tail);
+  return next;
+}
+
+/**
+ * Remember a payment intent created for a memory (a memory can collect several, e.g. a reopened checkout)
+ * @param {Object} storage
+ * @param {Object} opts
+ * @param {string} opts.memoryId
+ * @param {string} opts.provider - Payment driver name
+ * @param {{id: string, amount: number, currency: string}} opts.intent
+ * @param {string|null} [opts.uid] - Signed-in payer
+ * @param {Date} [opts.now]
+ * @returns {Promise<Object>} Updated record
+ */
+export function recordPaymentIntent(storage, { memoryId, provider, intent, uid = null, now = new Date() }) {
+  return updateRecord(storage, memoryId, (current) => {
+    const at = now.toISOString();
+    if (current?.status === 'paid') return { record: null, result: current };
+    const intents = (current?.intents || []).filter((known) => known.id !== intent.id);
+    const record = {
+      memoryId,
+      status: 'pending',
+      provider,
+      uid: current?.uid || uid,
+      intents: [...intents, { id: intent.id, amount: intent.amount, currency: intent.currency }],
+      amount: intent.amount,
+      currency: intent.currency,
+      paidIntentId: null,
+      eventId: null,
+      paidVia: null,
+      createdAt: current?.createdAt || at,
+      updatedAt: at,
+      paidAt: null,
+    };
+    return { record, result: record };
+  });
+}
+
+/**
+ * Apply a verified payment_intent.succeeded / payment_intent.payment_failed event
+ * Redelivered events are harmless: a paid memory stays paid and is not rewritten.
+ * @param {Object} storage
+ * @param {Object} event - Output of the driver's verifyWebhook
+ * @param {Object} [opts]
+ * @param {Date} [opts.now]
+ * @returns {Promise<{handled: boolean, memoryId: string|null, status?: string, reason?: string}>}
+ *   handled false means the event does not concern a known memory intent (reason says why)
+ */
+export async function applyPaymentEvent(storage, event, { now = new Date() } = {}) {
+  const type = event?.type;
+  if (type !== 'payment_intent.succeeded' && type !== 'payment_intent.payment_failed') {
+    return { handled: false, memoryId: null, reason: 'ignored_event_type' };
+  }
+  const intent = event.data?.object || {};
+  const memoryId = intent.metadata?.memoryId;
+  if (!isValidMemoryId(memoryId)) {
+    return { handled: false, memoryId: null, reason: 'no_memory' };
+  }
+
+  return updateRecord(storage, memoryId, (current) => {
+    const known = current?.intents?.find((candidate) => candidate.id === intent.id);
+    if (!known) {
+      return { record: null, result: { handled: false, memoryId, reason: 'unknown_intent' } };
+    }
+    if (current.status === 'paid') {
+      return { record: null, result: { handled: true, memoryId, status: 'paid', reason: 'already_paid' } };
+    }
+    const at = now.toISOString();
+    if (type === 'payment_intent.payment_failed') {
+      const record = { ...current, status: 'failed', eventId: event.id || null, updatedAt: at };
+      return { record, result: { handled: true, memoryId, status: 'failed' } };
+    }
+    if (intent.currency !== known.currency || !(Number(intent.amount_received) >= known.amount)) {
+      return { record: null, result: { handled: false, memoryId, reason: 'amount_mismatch' } };
+    }
+    const record = {
+      ...current,
+      status: 'paid',
+      amount: known.amount,
+      currency: known.currency,
+      paidIntentId: intent.id,
+      eventId: event.id || null,
+      updatedAt: at,
+      paidAt: at,
+    };
+    return { record, result: { handled: true, memoryId, status: 'paid' } };
+  });
+}
+
+/**
+ * Mark a re-render of a paid memory as paid through its source
+ * @param {Object} storage
+ * @param {string} memoryId - New jobId (e.g. the clean re-render)
+ * @param {Object} source - Paid record it inherits from
+ * @param {Date} [now]
+ */
+export function linkPaidMemory(storage, memoryId, source, now = new Date()) {
+  return updateRecord(storage, memoryId, () => {
+    const at = now.toISOString();
+    const record = {
+      memoryId,
+      status: 'paid',
+      provider: source.provider,
+      uid: source.uid,
+      intents: [],
+      amount: source.amount,
+      currency: source.currency,
+      paidIntentId: source.paidIntentId,
+      eventId: source.eventId,
+      paidVia: source.paidVia || source.memoryId,
+      createdAt: at,
+      updatedAt: at,
+      paidAt: source.paidAt,
+    };
+    return { record, result: record };
+  });
+}
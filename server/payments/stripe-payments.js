@@ -0,0 +1,64 @@
+import { paymentsError, verifyWebhookSignature } from './common.js';
+
+/**
+ * Stripe payment driver
+ * Payment intents are created through the Stripe REST API; Stripe confirms them in the browser
+ * (Stripe.js) and reports the outcome to the webhook, signed with the endpoint's secret.
+ * @param {Object} opts
+ * @param {string} opts.secretKey - Stripe secret key (sk_...)
+ * @param {string} opts.webhookSecret - Signing secret of the webhook endpoint (whsec_...)
+ * @param {string} [opts.apiBase] - Stripe API origin
+ * @param {Function} [opts.fetchImpl] - fetch implementation
+ */
+export function createStripePayments({ secretKey, webhookSecret, apiBase = 'https://api.stripe.com', fetchImpl = fetch }) {
+  async function stripeRequest(method, endpoint, form, { idempotencyKey } = {}) {
+    const headers = { Authorization: `Bearer ${secretKey}` };
+    if (form) headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+    const resp = await fetchImpl(`${apiBase}/v1/${endpoint}`, {
+      method,
+      headers,
+      body: form ? new URLSearchParams(form).toString() : undefined,
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      const detail = data?.error?.message || `Stripe ${method} /v1/${endpoint} failed (${resp.status})`;
+      throw paymentsError(502, 'PAYMENT_PROVIDER_ERROR', detail, { providerStatus: resp.status });
+    }
+    return data;
+  }
+
+  const toIntent = (data) => ({
+    id: data.id,
+    clientSecret: data.client_secret,
+    amount: data.amount,
+    currency: data.currency,
+    status: data.status,
+  });
+
+  return {
+    name: 'stripe',
+    signatureHeader: 'stripe-signature',
+
+    async createPaymentIntent({ amount, currency, memoryId, metadata = {}, idempotencyKey }) {
+      const form = {
+        amount: String(amount),
+        currency,
+        'automatic_payment_methods[enabled]': 'true',
+        'metadata[memoryId]': memoryId,
+      };
+      for (const [name, value] of Object.entries(metadata)) {
+        if (value !== null && value !== undefined) form[`metadata[${name}]`] = String(value);
+      }
+      return toIntent(await stripeRequest('POST', 'payment_intents', form, { idempotencyKey }));
+    },
+
+    async retrievePaymentIntent(intentId) {
+      return toIntent(await stripeRequest('GET', `payment_intents/${encodeURIComponent(intentId)}`));
+    },
+
+    verifyWebhook(rawBody, header) {
+      return verifyWebhookSignature(webhookSecret, rawBody, header);
+    },
+  };
+}
@@ -0,0 +1,133 @@
+/**
+ * Auto-reframe worker pool
+ * Runs reframeFileForAspects (saliency, face detection, crop + re-encode) on worker threads so CPU-heavy
+ * reframing of one photo overlaps downloads of the next and never blocks the HTTP event loop.
+ *
+ * REFRAME_WORKERS  worker threads (default: available cores, max 4); 0 runs reframing inline
+ * Workers start on first use and exit after REFRAME_IDLE_MS (default 60s) without work.
+ */
+
+import { Worker } from 'worker_threads';
+import os from 'os';
+import { reframeFileForAspects } from './auto-reframe.js';
+
+const WORKER_URL = new URL('./reframe-worker.js', import.meta.url);
+const IDLE_MS = Number(process.env.REFRAME_IDLE_MS) || 60_000;
+
+function resolveWorkerCount() {
+  const raw = process.env.REFRAME_WORKERS;
+  if (raw !== undefined && raw !== '' && Number.isFinite(Number(raw))) {
+    return Math.max(0, Math.floor(Number(raw)));
+  }
+  return Math.min(4, os.availableParallelism ? os.availableParallelism() : os.cpus().length);
+}
+
+export const REFRAME_WORKERS = resolveWorkerCount();
+
+const workers = new Set(); // { worker, task }
+const pending = []; // tasks waiting for a free worker
+let nextTaskId = 1;
+let idleTimer = null;
+
+function spawnWorker() {
+  const slot = { worker: new Worker(WORKER_URL), task: null };
+  slot.worker.unref();
+  slot.worker.on('message', ({ id, plans, error }) => {
+    const task = slot.task;
+    if (!task || task.id !== id) return;
+    slot.task = null;
+    if (error) {
+      const err = new Error(error.message);
+      err.code = error.code;
+      task.reject(err);
+    } else {
+      task.resolve(plans);
+    }
+    dispatch();
+  });
+  // A crashed worker fails only its own task; the next dispatch replaces it
+  const onExit = (err) => {
+    if (!workers.delete(slot)) return;
+    if (slot.task) {
+      slot.task.reject(err instanceof Error ? err : new Error(`Reframe worker exited with code ${err}`));
+      slot.task = null;
+    }
+    dispatch();
+  };
+  slot.worker.on('error', onExit);
+  slot.worker.on('exit', onExit);
+  workers.add(slot);
+  return slot;
+}
+
+function dispatch() {
+  while (pending.length > 0) {
+    let slot = [...workers].find((s) => !s.task);
+    if (!slot && workers.size < REFRAME_WORKERS) slot = spawnWorker();
+    if (!slot) break;
+    slot.task = pending.shift();
+    const { id, inputPath, targets, opts } = slot.task;
+    slot.worker.postMessage({ id, inputPath, targets, opts });
+  }
+  scheduleIdleShutdown();
+}
+
+// Free the workers' memory (TensorFlow.js model, sharp caches) once reframing has gone quiet
+function scheduleIdleShutdown() {
+  if (idleTimer) clearTimeout(idleTimer);
+  idleTimer = null;
+  if (pending.length > 0 || [...workers].some((s) => s.task)) return;
+  idleTimer = setTimeout(() => {
+    closeReframePool().catch(() => {});
+  }, IDLE_MS);
+  idleTimer.unref();
+}
+
+/**
+ * Reframe one image file on the pool (inline when REFRAME_WORKERS=0)
+ * @param {Object} task
+ * @param {string} task.inputPath - Downloaded source image
+ * @param {string} task.outputPath - Where the reframed image is written
+ * @param {number} task.targetAspect - Target aspect ratio (width/height)
+ * @param {Object} [task.opts] - createFramePlan options (must be structured-cloneable)
+ * @returns {Promise<import('./auto-reframe.js').FramePlan>}
+ */
+export async function reframeImage({ inputPath, outputPath, targetAspect, opts = {} }) {
+  const [plan] = await reframeImageForAspects({ inputPath, targets: [{ outputPath, targetAspect }], opts });
+  return plan;
+}
+
+/**
+ * Reframe one image file for several aspects in a single task (one read, one plan per aspect)
+ * @param {Object} task
+ * @param {string} task.inputPath - Downloaded source image
+ * @param {Array<{outputPath: string, targetAspect: number}>} task.targets - One output per aspect
+ * @param {Object} [task.opts] - createFramePlan options (must be structured-cloneable)
+ * @returns {Promise<Array<import('./auto-reframe.js').FramePlan>>} Plans in the order of targets
+ */
+export function reframeImageForAspects({ inputPath, targets, opts = {} }) {
+  if (REFRAME_WORKERS === 0) {
+    return reframeFileForAspects(inputPath, targets, opts);
+  }
+  return new Promise((resolve, reject) => {
+    pending.push({ id: nextTaskId++, inputPath, targets, opts, resolve, reject });
+    dispatch();
+  });
+}
+
+/**
+ * Terminate all workers; queued and running tasks are rejected
+ */
+export async function closeReframePool() {
+  if (idleTimer) clearTimeout(idleTimer);
+  idleTimer = null;
+  const closedErr = new Error('Reframe pool closed');
+  for (const task of pending.splice(0)) task.reject(closedErr);
+  const slots = [...workers];
+  workers.clear();
+  for (const slot of slots) {
+    if (slot.task) slot.task.reject(closedErr);
+    slot.task = null;
+  }
+  await Promise.all(slots.map((slot) => slot.worker.terminate()));
+}
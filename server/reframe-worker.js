@@ -0,0 +1,16 @@
+/**
+ * Auto-reframe worker thread (spawned by reframe-pool.js)
+ * Receives { id, inputPath, targets, opts } and replies { id, plans } or { id, error }
+ */
+
+import { parentPort } from 'worker_threads';
+import { reframeFileForAspects } from './auto-reframe.js';
+
+parentPort.on('message', async ({ id, inputPath, targets, opts }) => {
+  try {
+    const plans = await reframeFileForAspects(inputPath, targets, opts);
+    parentPort.postMessage({ id, plans });
+  } catch (err) {
+    parentPort.postMessage({ id, error: { message: err.message, code: err.code } });
+  }
+});
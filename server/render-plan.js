@@ -0,0 +1,364 @@
+/**
+ * Render Plan
+ * Turns planner output (durations, transitions, chapterCuts) into a frame-exact render
+ * timeline and the xfade/concat filter chain that renderSlideshow appends to its clips
+ *
+ * Timing model (all values snapped to whole frames):
+ *   - durations[i] is the start-to-start time of shot i, so the video is Σ durations long
+ *     plus any breath-hold pauses
+ *   - a dissolve between shot i and i+1 starts when shot i+1 starts and overlaps the
+ *     first `duration` seconds of it, so shot i's clip is durations[i] + dissolve long
+ *   - a hard cut has no overlap; a breath hold freezes shot i for holdSeconds, then cuts
+ */
+
+// Plan transition names (see validatePlan / getTransitionPreset in index.parent.js) mapped to
+// render behaviour. Frame counts follow getTransitionPreset; seconds are used for the
+// longer planner-era dissolves.
+export const PLAN_TRANSITIONS = {
+  crossfade: { type: 'xfade', xfadeType: 'fade', seconds: 0.4 },
+  dissolve: { type: 'xfade', xfadeType: 'fade', seconds: 0.8 },
+  fade_black: { type: 'xfade', xfadeType: 'fadeblack', seconds: 0.8 },
+  match_dissolve: { type: 'xfade', xfadeType: 'fade', frames: 6 },
+  push_through: { type: 'xfade', xfadeType: 'fade', frames: 6 },
+  dip_to_black_micro: { type: 'xfade', xfadeType: 'fadeblack', frames: 8 },
+  breath_hold: { type: 'hold_cut', holdFrames: 10 },
+  hard_cut: { type: 'cut' },
+};
+
+const MIN_SHOT_SECONDS = 0.5;
+const MAX_SHOT_SECONDS = 12;
+// Uniform (no client plan) holds stay at least 1s so every crossfade has room
+const MIN_UNIFORM_HOLD_SECONDS = 1.0;
+
+// Bounds for a client-requested targetDurationSec
+export const MIN_TARGET_DURATION_SEC = 6;
+export const MAX_TARGET_DURATION_SEC = 180;
+// A dissolve may cover at most this share of either neighbouring shot
+const MAX_TRANSITION_SHARE = 0.5;
+
+const CHAPTER_KEYS = ['arrivalEnd', 'recognitionEnd', 'intimacyEnd', 'pauseEnd'];
+
+function planError(detail, extra = {}) {
+  const err = new Error(detail);
+  err.status = 400;
+  err.code = 'INVALID_PLAN';
+  err.error = 'INVALID_PLAN';
+  err.extra = extra;
+  return err;
+}
+
+/**
+ * Range of targetDurationSec a uniform render of imageCount shots can hit
+ * @param {number} imageCount - Number of shots
+ * @returns {{minSec: number, maxSec: number}}
+ */
+export function getTargetDurationRange(imageCount) {
+  const xf = PLAN_TRANSITIONS.crossfade.seconds;
+  return {
+    minSec: Math.max(MIN_TARGET_DURATION_SEC, imageCount * MIN_UNIFORM_HOLD_SECONDS + xf),
+    maxSec: Math.min(MAX_TARGET_DURATION_SEC, imageCount * MAX_SHOT_SECONDS + xf),
+  };
+}
+
+/**
+ * Build the uniform plan: equal holds with a 0.4s crossfade between every shot
+ * (total = N * hold + xfade). Without a target the length is clamp(12, 30, N * 1.7).
+ * @param {number} imageCount - Number of shots
+ * @param {Object} [options]
+ * @param {number|null} [options.targetDurationSec] - Requested total length in seconds
+ * @returns {{durations: number[], transitions: string[], chapterCuts: null}}
+ */
+export function createDefaultRenderPlan(imageCount, { targetDurationSec = null } = {}) {
+  const xf = PLAN_TRANSITIONS.crossfade.seconds;
+  const targetDuration = targetDurationSec ?? Math.max(12, Math.min(30, imageCount * 1.7));
+  const hold = Math.min(MAX_SHOT_SECONDS, Math.max(MIN_UNIFORM_HOLD_SECONDS, (targetDuration - xf) / imageCount));
+
+  const durations = Array.from({ length: imageCount }, () => hold);
+  // Last shot keeps the trailing xfade room the uniform renderer always had
+  durations[imageCount - 1] = hold + xf;
+  return {
+    durations,
+    transitions: Array.from({ length: Math.max(0, imageCount - 1) }, () => 'crossfade'),
+    chapterCuts: null,
+  };
+}
+
+/**
+ * Check a client-supplied plan against the rendered image count without rescaling
+ * durations or reordering anything
+ * @param {Object} plan - { durations, transitions, chapterCuts? }
+ * @param {number} imageCount - Number of rendered images (plan arrays follow the render order)
+ * @returns {{durations: number[], transitions: string[], chapterCuts: Object|null, warnings: string[]}}
+ * @throws {Error} code INVALID_PLAN when the plan cannot be rendered as given
+ */
+export function sanitizeRenderPlan(plan, imageCount) {
+  if (!plan || typeof plan !== 'object') {
+    throw planError('plan must be an object with durations and transitions');
+  }
+  const warnings = [];
+
+  if (!Array.isArray(plan.durations) || plan.durations.length !== imageCount) {
+    throw planError(`plan.durations must have one entry per image (expected ${imageCount}, got ${Array.isArray(plan.durations) ? plan.durations.length : 0})`, {
+      field: 'durations',
+    });
+  }
+  const durations = plan.durations.map((d, i) => {
+    const value = Number(d);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw planError(`plan.durations[${i}] must be a positive number of seconds`, { field: 'durations', index: i });
+    }
+    const clamped = Math.max(MIN_SHOT_SECONDS, Math.min(MAX_SHOT_SECONDS, value));
+    if (clamped !== value) warnings.push(`durations[${i}] clamped ${value} -> ${clamped}`);
+    return clamped;
+  });
+
+  const transitionCount = Math.max(0, imageCount - 1);
+  let transitions = plan.transitions;
+  if (transitions === undefined || transitions === null) {
+    transitions = Array.from({ length: transitionCount }, () => 'hard_cut');
+  }
+  if (!Array.isArray(transitions) || transitions.length !== transitionCount) {
+    throw planError(`plan.transitions must have one entry per cut (expected ${transitionCount}, got ${Array.isArray(transitions) ? transitions.length : 0})`, {
+      field: 'transitions',
+    });
+  }
+  transitions = transitions.map((t, i) => {
+    if (PLAN_TRANSITIONS[t]) return t;
+    warnings.push(`transitions[${i}] unknown "${t}" -> hard_cut`);
+    return 'hard_cut';
+  });
+
+  let chapterCuts = null;
+  if (plan.chapterCuts && typeof plan.chapterCuts === 'object') {
+    chapterCuts = {};
+    for (const key of CHAPTER_KEYS) {
+      const idx = Number(plan.chapterCuts[key]);
+      if (Number.isInteger(idx) && idx >= 1 && idx <= imageCount - 1) {
+        chapterCuts[key] = idx;
+      }
+    }
+  }
+
+  return { durations, transitions, chapterCuts, warnings };
+}
+
+/**
+ * Scale a sanitized plan's durations so the rendered timeline lasts targetDurationSec
+ * Breath holds keep their fixed length; relative shot lengths and transitions are unchanged.
+ * @param {Object} plan - Output of sanitizeRenderPlan
+ * @param {number} targetDurationSec - Requested total length in seconds
+ * @param {number} fps - Output frame rate
+ * @returns {Object} Plan with rescaled durations
+ */
+export function fitPlanToDuration(plan, targetDurationSec, fps) {
+  const current = buildRenderTimeline(plan, fps);
+  const holdSeconds = current.transitions.reduce((sum, t) => sum + t.holdSeconds, 0);
+  const shotSeconds = plan.durations.reduce((sum, d) => sum + d, 0);
+  const scale = Math.max(0, targetDurationSec - holdSeconds) / shotSeconds;
+  return {
+    ...plan,
+    durations: plan.durations.map((d) => Math.max(MIN_SHOT_SECONDS, Math.min(MAX_SHOT_SECONDS, d * scale))),
+  };
+}
+
+/**
+ * Move every cut / xfade offset onto the nearest beat of the music track
+ * Shots keep at least MIN_SHOT_SECONDS; the last shot absorbs the difference so the total
+ * length stays as planned. Cuts past the last known beat keep their planned spacing.
+ * @param {Object} plan - Sanitized or default plan
+ * @param {number[]} beatTimes - Ascending beat times in seconds (track time = video time)
+ * @param {number} fps - Output frame rate
+ * @returns {{plan: Object, snappedCuts: number, maxShiftSec: number}}
+ */
+export function snapPlanToBeats(plan, beatTimes, fps) {
+  const timeline = buildRenderTimeline(plan, fps);
+  const N = plan.durations.length;
+  if (N < 2 || !Array.isArray(beatTimes) || beatTimes.length === 0) {
+    return { plan, snappedCuts: 0, maxShiftSec: 0 };
+  }
+
+  // A cut only snaps to a beat within one beat interval, so cuts past the end of the grid stay put
+  const beatInterval = (beatTimes[beatTimes.length - 1] - beatTimes[0]) / Math.max(1, beatTimes.length - 1) || Infinity;
+  const cuts = [0];
+  let snappedCuts = 0;
+  let maxShiftSec = 0;
+  let drift = 0; // How far the previous snapped cut moved; unsnapped cuts shift with it
+  for (let i = 1; i < N; i++) {
+    const planned = timeline.clips[i].start;
+    const earliest = cuts[i - 1] + MIN_SHOT_SECONDS + timeline.transitions[i - 1].holdSeconds;
+    let best = null;
+    for (const beat of beatTimes) {
+      if (beat < earliest) continue;
+      if (best === null || Math.abs(beat - planned) < Math.abs(best - planned)) best = beat;
+      if (beat > planned) break;
+    }
+    if (best !== null && Math.abs(best - planned) <= beatInterval) {
+      cuts.push(best);
+      drift = best - planned;
+      maxShiftSec = Math.max(maxShiftSec, Math.abs(drift));
+      snappedCuts++;
+    } else {
+      cuts.push(Math.max(earliest, planned + drift));
+    }
+  }
+
+  const durations = [];
+  for (let i = 0; i < N - 1; i++) {
+    durations.push(Math.min(MAX_SHOT_SECONDS, cuts[i + 1] - cuts[i] - timeline.transitions[i].holdSeconds));
+  }
+  durations.push(Math.max(MIN_SHOT_SECONDS, timeline.totalDuration - cuts[N - 1]));
+
+  return {
+    plan: { ...plan, durations },
+    snappedCuts,
+    maxShiftSec: parseFloat(maxShiftSec.toFixed(3)),
+  };
+}
+
+/**
+ * Resolve a sanitized plan into a frame-exact timeline
+ * @param {Object} plan - Output of sanitizeRenderPlan or createDefaultRenderPlan
+ * @param {number} fps - Output frame rate
+ * @returns {{clips: Array, transitions: Array, totalFrames: number, totalDuration: number, fps: number}}
+ *   clips[i] = { index, start, frames, duration } (start/duration in seconds, clip length incl. overlap)
+ *   transitions[i] = { index, name, type, xfadeType, frames, duration, holdFrames, holdSeconds, offset, chapterBoundary }
+ */
+export function buildRenderTimeline(plan, fps) {
+  const N = plan.durations.length;
+  // Snap cumulative start times (not each duration) so rounding never drifts the total
+  const shotFrames = [];
+  let elapsed = 0;
+  plan.durations.forEach((d) => {
+    const startFrame = Math.round(elapsed * fps);
+    elapsed += d;
+    shotFrames.push(Math.max(1, Math.round(elapsed * fps) - startFrame));
+  });
+
+  // Chapter boundaries are the cuts into the first image of each new chapter
+  const chapterBoundaries = new Set(
+    Object.values(plan.chapterCuts || {}).map((idx) => idx - 1)
+  );
+
+  const transitions = [];
+  for (let i = 0; i < N - 1; i++) {
+    let name = plan.transitions[i];
+    const chapterBoundary = chapterBoundaries.has(i);
+    // A plain cut across a chapter boundary gets a breath hold so the chapter change reads
+    if (chapterBoundary && name === 'hard_cut') {
+      name = 'breath_hold';
+    }
+    const spec = PLAN_TRANSITIONS[name];
+
+    let frames = 0;
+    let holdFrames = 0;
+    if (spec.type === 'xfade') {
+      const wanted = spec.frames ?? Math.round(spec.seconds * fps);
+      const limit = Math.floor(Math.min(shotFrames[i], shotFrames[i + 1]) * MAX_TRANSITION_SHARE);
+      frames = Math.max(1, Math.min(wanted, limit));
+    } else if (spec.type === 'hold_cut') {
+      holdFrames = spec.holdFrames;
+    }
+
+    transitions.push({
+      index: i,
+      name,
+      planned: plan.transitions[i],
+      type: spec.type,
+      xfadeType: spec.xfadeType || null,
+      frames,
+      duration: frames / fps,
+      holdFrames,
+      holdSeconds: holdFrames / fps,
+      chapterBoundary,
+    });
+  }
+
+  // Lay out clips: each clip runs from its start to the next start, plus its hold and outgoing overlap
+  const clips = [];
+  let cursor = 0;
+  for (let i = 0; i < N; i++) {
+    const out = transitions[i];
+    const holdFrames = out ? out.holdFrames : 0;
+    const overlapFrames = out ? out.frames : 0;
+    clips.push({
+      index: i,
+      startFrame: cursor,
+      start: cursor / fps,
+      frames: shotFrames[i] + holdFrames + overlapFrames,
+      duration: (shotFrames[i] + holdFrames + overlapFrames) / fps,
+      shotDuration: shotFrames[i] / fps,
+    });
+    cursor += shotFrames[i] + holdFrames;
+    if (out) {
+      // xfade offset = when the next shot starts (overlap begins)
+      out.offsetFrame = cursor;
+      out.offset = cursor / fps;
+    }
+  }
+
+  return {
+    clips,
+    transitions,
+    totalFrames: cursor,
+    totalDuration: cursor / fps,
+    fps,
+  };
+}
+
+/**
+ * Build the filter chain that joins per-clip streams [img0]..[imgN-1] into [out]
+ * Dissolves use xfade at the timeline offset; cuts and breath holds use concat. Each clip
+ * stream must already be settb=AVTB and at the output fps so xfade and concat can mix.
+ * @param {Object} timeline - Output of buildRenderTimeline
+ * @returns {string[]} Filtergraph parts
+ */
+export function buildTransitionChain(timeline) {
+  const { clips, transitions, totalDuration } = timeline;
+  const parts = [];
+  if (clips.length === 1) {
+    parts.push(`[img0]trim=duration=${totalDuration.toFixed(6)},setpts=PTS-STARTPTS[out]`);
+    return parts;
+  }
+
+  // Offsets need sub-millisecond precision: a 3-decimal offset lands between frames and
+  // xfade then shifts everything after it by one frame
+  const sec = (value) => value.toFixed(6);
+
+  let current = 'img0';
+  transitions.forEach((t, i) => {
+    const next = `img${i + 1}`;
+    const label = `tx${i}`;
+    if (t.type === 'xfade') {
+      parts.push(`[${current}][${next}]xfade=transition=${t.xfadeType}:duration=${sec(t.duration)}:offset=${sec(t.offset)}[${label}]`);
+    } else {
+      // Cut / breath hold: the hold is already part of the outgoing clip length. Trim the running
+      // stream to the cut point first, since a preceding xfade can leave it a frame long.
+      parts.push(`[${current}]trim=duration=${sec(t.offset)}[cut${i}]`);
+      parts.push(`[cut${i}][${next}]concat=n=2:v=1:a=0,settb=AVTB[${label}]`);
+    }
+    current = label;
+  });
+
+  parts.push(`[${current}]trim=duration=${sec(totalDuration)},setpts=PTS-STARTPTS[out]`);
+  return parts;
+}
+
+/**
+ * One-line summary for [PLAN] logs and API responses
+ * @param {Object} timeline - Output of buildRenderTimeline
+ */
+export function summarizeTimeline(timeline) {
+  const counts = {};
+  timeline.transitions.forEach((t) => {
+    counts[t.name] = (counts[t.name] || 0) + 1;
+  });
+  const shots = timeline.clips.map((c) => c.shotDuration);
+  return {
+    totalDurationSec: parseFloat(timeline.totalDuration.toFixed(3)),
+    shotCount: shots.length,
+    minShotSec: parseFloat(Math.min(...shots).toFixed(3)),
+    maxShotSec: parseFloat(Math.max(...shots).toFixed(3)),
+    transitionCounts: counts,
+    chapterBoundaries: timeline.transitions.filter((t) => t.chapterBoundary).map((t) => t.index + 1),
+  };
+}
@@ -0,0 +1,337 @@
+/**
+ * Render Queue
+ * File-backed render job table with bounded worker concurrency and restart recovery
+ *
+ * Each job is persisted to <TRACE_JOBS_DIR>/<jobId>/job.json next to its frames/ and
+ * out/ working dirs, so a process crash leaves enough on disk to resume or fail the
+ * job on the next boot (see recoverRenderJobs).
+ */
+
+import fsp from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { EventEmitter } from 'events';
+
+export const TRACE_JOBS_DIR = process.env.TRACE_JOBS_DIR || path.join(os.tmpdir(), 'trace_jobs');
+
+// Number of renders allowed to run FFmpeg at the same time on this box
+export const RENDER_CONCURRENCY = Math.max(1, parseInt(process.env.RENDER_CONCURRENCY || '1', 10) || 1);
+
+// A job interrupted by a crash is retried until it has been started this many times
+const MAX_JOB_ATTEMPTS = Math.max(1, parseInt(process.env.RENDER_MAX_ATTEMPTS || '2', 10) || 2);
+
+const JOB_RETENTION_MS = 60 * 60 * 1000; // Finished jobs stay pollable for 1 hour
+
+// Job table: Map<jobId, {jobId, status, percent, step, detail, params, attempts, result, error, createdAt, updatedAt}>
+// status: 'queued' | 'running' | 'complete' | 'failed' | 'cancelled'
+const jobs = new Map();
+const pending = []; // Queued jobIds in FIFO order
+const active = new Map(); // Running jobId -> AbortController
+const writeChains = new Map(); // jobId -> Promise, serializes job.json writes per job
+
+// Emits `${jobId}` with the updated job record on every progress/status change
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0); // One listener per open SSE connection
+
+let processor = null;
+let failedHandler = null;
+
+/**
+ * Directory holding a job's job.json and its working files
+ * @param {string} jobId - Job ID
+ * @returns {string} Absolute path
+ */
+export function getJobDir(jobId) {
+  return path.join(TRACE_JOBS_DIR, jobId);
+}
+
+function persistJob(record) {
+  const file = path.join(getJobDir(record.jobId), 'job.json');
+  const previous = writeChains.get(record.jobId) || Promise.resolve();
+  const next = previous
+    .then(async () => {
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      // Write-then-rename so a crash mid-write never leaves a truncated job.json
+      const tmpFile = `${file}.tmp`;
+      await fsp.writeFile(tmpFile, JSON.stringify(record, null, 2));
+      await fsp.rename(tmpFile, file);
+    })
+    .catch((err) => {
+      console.warn(`[QUEUE] Failed to persist job ${record.jobId}: ${err.message}`);
+    })
+    .finally(() => {
+      if (writeChains.get(record.jobId) === next) writeChains.delete(record.jobId);
+    });
+  writeChains.set(record.jobId, next);
+  return next;
+}
+
+/**
+ * @param {string} status - Job status
+ * @returns {boolean} True once the job can no longer change
+ */
+export function isFinishedStatus(status) {
+  return status === 'complete' || status === 'failed' || status === 'cancelled';
+}
+
+/**
+ * Merge a progress/status patch into the job record, persist it and notify subscribers
+ * Progress patches for a cancelled job are dropped while its worker unwinds.
+ * @param {string} jobId - Job ID
+ * @param {Object} patch - Fields to update (status, percent, step, detail, result, error)
+ * @returns {Object} Updated job record
+ */
+export function setJobProgress(jobId, patch) {
+  const prev = jobs.get(jobId) || { jobId, createdAt: Date.now() };
+  if (prev.status === 'cancelled') return prev;
+  const next = { ...prev, ...patch, updatedAt: Date.now() };
+  jobs.set(jobId, next);
+  persistJob(next);
+  jobEvents.emit(jobId, next);
+  if (failedHandler && (next.status === 'failed' || next.status === 'cancelled') && !isFinishedStatus(prev.status)) {
+    Promise.resolve()
+      .then(() => failedHandler(next))
+      .catch((err) => console.warn(`[QUEUE] Failed-job handler failed for ${jobId}: ${err.message}`));
+  }
+  return next;
+}
+
+/**
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} Job record
+ */
+export function getJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+/**
+ * Subscribe to updates for one job
+ * @param {string} jobId - Job ID
+ * @param {Function} listener - Called with the updated job record
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToJob(jobId, listener) {
+  jobEvents.on(jobId, listener);
+  return () => jobEvents.off(jobId, listener);
+}
+
+/**
+ * Queue position for a job
+ * @param {string} jobId - Job ID
+ * @returns {{queuePosition: number, queueDepth: number, activeJobs: number, concurrency: number}}
+ *   queuePosition is 1-based while waiting and 0 once the job is no longer queued
+ */
+export function getQueueInfo(jobId) {
+  const index = pending.indexOf(jobId);
+  return {
+    queuePosition: index >= 0 ? index + 1 : 0,
+    queueDepth: pending.length,
+    activeJobs: active.size,
+    concurrency: RENDER_CONCURRENCY,
+  };
+}
+
+/**
+ * Register the worker that renders a job: async (jobId, params, { signal }) => void
+ * The worker marks the job complete itself; a thrown error fails the job. Errors may carry
+ * `error` (code) and `extra` (fields) to match the jsonError response shape. `signal` is
+ * aborted when the job is cancelled and the worker should stop as soon as possible.
+ * @param {Function} fn - Job worker
+ */
+export function setRenderProcessor(fn) {
+  processor = fn;
+  pump();
+}
+
+/**
+ * Register a callback for jobs that end without a video: async (record) => void, called once when a
+ * queued or running job fails (including a job failed after a restart) or is cancelled
+ * @param {Function} fn - Receives the failed / cancelled job record
+ */
+export function setJobFailedHandler(fn) {
+  failedHandler = fn;
+}
+
+function queuedDetail(position) {
+  return position === 1 ? 'Next in queue...' : `Waiting in queue (position ${position})...`;
+}
+
+function announceQueuePositions() {
+  pending.forEach((jobId, index) => {
+    setJobProgress(jobId, { detail: queuedDetail(index + 1) });
+  });
+}
+
+async function startJob(jobId) {
+  const controller = new AbortController();
+  active.set(jobId, controller);
+  const record = jobs.get(jobId);
+  setJobProgress(jobId, { status: 'running', attempts: (record.attempts || 0) + 1, startedAt: Date.now() });
+  console.log(`[QUEUE] start jobId=${jobId} attempt=${(record.attempts || 0) + 1} active=${active.size}/${RENDER_CONCURRENCY} queued=${pending.length}`);
+
+  try {
+    await processor(jobId, record.params, { signal: controller.signal });
+  } catch (err) {
+    if (controller.signal.aborted) {
+      console.log(`[QUEUE] job cancelled jobId=${jobId} stage=${err?.stage || 'unknown'}`);
+      return;
+    }
+    console.error(`[QUEUE] job failed jobId=${jobId}`, err?.message || err, err?.stderr || '');
+    setJobProgress(jobId, {
+      status: 'failed',
+      step: 'error',
+      detail: err?.message || 'unknown_error',
+      error: {
+        error: err?.error || 'render_failed',
+        detail: err?.message || 'unknown_error',
+        ...(err?.extra || {}),
+      },
+    });
+  } finally {
+    active.delete(jobId);
+    pump();
+  }
+}
+
+function pump() {
+  if (!processor) return;
+  let started = false;
+  while (active.size < RENDER_CONCURRENCY && pending.length > 0) {
+    startJob(pending.shift());
+    started = true;
+  }
+  if (started) announceQueuePositions();
+}
+
+/**
+ * Add a render job to the queue
+ * @param {string} jobId - Job ID
+ * @param {Object} params - JSON-serializable worker params (persisted for crash recovery)
+ * @returns {Object} Job record including queue info
+ */
+export function enqueueRenderJob(jobId, params) {
+  pending.push(jobId);
+  const record = setJobProgress(jobId, {
+    status: 'queued',
+    percent: 0,
+    step: 'queued',
+    detail: queuedDetail(pending.length),
+    params,
+    attempts: 0,
+    result: null,
+    error: null,
+  });
+  pump();
+  return { ...record, ...getQueueInfo(jobId) };
+}
+
+/**
+ * Cancel a queued or running job
+ * Queued jobs are dropped from the queue; running jobs have their AbortSignal fired so the
+ * worker can kill its child processes and clean up.
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} Updated job record, or null if the job does not exist
+ */
+export function cancelRenderJob(jobId) {
+  const record = jobs.get(jobId);
+  if (!record) return null;
+  if (isFinishedStatus(record.status)) return record;
+
+  const cancelled = setJobProgress(jobId, {
+    status: 'cancelled',
+    step: 'cancelled',
+    detail: 'Render cancelled',
+    error: { error: 'JOB_CANCELLED', detail: 'Render cancelled' },
+  });
+
+  const index = pending.indexOf(jobId);
+  if (index >= 0) {
+    pending.splice(index, 1);
+    announceQueuePositions();
+  }
+
+  const controller = active.get(jobId);
+  if (controller) {
+    const err = new Error('Render cancelled');
+    err.code = 'CANCELLED';
+    err.error = 'JOB_CANCELLED';
+    controller.abort(err);
+  }
+
+  console.log(`[QUEUE] cancel jobId=${jobId} wasRunning=${!!controller}`);
+  return cancelled;
+}
+
+/**
+ * Reload job records from TRACE_JOBS_DIR after a restart
+ * Queued jobs are re-queued; jobs that were running are re-queued until they reach
+ * MAX_JOB_ATTEMPTS and failed after that; finished jobs stay pollable until retention expires.
+ * @returns {Promise<{resumed: number, failed: number, loaded: number}>}
+ */
+export async function recoverRenderJobs() {
+  let entries;
+  try {
+    entries = await fsp.readdir(TRACE_JOBS_DIR, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return { resumed: 0, failed: 0, loaded: 0 };
+    throw err;
+  }
+
+  const interrupted = [];
+  let loaded = 0;
+  for (const entry of entries) {
+    if (!entry.isDirectory() || jobs.has(entry.name)) continue;
+    const jobDir = getJobDir(entry.name);
+    let record;
+    try {
+      record = JSON.parse(await fsp.readFile(path.join(jobDir, 'job.json'), 'utf8'));
+    } catch {
+      // Working dir without a readable job table entry cannot be resumed
+      console.warn(`[QUEUE] Removing orphaned job dir ${jobDir}`);
+      await fsp.rm(jobDir, { recursive: true, force: true }).catch(() => {});
+      continue;
+    }
+    jobs.set(record.jobId, record);
+    loaded++;
+    if (record.status === 'queued' || record.status === 'running') {
+      interrupted.push(record);
+    }
+  }
+
+  let resumed = 0;
+  let failed = 0;
+  interrupted.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  for (const record of interrupted) {
+    const attempts = record.attempts || 0;
+    if (!record.params || (record.status === 'running' && attempts >= MAX_JOB_ATTEMPTS)) {
+      const detail = `Render was interrupted by a server restart after ${attempts} attempt(s)`;
+      setJobProgress(record.jobId, {
+        status: 'failed',
+        step: 'error',
+        detail,
+        error: { error: 'JOB_INTERRUPTED', detail, attempts },
+      });
+      failed++;
+      continue;
+    }
+    pending.push(record.jobId);
+    setJobProgress(record.jobId, { status: 'queued', percent: 0, step: 'queued', detail: 'Resuming after server restart...' });
+    resumed++;
+  }
+
+  console.log(`[QUEUE] Recovery complete dir=${TRACE_JOBS_DIR} loaded=${loaded} resumed=${resumed} failed=${failed}`);
+  pump();
+  return { resumed, failed, loaded };
+}
+
+// Drop finished jobs (older than 1 hour) from memory and disk so neither grows unbounded
+const jobCleanupTimer = setInterval(() => {
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  for (const [jobId, job] of jobs) {
+    if (isFinishedStatus(job.status) && job.updatedAt < cutoff) {
+      jobs.delete(jobId);
+      fsp.rm(getJobDir(jobId), { recursive: true, force: true }).catch(() => {});
+    }
+  }
+}, 10 * 60 * 1000); // every 10 minutes
+jobCleanupTimer.unref();
@@ -0,0 +1,44 @@
+import fs from 'fs';
+import { pipeline } from 'stream/promises';
+
+/**
+ * Shared helpers for storage drivers
+ */
+
+export function notFoundError(key) {
+  const err = new Error(`Object not found: ${key}`);
+  err.code = 'NOT_FOUND';
+  err.status = 404;
+  err.key = key;
+  return err;
+}
+
+export function invalidKeyError(key) {
+  const err = new Error(`Invalid storage key: ${key}`);
+  err.code = 'INVALID_KEY';
+  err.status = 400;
+  err.key = key;
+  return err;
+}
+
+/**
+ * Object keys are relative, slash-separated paths (e.g. videos/published/abc.mp4)
+ * Rejects empty segments, '.', '..', backslashes and absolute paths
+ */
+export function isValidKey(key) {
+  if (typeof key !== 'string' || key.length === 0 || key.length > 1024) return false;
+  if (key.startsWith('/') || key.includes('\\') || key.includes('\0')) return false;
+  return key.split('/').every((segment) => segment.length > 0 && segment !== '.' && segment !== '..');
+}
+
+export async function streamToFile(readable, filePath) {
+  await pipeline(readable, fs.createWriteStream(filePath));
+}
+
+export async function streamToBuffer(readable) {
+  const chunks = [];
+  for await (const chunk of readable) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
@@ -0,0 +1,108 @@
+import path from 'path';
+import crypto from 'crypto';
+import { createS3Storage } from './s3-storage.js';
+import { createLocalStorage } from './local-storage.js';
+
+/**
+ * Storage backend selection
+ *
+ * STORAGE_DRIVER=s3     S3_BUCKET (+ AWS_REGION / AWS credentials)
+ * STORAGE_DRIVER=local  LOCAL_STORAGE_DIR (default ./storage), PUBLIC_BASE_URL (origin browsers use to reach
+ *                       this server, default http://localhost:$PORT), STORAGE_SIGNING_SECRET (HMAC key for
+ *                       presigned URLs; a random per-process key is used when unset)
+ * Without STORAGE_DRIVER the S3 driver is used when S3_BUCKET is set, otherwise local disk.
+ * MUSIC_BUCKET (S3 only) serves the music library from a separate bucket.
+ *
+ * Every driver exposes the same interface:
+ *   getObjectStream(key), getObjectBuffer(key), downloadToFile(key, destPath, {signal}),
+ *   putObjectFromFile(key, filePath, {contentType, contentDisposition, cacheControl, signal}),
+ *   putObject(key, body, {contentType}), headObject(key), listObjects(prefix) -> [{key, size, lastModified}],
+ *   deleteObject(key) (missing keys are not an error),
+ *   getDownloadUrl(key, {expiresIn, contentType, contentDisposition}), getUploadUrl(key, {contentType, expiresIn, metadata}),
+ *   getObjectUrl(key)
+ * Missing objects reject with err.code === 'NOT_FOUND'.
+ */
+
+export { LOCAL_OBJECT_ROUTE } from './local-storage.js';
+
+let storageInstance = null;
+let musicStorageInstance = null;
+let fallbackSigningSecret = null;
+
+function storageConfigError(message) {
+  const err = new Error(message);
+  err.code = 'STORAGE_MISCONFIGURED';
+  return err;
+}
+
+export function resolveStorageDriver(env = process.env) {
+  const driver = String(env.STORAGE_DRIVER || '').trim().toLowerCase();
+  if (driver) return driver;
+  return env.S3_BUCKET ? 's3' : 'local';
+}
+
+/**
+ * Build a storage driver from environment variables
+ * @param {Object} [env] - Defaults to process.env
+ */
+export function createStorageFromEnv(env = process.env) {
+  const driver = resolveStorageDriver(env);
+  if (driver === 's3') {
+    if (!env.S3_BUCKET) throw storageConfigError('STORAGE_DRIVER=s3 requires S3_BUCKET');
+    const region = env.AWS_REGION || env.AWS_DEFAULT_REGION || 'us-east-2';
+    return createS3Storage({ bucket: env.S3_BUCKET, region });
+  }
+  if (driver === 'local') {
+    return createLocalStorage({
+      root: env.LOCAL_STORAGE_DIR || path.join(process.cwd(), 'storage'),
+      baseUrl: env.PUBLIC_BASE_URL || `http://localhost:${env.PORT || 8080}`,
+      secret: getSigningSecret(env),
+    });
+  }
+  throw storageConfigError(`Unknown STORAGE_DRIVER: ${driver} (expected 's3' or 'local')`);
+}
+
+/**
+ * HMAC key for URLs this server signs itself (local-driver objects, HLS playlists)
+ * STORAGE_SIGNING_SECRET, or a random per-process key when unset
+ * @param {Object} [env] - Defaults to process.env
+ */
+export function getSigningSecret(env = process.env) {
+  if (env.STORAGE_SIGNING_SECRET) return env.STORAGE_SIGNING_SECRET;
+  if (!fallbackSigningSecret) {
+    fallbackSigningSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('[STORAGE] STORAGE_SIGNING_SECRET not set; signed URLs will stop working after a restart');
+  }
+  return fallbackSigningSecret;
+}
+
+/**
+ * Process-wide storage driver, created on first use
+ * Throws err.code === 'STORAGE_MISCONFIGURED' when the environment is incomplete
+ */
+export function getStorage() {
+  if (!storageInstance) {
+    storageInstance = createStorageFromEnv();
+    console.log(`[STORAGE] driver=${storageInstance.name} ${storageInstance.name === 's3' ? `bucket=${storageInstance.bucket} region=${storageInstance.region}` : `root=${storageInstance.root}`}`);
+  }
+  return storageInstance;
+}
+
+/**
+ * Storage holding the music library: MUSIC_BUCKET when set on the S3 driver, otherwise the main storage
+ */
+export function getMusicStorage() {
+  const storage = getStorage();
+  const musicBucket = process.env.MUSIC_BUCKET;
+  if (storage.name !== 's3' || !musicBucket || musicBucket === storage.bucket) return storage;
+  if (!musicStorageInstance) {
+    musicStorageInstance = createS3Storage({ bucket: musicBucket, region: storage.region });
+  }
+  return musicStorageInstance;
+}
+
+// Tests and embedders can swap in a preconfigured driver
+export function setStorage(storage) {
+  storageInstance = storage;
+  musicStorageInstance = null;
+}
@@ -0,0 +1,234 @@
+import fs, { promises as fsp } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import { Readable } from 'stream';
+import { notFoundError, invalidKeyError, isValidKey, streamToBuffer } from './common.js';
+
+/**
+ * Local-disk storage driver (laptops, air-gapped / on-prem installs)
+ * Objects are files under `root` at their key path. Presigned URLs are HMAC-signed links to
+ * GET/PUT /api/storage/object on this server, so browsers upload and play back exactly as with S3.
+ */
+
+export const LOCAL_OBJECT_ROUTE = '/api/storage/object';
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.json': 'application/json',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.vtt': 'text/vtt',
+};
+
+function contentTypeFor(key) {
+  return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * @param {Object} opts
+ * @param {string} opts.root - Directory holding the objects
+ * @param {string} opts.baseUrl - Public origin of this server, used in signed URLs
+ * @param {string} opts.secret - HMAC key for signed URLs
+ * @param {number} [opts.maxUploadBytes] - Largest accepted PUT body
+ */
+export function createLocalStorage({ root, baseUrl, secret, maxUploadBytes = 300 * 1024 * 1024 }) {
+  const rootDir = path.resolve(root);
+  const origin = baseUrl.replace(/\/+$/, '');
+
+  function resolveKey(key) {
+    if (!isValidKey(key)) throw invalidKeyError(key);
+    return path.join(rootDir, ...key.split('/'));
+  }
+
+  function sign(method, key, expires) {
+    return crypto.createHmac('sha256', secret).update(`${method}\n${key}\n${expires}`).digest('base64url');
+  }
+
+  function signedUrl(method, key, expiresIn) {
+    resolveKey(key);
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const params = new URLSearchParams({ key, expires: String(expires), sig: sign(method, key, expires) });
+    return `${origin}${LOCAL_OBJECT_ROUTE}?${params.toString()}`;
+  }
+
+  // Returns an error code, or null when the signature is valid and unexpired
+  function verify(method, key, expires, sig) {
+    if (!isValidKey(key) || !/^\d+$/.test(String(expires || '')) || typeof sig !== 'string') return 'INVALID_SIGNATURE';
+    const expected = Buffer.from(sign(method, key, expires));
+    const given = Buffer.from(sig);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return 'INVALID_SIGNATURE';
+    if (Number(expires) < Math.floor(Date.now() / 1000)) return 'URL_EXPIRED';
+    return null;
+  }
+
+  // Write through a temp file in the same directory so readers never see partial objects
+  async function writeObject(key, source, { signal } = {}) {
+    const dest = resolveKey(key);
+    await fsp.mkdir(path.dirname(dest), { recursive: true });
+    const tmp = path.join(path.dirname(dest), `.${path.basename(dest)}.${crypto.randomUUID()}.part`);
+    try {
+      await pipeline(source, fs.createWriteStream(tmp), { signal });
+      await fsp.rename(tmp, dest);
+    } catch (err) {
+      await fsp.rm(tmp, { force: true }).catch(() => {});
+      throw err;
+    }
+  }
+
+  async function statObject(key) {
+    try {
+      const stat = await fsp.stat(resolveKey(key));
+      return stat.isFile() ? stat : null;
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return null;
+      throw err;
+    }
+  }
+
+  async function walk(dir, prefixKey, out) {
+    let entries;
+    try {
+      entries = await fsp.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return;
+      throw err;
+    }
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue; // temp uploads
+      const key = prefixKey ? `${prefixKey}/${entry.name}` : entry.name;
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(full, key, out);
+      } else if (entry.isFile()) {
+        const stat = await fsp.stat(full);
+        out.push({ key, size: stat.size, lastModified: stat.mtimeMs });
+      }
+    }
+  }
+
+  const storage = {
+    name: 'local',
+    root: rootDir,
+
+    async getObjectStream(key) {
+      if (!(await statObject(key))) throw notFoundError(key);
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async getObjectBuffer(key) {
+      return streamToBuffer(await storage.getObjectStream(key));
+    },
+
+    async downloadToFile(key, destPath, { signal } = {}) {
+      if (!(await statObject(key))) throw notFoundError(key);
+      await pipeline(fs.createReadStream(resolveKey(key)), fs.createWriteStream(destPath), { signal });
+    },
+
+    async putObjectFromFile(key, filePath, { signal } = {}) {
+      await writeObject(key, fs.createReadStream(filePath), { signal });
+    },
+
+    async putObject(key, body, { signal } = {}) {
+      await writeObject(key, Buffer.isBuffer(body) || typeof body === 'string' ? Readable.from([body]) : body, { signal });
+    },
+
+    async headObject(key) {
+      const stat = await statObject(key);
+      return stat ? { size: stat.size, contentType: contentTypeFor(key) } : null;
+    },
+
+    async listObjects(prefix = '') {
+      // Walk only the directory the prefix points into, then filter by the full prefix
+      const dirKey = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+      if (dirKey && !isValidKey(dirKey)) return [];
+      const objects = [];
+      await walk(dirKey ? resolveKey(dirKey) : rootDir, dirKey, objects);
+      return objects.filter((obj) => obj.key.startsWith(prefix)).sort((a, b) => a.key.localeCompare(b.key));
+    },
+
+    async deleteObject(key) {
+      await fsp.rm(resolveKey(key), { force: true });
+    },
+
+    async getDownloadUrl(key, { expiresIn = 3600 } = {}) {
+      return signedUrl('GET', key, expiresIn);
+    },
+
+    async getUploadUrl(key, { expiresIn = 300 } = {}) {
+      return signedUrl('PUT', key, expiresIn);
+    },
+
+    getObjectUrl() {
+      return null; // Local objects are only reachable through signed URLs
+    },
+
+    /**
+     * Express handler for GET/HEAD/PUT /api/storage/object?key=&expires=&sig=
+     * GET supports Range requests (video seeking); PUT bodies are streamed to disk
+     */
+    async handleObjectRequest(req, res) {
+      const method = req.method === 'HEAD' ? 'GET' : req.method;
+      const { key, expires, sig } = req.query || {};
+      if (method !== 'GET' && method !== 'PUT') {
+        return res.status(405).json({ error: 'METHOD_NOT_ALLOWED', detail: `${req.method} is not supported` });
+      }
+      const invalid = verify(method, key, expires, sig);
+      if (invalid) {
+        return res.status(403).json({ error: invalid, detail: invalid === 'URL_EXPIRED' ? 'Signed URL has expired' : 'Signature does not match' });
+      }
+
+      if (method === 'GET') {
+        if (!(await statObject(key))) {
+          return res.status(404).json({ error: 'NOT_FOUND', detail: `No object at ${key}` });
+        }
+        return res.sendFile(resolveKey(key), {
+          dotfiles: 'allow',
+          headers: { 'Content-Type': contentTypeFor(key), 'Content-Disposition': 'inline' },
+        }, (err) => {
+          if (err && !res.headersSent) res.status(err.status || 500).json({ error: 'READ_FAILED', detail: err.message });
+        });
+      }
+
+      const declared = Number(req.headers['content-length']);
+      if (Number.isFinite(declared) && declared > maxUploadBytes) {
+        return res.status(413).json({ error: 'TOO_LARGE', detail: `Upload exceeds ${maxUploadBytes} bytes` });
+      }
+      let received = 0;
+      const limited = async function* (source) {
+        for await (const chunk of source) {
+          received += chunk.length;
+          if (received > maxUploadBytes) {
+            const err = new Error(`Upload exceeds ${maxUploadBytes} bytes`);
+            err.status = 413;
+            throw err;
+          }
+          yield chunk;
+        }
+      };
+      try {
+        await writeObject(key, Readable.from(limited(req)));
+        console.log(`[STORAGE] local PUT ${key} bytes=${received}`);
+        return res.status(200).end();
+      } catch (err) {
+        const status = err.status || 500;
+        return res.status(status).json({ error: status === 413 ? 'TOO_LARGE' : 'WRITE_FAILED', detail: err.message });
+      }
+    },
+  };
+
+  return storage;
+}
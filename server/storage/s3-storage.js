@@ -0,0 +1,123 @@
+import fs from 'fs';
+import {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectCommand,
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { notFoundError, streamToFile, streamToBuffer } from './common.js';
+
+/**
+ * S3 storage driver
+ * Objects live in one bucket; upload / download URLs are S3 presigned URLs.
+ * @param {Object} opts
+ * @param {string} opts.bucket - Bucket name
+ * @param {string} [opts.region] - AWS region
+ * @param {S3Client} [opts.client] - Preconfigured client
+ */
+export function createS3Storage({ bucket, region, client = null }) {
+  const s3 = client || new S3Client({ region });
+
+  async function getObject(key, { signal } = {}) {
+    try {
+      const resp = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }), { abortSignal: signal });
+      if (!resp || !resp.Body) throw new Error(`S3 GetObject returned empty body for key=${key}`);
+      return resp;
+    } catch (err) {
+      if (err?.name === 'NoSuchKey' || err?.$metadata?.httpStatusCode === 404) throw notFoundError(key);
+      throw err;
+    }
+  }
+
+  return {
+    name: 's3',
+    bucket,
+    region,
+
+    async getObjectStream(key, opts) {
+      return (await getObject(key, opts)).Body;
+    },
+
+    async getObjectBuffer(key, opts) {
+      return streamToBuffer((await getObject(key, opts)).Body);
+    },
+
+    async downloadToFile(key, destPath, opts) {
+      await streamToFile((await getObject(key, opts)).Body, destPath);
+    },
+
+    async putObjectFromFile(key, filePath, { contentType, contentDisposition, cacheControl, signal } = {}) {
+      await s3.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: fs.createReadStream(filePath),
+          ContentType: contentType,
+          ContentDisposition: contentDisposition,
+          CacheControl: cacheControl,
+        }),
+        { abortSignal: signal }
+      );
+    },
+
+    async putObject(key, body, { contentType, signal } = {}) {
+      await s3.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }), { abortSignal: signal });
+    },
+
+    async headObject(key) {
+      try {
+        const resp = await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return { size: resp.ContentLength ?? 0, contentType: resp.ContentType || null };
+      } catch (err) {
+        if (err?.name === 'NotFound' || err?.$metadata?.httpStatusCode === 404) return null;
+        throw err;
+      }
+    },
+
+    async listObjects(prefix) {
+      const objects = [];
+      let ContinuationToken;
+      do {
+        const resp = await s3.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken }));
+        for (const obj of resp.Contents || []) {
+          if (obj.Key) objects.push({ key: obj.Key, size: obj.Size ?? 0, lastModified: obj.LastModified ? obj.LastModified.getTime() : 0 });
+        }
+        ContinuationToken = resp.IsTruncated ? resp.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return objects;
+    },
+
+    async deleteObject(key) {
+      await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    getDownloadUrl(key, { expiresIn = 3600, contentType, contentDisposition } = {}) {
+      return getSignedUrl(
+        s3,
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          ResponseContentType: contentType,
+          ResponseContentDisposition: contentDisposition,
+        }),
+        { expiresIn }
+      );
+    },
+
+    getUploadUrl(key, { contentType, expiresIn = 300, metadata } = {}) {
+      return getSignedUrl(
+        s3,
+        new PutObjectCommand({ Bucket: bucket, Key: key, ContentType: contentType, Metadata: metadata }),
+        { expiresIn }
+      );
+    },
+
+    // Unsigned object URL (only reachable for public objects; kept for logging / legacy responses)
+    getObjectUrl(key) {
+      return `https://${bucket}.s3.${region}.amazonaws.com/${key}`;
+    },
+  };
+}
@@ -0,0 +1,65 @@
+/**
+ * Beat Analysis Test
+ * Verifies tempo, beat grid and section detection on synthetic click tracks (no FFmpeg needed)
+ *
+ * Usage: node server/test-beat-analysis.js
+ */
+
+import { analyzeBeatsFromPcm, ANALYSIS_SAMPLE_RATE as SR } from './utils/beatAnalysis.js';
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`  ${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+// Noise-burst clicks on every beat over a quiet tone; clicks before quietUntil are 8x softer
+function clickTrack(bpm, seconds, { quietUntil = 0, firstBeat = 0.1 } = {}) {
+  const samples = new Float32Array(SR * seconds);
+  let seed = 1;
+  const noise = () => ((seed = (seed * 16807) % 2147483647) / 2147483647) * 2 - 1;
+  for (let t = firstBeat; t < seconds; t += 60 / bpm) {
+    const start = Math.round(t * SR);
+    const amp = t < quietUntil ? 0.1 : 0.8;
+    for (let i = 0; i < 800 && start + i < samples.length; i++) {
+      samples[start + i] += amp * noise() * Math.exp(-i / 150);
+    }
+  }
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] += (i / SR < quietUntil ? 0.01 : 0.1) * Math.sin((2 * Math.PI * 220 * i) / SR);
+  }
+  return samples;
+}
+
+console.log('=== Beat Analysis Test ===\n');
+
+console.log('Tempo and beat grid:');
+for (const bpm of [72, 96, 120, 140]) {
+  const result = analyzeBeatsFromPcm(clickTrack(bpm, 30));
+  const period = 60 / bpm;
+  const gaps = result.beatTimes.slice(1).map((t, i) => t - result.beatTimes[i]);
+  check(`${bpm} BPM detected within 1 BPM (got ${result.bpm})`, Math.abs(result.bpm - bpm) <= 1);
+  check(`${bpm} BPM beats evenly spaced`, gaps.every((gap) => Math.abs(gap - period) < 0.03));
+}
+
+{
+  const result = analyzeBeatsFromPcm(clickTrack(120, 20, { firstBeat: 0.35 }));
+  const phaseError = (t) => {
+    const d = (((t - 0.35) % 0.5) + 0.5) % 0.5;
+    return Math.min(d, 0.5 - d);
+  };
+  check('beats land on the clicks (phase)', result.beatTimes.length > 0 && result.beatTimes.every((t) => phaseError(t) < 0.03));
+  check('duration reported in seconds', result.durationSec === 20);
+}
+
+console.log('\nSections:');
+{
+  const result = analyzeBeatsFromPcm(clickTrack(100, 40, { quietUntil: 18 }));
+  check('quiet intro and loud body split into two sections', result.sections.length === 2);
+  check('boundary near the loudness change', Math.abs(result.sections[0].endSec - 18) < 1.5);
+  check('sections labelled by energy', result.sections[0].energy === 'low' && result.sections[1].energy === 'high');
+  check('sections cover the whole track', result.sections[0].startSec === 0 && result.sections[result.sections.length - 1].endSec === 40);
+}
+
+console.log(`\n${failures === 0 ? '✓ All beat analysis checks passed' : `✗ ${failures} check(s) failed`}`);
+if (failures > 0) process.exit(1);
@@ -0,0 +1,83 @@
+/**
+ * Draft Render Test
+ * Verifies quality parsing, draft frame sizes, draft keys and the TTL sweep of the drafts prefix
+ * (local storage in a throwaway directory)
+ *
+ * Usage: node server/test-draft-renders.js
+ */
+
+import fsp from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { createLocalStorage } from './storage/local-storage.js';
+import {
+  resolveRenderQuality,
+  draftDimensions,
+  resolveDraftTtlMs,
+  draftKeyFor,
+  draftJobIdForKey,
+  draftJobIdForObjectKey,
+  sweepExpiredDrafts,
+  DRAFT_PREFIX,
+} from './draft-renders.js';
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`  ${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+async function run() {
+  console.log('Quality:');
+  check('defaults to full', resolveRenderQuality(undefined) === 'full' && resolveRenderQuality('') === 'full');
+  check('accepts draft case-insensitively', resolveRenderQuality(' Draft ') === 'draft');
+  check('rejects unknown qualities', resolveRenderQuality('4k') === null && resolveRenderQuality(1) === null);
+
+  console.log('\nDraft frame size:');
+  check('16:9 renders at 854x480', JSON.stringify(draftDimensions(1920, 1080)) === '{"width":854,"height":480}');
+  check('9:16 renders at 480x854', JSON.stringify(draftDimensions(1080, 1920)) === '{"width":480,"height":854}');
+  check('1:1 renders at 480x480', JSON.stringify(draftDimensions(2000, 2000)) === '{"width":480,"height":480}');
+  check('ultrawide keeps even dimensions', draftDimensions(1920, 803).width % 2 === 0 && draftDimensions(1920, 803).height === 480);
+
+  console.log('\nTTL:');
+  check('defaults to 24 hours', resolveDraftTtlMs({}) === 24 * HOUR_MS);
+  check('reads DRAFT_RENDER_TTL_HOURS', resolveDraftTtlMs({ DRAFT_RENDER_TTL_HOURS: '2' }) === 2 * HOUR_MS);
+  check('invalid TTL falls back', resolveDraftTtlMs({ DRAFT_RENDER_TTL_HOURS: '-1' }) === 24 * HOUR_MS);
+  check('draft keys live under the drafts prefix', draftKeyFor('abc') === `${DRAFT_PREFIX}abc.mp4` && draftKeyFor('abc', '-9x16') === `${DRAFT_PREFIX}abc-9x16.mp4`);
+  check('draft keys lead back to their job', draftJobIdForKey(draftKeyFor('m1a-x2b')) === 'm1a-x2b' && draftJobIdForKey(draftKeyFor('m1a-x2b', '-9x16')) === 'm1a-x2b'
+    && draftJobIdForKey(draftKeyFor('m1a-x2b', '-2_39x1')) === 'm1a-x2b');
+  check('photos are not draft videos', draftJobIdForKey('videos/drafts/1700000000000-photo.jpg') === null && draftJobIdForKey('videos/published/m1a-x2b.mp4') === null);
+  check('draft manifests belong to their job but are not videos', draftJobIdForObjectKey(`${DRAFT_PREFIX}m1a-x2b.manifest.json`) === 'm1a-x2b'
+    && draftJobIdForKey(`${DRAFT_PREFIX}m1a-x2b.manifest.json`) === null && draftJobIdForObjectKey('videos/drafts/1700000000000-photo.jpg') === null);
+
+  console.log('\nSweep:');
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), 'trace_draft_test_'));
+  try {
+    const storage = createLocalStorage({ root, baseUrl: 'http://media.test', secret: 's' });
+    await storage.putObject(draftKeyFor('old'), 'old');
+    await storage.putObject(`${DRAFT_PREFIX}old.manifest.json`, '{}');
+    await storage.putObject(draftKeyFor('new'), 'new');
+    await storage.putObject('videos/drafts/1700000000000-photo.jpg', 'photo');
+    await storage.putObject('videos/published/old.mp4', 'published');
+    const stale = new Date(Date.now() - 3 * HOUR_MS);
+    for (const key of [draftKeyFor('old'), `${DRAFT_PREFIX}old.manifest.json`, 'videos/drafts/1700000000000-photo.jpg', 'videos/published/old.mp4']) {
+      await fsp.utimes(path.join(root, ...key.split('/')), stale, stale);
+    }
+
+    const deleted = await sweepExpiredDrafts(storage, { ttlMs: 2 * HOUR_MS });
+    check('expired drafts and their manifests are deleted', JSON.stringify(deleted.sort()) === JSON.stringify([draftKeyFor('old'), `${DRAFT_PREFIX}old.manifest.json`].sort())
+      && (await storage.headObject(draftKeyFor('old'))) === null);
+    check('fresh drafts are kept', (await storage.headObject(draftKeyFor('new'))) !== null);
+    check('uploaded photos next to the drafts are untouched', (await storage.headObject('videos/drafts/1700000000000-photo.jpg')) !== null);
+    check('published videos are untouched', (await storage.headObject('videos/published/old.mp4')) !== null);
+  } finally {
+    await fsp.rm(root, { recursive: true, force: true });
+  }
+
+  console.log(`\n${failures === 0 ? '✓ All draft render checks passed' : `✗ ${failures} check(s) failed`}`);
+  if (failures > 0) process.exit(1);
+}
+
+run();
@@ -0,0 +1,67 @@
+/**
+ * End Card Test
+ * Verifies endCard validation, card duration and the appendEndCap filtergraph
+ *
+ * Usage: node server/test-end-card.js
+ */
+
+import { sanitizeEndCard, endCardDuration, buildEndCardFilter, END_CARD_DEFAULTS } from './end-card.js';
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`  ${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+function throwsCode(fn, code) {
+  try {
+    fn();
+    return false;
+  } catch (err) {
+    return err.code === code;
+  }
+}
+
+console.log('Validation:');
+check('no end card by default', sanitizeEndCard(undefined) === null && sanitizeEndCard(false) === null);
+const defaults = sanitizeEndCard(true);
+check('true is the TRACE card', defaults.logoKey === null && defaults.tagline === null && defaults.backgroundColor === '#000000');
+check('TRACE timing is kept', endCardDuration(defaults) === END_CARD_DEFAULTS.freezeSec + END_CARD_DEFAULTS.fadeSec + END_CARD_DEFAULTS.holdSec);
+const custom = sanitizeEndCard({
+  logoKey: ' brands/acme/logo.PNG ',
+  tagline: '  Acme\nWeddings ',
+  backgroundColor: 'F5F0E6',
+  textColor: '#1A1A1A',
+  holdSec: '2.5',
+});
+check('logo key is trimmed', custom.logoKey === 'brands/acme/logo.PNG');
+check('tagline is one clean line', custom.tagline === 'Acme Weddings');
+check('colors are normalized', custom.backgroundColor === '#f5f0e6' && custom.textColor === '#1a1a1a');
+check('durations accept numeric strings', custom.holdSec === 2.5 && custom.freezeSec === END_CARD_DEFAULTS.freezeSec);
+check('empty tagline is none', sanitizeEndCard({ tagline: '   ' }).tagline === null);
+check('non-image logo is rejected', throwsCode(() => sanitizeEndCard({ logoKey: 'brands/acme/logo.svg' }), 'INVALID_END_CARD'));
+check('bad color is rejected', throwsCode(() => sanitizeEndCard({ backgroundColor: 'red' }), 'INVALID_END_CARD'));
+check('out-of-range hold is rejected', throwsCode(() => sanitizeEndCard({ holdSec: 30 }), 'INVALID_END_CARD'));
+check('long tagline is rejected', throwsCode(() => sanitizeEndCard({ tagline: 'x'.repeat(81) }), 'INVALID_END_CARD'));
+check('arrays are rejected', throwsCode(() => sanitizeEndCard([]), 'INVALID_END_CARD'));
+
+console.log('\nFiltergraph:');
+const graph = buildEndCardFilter({ card: custom, width: 1080, height: 1920, fps: 24, durationSec: 20, hasAudio: true, fontPath: '/fonts/Inter-Regular.ttf' });
+check('total covers the card', graph.totalSec === 20 + endCardDuration(custom));
+check('last frame is cloned, not re-decoded', graph.filterComplex.startsWith('[0:v]tpad=stop_mode=clone:stop_duration=1.750000,'));
+check('body fades to the card color after the freeze', graph.filterComplex.includes('fade=t=out:st=20.750000:d=1.000000:color=0xf5f0e6'));
+check('card holds for holdSec', graph.filterComplex.includes('color=c=0xf5f0e6:s=1080x1920:r=24:d=2.500000[cardbg]'));
+check('logo keeps its aspect', graph.filterComplex.includes('force_original_aspect_ratio=decrease'));
+check('tagline uses the text color', graph.filterComplex.includes('text=Acme Weddings:expansion=none') && graph.filterComplex.includes('fontcolor=0x1a1a1a'));
+check('audio is padded under the card', graph.filterComplex.includes('[0:a]apad[aout]') && JSON.stringify(graph.maps) === '["[vout]","[aout]"]');
+const silent = buildEndCardFilter({ card: defaults, width: 1920, height: 803, fps: 24, durationSec: 10, hasAudio: false, fontPath: '/f.ttf' });
+check('silent videos map video only', JSON.stringify(silent.maps) === '["[vout]"]' && !silent.filterComplex.includes('[0:a]'));
+check('no tagline, no drawtext', !silent.filterComplex.includes('drawtext'));
+const placement = { layout: 'landscape', position: 'bottom-right', logoWidth: 160, opacity: 0.6, x: 'W-w-40', y: 'H-h-40' };
+const marked = buildEndCardFilter({ card: defaults, width: 1920, height: 1080, fps: 24, durationSec: 10, hasAudio: false, fontPath: '/f.ttf', watermark: placement });
+check('watermarked renders mark the card from input 2', marked.filterComplex.includes('[2:v]scale=w=160') && marked.filterComplex.includes('[marked]null,setsar=1[card]'));
+check('the body is not marked twice', !marked.filterComplex.includes('[body][wmlogo]') && (marked.filterComplex.match(/overlay=/g) || []).length === 2);
+check('unwatermarked renders have no third input', !silent.filterComplex.includes('[2:v]'));
+
+console.log(`\n${failures === 0 ? '✓ All end card checks passed' : `✗ ${failures} check(s) failed`}`);
+if (failures > 0) process.exit(1);
@@ -0,0 +1,155 @@
+/**
+ * Entitlements Test
+ * Verifies per-plan render limits, upgrade hints, the resolution cap, the monthly quotas and refunds
+ * (local storage in a throwaway directory)
+ *
+ * Usage: node server/test-entitlements.js
+ */
+
+import fsp from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import express from 'express';
+import { createLocalStorage } from './storage/local-storage.js';
+import {
+  getEntitlements,
+  checkRenderEntitlements,
+  capToResolution,
+  usageSubject,
+  usageKeyFor,
+  getMonthlyUsage,
+  consumeQuota,
+  refundQuota,
+  resolveTrustProxy,
+  isEntitlementError,
+  PLAN_ENTITLEMENTS,
+} from './entitlements.js';
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`  ${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+function errorOf(fn) {
+  try {
+    fn();
+    return null;
+  } catch (err) {
+    return err;
+  }
+}
+
+async function rejectionOf(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (err) {
+    return err;
+  }
+}
+
+async function run() {
+  console.log('Plans:');
+  check('unknown plans get the free tier', getEntitlements('gold') === PLAN_ENTITLEMENTS.free);
+  check('free is watermarked, paid plans are not', getEntitlements('free').watermark && !getEntitlements('premium').watermark && !getEntitlements('enterprise').watermark);
+
+  console.log('\nRender limits:');
+  const ok = { photoCount: 12, durationSec: null, fps: 24, outputFormat: 'h264' };
+  check('a typical free render passes', errorOf(() => checkRenderEntitlements('free', ok)) === null);
+  const photos = errorOf(() => checkRenderEntitlements('free', { ...ok, photoCount: 40 }));
+  check('too many photos is 403 with an upgrade hint', photos.status === 403 && photos.code === 'PLAN_LIMIT_EXCEEDED' && photos.extra.limit === 'maxPhotos' && photos.extra.upgradeTo === 'premium');
+  check('the upgrade skips plans that would not help', errorOf(() => checkRenderEntitlements('free', { ...ok, photoCount: 100 })).extra.upgradeTo === 'enterprise');
+  check('no upgrade past the top plan', errorOf(() => checkRenderEntitlements('enterprise', { ...ok, photoCount: 500 })).extra.upgradeTo === null);
+  const duration = errorOf(() => checkRenderEntitlements('free', { ...ok, durationSec: 90 }));
+  check('too long is rejected', duration.extra.limit === 'maxDurationSec' && duration.extra.allowed === 60);
+  check('premium renders long videos', errorOf(() => checkRenderEntitlements('premium', { ...ok, durationSec: 90 })) === null);
+  check('fps above the plan is rejected', errorOf(() => checkRenderEntitlements('free', { ...ok, fps: 60 })).extra.limit === 'maxFps');
+  const format = errorOf(() => checkRenderEntitlements('premium', { ...ok, outputFormat: 'prores' }));
+  check('formats outside the plan are rejected', format.extra.limit === 'outputFormats' && format.extra.upgradeTo === 'enterprise');
+  check('entitlement errors are recognized', isEntitlementError(format) && !isEntitlementError(new Error('x')));
+
+  console.log('\nResolution:');
+  check('1:1 is capped for free', JSON.stringify(capToResolution(2000, 2000, 1080)) === '{"width":1080,"height":1080}');
+  check('1080p is untouched', JSON.stringify(capToResolution(1920, 1080, 1080)) === '{"width":1920,"height":1080}');
+  check('caps keep the aspect with even sizes', JSON.stringify(capToResolution(1920, 803, 720)) === '{"width":1722,"height":720}');
+  check('no cap without a limit', capToResolution(2000, 2000, null).width === 2000);
+
+  console.log('\nQuotas:');
+  check('signed-in users are counted by uid', usageSubject({ uid: 'abc/1', ip: '1.2.3.4' }) === 'uid-abc_002f1');
+  check('distinct uids never share a subject', usageSubject({ uid: 'abc/1' }) !== usageSubject({ uid: 'abc_1' }));
+  check('anonymous users are counted by a hashed IP', /^anon-[0-9a-f]{16}$/.test(usageSubject({ uid: null, ip: '1.2.3.4' })) && !usageSubject({ uid: null, ip: '1.2.3.4' }).includes('1.2.3.4'));
+  const june = new Date('2025-06-30T23:59:00Z');
+  check('counters are monthly', usageKeyFor('uid-a', june) === 'usage/uid-a/2025-06.json');
+
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), 'trace_entitlements_test_'));
+  try {
+    const storage = createLocalStorage({ root, baseUrl: 'http://media.test', secret: 's' });
+    const opts = { plan: 'free', subject: 'uid-a', quota: 'downloads', now: june };
+    // Concurrent requests for the last downloads: exactly the allowance succeeds
+    const results = await Promise.all([1, 2, 3, 4].map(() => consumeQuota(storage, opts).then(() => 'ok', (err) => err)));
+    const refused = results.filter((r) => r !== 'ok');
+    check('free downloads stop at the allowance', results.filter((r) => r === 'ok').length === 3 && refused.length === 1);
+    check('exhausted quota is 402 with the reset time', refused[0].status === 402 && refused[0].code === 'QUOTA_EXHAUSTED' && refused[0].extra.resetsAt === '2025-07-01T00:00:00.000Z' && refused[0].extra.upgradeTo === 'premium');
+    const usage = await getMonthlyUsage(storage, 'uid-a', june);
+    check('usage is persisted', usage.downloads === 3 && usage.renders === 0 && usage.month === '2025-06');
+    check('a new month starts from zero', (await rejectionOf(consumeQuota(storage, { ...opts, now: new Date('2025-07-01T00:00:00Z') }))) === null);
+    check('renders are counted separately', (await consumeQuota(storage, { ...opts, quota: 'renders' })).used === 1);
+
+    // Drafts have their own allowance; a failed or cancelled render gives its charge back
+    const draftOpts = { plan: 'free', subject: 'uid-d', quota: 'drafts', now: june };
+    const limit = PLAN_ENTITLEMENTS.free.monthlyDrafts;
+    for (let i = 0; i < limit; i++) await consumeQuota(storage, draftOpts);
+    const drafts = await rejectionOf(consumeQuota(storage, draftOpts));
+    check('free drafts stop at their own allowance', drafts?.code === 'QUOTA_EXHAUSTED' && drafts.extra.quota === 'monthlyDrafts' && drafts.extra.allowed === limit);
+    check('drafts do not use renders', (await getMonthlyUsage(storage, 'uid-d', june)).renders === 0);
+    const charge = await consumeQuota(storage, { ...draftOpts, quota: 'renders' });
+    check('a charge records its month', charge.month === '2025-06');
+    const refunded = await refundQuota(storage, { subject: 'uid-d', quota: 'renders', month: charge.month }, new Date('2025-07-02T00:00:00Z'));
+    check('a refund goes back to the month it was charged in', refunded.used === 0 && (await getMonthlyUsage(storage, 'uid-d', june)).renders === 0);
+    await refundQuota(storage, { subject: 'uid-d', quota: 'drafts', month: '2025-06' });
+    check('a refunded draft can be rendered again', (await rejectionOf(consumeQuota(storage, draftOpts))) === null);
+    const video = { plan: 'free', subject: 'uid-v', quota: 'downloads', now: june };
+    const first = await consumeQuota(storage, { ...video, item: 'videos/published/a-1.mp4' });
+    const again = await consumeQuota(storage, { ...video, item: 'videos/published/a-1.mp4' });
+    check('a video counts once a month', first.used === 1 && !first.repeat && again.used === 1 && again.repeat);
+    await consumeQuota(storage, { ...video, item: 'videos/published/b-1.mp4' });
+    await consumeQuota(storage, { ...video, item: 'videos/published/c-1.mp4' });
+    check('other videos still count', (await rejectionOf(consumeQuota(storage, { ...video, item: 'videos/published/d-1.mp4' })))?.code === 'QUOTA_EXHAUSTED');
+    check('a counted video stays available once the quota is used up', (await consumeQuota(storage, { ...video, item: 'videos/published/b-1.mp4' })).repeat);
+    check('counted videos stay out of the usage summary', !('items' in (await getMonthlyUsage(storage, 'uid-v', june))));
+    check('refunds never go below zero', (await refundQuota(storage, { subject: 'uid-e', quota: 'renders', month: '2025-06' })).used === 0);
+    for (let i = 0; i < 5; i++) await consumeQuota(storage, { ...opts, plan: 'enterprise', subject: 'uid-b' });
+    check('enterprise is unlimited', (await consumeQuota(storage, { ...opts, plan: 'enterprise', subject: 'uid-b' })).allowed === null);
+
+    // Anonymous callers behind the proxy are told apart by their forwarded address
+    console.log('\nBehind the proxy:');
+    check('one proxy hop is trusted by default', resolveTrustProxy({}) === 1);
+    check('TRUST_PROXY takes hops, booleans and subnets', resolveTrustProxy({ TRUST_PROXY: '2' }) === 2 && resolveTrustProxy({ TRUST_PROXY: 'false' }) === false
+      && resolveTrustProxy({ TRUST_PROXY: 'loopback, 10.0.0.0/8' }).join('|') === 'loopback|10.0.0.0/8');
+    const app = express();
+    app.set('trust proxy', resolveTrustProxy({}));
+    app.post('/render', async (req, res) => {
+      const { used } = await consumeQuota(storage, { plan: 'free', subject: usageSubject({ uid: null, ip: req.ip }), quota: 'renders', now: june });
+      res.json({ used });
+    });
+    const server = await new Promise((resolve) => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+    try {
+      const renderFrom = async (client) => (await (await fetch(`http://127.0.0.1:${server.address().port}/render`, {
+        method: 'POST',
+        headers: { 'X-Forwarded-For': client },
+      })).json()).used;
+      const firstClient = [await renderFrom('203.0.113.1'), await renderFrom('203.0.113.1')];
+      check('callers with different client IPs get separate counters', firstClient.join(',') === '1,2' && (await renderFrom('203.0.113.2')) === 1);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  } finally {
+    await fsp.rm(root, { recursive: true, force: true });
+  }
+
+  console.log(`\n${failures === 0 ? '✓ All entitlement checks passed' : `✗ ${failures} check(s) failed`}`);
+  if (failures > 0) process.exit(1);
+}
+
+run();
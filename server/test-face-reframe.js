@@ -0,0 +1,80 @@
+/**
+ * Face-Aware Reframe Test
+ * Verifies that face boxes override the gradient-energy anchor, stay inside the crop with
+ * headroom, and flag needsReview when no face fits (detector bypassed with precomputed faces)
+ *
+ * Usage: node server/test-face-reframe.js
+ */
+
+import sharp from 'sharp';
+
+process.env.FACE_DETECTION = 'off';
+const { createFramePlan } = await import('./auto-reframe.js');
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`  ${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+const WIDTH = 1500;
+const HEIGHT = 1000;
+
+// Busy checkerboard on the right edge: the gradient-energy peak lands there, away from the face
+async function busyBackgroundImage() {
+  const stripeW = 300;
+  const stripe = Buffer.alloc(stripeW * HEIGHT * 3);
+  for (let i = 0; i < stripeW * HEIGHT; i++) {
+    const x = i % stripeW;
+    const y = Math.floor(i / stripeW);
+    stripe.fill((x >> 2) % 2 === (y >> 2) % 2 ? 255 : 0, i * 3, i * 3 + 3);
+  }
+  return sharp({ create: { width: WIDTH, height: HEIGHT, channels: 3, background: { r: 120, g: 120, b: 120 } } })
+    .composite([{ input: stripe, raw: { width: stripeW, height: HEIGHT, channels: 3 }, left: WIDTH - stripeW, top: 0 }])
+    .jpeg()
+    .toBuffer();
+}
+
+const inside = (face, crop) => {
+  const x1 = face.x * WIDTH;
+  const y1 = (face.y - face.h * 0.35) * HEIGHT;
+  return x1 >= crop.x && (face.x + face.w) * WIDTH <= crop.x + crop.w &&
+    y1 >= crop.y && (face.y + face.h) * HEIGHT <= crop.y + crop.h;
+};
+
+async function run() {
+  console.log('=== Face-Aware Reframe Test ===\n');
+  const image = await busyBackgroundImage();
+
+  console.log('Without faces:');
+  const energyPlan = await createFramePlan(image, 9 / 16);
+  check('energy anchor locks onto the busy background', energyPlan.anchor.x > 0.7);
+  check('detector disabled leaves faceCount unset', energyPlan.faceCount === undefined);
+
+  console.log('\nPortrait crop with a face:');
+  const face = { x: 0.2, y: 0.12, w: 0.12, h: 0.18, score: 0.9 };
+  const plan = await createFramePlan(image, 9 / 16, { faces: [face] });
+  check('face overrides the energy anchor', Math.abs(plan.anchor.x - (face.x + face.w / 2)) < 0.02 && plan.reason.startsWith('faces'));
+  check('face and headroom stay inside the crop', inside(face, plan.crop));
+  check('crop keeps the target aspect', Math.abs(plan.crop.w / plan.crop.h - 9 / 16) < 0.01);
+  check('confident face plan needs no review', plan.needsReview === false && plan.facesFit === true);
+  check('motion focal follows the face', plan.anchorInCrop.y < 0.5);
+
+  console.log('\nGroups:');
+  const background = { x: 0.8, y: 0.5, w: 0.03, h: 0.04, score: 0.7 };
+  const withBackground = await createFramePlan(image, 9 / 16, { faces: [face, background] });
+  check('small background faces are ignored', withBackground.reason.includes('1 of 2') && inside(face, withBackground.crop));
+  const pair = [{ x: 0.05, y: 0.3, w: 0.12, h: 0.18 }, { x: 0.8, y: 0.3, w: 0.1, h: 0.16 }];
+  const split = await createFramePlan(image, 9 / 16, { faces: pair });
+  check('group too wide frames the largest face', inside(pair[0], split.crop) && split.facesFit === true);
+
+  console.log('\nNo face fits:');
+  const closeUp = { x: 0.2, y: 0.1, w: 0.5, h: 0.7 };
+  const tight = await createFramePlan(image, 9 / 16, { faces: [closeUp] });
+  check('face wider than the crop is flagged for review', tight.facesFit === false && tight.needsReview === true);
+
+  console.log(`\n${failures === 0 ? '✓ All face reframe checks passed' : `✗ ${failures} check(s) failed`}`);
+  if (failures > 0) process.exit(1);
+}
+
+run();
@@ -0,0 +1,149 @@
+/**
+ * HLS Ladder Test
+ * Verifies rendition planning, the single-pass ladder args, master playlist bandwidths and the
+ * per-viewer playlist signing (nested playlists signed back to /api/media/hls, segments presigned)
+ *
+ * Usage: node server/test-hls.js
+ */
+
+import fsp from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { createLocalStorage } from './storage/local-storage.js';
+import {
+  resolveHlsSettings,
+  planHlsRenditions,
+  h264LevelFor,
+  buildHlsArgs,
+  measureMediaPlaylist,
+  buildMasterPlaylist,
+  hlsKeysFor,
+  signPlaylistParams,
+  verifyPlaylistParams,
+  rewritePlaylist,
+  buildSignedPlaylist,
+  DEFAULT_HLS_RENDITIONS,
+} from './hls-ladder.js';
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`  ${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+const argValues = (args, flag) => args.flatMap((a, i) => (a === flag ? [args[i + 1]] : []));
+
+const MEDIA_PLAYLIST = [
+  '#EXTM3U',
+  '#EXT-X-VERSION:3',
+  '#EXT-X-TARGETDURATION:4',
+  '#EXT-X-PLAYLIST-TYPE:VOD',
+  '#EXTINF:4.000000,',
+  '720p_000.ts',
+  '#EXTINF:2.000000,',
+  '720p_001.ts',
+  '#EXT-X-ENDLIST',
+  '',
+].join('\n');
+
+async function run() {
+  console.log('Settings:');
+  check('defaults to 1080/720/480 with 4s segments', JSON.stringify(resolveHlsSettings({})) === JSON.stringify({ renditions: DEFAULT_HLS_RENDITIONS, segmentSec: 4 }));
+  check('reads HLS_RENDITIONS largest first', JSON.stringify(resolveHlsSettings({ HLS_RENDITIONS: '480, 1080,720,720' }).renditions) === '[1080,720,480]');
+  check('invalid HLS_RENDITIONS falls back', resolveHlsSettings({ HLS_RENDITIONS: '720,abc' }).renditions === DEFAULT_HLS_RENDITIONS);
+  check('invalid HLS_SEGMENT_SEC falls back', resolveHlsSettings({ HLS_SEGMENT_SEC: '0' }).segmentSec === 4);
+
+  console.log('\nRenditions:');
+  const landscape = planHlsRenditions(1920, 1080, 30);
+  check('16:9 gets 1080p/720p/480p', landscape.map((r) => `${r.width}x${r.height}`).join(',') === '1920x1080,1280x720,854x480');
+  const portrait = planHlsRenditions(1080, 1920, 30);
+  check('9:16 scales the short side', portrait.map((r) => `${r.width}x${r.height}`).join(',') === '1080x1920,720x1280,480x854');
+  const ultrawide = planHlsRenditions(1920, 803, 24);
+  check('rungs above the source are dropped', ultrawide.map((r) => r.name).join(',') === '720p,480p');
+  check('tiny sources get one rung at their own size', planHlsRenditions(640, 360, 24).map((r) => r.name).join(',') === '360p');
+  check('levels fit frame size and rate', h264LevelFor(854, 480, 24) === 30 && h264LevelFor(854, 480, 30) === 31 && h264LevelFor(1920, 1080, 30) === 40);
+  check('peak rate scales with pixels', landscape[0].maxrateKbps > landscape[1].maxrateKbps && landscape[1].maxrateKbps > landscape[2].maxrateKbps);
+
+  console.log('\nLadder args:');
+  const args = buildHlsArgs({ inputPath: '/w/final.mp4', outDir: '/w/hls', renditions: landscape, segmentSec: 4, hasAudio: true, encodeSettings: { crf: 20, preset: 'fast' } });
+  check('decodes once and splits per rendition', args.filter((a) => a === '-i').length === 1 && args[args.indexOf('-filter_complex') + 1].startsWith('[0:v]split=3[s0][s1][s2];'));
+  check('one HLS output per rendition', JSON.stringify(argValues(args, '-hls_segment_filename')) === JSON.stringify(['/w/hls/1080p_%03d.ts', '/w/hls/720p_%03d.ts', '/w/hls/480p_%03d.ts']) && args[args.length - 1] === '/w/hls/480p.m3u8');
+  check('uses the shared x264 settings', argValues(args, '-crf').every((v) => v === '20') && argValues(args, '-preset').length === 3);
+  check('keyframes land on segment boundaries', argValues(args, '-force_key_frames').every((v) => v === 'expr:gte(t,n_forced*4)'));
+  check('audio mapped into every rendition', argValues(args, '-map').filter((m) => m === '0:a:0').length === 3);
+  const silent = buildHlsArgs({ inputPath: 'in.mp4', outDir: 'o', renditions: landscape.slice(2), segmentSec: 4, hasAudio: false });
+  check('no audio map without music', !silent.includes('0:a:0') && !silent.includes('-c:a'));
+
+  console.log('\nMaster playlist:');
+  const sizes = { '720p_000.ts': 1_000_000, '720p_001.ts': 250_000 };
+  const measured = measureMediaPlaylist(MEDIA_PLAYLIST, (uri) => sizes[uri]);
+  check('segments are listed in order', JSON.stringify(measured.segments) === '["720p_000.ts","720p_001.ts"]');
+  check('peak bandwidth is the busiest segment', measured.peakBps === 2_000_000);
+  check('average bandwidth covers the whole rendition', measured.averageBps === Math.ceil((1_250_000 * 8) / 6));
+  const master = buildMasterPlaylist([
+    { uri: 'job/720p.m3u8', width: 1280, height: 720, level: 31, peakBps: 2_000_000, averageBps: 1_500_000 },
+    { uri: 'job/480p.m3u8', width: 854, height: 480, level: 30, peakBps: 800_000, averageBps: 600_000 },
+  ], { fps: 24, hasAudio: true });
+  const lines = master.trim().split('\n');
+  check('starts with the lowest bitrate', lines[4] === 'job/480p.m3u8' && lines[6] === 'job/720p.m3u8');
+  check('declares bandwidth, resolution and codecs', lines[3] === '#EXT-X-STREAM-INF:BANDWIDTH=800000,AVERAGE-BANDWIDTH=600000,RESOLUTION=854x480,FRAME-RATE=24.000,CODECS="avc1.64001e,mp4a.40.2"');
+  check('ladder keys sit next to the MP4', JSON.stringify(hlsKeysFor('videos/published/abc.mp4')) === JSON.stringify({ masterKey: 'videos/published/abc.m3u8', renditionPrefix: 'videos/published/abc/' }));
+
+  console.log('\nPlaylist signing:');
+  const params = Object.fromEntries(new URLSearchParams(signPlaylistParams('videos/published/abc.m3u8', { secret: 's', expiresIn: 60 })));
+  check('valid signature verifies', verifyPlaylistParams(params, 's') === null);
+  check('wrong secret is rejected', verifyPlaylistParams(params, 't') === 'INVALID_SIGNATURE');
+  check('other keys are rejected', verifyPlaylistParams({ ...params, key: 'videos/published/abd.m3u8' }, 's') === 'INVALID_SIGNATURE');
+  check('non-playlist keys are rejected', verifyPlaylistParams(Object.fromEntries(new URLSearchParams(signPlaylistParams('videos/published/abc.mp4', { secret: 's' }))), 's') === 'INVALID_SIGNATURE');
+  const expired = Object.fromEntries(new URLSearchParams(signPlaylistParams('videos/published/abc.m3u8', { secret: 's', expiresIn: -5 })));
+  check('expired links are rejected', verifyPlaylistParams(expired, 's') === 'URL_EXPIRED');
+
+  let escaped = null;
+  try {
+    await rewritePlaylist('#EXTM3U\n../../secret.ts\n', 'videos/published/abc/720p.m3u8', { signPlaylist: (k) => k, signSegment: (k) => k });
+  } catch (err) {
+    escaped = err;
+  }
+  check('URIs outside the playlist directory are refused', escaped?.code === 'INVALID_PLAYLIST');
+  const withMap = await rewritePlaylist('#EXTM3U\n#EXT-X-MAP:URI="init.mp4"\nhttps://cdn.example/a.ts\n', 'videos/published/abc/720p.m3u8', {
+    signPlaylist: (k) => `P:${k}`,
+    signSegment: (k) => `S:${k}`,
+  });
+  check('attribute URIs are signed, absolute URIs kept', withMap.includes('URI="S:videos/published/abc/init.mp4"') && withMap.includes('\nhttps://cdn.example/a.ts'));
+
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), 'trace_hls_test_'));
+  try {
+    const storage = createLocalStorage({ root, baseUrl: 'http://media.test', secret: 'storage-secret' });
+    await storage.putObject('videos/published/abc.m3u8', master);
+    await storage.putObject('videos/published/abc/720p.m3u8', MEDIA_PLAYLIST);
+
+    const signedMaster = await buildSignedPlaylist(storage, 'videos/published/abc.m3u8', { secret: 's', playlistTtlSec: 60, segmentTtlSec: 3600 });
+    const variantLine = signedMaster.split('\n').find((line) => line.startsWith('hls?'));
+    const variantParams = Object.fromEntries(new URLSearchParams(variantLine.slice('hls?'.length)));
+    check('master links renditions back through the signed route', variantParams.key === 'videos/published/job/480p.m3u8' || variantParams.key === 'videos/published/job/720p.m3u8');
+    check('rendition links verify', verifyPlaylistParams(variantParams, 's') === null);
+    check('tags are preserved', signedMaster.startsWith('#EXTM3U\n#EXT-X-VERSION:3') && signedMaster.includes('#EXT-X-STREAM-INF:BANDWIDTH=800000'));
+
+    const signedMedia = await buildSignedPlaylist(storage, 'videos/published/abc/720p.m3u8', { secret: 's', playlistTtlSec: 60, segmentTtlSec: 3600 });
+    const segmentUrls = signedMedia.split('\n').filter((line) => line.startsWith('http'));
+    const segmentUrl = new URL(segmentUrls[0]);
+    check('every segment gets a presigned storage URL', segmentUrls.length === 2 && segmentUrl.origin === 'http://media.test' && segmentUrl.searchParams.get('key') === 'videos/published/abc/720p_000.ts' && !!segmentUrl.searchParams.get('sig'));
+    check('segment URLs live for the segment TTL', Number(segmentUrl.searchParams.get('expires')) - Math.floor(Date.now() / 1000) > 3500);
+    check('playlist content types are registered', (await storage.headObject('videos/published/abc.m3u8')).contentType === 'application/vnd.apple.mpegurl');
+
+    let missing = null;
+    try {
+      await buildSignedPlaylist(storage, 'videos/published/nope.m3u8', { secret: 's', playlistTtlSec: 60, segmentTtlSec: 60 });
+    } catch (err) {
+      missing = err;
+    }
+    check('missing playlists reject with NOT_FOUND', missing?.code === 'NOT_FOUND');
+  } finally {
+    await fsp.rm(root, { recursive: true, force: true });
+  }
+
+  console.log(`\n${failures === 0 ? '✓ All HLS checks passed' : `✗ ${failures} check(s) failed`}`);
+  if (failures > 0) process.exit(1);
+}
+
+run();
@@ -0,0 +1,125 @@
+/**
+ * Image Ingestion Test
+ * Verifies bounded-concurrency mapping and that auto-reframe on worker threads produces the
+ * same frame plans and files as running it inline, including multi-aspect tasks (face detection off,
+ * throwaway directory)
+ *
+ * Usage: node server/test-ingest.js
+ */
+
+import fsp from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import sharp from 'sharp';
+
+process.env.FACE_DETECTION = 'off';
+process.env.REFRAME_WORKERS = '2';
+const { mapWithConcurrency } = await import('./utils/concurrency.js');
+const { reframeImage, reframeImageForAspects, closeReframePool, REFRAME_WORKERS } = await import('./reframe-pool.js');
+const { reframeFile } = await import('./auto-reframe.js');
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`  ${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function run() {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'trace_ingest_test_'));
+  try {
+    console.log('Bounded concurrency:');
+    let active = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 5, 20, 1, 10, 2], 3, async (ms, i) => {
+      active++;
+      peak = Math.max(peak, active);
+      await sleep(ms);
+      active--;
+      return i * 10;
+    });
+    check('results keep input order', JSON.stringify(results) === JSON.stringify([0, 10, 20, 30, 40, 50]));
+    check('never exceeds the limit', peak === 3);
+
+    const started = [];
+    let settledBeforeThrow = 0;
+    let thrown = null;
+    try {
+      await mapWithConcurrency([0, 1, 2, 3, 4, 5], 2, async (n) => {
+        started.push(n);
+        if (n === 1) throw new Error('boom');
+        await sleep(20);
+        settledBeforeThrow++;
+        return n;
+      });
+    } catch (err) {
+      thrown = err;
+    }
+    check('first error is rethrown', thrown?.message === 'boom');
+    check('no new items start after a failure', started.length === 2);
+    check('in-flight items settle before rejecting', settledBeforeThrow === 1);
+
+    const controller = new AbortController();
+    controller.abort(new Error('cancelled'));
+    thrown = null;
+    try {
+      await mapWithConcurrency([1, 2], 2, async () => 1, { signal: controller.signal });
+    } catch (err) {
+      thrown = err;
+    }
+    check('aborted signal stops the run', thrown?.message === 'cancelled');
+
+    console.log('\nWorker reframe:');
+    check('REFRAME_WORKERS is read from the environment', REFRAME_WORKERS === 2);
+    const sources = [];
+    for (let i = 0; i < 4; i++) {
+      const file = path.join(dir, `src${i}.jpg`);
+      await sharp({ create: { width: 1200 + i * 100, height: 900, channels: 3, background: { r: 40 * i, g: 90, b: 160 } } })
+        .composite([{ input: { create: { width: 200, height: 200, channels: 3, background: { r: 255, g: 255, b: 255 } } }, left: 100 + i * 200, top: 300 }])
+        .jpeg()
+        .toFile(file);
+      sources.push(file);
+    }
+
+    const pooled = await Promise.all(sources.map((inputPath, i) => reframeImage({
+      inputPath,
+      outputPath: path.join(dir, 'pool', `${i}.jpg`),
+      targetAspect: 16 / 9,
+    })));
+    const inline = [];
+    for (let i = 0; i < sources.length; i++) {
+      inline.push(await reframeFile(sources[i], path.join(dir, 'inline', `${i}.jpg`), 16 / 9));
+    }
+    check('worker plans match inline plans', JSON.stringify(pooled) === JSON.stringify(inline));
+    const meta = await sharp(path.join(dir, 'pool', '2.jpg')).metadata();
+    check('reframed file is written at the target aspect', Math.abs(meta.width / meta.height - 16 / 9) < 0.01);
+
+    let workerError = null;
+    try {
+      await reframeImage({ inputPath: path.join(dir, 'missing.jpg'), outputPath: path.join(dir, 'pool', 'x.jpg'), targetAspect: 16 / 9 });
+    } catch (err) {
+      workerError = err;
+    }
+    check('worker errors reject with the original code', workerError?.code === 'ENOENT');
+    const again = await reframeImage({ inputPath: sources[0], outputPath: path.join(dir, 'pool', 'again.jpg'), targetAspect: 1 });
+    check('pool keeps serving after a failed task', again.crop.w === again.crop.h);
+
+    const multi = await reframeImageForAspects({
+      inputPath: sources[1],
+      targets: [16 / 9, 9 / 16, 1].map((targetAspect, i) => ({ outputPath: path.join(dir, 'multi', `${i}.jpg`), targetAspect })),
+    });
+    const single = await reframeImage({ inputPath: sources[1], outputPath: path.join(dir, 'multi', 'single.jpg'), targetAspect: 9 / 16 });
+    check('one task plans every aspect', multi.length === 3 && JSON.stringify(multi[1]) === JSON.stringify(single));
+    const aspects = await Promise.all([0, 1, 2].map((i) => sharp(path.join(dir, 'multi', `${i}.jpg`)).metadata()));
+    check('each aspect is written at its own ratio', [16 / 9, 9 / 16, 1].every((target, i) => Math.abs(aspects[i].width / aspects[i].height - target) < 0.01));
+  } finally {
+    await closeReframePool();
+    await fsp.rm(dir, { recursive: true, force: true });
+  }
+
+  console.log(`\n${failures === 0 ? '✓ All ingestion checks passed' : `✗ ${failures} check(s) failed`}`);
+  if (failures > 0) process.exit(1);
+}
+
+run();
@@ -0,0 +1,132 @@
+/**
+ * Job Manifest Test
+ * Verifies manifests (build, storage round trip) and how remix overrides are applied to the request
+ * a memory was made from (local storage in a throwaway directory)
+ *
+ * Usage: node server/test-job-manifest.js
+ */
+
+import fsp from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { createLocalStorage } from './storage/local-storage.js';
+import {
+  manifestKeyFor,
+  pickRenderRequest,
+  buildJobManifest,
+  saveJobManifest,
+  getJobManifest,
+  jobFromManifest,
+  remixRequest,
+} from './job-manifest.js';
+import { buildMemoryRecord, saveMemoryRecord, deleteMemoryRecord } from './memory-library.js';
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`  ${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+function errorOf(fn) {
+  try {
+    fn();
+    return null;
+  } catch (err) {
+    return err;
+  }
+}
+
+const photoKeys = ['videos/drafts/a.jpg', 'videos/drafts/b.jpg', 'videos/drafts/c.jpg'];
+
+function manifestFor(request, { trackKey = 'music/calm.mp3', jobId = 'job1-aaa', quality = 'full' } = {}) {
+  return buildJobManifest({
+    jobId,
+    photoKeys,
+    order: [2, 0, 1],
+    request,
+    options: { aspectRatios: ['16:9'], fps: 24, enableMusic: true, motionSeed: jobId, quality },
+    renderPlan: { durations: [3, 3, 3], transitions: ['crossfade', 'crossfade'] },
+    aspects: [{ aspectRatio: '16:9', renderFramesDir: '/tmp/frames', framePlans: [{ crop: { x: 0, y: 0, w: 16, h: 9 } }, null, null] }],
+    music: { enabled: !!trackKey, trackKey, beatSynced: false },
+    outputs: [{ aspectRatio: '16:9', videoKey: `videos/published/${jobId}.mp4`, finalVideo: '/tmp/final.mp4' }],
+    params: { photoKeys, uid: 'uid-a', quality, watermark: true, quotaCharge: { quota: 'renders', subject: 'uid-a', month: '2025-06' } },
+    now: new Date('2025-06-01T12:00:00Z'),
+  });
+}
+
+async function run() {
+  console.log('Manifests:');
+  const body = { photoKeys, aspectRatio: '16:9', beatSync: true, targetDurationSec: 'music', context: 'Lisbon', hls: true, extra: 1 };
+  const request = pickRenderRequest(body);
+  check('request keeps what was sent', request.aspectRatio === '16:9' && request.beatSync === true && request.context === 'Lisbon');
+  check('request has no photoKeys or unknown fields', !('photoKeys' in request) && !('extra' in request));
+
+  const manifest = manifestFor(request);
+  check('manifest sits next to the video', manifestKeyFor('job1-aaa') === 'videos/published/job1-aaa.manifest.json');
+  check('inputs and order are recorded', manifest.inputs.photoKeys.length === 3 && manifest.inputs.order.join(',') === '2,0,1');
+  check('frame plans are kept per aspect', manifest.framePlans[0].aspectRatio === '16:9' && manifest.framePlans[0].framePlans[0].crop.w === 16);
+  check('working paths are not recorded', !('renderFramesDir' in manifest.framePlans[0]) && !('finalVideo' in manifest.outputs[0]));
+  check('job params are kept without the quota charge', manifest.params.uid === 'uid-a' && manifest.params.watermark === true && !('quotaCharge' in manifest.params));
+  check('draft manifests sit next to the draft', manifestKeyFor('job2-bbb', { draft: true }) === 'videos/drafts/renders/job2-bbb.manifest.json');
+
+  console.log('\nJobs from manifests:');
+  const job = jobFromManifest(manifest);
+  check('a manifest stands in for a dropped job', job.jobId === 'job1-aaa' && job.status === 'complete' && job.params.uid === 'uid-a'
+    && job.result.videoKey === 'videos/published/job1-aaa.mp4');
+  check('manifests without params or none at all give no job', jobFromManifest({ ...manifest, params: null }) === null && jobFromManifest(null) === null);
+
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), 'job-manifest-'));
+  const storage = createLocalStorage({ root, baseUrl: 'http://media.test', secret: 's' });
+  try {
+    await saveJobManifest(storage, manifest);
+    const loaded = await getJobManifest(storage, 'job1-aaa');
+    check('manifest round-trips through storage', loaded?.music.trackKey === 'music/calm.mp3' && loaded.renderPlan.durations.length === 3);
+    check('missing manifest is null', (await getJobManifest(storage, 'nope-000')) === null);
+    await saveJobManifest(storage, manifestFor(request, { jobId: 'job2-bbb', quality: 'draft' }));
+    check('draft manifests are saved next to the draft', (await storage.headObject(manifestKeyFor('job2-bbb', { draft: true }))) !== null);
+    check('manifests are found in either place', (await getJobManifest(storage, 'job2-bbb'))?.jobId === 'job2-bbb'
+      && (await getJobManifest(storage, 'job2-bbb', { draft: false })) === null);
+
+    await saveMemoryRecord(storage, buildMemoryRecord({
+      jobId: 'job1-aaa',
+      uid: 'uid-a',
+      params: { photoKeys },
+      result: { videoKey: 'videos/published/job1-aaa.mp4' },
+    }));
+    await deleteMemoryRecord(storage, 'uid-a', 'job1-aaa');
+    check('deleting the memory deletes its manifest', (await getJobManifest(storage, 'job1-aaa')) === null);
+  } finally {
+    await fsp.rm(root, { recursive: true, force: true });
+  }
+
+  console.log('\nRemix:');
+  const same = remixRequest(manifest, {});
+  check('no overrides re-renders the same request', same.context === 'Lisbon' && same.beatSync === true && same.hls === true);
+  check('photos and order are kept', same.photoKeys.join(',') === photoKeys.join(',') && same.order.join(',') === '2,0,1');
+  check('the song is kept', same.musicKey === 'music/calm.mp3');
+
+  const reordered = remixRequest(manifest, { order: [0, 1, 2] });
+  check('order can be overridden', reordered.order.join(',') === '0,1,2');
+  const replanned = remixRequest(manifest, { plan: { durations: [2, 2, 2] } });
+  check('a new plan brings its own order', !('order' in replanned));
+
+  const portrait = remixRequest(manifestFor({ aspectRatios: ['16:9', '1:1'] }), { aspectRatio: '9:16' });
+  check('aspectRatio replaces stored aspectRatios', portrait.aspectRatio === '9:16' && !('aspectRatios' in portrait));
+  check('frameRate replaces stored fps', !('fps' in remixRequest(manifestFor({ fps: 30 }), { frameRate: 24 })));
+
+  const silent = remixRequest(manifest, { enableMusic: false });
+  check('music off drops beat sync and the music target', !('beatSync' in silent) && !('targetDurationSec' in silent));
+  check('music off drops the song', !('musicKey' in silent));
+  check('musicKey can be cleared to pick again', remixRequest(manifest, { musicKey: null }).musicKey === null);
+  check('a new song can be picked', remixRequest(manifest, { musicKey: 'music/upbeat.mp3' }).musicKey === 'music/upbeat.mp3');
+  check('no music recorded leaves musicKey out', !('musicKey' in remixRequest(manifestFor({}, { trackKey: null }), {})));
+
+  const unknown = errorOf(() => remixRequest(manifest, { photoKeys: ['videos/drafts/x.jpg'] }));
+  check('photoKeys cannot be overridden', unknown?.status === 400 && unknown.error === 'INVALID_REMIX');
+  check('overrides must be an object', errorOf(() => remixRequest(manifest, [1]))?.status === 400);
+
+  console.log(`\n${failures === 0 ? '✓ All job manifest checks passed' : `✗ ${failures} check(s) failed`}`);
+  if (failures > 0) process.exit(1);
+}
+
+run();
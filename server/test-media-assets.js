@@ -0,0 +1,117 @@
+/**
+ * Media Assets Test
+ * Verifies asset keys, sprite / teaser planning, the WebVTT track, ffmpeg args, thumbnails URL
+ * signing and the signed track rewrite (local storage in a throwaway directory)
+ *
+ * Usage: node server/test-media-assets.js
+ */
+
+import fsp from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { createLocalStorage } from './storage/local-storage.js';
+import {
+  mediaAssetKeysFor,
+  posterTimeFor,
+  planThumbnailSprite,
+  planPreview,
+  buildThumbnailsVtt,
+  buildPosterArgs,
+  buildSpriteArgs,
+  buildPreviewArgs,
+  signThumbnailsParams,
+  verifyThumbnailsParams,
+  buildSignedThumbnails,
+  findMediaAssets,
+  signMediaAssetUrls,
+  THUMBNAILS_ROUTE,
+} from './media-assets.js';
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`  ${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+async function run() {
+  console.log('Keys:');
+  const keys = mediaAssetKeysFor('videos/published/job1.mp4');
+  check('poster next to the video', keys.posterKey === 'videos/published/job1.poster.jpg');
+  check('sprite and track share a base name', keys.spriteKey === 'videos/published/job1.sprite.jpg' && keys.thumbnailsKey === 'videos/published/job1.sprite.vtt');
+  check('teaser defaults to WebP', keys.previewKey === 'videos/published/job1.preview.webp');
+  check('GIF teaser key', mediaAssetKeysFor('videos/published/job1-9x16.webm', { previewExtension: '.gif' }).previewKey === 'videos/published/job1-9x16.preview.gif');
+
+  console.log('\nPlanning:');
+  check('poster is mid first clip', posterTimeFor({ clips: [{ start: 0, duration: 3 }], totalDuration: 20 }) === 1.5);
+  check('poster without clips is the first frame', posterTimeFor({ clips: [], totalDuration: 0 }) === 0);
+  const sprite = planThumbnailSprite({ durationSec: 25, width: 1920, height: 1080 });
+  check('short videos get a thumb every 2s', sprite.intervalSec === 2 && sprite.count === 13);
+  check('sprite grid is 10 wide', sprite.columns === 10 && sprite.rows === 2);
+  check('thumbs keep the aspect', sprite.thumbWidth === 160 && sprite.thumbHeight === 90);
+  const long = planThumbnailSprite({ durationSec: 600, width: 1080, height: 1920 });
+  check('long videos are capped at 100 thumbs', long.count <= 100 && long.intervalSec === 6);
+  const preview = planPreview({ durationSec: 20, width: 1080, height: 1920 });
+  check('teaser starts a quarter in', preview.startSec === 5 && preview.lengthSec === 3);
+  check('teaser long side is 480', preview.height === 480 && preview.width === 270);
+  check('teaser fits short videos', planPreview({ durationSec: 2, width: 1920, height: 1080 }).lengthSec === 2);
+
+  console.log('\nWebVTT:');
+  const vtt = buildThumbnailsVtt(sprite, 25, 'job1.sprite.jpg');
+  const cues = vtt.split('\n').filter((line) => line.includes('-->'));
+  check('starts with the WEBVTT header', vtt.startsWith('WEBVTT\n'));
+  check('one cue per thumb', cues.length === sprite.count);
+  check('last cue ends at the video end', cues[cues.length - 1] === '00:00:24.000 --> 00:00:25.000');
+  check('cues point into the grid', vtt.includes('job1.sprite.jpg#xywh=0,0,160,90') && vtt.includes('job1.sprite.jpg#xywh=0,90,160,90'));
+
+  console.log('\nFFmpeg args:');
+  const posterArgs = buildPosterArgs({ inputPath: 'in.mp4', atSec: 1.5, outPath: 'poster.jpg' });
+  check('poster seeks before the input', posterArgs.indexOf('-ss') < posterArgs.indexOf('-i') && posterArgs.includes('1.500'));
+  check('sprite tiles the grid', buildSpriteArgs({ inputPath: 'in.mp4', sprite, outPath: 's.jpg' }).some((a) => a.includes('tile=10x2')));
+  check('WebP teaser loops with libwebp', buildPreviewArgs({ inputPath: 'in.mp4', preview, outPath: 'p.webp' }).join(' ').includes('-c:v libwebp -loop 0'));
+  check('GIF teaser uses a palette', buildPreviewArgs({ inputPath: 'in.mp4', preview, outPath: 'p.gif' }).some((a) => a.includes('palettegen')));
+
+  console.log('\nSigning:');
+  const params = Object.fromEntries(new URLSearchParams(signThumbnailsParams(keys.thumbnailsKey, { secret: 's' })));
+  check('valid signature passes', verifyThumbnailsParams(params, 's') === null);
+  check('wrong secret fails', verifyThumbnailsParams(params, 'other') === 'INVALID_SIGNATURE');
+  check('other keys fail', verifyThumbnailsParams({ ...params, key: keys.posterKey }, 's') === 'INVALID_SIGNATURE');
+  const expired = Object.fromEntries(new URLSearchParams(signThumbnailsParams(keys.thumbnailsKey, { secret: 's', expiresIn: -10 })));
+  check('expired URLs fail', verifyThumbnailsParams(expired, 's') === 'URL_EXPIRED');
+
+  console.log('\nStorage:');
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), 'trace_assets_test_'));
+  try {
+    const storage = createLocalStorage({ root, baseUrl: 'http://media.test', secret: 's' });
+    check('nothing found before generation', JSON.stringify(await findMediaAssets(storage, 'videos/published/job1.mp4')) === '{"posterKey":null,"thumbnailsKey":null,"previewKey":null}');
+    await storage.putObject(keys.posterKey, 'jpg');
+    await storage.putObject(keys.thumbnailsKey, vtt);
+    await storage.putObject(mediaAssetKeysFor('videos/published/job1.mp4', { previewExtension: '.gif' }).previewKey, 'gif');
+    const found = await findMediaAssets(storage, 'videos/published/job1.mp4');
+    check('finds the stored assets', found.posterKey === keys.posterKey && found.thumbnailsKey === keys.thumbnailsKey);
+    check('falls back to the GIF teaser', found.previewKey === 'videos/published/job1.preview.gif');
+
+    const signedVtt = await buildSignedThumbnails(storage, keys.thumbnailsKey, { spriteTtlSec: 3600 });
+    const spriteLines = signedVtt.split('\n').filter((line) => line.includes('#xywh='));
+    check('sprite URIs are presigned', spriteLines.length === sprite.count && spriteLines.every((line) => line.startsWith('http://media.test/')));
+    check('cue timings are kept', signedVtt.includes('00:00:00.000 --> 00:00:02.000'));
+
+    await storage.putObject('videos/published/evil.sprite.vtt', 'WEBVTT\n\n00:00:00.000 --> 00:00:02.000\n../drafts/photo.jpg#xywh=0,0,160,90\n');
+    let escapeError = null;
+    await buildSignedThumbnails(storage, 'videos/published/evil.sprite.vtt', { spriteTtlSec: 60 }).catch((err) => { escapeError = err; });
+    check('URIs outside the video folder are rejected', escapeError?.code === 'INVALID_THUMBNAILS');
+
+    process.env.STORAGE_SIGNING_SECRET = 's';
+    const req = { protocol: 'http', get: () => 'api.test' };
+    const urls = await signMediaAssetUrls(req, storage, found);
+    check('thumbnails URL goes through this server', urls.thumbnailsUrl.startsWith(`http://api.test${THUMBNAILS_ROUTE}?`));
+    check('poster and teaser are presigned', urls.posterUrl.startsWith('http://media.test/') && urls.previewUrl.startsWith('http://media.test/'));
+    check('missing assets sign to null', JSON.stringify(await signMediaAssetUrls(req, storage, {})) === '{"posterUrl":null,"thumbnailsUrl":null,"previewUrl":null}');
+  } finally {
+    await fsp.rm(root, { recursive: true, force: true });
+  }
+
+  console.log(`\n${failures === 0 ? '✓ All media asset checks passed' : `✗ ${failures} check(s) failed`}`);
+  if (failures > 0) process.exit(1);
+}
+
+run();
@@ -0,0 +1,158 @@
+/**
+ * Memory Library Test
+ * Verifies library records (build, list order, clean re-renders replacing their source), which photo keys a
+ * caller may render, and that deleting a memory removes its media and its own photos but keeps photos another of
+ * the user's memories still uses, other users' photos and shared assets (local storage in a throwaway directory)
+ *
+ * Usage: node server/test-memory-library.js
+ */
+
+import fsp from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { createLocalStorage } from './storage/local-storage.js';
+import {
+  buildMemoryRecord,
+  saveMemoryRecord,
+  getMemoryRecord,
+  getMemoryOwner,
+  listMemoryRecords,
+  deleteMemoryRecord,
+  summarizeMemory,
+  memoryRecordKey,
+  photoUploadPrefix,
+  foreignPhotoKeys,
+} from './memory-library.js';
+
+const UPLOADS_A = 'videos/drafts/users/uid-a/';
+const UPLOADS_B = 'videos/drafts/users/uid-b/';
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`  ${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+async function rejectionOf(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (err) {
+    return err;
+  }
+}
+
+function recordFor(jobId, { photoKeys, createdAt, uid = 'uid-a', extra = {} }) {
+  return buildMemoryRecord({
+    jobId,
+    uid,
+    params: { photoKeys, context: `Trip ${jobId}`, enableMusic: true, beatSync: true, targetDurationSec: 30 },
+    result: {
+      videoKey: `videos/published/${jobId}.mp4`,
+      aspectRatioUsed: '16:9',
+      fpsUsed: 24,
+      outputs: [{ aspectRatio: '16:9', videoKey: `videos/published/${jobId}.mp4` }],
+      musicKeyUsed: 'music/calm.mp3',
+      finalDurationSec: 30,
+      ...extra,
+    },
+    order: photoKeys.map((_, i) => photoKeys.length - 1 - i),
+    createdAt,
+    now: new Date('2025-06-01T12:00:00Z'),
+  });
+}
+
+async function putAll(storage, keys) {
+  for (const key of keys) await storage.putObject(key, Buffer.from('x'));
+}
+
+async function run() {
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), 'memory-library-'));
+  const storage = createLocalStorage({ root, baseUrl: 'http://media.test', secret: 's' });
+  try {
+    console.log('Records:');
+    const first = recordFor('job1-aaa', { photoKeys: [`${UPLOADS_A}a.jpg`, `${UPLOADS_A}shared.jpg`], createdAt: Date.parse('2025-06-01T10:00:00Z') });
+    check('createdAt is normalized to ISO', first.createdAt === '2025-06-01T10:00:00.000Z');
+    check('order and music are kept', first.order.join(',') === '1,0' && first.music.trackKey === 'music/calm.mp3');
+    check('settings are recorded', first.settings.aspectRatio === '16:9' && first.settings.beatSync === true && first.settings.targetDurationSec === 30);
+    check('record key is per user', memoryRecordKey('uid-a', 'job1-aaa') === 'memories/uid-a/job1-aaa.json');
+    check('uids are escaped', memoryRecordKey('a/../b', 'job1-aaa') === 'memories/a_002f_002e_002e_002fb/job1-aaa.json');
+    check('distinct uids never share a library', memoryRecordKey('a/b', 'job1-aaa') !== memoryRecordKey('a_b', 'job1-aaa'));
+    check('no uid is AUTH_REQUIRED', (await rejectionOf(listMemoryRecords(storage, null)))?.status === 401);
+
+    await saveMemoryRecord(storage, first);
+    const second = recordFor('job2-bbb', { photoKeys: [`${UPLOADS_A}b.jpg`, `${UPLOADS_A}shared.jpg`], createdAt: Date.parse('2025-06-01T11:00:00Z') });
+    await saveMemoryRecord(storage, second);
+    await saveMemoryRecord(storage, recordFor('job9-zzz', { uid: 'uid-b', photoKeys: [`${UPLOADS_B}z.jpg`] }));
+
+    const listed = await listMemoryRecords(storage, 'uid-a');
+    check('list is newest first', listed.map((r) => r.memoryId).join(',') === 'job2-bbb,job1-aaa');
+    check('other users are not listed', !listed.some((r) => r.uid !== 'uid-a'));
+    check('another user cannot read a memory', (await getMemoryRecord(storage, 'uid-b', 'job1-aaa')) === null);
+    check('malformed ids are not found', (await getMemoryRecord(storage, 'uid-a', '../uid-b/job9-zzz')) === null);
+    check('owners are found from the memory id', (await getMemoryOwner(storage, 'job1-aaa')) === 'uid-a' && (await getMemoryOwner(storage, 'job9-zzz')) === 'uid-b');
+    check('unrecorded memories have no owner', (await getMemoryOwner(storage, 'anon-111')) === null && (await getMemoryOwner(storage, '../x')) === null);
+    const summary = summarizeMemory(listed[0]);
+    check('summary has no photo keys', summary.photoCount === 2 && !('photoKeys' in summary));
+
+    console.log('\nPhoto ownership:');
+    check('signed-in uploads go under the user', photoUploadPrefix('uid-a') === UPLOADS_A && photoUploadPrefix('a/../b') === 'videos/drafts/users/a_002f_002e_002e_002fb/');
+    check('distinct uids never share an upload prefix', photoUploadPrefix('a/b') !== photoUploadPrefix('a_b'));
+    check('anonymous uploads go under drafts', photoUploadPrefix(null) === 'videos/drafts/');
+    check('own uploads are allowed', foreignPhotoKeys('uid-a', first.photoKeys).length === 0);
+    const refused = foreignPhotoKeys('uid-a', [
+      `${UPLOADS_A}a.jpg`,
+      `${UPLOADS_B}z.jpg`,
+      'videos/drafts/anon.jpg',
+      'posters/default.jpg',
+      `${UPLOADS_A}nested/x.jpg`,
+    ]);
+    check('other users\' photos, anonymous uploads and shared assets are refused', refused.join(',') === `${UPLOADS_B}z.jpg,videos/drafts/anon.jpg,posters/default.jpg,${UPLOADS_A}nested/x.jpg`);
+    check('anonymous callers may not use users\' photos or rendered drafts', foreignPhotoKeys(null, [
+      'videos/drafts/anon.jpg',
+      `${UPLOADS_A}a.jpg`,
+      'videos/drafts/renders/j.mp4',
+    ]).join(',') === `${UPLOADS_A}a.jpg,videos/drafts/renders/j.mp4`);
+
+    console.log('\nClean re-renders:');
+    // Written directly, so it can list keys create would refuse (as a record from before the check could)
+    const clean = recordFor('job3-ccc', {
+      photoKeys: [...second.photoKeys, `${UPLOADS_B}z.jpg`, 'branding/end-card-logo.png'],
+      createdAt: Date.parse('2025-06-01T11:30:00Z'),
+      extra: { unlockedFrom: 'job2-bbb' },
+    });
+    await saveMemoryRecord(storage, clean);
+    check('re-render replaces its watermarked source', (await listMemoryRecords(storage, 'uid-a')).map((r) => r.memoryId).join(',') === 'job3-ccc,job1-aaa');
+
+    console.log('\nDelete:');
+    await putAll(storage, [
+      ...clean.photoKeys,
+      'videos/published/job2-bbb.mp4',
+      'videos/published/job3-ccc.mp4',
+      'videos/published/job3-ccc-9x16.mp4',
+      'videos/published/job3-ccc.poster.jpg',
+      'videos/published/job3-ccc/720p.m3u8',
+      'videos/published/job3-cccx.mp4',
+    ]);
+    check('unknown memory is null', (await deleteMemoryRecord(storage, 'uid-a', 'nope-000')) === null);
+    const deleted = await deleteMemoryRecord(storage, 'uid-a', 'job3-ccc');
+    check('media of the memory and its source are deleted', deleted.videos === 5);
+    check('unshared photos are deleted', deleted.photos === 1);
+    const remaining = (await storage.listObjects('')).map((obj) => obj.key);
+    check('unshared own photo is gone', !remaining.includes(`${UPLOADS_A}b.jpg`));
+    check('photo shared with another own memory is kept', remaining.includes(`${UPLOADS_A}shared.jpg`));
+    check('other user\'s photo is kept', remaining.includes(`${UPLOADS_B}z.jpg`));
+    check('shared asset is kept', remaining.includes('branding/end-card-logo.png'));
+    check('other memory sharing the id prefix is kept', remaining.includes('videos/published/job3-cccx.mp4'));
+    check('record is gone', (await getMemoryRecord(storage, 'uid-a', 'job3-ccc')) === null);
+    check('other memories remain', (await listMemoryRecords(storage, 'uid-a')).length === 1);
+    check('owner pointers of the memory and its source are gone', (await getMemoryOwner(storage, 'job3-ccc')) === null && (await getMemoryOwner(storage, 'job2-bbb')) === null);
+  } finally {
+    await fsp.rm(root, { recursive: true, force: true });
+  }
+
+  console.log(`\n${failures === 0 ? '✓ All memory library checks passed' : `✗ ${failures} check(s) failed`}`);
+  if (failures > 0) process.exit(1);
+}
+
+run();
@@ -0,0 +1,69 @@
+/**
+ * Motion Focal Point Test
+ * Verifies that Phase 1 motions follow auto-reframe saliency anchors: push-ins center on
+ * confident anchors, pans never drift off or into an edge subject, low confidence falls back to center
+ *
+ * Usage: node server/test-motion-focal.js
+ */
+
+import sharp from 'sharp';
+import { createFramePlan } from './auto-reframe.js';
+import { generatePhase1Motions } from './motion-phase1.js';
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`  ${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+const plan = (x, y, confidence = 0.7) => ({ anchorInCrop: { x, y }, confidence, safeModeUsed: false });
+
+async function run() {
+  console.log('=== Motion Focal Point Test ===\n');
+
+  console.log('Frame plan anchors:');
+  {
+    // Detailed patch in the right third of an otherwise flat 4:3 image, reframed to 16:9
+    const width = 1200;
+    const height = 900;
+    const patch = Buffer.alloc(120 * 120 * 3);
+    for (let i = 0; i < patch.length; i++) patch[i] = ((i / 3) % 120) % 8 < 4 ? 255 : 0;
+    const image = await sharp({ create: { width, height, channels: 3, background: { r: 128, g: 128, b: 128 } } })
+      .composite([{ input: patch, raw: { width: 120, height: 120, channels: 3 }, left: 900, top: 380 }])
+      .jpeg()
+      .toBuffer();
+    const framePlan = await createFramePlan(image, 16 / 9, { faceDetection: false });
+    const { anchorInCrop, crop } = framePlan;
+    check('plan carries the anchor relative to the crop', !!anchorInCrop && anchorInCrop.x >= 0 && anchorInCrop.x <= 1);
+    check('subject on the right stays right of center in the crop', anchorInCrop.x > 0.6);
+    check('anchorInCrop maps back to the source anchor', Math.abs(crop.x + anchorInCrop.x * crop.w - framePlan.anchor.x * width) <= 1);
+  }
+
+  console.log('\nFocal points:');
+  {
+    const motions = generatePhase1Motions({ count: 3, pack: 'documentary', seed: 'focal', framePlans: [plan(0.7, 0.35), plan(0.8, 0.3, 0.4), null] });
+    check('confident anchor becomes the focal point', motions[0].focalX === 0.7 && motions[0].focalY === 0.35 && motions[0].focalSource === 'anchor');
+    check('low confidence falls back to center', motions[1].focalX === 0.5 && motions[1].focalY === 0.45 && motions[1].focalSource === 'center');
+    check('missing frame plan falls back to center', motions[2].focalSource === 'center');
+    const safeMode = generatePhase1Motions({ count: 1, pack: 'default', framePlans: [{ ...plan(0.9, 0.5), safeModeUsed: true }] });
+    check('safe-mode center crops ignore the anchor', safeMode[0].focalSource === 'center');
+  }
+
+  console.log('\nPans:');
+  {
+    const count = 200;
+    const base = generatePhase1Motions({ count, pack: 'default', seed: 'pans' });
+    const edge = generatePhase1Motions({ count, pack: 'default', seed: 'pans', framePlans: new Array(count).fill(plan(0.85, 0.45)) });
+    const near = generatePhase1Motions({ count, pack: 'default', seed: 'pans', framePlans: new Array(count).fill(plan(0.6, 0.45)) });
+    const panIdx = base.map((m, i) => (m.type === 'PAN' ? i : -1)).filter((i) => i >= 0);
+    check('seeded sequence includes pans', panIdx.length > 0);
+    check('edge subjects get a push-in instead of a pan', panIdx.every((i) => edge[i].type === 'PUSH_IN'));
+    check('other move types are unchanged', base.every((m, i) => m.type === 'PAN' || edge[i].type === m.type));
+    check('pans never drift away from the subject', panIdx.every((i) => near[i].type === 'PAN' && near[i].panOffsetX >= 0));
+  }
+
+  console.log(`\n${failures === 0 ? '✓ All motion focal checks passed' : `✗ ${failures} check(s) failed`}`);
+  if (failures > 0) process.exit(1);
+}
+
+run();
@@ -0,0 +1,154 @@
+/**
+ * Payments Test
+ * Verifies webhook signatures, the local payment stand-in, paid memory records and the webhook
+ * handler end to end (local storage in a throwaway directory)
+ *
+ * Usage: node server/test-payments.js
+ */
+
+import fsp from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { createLocalStorage } from './storage/local-storage.js';
+import { setStorage } from './storage/index.js';
+import { signWebhookPayload, verifyWebhookSignature } from './payments/common.js';
+import { createLocalPayments } from './payments/local-payments.js';
+import { createPaymentsFromEnv, resolvePaymentsDriver, resolveCheckoutPrice, setPayments } from './payments/index.js';
+import {
+  memoryIdForVideoKey,
+  memoryIdForPublishedKey,
+  getMemoryPayment,
+  isMemoryPaid,
+  recordPaymentIntent,
+  applyPaymentEvent,
+  linkPaidMemory,
+} from './payments/records.js';
+import { handlePaymentWebhook } from './checkout.js';
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`  ${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+function errorOf(fn) {
+  try {
+    fn();
+    return null;
+  } catch (err) {
+    return err;
+  }
+}
+
+// Minimal Express response for calling a handler directly
+function mockResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+async function run() {
+  console.log('Signatures:');
+  const secret = 'whsec_test';
+  const body = JSON.stringify({ id: 'evt_1', type: 'payment_intent.succeeded' });
+  const now = 1750000000;
+  const header = signWebhookPayload(secret, body, now);
+  check('header uses the t= / v1= scheme', /^t=1750000000,v1=[0-9a-f]{64}$/.test(header));
+  check('a signed body verifies and parses', verifyWebhookSignature(secret, Buffer.from(body), header, { now }).id === 'evt_1');
+  check('any matching v1 of several is accepted', verifyWebhookSignature(secret, body, `t=${now},v1=${'0'.repeat(64)},${header.split(',')[1]}`, { now }).id === 'evt_1');
+  check('an altered body is rejected', errorOf(() => verifyWebhookSignature(secret, body.replace('evt_1', 'evt_2'), header, { now }))?.code === 'INVALID_SIGNATURE');
+  check('another secret is rejected', errorOf(() => verifyWebhookSignature('whsec_other', body, header, { now }))?.code === 'INVALID_SIGNATURE');
+  check('stale deliveries are rejected', errorOf(() => verifyWebhookSignature(secret, body, header, { now: now + 301 }))?.code === 'INVALID_SIGNATURE');
+  check('missing and malformed headers are rejected', errorOf(() => verifyWebhookSignature(secret, body, undefined))?.status === 400 && errorOf(() => verifyWebhookSignature(secret, body, 'v1=abc'))?.code === 'INVALID_SIGNATURE');
+
+  console.log('\nConfiguration:');
+  check('stripe when a secret key is set', resolvePaymentsDriver({ STRIPE_SECRET_KEY: 'sk_test' }) === 'stripe' && resolvePaymentsDriver({}) === 'local');
+  check('stripe needs the webhook secret', errorOf(() => createPaymentsFromEnv({ PAYMENTS_DRIVER: 'stripe', STRIPE_SECRET_KEY: 'sk_test' }))?.code === 'PAYMENTS_MISCONFIGURED');
+  check('the local stand-in is refused in production', errorOf(() => createPaymentsFromEnv({ PAYMENTS_DRIVER: 'local', NODE_ENV: 'production' }))?.code === 'PAYMENTS_MISCONFIGURED');
+  check('default price is $4.99', JSON.stringify(resolveCheckoutPrice({})) === '{"amount":499,"currency":"usd"}');
+  check('prices below the provider minimum are refused', errorOf(() => resolveCheckoutPrice({ CHECKOUT_PRICE_CENTS: '10' }))?.code === 'PAYMENTS_MISCONFIGURED');
+
+  console.log('\nVideo keys:');
+  check('published keys map to their memory', memoryIdForVideoKey('videos/published/m1abc-x7k2p9q1.mp4') === 'm1abc-x7k2p9q1');
+  check('extra aspects belong to the same memory', memoryIdForVideoKey('videos/published/m1abc-x7k2p9q1-9x16.webm') === 'm1abc-x7k2p9q1'
+    && memoryIdForVideoKey('videos/published/m1abc-x7k2p9q1-2_39x1.mp4') === 'm1abc-x7k2p9q1');
+  check('posters, manifests and HLS ladders are not videos', memoryIdForVideoKey('videos/published/m1abc-x7k2p9q1.manifest.json') === null);
+  check('every published object maps to its memory', [
+    'videos/published/m1abc-x7k2p9q1.mp4',
+    'videos/published/m1abc-x7k2p9q1-2_39x1.mp4',
+    'videos/published/m1abc-x7k2p9q1.poster.jpg',
+    'videos/published/m1abc-x7k2p9q1.manifest.json',
+    'videos/published/m1abc-x7k2p9q1/720p.m3u8',
+  ].every((key) => memoryIdForPublishedKey(key) === 'm1abc-x7k2p9q1'));
+  check('other published names have no memory', memoryIdForPublishedKey('videos/published/1700000000000.mp4') === null
+    && memoryIdForPublishedKey('videos/drafts/m1abc-x7k2p9q1.jpg') === null);
+  check('drafts and other prefixes do not', memoryIdForVideoKey('videos/drafts/renders/m1abc-x7k2p9q1.mp4') === null && memoryIdForVideoKey('photos/m1abc-x7k2p9q1.mp4') === null);
+
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), 'trace_payments_test_'));
+  try {
+    const storage = createLocalStorage({ root, baseUrl: 'http://media.test', secret: 's' });
+    const payments = createLocalPayments({ webhookSecret: secret });
+    const memoryId = 'm1abc-x7k2p9q1';
+
+    console.log('\nRecords:');
+    const intent = await payments.createPaymentIntent({ amount: 499, currency: 'usd', memoryId });
+    check('intents carry a client secret', intent.clientSecret.startsWith(`${intent.id}_secret_`) && intent.status === 'requires_payment_method');
+    await recordPaymentIntent(storage, { memoryId, provider: payments.name, intent, uid: 'user-1' });
+    await recordPaymentIntent(storage, { memoryId, provider: payments.name, intent, uid: 'user-1' });
+    const pending = await getMemoryPayment(storage, memoryId);
+    check('a recorded intent is pending, once', pending.status === 'pending' && pending.intents.length === 1 && pending.uid === 'user-1');
+    check('unknown memories are unpaid', (await getMemoryPayment(storage, 'zz-none')) === null && !(await isMemoryPaid(storage, memoryId)));
+
+    const stranger = payments.confirmPaymentIntent((await payments.createPaymentIntent({ amount: 499, currency: 'usd', memoryId })).id);
+    check('intents this memory never recorded are ignored', (await applyPaymentEvent(storage, stranger.event)).reason === 'unknown_intent');
+    const cheap = payments.confirmPaymentIntent(intent.id);
+    cheap.event.data.object.amount_received = 100;
+    check('short payments do not unlock', (await applyPaymentEvent(storage, cheap.event)).reason === 'amount_mismatch' && !(await isMemoryPaid(storage, memoryId)));
+    check('other event types are ignored', (await applyPaymentEvent(storage, { type: 'charge.refunded' })).reason === 'ignored_event_type');
+
+    console.log('\nWebhook:');
+    setStorage(storage);
+    setPayments(payments);
+    const deliver = async (rawBody, signature) => {
+      const res = mockResponse();
+      await handlePaymentWebhook({ body: Buffer.from(rawBody), headers: { 'stripe-signature': signature } }, res);
+      return res;
+    };
+    const paid = payments.confirmPaymentIntent(intent.id);
+    const forged = await deliver(paid.rawBody, signWebhookPayload('whsec_attacker', paid.rawBody));
+    check('forged deliveries get 400 and change nothing', forged.statusCode === 400 && forged.body.error === 'INVALID_SIGNATURE' && !(await isMemoryPaid(storage, memoryId)));
+    const delivered = await deliver(paid.rawBody, paid.signature);
+    check('a verified success marks the memory paid', delivered.statusCode === 200 && delivered.body.status === 'paid' && await isMemoryPaid(storage, memoryId));
+    const record = await getMemoryPayment(storage, memoryId);
+    check('the record keeps the paying intent and event', record.paidIntentId === intent.id && record.eventId === paid.event.id && record.amount === 499);
+    const redelivered = await deliver(paid.rawBody, paid.signature);
+    check('redeliveries are acknowledged without rewriting', redelivered.statusCode === 200 && (await getMemoryPayment(storage, memoryId)).updatedAt === record.updatedAt);
+    const failed = payments.confirmPaymentIntent(intent.id, { outcome: 'failed' });
+    await deliver(failed.rawBody, failed.signature);
+    check('a late failure does not revoke a payment', await isMemoryPaid(storage, memoryId));
+    const unparsed = mockResponse();
+    await handlePaymentWebhook({ body: JSON.parse(paid.rawBody), headers: { 'stripe-signature': paid.signature } }, unparsed);
+    check('parsed bodies are refused (the signature covers raw bytes)', unparsed.statusCode === 400 && unparsed.body.error === 'INVALID_PAYLOAD');
+
+    console.log('\nUnlocked re-renders:');
+    await linkPaidMemory(storage, 'm2def-a1b2c3d4', record);
+    const linked = await getMemoryPayment(storage, 'm2def-a1b2c3d4');
+    check('the clean re-render inherits the payment', linked.status === 'paid' && linked.paidVia === memoryId && linked.uid === 'user-1');
+  } finally {
+    await fsp.rm(root, { recursive: true, force: true });
+  }
+
+  console.log(`\n${failures === 0 ? '✓ All payment checks passed' : `✗ ${failures} check(s) failed`}`);
+  if (failures > 0) process.exit(1);
+}
+
+run();
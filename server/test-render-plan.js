@@ -0,0 +1,124 @@
+/**
+ * Render Plan Test
+ * Verifies plan validation, frame-exact timeline math (durations, xfade overlap, breath holds,
+ * chapter boundaries) and the generated xfade/concat chain (no FFmpeg needed)
+ *
+ * Usage: node server/test-render-plan.js
+ */
+
+import {
+  createDefaultRenderPlan,
+  sanitizeRenderPlan,
+  fitPlanToDuration,
+  getTargetDurationRange,
+  snapPlanToBeats,
+  buildRenderTimeline,
+  buildTransitionChain,
+} from './render-plan.js';
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`  ${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+function throwsCode(fn, code) {
+  try {
+    fn();
+    return false;
+  } catch (err) {
+    return err.code === code;
+  }
+}
+
+const FPS = 24;
+
+console.log('=== Render Plan Test ===\n');
+
+console.log('Default plan (uniform crossfades):');
+{
+  const N = 9;
+  const timeline = buildRenderTimeline(createDefaultRenderPlan(N), FPS);
+  const hold = (Math.max(12, Math.min(30, N * 1.7)) - 0.4) / N;
+  check('total matches N * hold + xf within a frame', Math.abs(timeline.totalDuration - (N * hold + 0.4)) <= 1 / FPS);
+  check('every transition is a 0.4s crossfade', timeline.transitions.every((t) => t.type === 'xfade' && t.frames === Math.round(0.4 * FPS)));
+  check('clips overlap by the xfade', timeline.clips[1].frames === timeline.clips[2].startFrame - timeline.clips[1].startFrame + Math.round(0.4 * FPS));
+  check('two photos render a 12s film instead of failing on long holds', Math.abs(buildRenderTimeline(createDefaultRenderPlan(2), FPS).totalDuration - 12) <= 1 / FPS);
+}
+
+console.log('\nTarget duration:');
+{
+  const timeline = buildRenderTimeline(createDefaultRenderPlan(12, { targetDurationSec: 60 }), FPS);
+  check('uniform holds stretch to a 60s target', Math.abs(timeline.totalDuration - 60) <= 1 / FPS);
+  const { minSec, maxSec } = getTargetDurationRange(12);
+  check('target range follows the shot count', minSec === 12.4 && maxSec === 144.4);
+  check('range is capped at 180s', getTargetDurationRange(30).maxSec === 180);
+
+  const plan = sanitizeRenderPlan({ durations: [1, 2, 1, 2], transitions: ['crossfade', 'breath_hold', 'hard_cut'] }, 4);
+  const fitted = fitPlanToDuration(plan, 30, FPS);
+  check('plan scales to the target', Math.abs(buildRenderTimeline(fitted, FPS).totalDuration - 30) <= 2 / FPS);
+  check('plan keeps relative shot lengths', Math.abs(fitted.durations[1] / fitted.durations[0] - 2) < 0.01);
+}
+
+console.log('\nPlan validation:');
+check('durations length must match image count', throwsCode(() => sanitizeRenderPlan({ durations: [1, 1], transitions: ['hard_cut', 'hard_cut'] }, 3), 'INVALID_PLAN'));
+check('transitions length must be N-1', throwsCode(() => sanitizeRenderPlan({ durations: [1, 1, 1], transitions: ['hard_cut'] }, 3), 'INVALID_PLAN'));
+check('non-numeric durations are rejected', throwsCode(() => sanitizeRenderPlan({ durations: [1, 'x', 1], transitions: ['hard_cut', 'hard_cut'] }, 3), 'INVALID_PLAN'));
+{
+  const sanitized = sanitizeRenderPlan({ durations: [0.1, 2, 40], transitions: ['wipe', 'match_dissolve'], chapterCuts: { arrivalEnd: 1, pauseEnd: 9 } }, 3);
+  check('durations are clamped, not rescaled', sanitized.durations[0] === 0.5 && sanitized.durations[1] === 2 && sanitized.durations[2] === 12);
+  check('unknown transitions fall back to hard_cut', sanitized.transitions[0] === 'hard_cut' && sanitized.warnings.length === 3);
+  check('out-of-range chapter cuts are dropped', sanitized.chapterCuts.arrivalEnd === 1 && sanitized.chapterCuts.pauseEnd === undefined);
+}
+
+console.log('\nPlanned timeline:');
+{
+  const plan = sanitizeRenderPlan({
+    durations: [1.2, 0.8, 2, 1, 1.5],
+    transitions: ['match_dissolve', 'hard_cut', 'dip_to_black_micro', 'breath_hold'],
+    chapterCuts: { arrivalEnd: 2 },
+  }, 5);
+  const timeline = buildRenderTimeline(plan, FPS);
+  const [dissolve, chapterCut, dip, hold] = timeline.transitions;
+
+  check('shots start at the running sum of durations', timeline.clips[1].startFrame === 29 && timeline.clips[2].startFrame === 29 + 19 + 10);
+  check('match_dissolve overlaps 6 frames', dissolve.type === 'xfade' && dissolve.frames === 6 && dissolve.offsetFrame === 29);
+  check('hard cut at a chapter boundary becomes a breath hold', chapterCut.chapterBoundary && chapterCut.name === 'breath_hold' && chapterCut.holdFrames === 10);
+  check('dip_to_black_micro is an 8-frame fadeblack', dip.xfadeType === 'fadeblack' && dip.frames === 8);
+  check('breath hold extends the outgoing clip, not the overlap', timeline.clips[3].frames === 24 + 10 && hold.frames === 0);
+  check('total = sum(durations) + holds', timeline.totalFrames === 29 + 19 + 48 + 24 + 36 + 10 + 10);
+}
+
+console.log('\nBeat sync:');
+{
+  const beats = [];
+  for (let t = 0.3; t < 12; t += 0.5) beats.push(Math.round(t * 1000) / 1000);
+  const plan = sanitizeRenderPlan({ durations: [1.7, 1.1, 2.4, 1.6, 2], transitions: ['crossfade', 'hard_cut', 'breath_hold', 'dip_to_black_micro'] }, 5);
+  const before = buildRenderTimeline(plan, FPS);
+  const { plan: snapped, snappedCuts } = snapPlanToBeats(plan, beats, FPS);
+  const after = buildRenderTimeline(snapped, FPS);
+  check('every cut snaps to a beat', snappedCuts === 4);
+  check('cuts and xfade offsets land on beat frames', after.clips.slice(1).every((c) => beats.some((b) => Math.abs(c.start - b) <= 0.5 / FPS)));
+  check('total length is unchanged', Math.abs(after.totalDuration - before.totalDuration) <= 1 / FPS);
+
+  const short = snapPlanToBeats(plan, [0.3, 0.8, 1.3], FPS);
+  check('cuts past the beat grid keep their spacing', short.snappedCuts === 1);
+}
+
+console.log('\nShort shots cap the dissolve:');
+{
+  const timeline = buildRenderTimeline(sanitizeRenderPlan({ durations: [0.5, 0.5], transitions: ['dissolve'] }, 2), FPS);
+  check('dissolve is at most half the shorter shot', timeline.transitions[0].frames === 6);
+}
+
+console.log('\nFilter chain:');
+{
+  const plan = sanitizeRenderPlan({ durations: [1, 1, 1], transitions: ['crossfade', 'hard_cut'] }, 3);
+  const chain = buildTransitionChain(buildRenderTimeline(plan, FPS));
+  check('dissolves use xfade at the timeline offset', chain[0] === '[img0][img1]xfade=transition=fade:duration=0.416667:offset=1.000000[tx0]');
+  check('cuts trim to the cut point then concat', chain[1] === '[tx0]trim=duration=2.000000[cut1]' && chain[2].startsWith('[cut1][img2]concat=n=2'));
+  check('output is trimmed to the planned total', chain[chain.length - 1] === '[tx1]trim=duration=3.000000,setpts=PTS-STARTPTS[out]');
+}
+
+console.log(`\n${failures === 0 ? '✓ All render plan checks passed' : `✗ ${failures} check(s) failed`}`);
+if (failures > 0) process.exit(1);
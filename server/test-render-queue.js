@@ -0,0 +1,161 @@
+/**
+ * Render Queue Test
+ * Verifies worker concurrency, queue positions, failure records, cancellation, crash recovery and the failed-job handler
+ * against a throwaway TRACE_JOBS_DIR (no S3 or FFmpeg needed)
+ *
+ * Usage: node server/test-render-queue.js
+ */
+
+import fsp from 'fs/promises';
+import path from 'path';
+import os from 'os';
+
+const jobsDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'trace_queue_test_'));
+process.env.TRACE_JOBS_DIR = jobsDir;
+process.env.RENDER_CONCURRENCY = '1';
+process.env.RENDER_MAX_ATTEMPTS = '2';
+
+const {
+  enqueueRenderJob,
+  setRenderProcessor,
+  setJobFailedHandler,
+  setJobProgress,
+  getJob,
+  getQueueInfo,
+  cancelRenderJob,
+  recoverRenderJobs,
+} = await import('./render-queue.js');
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`  ${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const waitFor = async (predicate, timeoutMs = 2000) => {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeoutMs) return false;
+    await sleep(10);
+  }
+  return true;
+};
+
+async function readJobFile(jobId) {
+  return JSON.parse(await fsp.readFile(path.join(jobsDir, jobId, 'job.json'), 'utf8'));
+}
+
+async function run() {
+  console.log('=== Render Queue Test ===\n');
+
+  // Jobs that ended without a video, in the order the handler saw them
+  const ended = [];
+  setJobFailedHandler((record) => {
+    ended.push(`${record.jobId}:${record.status}`);
+  });
+
+  // Worker: resolves when released, fails when params.fail is set, rejects when aborted
+  const releases = new Map();
+  let running = 0;
+  let maxRunning = 0;
+  setRenderProcessor(async (jobId, params, { signal }) => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    try {
+      await new Promise((resolve, reject) => {
+        releases.set(jobId, resolve);
+        signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+      });
+      if (params.fail) {
+        const err = new Error('Failed to download image: a.jpg');
+        err.error = 'IMAGE_DOWNLOAD_FAILED';
+        err.extra = { key: 'a.jpg' };
+        throw err;
+      }
+      setJobProgress(jobId, { status: 'complete', percent: 100, step: 'complete', result: { videoKey: `videos/published/${jobId}.mp4` } });
+    } finally {
+      running--;
+    }
+  });
+
+  console.log('Concurrency and queue positions:');
+  const a = enqueueRenderJob('job-a', { photoKeys: ['a.jpg', 'b.jpg'] });
+  const b = enqueueRenderJob('job-b', { photoKeys: ['a.jpg', 'b.jpg'], fail: true });
+  const c = enqueueRenderJob('job-c', { photoKeys: ['a.jpg', 'b.jpg'] });
+  check('first job starts immediately', a.queuePosition === 0 && getJob('job-a').status === 'running');
+  check('second job waits at position 1', b.queuePosition === 1);
+  check('third job waits at position 2', c.queuePosition === 2 && c.queueDepth === 2);
+
+  releases.get('job-a')();
+  await waitFor(() => getJob('job-b').status === 'running');
+  check('next job starts when a slot frees up', getJob('job-b').status === 'running');
+  check('remaining job moves up to position 1', getQueueInfo('job-c').queuePosition === 1);
+  check('completed job keeps its result', getJob('job-a').status === 'complete' && !!getJob('job-a').result);
+
+  console.log('\nFailure records:');
+  releases.get('job-b')();
+  await waitFor(() => getJob('job-b').status === 'failed');
+  const failed = getJob('job-b');
+  check('failed job carries error code', failed.error?.error === 'IMAGE_DOWNLOAD_FAILED');
+  check('failed job carries extra fields', failed.error?.key === 'a.jpg');
+
+  await waitFor(() => releases.has('job-c'));
+  releases.get('job-c')();
+  await waitFor(() => getJob('job-c').status === 'complete');
+  check('never ran more than RENDER_CONCURRENCY jobs', maxRunning === 1);
+
+  await sleep(50); // let job.json writes settle
+  check('job.json persisted with final status', (await readJobFile('job-a')).status === 'complete');
+  check('failed-job handler sees the failure only', ended.join(',') === 'job-b:failed');
+
+  console.log('\nCancellation:');
+  enqueueRenderJob('cancel-running', { photoKeys: ['a.jpg', 'b.jpg'] });
+  enqueueRenderJob('cancel-queued', { photoKeys: ['a.jpg', 'b.jpg'] });
+  enqueueRenderJob('after-cancel', { photoKeys: ['a.jpg', 'b.jpg'] });
+  cancelRenderJob('cancel-queued');
+  check('cancelled queued job leaves the queue', getQueueInfo('cancel-queued').queuePosition === 0 && getQueueInfo('after-cancel').queuePosition === 1);
+  cancelRenderJob('cancel-running');
+  await waitFor(() => getJob('after-cancel').status === 'running');
+  check('cancelled running job is marked cancelled', getJob('cancel-running').status === 'cancelled' && getJob('cancel-running').error?.error === 'JOB_CANCELLED');
+  check('cancelling frees the worker slot', getJob('after-cancel').status === 'running');
+  setJobProgress('cancel-running', { percent: 50, detail: 'late progress' });
+  check('late progress does not revive a cancelled job', getJob('cancel-running').detail === 'Render cancelled');
+  check('cancelling a finished job is a no-op', cancelRenderJob('job-a').status === 'complete');
+  releases.get('after-cancel')();
+  await waitFor(() => getJob('after-cancel').status === 'complete');
+  check('failed-job handler sees each cancellation once', ended.join(',') === 'job-b:failed,cancel-queued:cancelled,cancel-running:cancelled');
+
+  console.log('\nCrash recovery:');
+  const writeJob = async (record) => {
+    await fsp.mkdir(path.join(jobsDir, record.jobId, 'frames'), { recursive: true });
+    await fsp.writeFile(path.join(jobsDir, record.jobId, 'job.json'), JSON.stringify(record));
+  };
+  const now = Date.now();
+  await writeJob({ jobId: 'crash-queued', status: 'queued', attempts: 0, params: { photoKeys: ['a.jpg'] }, createdAt: now });
+  await writeJob({ jobId: 'crash-running', status: 'running', attempts: 1, params: { photoKeys: ['a.jpg'] }, createdAt: now + 1 });
+  await writeJob({ jobId: 'crash-exhausted', status: 'running', attempts: 2, params: { photoKeys: ['a.jpg'] }, createdAt: now + 2 });
+  await fsp.mkdir(path.join(jobsDir, 'orphan', 'frames'), { recursive: true });
+
+  const summary = await recoverRenderJobs();
+  check('resumes queued and retryable running jobs', summary.resumed === 2);
+  check('fails jobs past RENDER_MAX_ATTEMPTS', summary.failed === 1 && getJob('crash-exhausted').error?.error === 'JOB_INTERRUPTED');
+  await sleep(10);
+  check('failed-job handler sees jobs failed by recovery', ended.at(-1) === 'crash-exhausted:failed' && ended.length === 4);
+  check('resumed jobs keep FIFO order', getJob('crash-queued').status === 'running' && getQueueInfo('crash-running').queuePosition === 1);
+  check('orphaned job dirs are removed', !(await fsp.stat(path.join(jobsDir, 'orphan')).catch(() => null)));
+
+  releases.get('crash-queued')();
+  await waitFor(() => releases.has('crash-running'));
+  releases.get('crash-running')();
+  await waitFor(() => getJob('crash-running').status === 'complete');
+  check('resumed job counts its new attempt', getJob('crash-running').attempts === 2);
+
+  await sleep(50);
+  await fsp.rm(jobsDir, { recursive: true, force: true });
+
+  console.log(`\n${failures === 0 ? '✓ All render queue checks passed' : `✗ ${failures} check(s) failed`}`);
+  if (failures > 0) process.exit(1);
+}
+
+run();
@@ -0,0 +1,119 @@
+/**
+ * Storage Test
+ * Verifies the local-disk driver (objects, listing, key validation) and its signed upload /
+ * playback URLs end to end through the express route, against a throwaway directory (no S3 needed)
+ *
+ * Usage: node server/test-storage.js
+ */
+
+import fsp from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import express from 'express';
+import { createLocalStorage, LOCAL_OBJECT_ROUTE } from './storage/local-storage.js';
+import { resolveStorageDriver, createStorageFromEnv } from './storage/index.js';
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`  ${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+async function rejectsWith(promise, code) {
+  try {
+    await promise;
+    return false;
+  } catch (err) {
+    return err.code === code;
+  }
+}
+
+async function run() {
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), 'trace_storage_test_'));
+  const app = express();
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const storage = createLocalStorage({ root, baseUrl, secret: 'test-secret', maxUploadBytes: 1024 });
+  app.all(LOCAL_OBJECT_ROUTE, (req, res) => storage.handleObjectRequest(req, res));
+
+  try {
+    console.log('Driver selection:');
+    check('S3_BUCKET selects s3', resolveStorageDriver({ S3_BUCKET: 'b' }) === 's3');
+    check('no bucket falls back to local disk', resolveStorageDriver({}) === 'local');
+    check('STORAGE_DRIVER wins over S3_BUCKET', resolveStorageDriver({ S3_BUCKET: 'b', STORAGE_DRIVER: 'LOCAL' }) === 'local');
+    let misconfigured = null;
+    try {
+      createStorageFromEnv({ STORAGE_DRIVER: 's3' });
+    } catch (err) {
+      misconfigured = err.code;
+    }
+    check('s3 without a bucket is a config error', misconfigured === 'STORAGE_MISCONFIGURED');
+
+    console.log('\nObjects:');
+    await storage.putObject('photos/a/1.jpg', Buffer.from('one'));
+    await storage.putObject('photos/a/2.jpg', 'two');
+    await storage.putObject('photos/b/3.jpg', 'three');
+    const srcFile = path.join(root, 'src.mp4');
+    await fsp.writeFile(srcFile, 'video-bytes');
+    await storage.putObjectFromFile('videos/published/v.mp4', srcFile, { contentType: 'video/mp4' });
+
+    check('getObjectBuffer returns stored bytes', (await storage.getObjectBuffer('photos/a/1.jpg')).toString() === 'one');
+    const dest = path.join(root, 'copy.mp4');
+    await storage.downloadToFile('videos/published/v.mp4', dest);
+    check('downloadToFile copies the object', (await fsp.readFile(dest, 'utf-8')) === 'video-bytes');
+    const head = await storage.headObject('videos/published/v.mp4');
+    check('headObject reports size and type', head?.size === 11 && head?.contentType === 'video/mp4');
+    check('headObject is null for missing keys', (await storage.headObject('nope.jpg')) === null);
+    check('missing objects reject with NOT_FOUND', await rejectsWith(storage.getObjectBuffer('photos/missing.jpg'), 'NOT_FOUND'));
+
+    const listed = (await storage.listObjects('photos/a/')).map((o) => o.key);
+    check('listObjects filters by prefix', JSON.stringify(listed) === JSON.stringify(['photos/a/1.jpg', 'photos/a/2.jpg']));
+    check('listObjects matches partial names', (await storage.listObjects('photos/b/3')).length === 1);
+    check('listObjects on a missing prefix is empty', (await storage.listObjects('music/')).length === 0);
+    check('listObjects reports modification times', (await storage.listObjects('photos/a/')).every((o) => Math.abs(o.lastModified - Date.now()) < 60_000));
+    await storage.putObject('photos/b/gone.jpg', 'x');
+    await storage.deleteObject('photos/b/gone.jpg');
+    check('deleteObject removes the object', (await storage.headObject('photos/b/gone.jpg')) === null);
+    check('deleting a missing object is not an error', await storage.deleteObject('photos/b/gone.jpg').then(() => true, () => false));
+
+    console.log('\nKey validation:');
+    for (const bad of ['../escape.jpg', '/abs.jpg', 'a/../../b.jpg', 'a//b.jpg', 'a\\b.jpg', '']) {
+      check(`rejects ${JSON.stringify(bad)}`, await rejectsWith(storage.putObject(bad, 'x'), 'INVALID_KEY'));
+    }
+    check('nothing was written outside the root', !(await fsp.stat(path.join(path.dirname(root), 'escape.jpg')).catch(() => null)));
+
+    console.log('\nSigned URLs:');
+    const uploadUrl = await storage.getUploadUrl('uploads/new.jpg', { contentType: 'image/jpeg' });
+    check('upload URL points at this server', uploadUrl.startsWith(`${baseUrl}${LOCAL_OBJECT_ROUTE}?`));
+    let resp = await fetch(uploadUrl, { method: 'PUT', body: 'uploaded', headers: { 'Content-Type': 'image/jpeg' } });
+    check('PUT with a valid signature stores the body', resp.status === 200 && (await storage.getObjectBuffer('uploads/new.jpg')).toString() === 'uploaded');
+
+    resp = await fetch(uploadUrl.replace('uploads%2Fnew.jpg', 'uploads%2Fother.jpg'), { method: 'PUT', body: 'x' });
+    check('PUT with a tampered key is rejected', resp.status === 403 && (await resp.json()).error === 'INVALID_SIGNATURE');
+    resp = await fetch(await storage.getUploadUrl('uploads/big.jpg'), { method: 'PUT', body: Buffer.alloc(2048) });
+    check('PUT over the size limit is rejected', resp.status === 413 && (await storage.headObject('uploads/big.jpg')) === null);
+
+    const playbackUrl = await storage.getDownloadUrl('videos/published/v.mp4');
+    resp = await fetch(playbackUrl);
+    check('GET streams the object', resp.status === 200 && (await resp.text()) === 'video-bytes' && resp.headers.get('content-type') === 'video/mp4');
+    resp = await fetch(playbackUrl, { headers: { Range: 'bytes=0-4' } });
+    check('GET honours Range requests', resp.status === 206 && (await resp.text()) === 'video');
+    resp = await fetch(playbackUrl, { method: 'PUT', body: 'overwrite' });
+    check('a GET signature does not authorize PUT', resp.status === 403);
+    resp = await fetch(await storage.getDownloadUrl('videos/published/v.mp4', { expiresIn: -1 }));
+    check('expired URLs are rejected', resp.status === 403 && (await resp.json()).error === 'URL_EXPIRED');
+    resp = await fetch(await storage.getDownloadUrl('videos/missing.mp4'));
+    check('GET of a missing object is 404', resp.status === 404);
+    check('local objects have no public URL', storage.getObjectUrl('videos/published/v.mp4') === null);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    await fsp.rm(root, { recursive: true, force: true });
+  }
+
+  console.log(`\n${failures === 0 ? '✓ All storage checks passed' : `✗ ${failures} check(s) failed`}`);
+  if (failures > 0) process.exit(1);
+}
+
+run();
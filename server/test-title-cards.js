@@ -0,0 +1,141 @@
+/**
+ * Title Cards Test
+ * Verifies request validation, caption reordering, safe areas for every supported aspect,
+ * text fitting, overlay timing and the drawtext / overlay filtergraph
+ *
+ * Usage: node server/test-title-cards.js
+ */
+
+import fs from 'fs';
+import {
+  sanitizeTitleCards,
+  titleCardsInRenderOrder,
+  summarizeTitleCards,
+  formatTitleDate,
+  safeAreaFor,
+  fitTextLines,
+  planTitleOverlays,
+  buildTitleCardFilters,
+  escapeFilterValue,
+  titleFontPath,
+  TITLE_PRESETS,
+  MAX_TITLE_CHARS,
+} from './title-cards.js';
+import { createDefaultRenderPlan, buildRenderTimeline } from './render-plan.js';
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`  ${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+function throwsCode(fn, code) {
+  try {
+    fn();
+    return false;
+  } catch (err) {
+    return err.code === code;
+  }
+}
+
+console.log('Validation:');
+check('no titles renders without overlays', sanitizeTitleCards(undefined, { imageCount: 3 }) === null);
+const defaults = sanitizeTitleCards({}, { imageCount: 3, fallbackTitle: 'Lisbon, June' });
+check('opening defaults to the memory note', defaults.preset === 'classic' && defaults.opening.text === 'Lisbon, June' && defaults.opening.date === null);
+check('closing and captions default off', defaults.closing === null && defaults.captions === null);
+const full = sanitizeTitleCards({
+  preset: 'Editorial',
+  opening: { text: '  Our\nsummer ', date: '2024-06-12' },
+  closing: 'Until next time',
+  captions: ['Alfama', null, ''],
+}, { imageCount: 3 });
+check('preset is case-insensitive', full.preset === 'editorial');
+check('line breaks collapse to spaces', full.opening.text === 'Our summer');
+check('ISO dates are spelled out', full.opening.date === 'June 12, 2024');
+check('closing accepts a string', full.closing.text === 'Until next time');
+check('empty captions become null', JSON.stringify(full.captions) === '["Alfama",null,null]');
+check('opening: false turns it off', sanitizeTitleCards({ opening: false }, { imageCount: 2, fallbackTitle: 'x' }).opening === null);
+const longFallback = sanitizeTitleCards({}, { imageCount: 2, fallbackTitle: 'x'.repeat(MAX_TITLE_CHARS + 1) });
+check('overlong fallback is skipped with a warning', longFallback.opening === null && longFallback.warnings.length === 1);
+check('unknown preset is rejected', throwsCode(() => sanitizeTitleCards({ preset: 'comic' }, { imageCount: 2 }), 'INVALID_TITLES'));
+check('overlong typed title is rejected', throwsCode(() => sanitizeTitleCards({ opening: 'x'.repeat(MAX_TITLE_CHARS + 1) }, { imageCount: 2 }), 'INVALID_TITLES'));
+check('caption count must match the photos', throwsCode(() => sanitizeTitleCards({ captions: ['a'] }, { imageCount: 2 }), 'INVALID_TITLES'));
+check('non-string captions are rejected', throwsCode(() => sanitizeTitleCards({ captions: ['a', 5] }, { imageCount: 2 }), 'INVALID_TITLES'));
+check('month-only dates', formatTitleDate('2023-12') === 'December 2023' && formatTitleDate('Summer 2023') === 'Summer 2023');
+
+console.log('\nOrdering:');
+const reordered = titleCardsInRenderOrder(full, [2, 0, 1]);
+check('captions follow the render order', JSON.stringify(reordered.captions) === '[null,"Alfama",null]');
+check('summary counts captions', JSON.stringify(summarizeTitleCards(full)) === '{"preset":"editorial","opening":true,"openingDate":true,"closing":true,"captionCount":1}');
+
+console.log('\nSafe areas:');
+// Output sizes renderSlideshow uses for each normalizeAspectRatio result, full and draft
+const frames = {
+  '16:9': [1920, 1080],
+  '9:16': [1080, 1920],
+  '1:1': [2000, 2000],
+  '2.39:1': [1920, 803],
+  'draft 9:16': [480, 854],
+};
+const expectedLayouts = { '16:9': 'landscape', '9:16': 'portrait', '1:1': 'square', '2.39:1': 'ultrawide', 'draft 9:16': 'portrait' };
+for (const [aspect, [width, height]] of Object.entries(frames)) {
+  const safe = safeAreaFor(width, height);
+  const inside = safe.x > 0 && safe.y > 0 && safe.x + safe.w < width && safe.y + safe.h < height;
+  check(`${aspect} is ${expectedLayouts[aspect]} and inside the frame`, safe.layout === expectedLayouts[aspect] && inside);
+}
+const portrait = safeAreaFor(1080, 1920);
+check('vertical video keeps clear of the bottom UI', 1920 - (portrait.y + portrait.h) >= 0.2 * 1920);
+
+console.log('\nText fitting:');
+const short = fitTextLines('Our summer', { maxWidth: 900, fontSize: 90, charWidth: 0.55, maxLines: 3 });
+check('short text is one line at full size', short.lines.length === 1 && short.fontSize === 90);
+const long = fitTextLines('The long walk home along the river, tired and happy, nobody wanted it to end', { maxWidth: 900, fontSize: 43, charWidth: 0.55, maxLines: 2 });
+check('long text wraps within the width', long.lines.length === 2 && long.lines.every((l) => l.length * long.fontSize * 0.55 <= 900));
+const cut = fitTextLines('word '.repeat(60).trim(), { maxWidth: 400, fontSize: 40, charWidth: 0.55, maxLines: 2 });
+check('text that cannot fit is shrunk then cut', cut.lines.length === 2 && cut.fontSize === 28 && cut.lines[1].endsWith('…'));
+check('long words are split', fitTextLines('x'.repeat(30), { maxWidth: 110, fontSize: 20, charWidth: 0.5, maxLines: 3 }).lines[0].length === 11);
+
+console.log('\nOverlays:');
+const fps = 24;
+const timeline = buildRenderTimeline(createDefaultRenderPlan(4, { targetDurationSec: 16 }), fps);
+const titles = titleCardsInRenderOrder(
+  sanitizeTitleCards({ opening: { text: 'Our summer', date: 'June 2024' }, closing: 'The end', captions: ['One', null, 'Three', 'Four'] }, { imageCount: 4 }),
+  [0, 1, 2, 3]
+);
+const overlays = planTitleOverlays(titles, { timeline, width: 1080, height: 1920 });
+const byKind = (kind) => overlays.texts.filter((t) => t.kind === kind);
+const [title] = byKind('title');
+const [date] = byKind('date');
+const [closing] = byKind('closing');
+check('date sits below the title', date.top > title.top + title.lines.length * title.lineHeight - 1);
+check('opening fits in the first seconds', title.start > 0 && title.end <= 4);
+check('closing card ends the video', closing.end === timeline.totalDuration && closing.start >= timeline.totalDuration - 3);
+const captions = byKind('caption');
+check('one caption per captioned shot, minus the one under the closing card', captions.length === 2);
+check('captions start after the incoming dissolve', captions[1].start > timeline.clips[2].start + timeline.transitions[1].duration);
+check('captions end before the next shot', captions.every((c, i) => c.end <= timeline.clips[[0, 2][i]].start + timeline.clips[[0, 2][i]].shotDuration));
+check('captions are boxed lower thirds', captions.every((c) => c.box && c.top + c.lineHeight <= overlays.safe.y + overlays.safe.h));
+check('two veils (opening and closing)', overlays.veils.length === 2);
+for (const [aspect, [width, height]] of Object.entries(frames)) {
+  const planned = planTitleOverlays(titles, { timeline, width, height });
+  const safe = planned.safe;
+  const fits = planned.texts.every((t) => t.top >= safe.y && t.top + t.lines.length * t.lineHeight <= safe.y + safe.h + 1);
+  check(`${aspect} text blocks stay in the safe area`, fits);
+}
+
+console.log('\nFilters:');
+check('escaping covers drawtext and the filtergraph', escapeFilterValue("Rosa's: a, b") === "Rosa\\\\\\'s\\\\: a\\, b");
+const parts = buildTitleCardFilters(overlays, { input: 'untitled', output: 'titled', width: 1080, height: 1920, fps });
+check('veils are overlaid in order', parts[1] === '[untitled][veil0]overlay=eof_action=pass[veiled0]' && parts[3].startsWith('[veiled0][veil1]overlay'));
+const draw = parts[parts.length - 1];
+check('text is drawn on the veiled stream', draw.startsWith('[veiled1]drawtext=') && draw.endsWith('[titled]'));
+check('one drawtext per line', draw.split('drawtext=').length - 1 === overlays.texts.reduce((sum, t) => sum + t.lines.length, 0));
+check('text is not expanded', draw.split('drawtext=').slice(1).every((d) => d.includes('expansion=none')));
+check('no overlays passes the stream through', JSON.stringify(buildTitleCardFilters({ veils: [], texts: [] }, { input: 'a', output: 'b', width: 2, height: 2, fps })) === '["[a]null[b]"]');
+
+console.log('\nFonts:');
+const fontFiles = new Set(Object.values(TITLE_PRESETS).flatMap((p) => [p.titleFont, p.bodyFont]));
+check('every preset font is bundled', [...fontFiles].every((file) => fs.existsSync(titleFontPath(file))));
+
+console.log(`\n${failures === 0 ? '✓ All title card checks passed' : `✗ ${failures} check(s) failed`}`);
+if (failures > 0) process.exit(1);
@@ -0,0 +1,82 @@
+/**
+ * Video Encode Settings Test
+ * Verifies RENDER_CRF / RENDER_PRESET parsing, the shared libx264 output args and the
+ * per-format encoder args / ffprobe validation behind `outputFormat`
+ *
+ * Usage: node server/test-video-encode.js
+ */
+
+import {
+  resolveEncodeSettings,
+  x264Args,
+  DEFAULT_CRF,
+  DEFAULT_PRESET,
+  resolveOutputFormat,
+  outputEncodeArgs,
+  validateOutputFormat,
+  videoContentTypeFor,
+} from './utils/videoEncode.js';
+import { isWebSafe } from './utils/videoFinalize.js';
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`  ${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+const argValue = (args, flag) => args[args.indexOf(flag) + 1];
+
+console.log('Encode settings:');
+const defaults = resolveEncodeSettings({});
+check('defaults to CRF 18 / medium', defaults.crf === DEFAULT_CRF && defaults.preset === DEFAULT_PRESET && DEFAULT_CRF === 18);
+check('reads RENDER_CRF and RENDER_PRESET', JSON.stringify(resolveEncodeSettings({ RENDER_CRF: '23', RENDER_PRESET: 'VeryFast' })) === JSON.stringify({ crf: 23, preset: 'veryfast' }));
+check('CRF 0 is allowed', resolveEncodeSettings({ RENDER_CRF: '0' }).crf === 0);
+check('out-of-range CRF falls back', resolveEncodeSettings({ RENDER_CRF: '60' }).crf === DEFAULT_CRF);
+check('non-integer CRF falls back', resolveEncodeSettings({ RENDER_CRF: '18.5' }).crf === DEFAULT_CRF);
+check('unknown preset falls back', resolveEncodeSettings({ RENDER_PRESET: 'placebo2' }).preset === DEFAULT_PRESET);
+
+console.log('\nx264 args:');
+const args = x264Args({ crf: 20, preset: 'slow' });
+check('encodes with libx264', argValue(args, '-c:v') === 'libx264');
+check('passes CRF and preset', argValue(args, '-crf') === '20' && argValue(args, '-preset') === 'slow');
+check('web-playable pixel format', argValue(args, '-pix_fmt') === 'yuv420p');
+check('uses dark-scene adaptive quantization', argValue(args, '-x264-params') === 'aq-mode=3');
+
+console.log('\nOutput formats:');
+check('defaults to H.264', resolveOutputFormat(undefined) === 'h264' && resolveOutputFormat('') === 'h264');
+check('accepts names and aliases case-insensitively', resolveOutputFormat('HEVC') === 'hevc' && resolveOutputFormat('h265') === 'hevc' && resolveOutputFormat('webm') === 'vp9' && resolveOutputFormat('mov') === 'prores' && resolveOutputFormat('av1') === 'av1');
+check('rejects unknown formats', resolveOutputFormat('divx') === null && resolveOutputFormat(42) === null);
+
+const h264 = outputEncodeArgs('h264', { crf: 20, preset: 'slow' });
+check('H.264 uses the shared x264 args, AAC and faststart', JSON.stringify(h264.video) === JSON.stringify(x264Args({ crf: 20, preset: 'slow' })) && argValue(h264.audio, '-c:a') === 'aac' && h264.container.includes('+faststart'));
+const hevc = outputEncodeArgs('hevc');
+check('HEVC is tagged hvc1 for Apple players', argValue(hevc.video, '-c:v') === 'libx265' && argValue(hevc.video, '-tag:v') === 'hvc1');
+const av1 = outputEncodeArgs('av1');
+check('AV1 is constant-quality libaom with Opus and no MP4 flags', argValue(av1.video, '-c:v') === 'libaom-av1' && argValue(av1.video, '-b:v') === '0' && argValue(av1.audio, '-c:a') === 'libopus' && av1.container.length === 0);
+const vp9 = outputEncodeArgs('vp9');
+check('VP9 is constant-quality libvpx with Opus', argValue(vp9.video, '-c:v') === 'libvpx-vp9' && argValue(vp9.video, '-b:v') === '0' && argValue(vp9.audio, '-c:a') === 'libopus');
+const prores = outputEncodeArgs('prores');
+check('ProRes master is 422 10-bit with PCM audio', argValue(prores.video, '-c:v') === 'prores_ks' && argValue(prores.video, '-profile:v') === '2' && argValue(prores.video, '-pix_fmt') === 'yuv422p10le' && argValue(prores.audio, '-c:a') === 'pcm_s16le');
+
+const probe = (codec, pixFmt, formatName, audioCodec, extra = {}) => ({
+  formatName,
+  video: { codec_name: codec, pix_fmt: pixFmt, width: 1920, height: 1080, ...extra },
+  audio: audioCodec ? { codec_name: audioCodec } : undefined,
+});
+const MP4 = 'mov,mp4,m4a,3gp,3g2,mj2';
+check('matching files validate', validateOutputFormat(probe('h264', 'yuv420p', MP4, 'aac'), 'h264').length === 0
+  && validateOutputFormat(probe('hevc', 'yuv420p', MP4, 'aac'), 'hevc').length === 0
+  && validateOutputFormat(probe('av1', 'yuv420p', 'matroska,webm', 'opus'), 'av1').length === 0
+  && validateOutputFormat(probe('vp9', 'yuv420p', 'matroska,webm', null), 'vp9').length === 0
+  && validateOutputFormat(probe('prores', 'yuv422p10le', MP4, 'pcm_s16le'), 'prores').length === 0);
+check('wrong codec is reported', validateOutputFormat(probe('h264', 'yuv420p', MP4, 'aac'), 'hevc').some((p) => p.includes('video codec h264')));
+check('wrong container is reported', validateOutputFormat(probe('vp9', 'yuv420p', MP4, 'opus'), 'vp9').some((p) => p.includes('container')));
+check('wrong audio codec is reported', validateOutputFormat(probe('vp9', 'yuv420p', 'matroska,webm', 'aac'), 'vp9').some((p) => p.includes('audio codec aac')));
+check('8-bit ProRes is reported', validateOutputFormat(probe('prores', 'yuv420p', MP4, null), 'prores').some((p) => p.includes('pixel format')));
+check('missing video stream is reported', validateOutputFormat({ formatName: MP4 }, 'h264')[0] === 'no video stream');
+check('isWebSafe keeps the H.264 level 4.1 cap', isWebSafe(probe('h264', 'yuv420p', MP4, 'aac', { level: 41 })) && !isWebSafe(probe('h264', 'yuv420p', MP4, 'aac', { level: 50 })));
+check('isWebSafe checks the requested format', isWebSafe(probe('av1', 'yuv420p', 'matroska,webm', 'opus'), 'av1') && !isWebSafe(probe('av1', 'yuv420p', 'matroska,webm', 'opus')));
+check('content type follows the extension', videoContentTypeFor('videos/published/a.webm') === 'video/webm' && videoContentTypeFor('videos/published/a.mov') === 'video/quicktime' && videoContentTypeFor('videos/published/a.mp4') === 'video/mp4');
+
+console.log(`\n${failures === 0 ? '✓ All video encode checks passed' : `✗ ${failures} check(s) failed`}`);
+if (failures > 0) process.exit(1);
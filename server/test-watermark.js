@@ -0,0 +1,81 @@
+/**
+ * Watermark Test
+ * Verifies the TRACE_WATERMARK* settings, the plan gate, the unlock gate, per-aspect placement and the overlay filters
+ *
+ * Usage: node server/test-watermark.js
+ */
+
+import { resolveWatermarkConfig, shouldWatermark, unlockGrant, planWatermark, buildWatermarkFilters, WATERMARK_LAYOUTS } from './watermark.js';
+import { safeAreaFor } from './title-cards.js';
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`  ${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+console.log('Settings:');
+const defaults = resolveWatermarkConfig({});
+check('on by default with the TRACE logo', defaults.enabled && defaults.logoPath === null && defaults.position === 'auto');
+check('per-aspect opacity and size by default', defaults.opacity === null && defaults.scale === 1);
+check('off disables it', resolveWatermarkConfig({ TRACE_WATERMARK: 'off' }).enabled === false);
+const custom = resolveWatermarkConfig({
+  TRACE_WATERMARK_LOGO: ' ./brand.png ',
+  TRACE_WATERMARK_POSITION: 'Top-Left',
+  TRACE_WATERMARK_OPACITY: '0.3',
+  TRACE_WATERMARK_SCALE: '1.5',
+});
+check('custom settings are read', custom.logoPath === './brand.png' && custom.position === 'top-left' && custom.opacity === 0.3 && custom.scale === 1.5);
+const invalid = resolveWatermarkConfig({ TRACE_WATERMARK_POSITION: 'center', TRACE_WATERMARK_OPACITY: '2', TRACE_WATERMARK_SCALE: 'big' });
+check('invalid settings fall back', invalid.position === 'auto' && invalid.opacity === null && invalid.scale === 1);
+
+console.log('\nPlans:');
+check('free renders are watermarked', shouldWatermark('free', defaults));
+check('premium renders are clean', !shouldWatermark('premium', defaults));
+check('disabled watermark leaves free renders clean', !shouldWatermark('free', resolveWatermarkConfig({ TRACE_WATERMARK: '0' })));
+
+console.log('\nUnlock:');
+const owned = { uid: 'u1' };
+const anonymous = { uid: null };
+const paid = { memoryId: 'job-1', status: 'paid' };
+const freeOwner = { uid: 'u1', plan: 'free' };
+check('an unpaid free memory stays watermarked', unlockGrant({ params: owned, caller: freeOwner, payment: null }).reason === 'payment_required');
+check('a pending payment does not unlock', !unlockGrant({ params: owned, caller: freeOwner, payment: { status: 'pending' } }).allowed);
+check('a paid memory unlocks for its owner', unlockGrant({ params: owned, caller: freeOwner, payment: paid }).reason === 'paid');
+check('an upgraded owner unlocks without paying', unlockGrant({ params: owned, caller: { uid: 'u1', plan: 'premium' }, payment: null }).reason === 'plan');
+check('another account cannot unlock, paid or not', unlockGrant({ params: owned, caller: { uid: 'u2', plan: 'premium' }, payment: paid }).reason === 'not_owner');
+check('a signed-out memory needs its payment', !unlockGrant({ params: anonymous, caller: { uid: null, plan: 'free' }, payment: null }).allowed
+  && !unlockGrant({ params: anonymous, caller: { uid: 'u2', plan: 'premium' }, payment: null }).allowed
+  && unlockGrant({ params: anonymous, caller: { uid: null, plan: 'free' }, payment: paid }).allowed);
+
+console.log('\nPlacement:');
+// Output sizes renderSlideshow uses for each aspect, full and draft
+const frames = {
+  '16:9': [1920, 1080],
+  '9:16': [1080, 1920],
+  '1:1': [2000, 2000],
+  '2.39:1': [1920, 803],
+  'draft 9:16': [480, 854],
+};
+for (const [aspect, [width, height]] of Object.entries(frames)) {
+  const placement = planWatermark(defaults, { width, height });
+  const layout = WATERMARK_LAYOUTS[placement.layout];
+  const safe = safeAreaFor(width, height);
+  const sized = placement.logoWidth % 2 === 0 && Math.abs(placement.logoWidth - Math.min(width, height) * layout.size) <= 2;
+  check(`${aspect} uses its ${placement.layout} size, opacity and corner`, sized && placement.opacity === layout.opacity && placement.position === layout.position);
+  check(`${aspect} logo fits the safe area`, placement.logoWidth < safe.w / 2 && placement.logoWidth < safe.h / 2);
+}
+const portrait = planWatermark(defaults, { width: 1080, height: 1920 });
+check('vertical video keeps it off the bottom', portrait.position === 'top-right' && portrait.y === '230' && portrait.x === '994-w');
+const landscape = planWatermark(defaults, { width: 1920, height: 1080 });
+check('landscape sits bottom-right in the safe area', landscape.x === '1824-w' && landscape.y === '994-h');
+const overridden = planWatermark(custom, { width: 1920, height: 1080 });
+check('settings override the aspect defaults', overridden.x === '96' && overridden.y === '54' && overridden.opacity === 0.3 && overridden.logoWidth === 324);
+
+console.log('\nFilters:');
+const [logo, overlay] = buildWatermarkFilters(landscape, { input: 'unmarked', output: 'marked', logoInput: 13 });
+check('logo input is scaled and made translucent', logo === '[13:v]scale=w=216:h=-2:flags=lanczos,format=rgba,colorchannelmixer=aa=0.700[wmlogo]');
+check('still logo repeats over the whole video', overlay === '[unmarked][wmlogo]overlay=x=1824-w:y=994-h:eof_action=repeat,format=yuv420p[marked]');
+
+console.log(`\n${failures === 0 ? '✓ All watermark checks passed' : `✗ ${failures} check(s) failed`}`);
+if (failures > 0) process.exit(1);
@@ -0,0 +1,439 @@
+/**
+ * Title Cards
+ * Opening title (with an optional date), closing card and per-photo lower-third captions,
+ * drawn over the slideshow with drawtext / overlay in the render filtergraph
+ *
+ * Request shape (`titles` on /api/create-memory):
+ *   {
+ *     preset:   'classic' | 'modern' | 'editorial' (default classic)
+ *     opening:  { text?, date? } | string | true | false   (default true)
+ *     closing:  { text } | string | false                 (default none)
+ *     captions: (string|null)[]                           one per photoKeys entry, input order
+ *   }
+ * An opening title without text uses the plan's memoryNote, then the request context.
+ *
+ * Fonts are bundled in assets/fonts (SIL Open Font License, see the OFL-*.txt files there).
+ * All text stays inside a safe area sized per frame shape, so nothing lands under the buttons
+ * social apps draw over vertical video or gets cut off by players that crop the edges.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const FONTS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'assets', 'fonts');
+
+// Sizes are fractions of the frame's short side; charWidth is the font's average advance in ems,
+// used to wrap lines before drawtext sees them (drawtext does not wrap)
+export const TITLE_PRESETS = {
+  classic: {
+    titleFont: 'PlayfairDisplay-Regular.ttf',
+    titleCharWidth: 0.55,
+    bodyFont: 'Inter-Regular.ttf',
+    bodyCharWidth: 0.55,
+  },
+  modern: {
+    titleFont: 'Inter-Light.ttf',
+    titleCharWidth: 0.55,
+    bodyFont: 'Inter-Regular.ttf',
+    bodyCharWidth: 0.55,
+  },
+  editorial: {
+    titleFont: 'CormorantGaramond-Medium.ttf',
+    titleCharWidth: 0.46,
+    bodyFont: 'CormorantGaramond-Italic.ttf',
+    bodyCharWidth: 0.44,
+  },
+};
+export const DEFAULT_TITLE_PRESET = 'classic';
+
+export const MAX_TITLE_CHARS = 80;
+export const MAX_DATE_CHARS = 40;
+export const MAX_CAPTION_CHARS = 100;
+
+const TEXT_STYLES = {
+  title: { size: 0.085, maxLines: 3, font: 'title' },
+  date: { size: 0.036, maxLines: 1, font: 'body' },
+  closing: { size: 0.065, maxLines: 3, font: 'title' },
+  caption: { size: 0.04, maxLines: 2, font: 'body' },
+};
+const LINE_HEIGHT = 1.25;
+// Text is shrunk to at most this share of its size before lines are cut with an ellipsis
+const MIN_FIT_SCALE = 0.7;
+
+// Safe-area insets as fractions of the frame. Vertical video keeps clear of the caption and button
+// overlays social apps draw at the top and bottom; ultrawide keeps text away from the far edges.
+const SAFE_AREAS = {
+  portrait: { top: 0.12, bottom: 0.2, side: 0.08 },
+  square: { top: 0.08, bottom: 0.1, side: 0.08 },
+  landscape: { top: 0.05, bottom: 0.08, side: 0.05 },
+  ultrawide: { top: 0.06, bottom: 0.08, side: 0.1 },
+};
+
+// Timing (seconds)
+const OPENING_START_SEC = 0.4;
+const OPENING_END_SEC = 4;
+const CLOSING_CARD_SEC = 3;
+const TEXT_FADE_SEC = 0.5;
+const CAPTION_FADE_SEC = 0.3;
+const MIN_CAPTION_SEC = 0.8;
+// Black veils behind the opening title and closing card, so light photos keep the text readable
+const OPENING_VEIL_OPACITY = 0.25;
+const CLOSING_VEIL_OPACITY = 0.55;
+
+function titlesError(detail, extra = {}) {
+  const err = new Error(detail);
+  err.status = 400;
+  err.code = 'INVALID_TITLES';
+  err.error = 'INVALID_TITLES';
+  err.extra = extra;
+  return err;
+}
+
+/**
+ * Absolute path of a bundled font
+ * @param {string} file - Font file name in assets/fonts
+ */
+export function titleFontPath(file) {
+  return path.join(FONTS_DIR, file);
+}
+
+// Single line of plain text: control characters and line breaks become spaces
+function cleanText(value, field, maxChars) {
+  if (typeof value !== 'string') {
+    throw titlesError(`titles.${field} must be a string`, { field });
+  }
+  const text = value.replace(/[\u0000-\u001f\u007f]+/g, ' ').replace(/\s+/g, ' ').trim();
+  if (text.length > maxChars) {
+    throw titlesError(`titles.${field} must be at most ${maxChars} characters (got ${text.length})`, { field, maxChars });
+  }
+  return text;
+}
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Display form of an opening date: ISO dates are spelled out ('2024-06-12' -> 'June 12, 2024',
+ * '2024-06' -> 'June 2024'); anything else is shown as typed
+ * @param {string} date - Cleaned date text
+ * @returns {string}
+ */
+export function formatTitleDate(date) {
+  const match = date.match(/^(\d{4})-(\d{2})(?:-(\d{2}))?$/);
+  const month = match ? MONTHS[Number(match[2]) - 1] : null;
+  if (!month) return date;
+  return match[3] ? `${month} ${Number(match[3])}, ${match[1]}` : `${month} ${match[1]}`;
+}
+
+/**
+ * Validate a request's `titles` without touching the render
+ * @param {Object|null|undefined} raw - Request value (null / undefined / false: no title cards)
+ * @param {Object} opts
+ * @param {number} opts.imageCount - Number of photos (captions need one entry each)
+ * @param {string} [opts.fallbackTitle] - Opening text when none is given (plan memoryNote or context)
+ * @returns {{preset: string, opening: {text: string, date: string|null}|null, closing: {text: string}|null,
+ *   captions: (string|null)[]|null, warnings: string[]}|null}
+ * @throws {Error} code INVALID_TITLES when the request cannot be rendered as given
+ */
+export function sanitizeTitleCards(raw, { imageCount, fallbackTitle = '' }) {
+  if (raw === undefined || raw === null || raw === false) return null;
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw titlesError('titles must be an object with preset, opening, closing and captions');
+  }
+  const warnings = [];
+
+  let preset = DEFAULT_TITLE_PRESET;
+  if (raw.preset !== undefined && raw.preset !== null) {
+    preset = typeof raw.preset === 'string' ? raw.preset.trim().toLowerCase() : '';
+    if (!TITLE_PRESETS[preset]) {
+      throw titlesError(`titles.preset must be one of ${Object.keys(TITLE_PRESETS).join(', ')}`, {
+        field: 'preset',
+        presets: Object.keys(TITLE_PRESETS),
+      });
+    }
+  }
+
+  let opening = null;
+  const rawOpening = raw.opening === undefined || raw.opening === null ? true : raw.opening;
+  if (rawOpening !== false) {
+    const given = typeof rawOpening === 'object' ? rawOpening : { text: rawOpening === true ? undefined : rawOpening };
+    let text = given.text === undefined || given.text === null ? '' : cleanText(given.text, 'opening.text', MAX_TITLE_CHARS);
+    if (!text && typeof fallbackTitle === 'string') {
+      // The fallback was not typed as a title, so an overlong one is skipped rather than rejected
+      const fallback = fallbackTitle.replace(/\s+/g, ' ').trim();
+      if (fallback.length <= MAX_TITLE_CHARS) {
+        text = cleanText(fallback, 'opening.text', MAX_TITLE_CHARS);
+      } else {
+        warnings.push(`opening title fallback is ${fallback.length} characters (max ${MAX_TITLE_CHARS}), skipped`);
+      }
+    }
+    const date = given.date === undefined || given.date === null ? '' : cleanText(given.date, 'opening.date', MAX_DATE_CHARS);
+    if (text || date) {
+      opening = { text, date: date ? formatTitleDate(date) : null };
+    } else if (raw.opening !== undefined) {
+      warnings.push('opening title has no text, skipped');
+    }
+  }
+
+  let closing = null;
+  if (raw.closing !== undefined && raw.closing !== null && raw.closing !== false) {
+    const text = cleanText(typeof raw.closing === 'object' ? raw.closing.text : raw.closing, 'closing.text', MAX_TITLE_CHARS);
+    if (text) closing = { text };
+  }
+
+  let captions = null;
+  if (raw.captions !== undefined && raw.captions !== null) {
+    if (!Array.isArray(raw.captions) || raw.captions.length !== imageCount) {
+      throw titlesError(`titles.captions must have one entry per photo (expected ${imageCount}, got ${Array.isArray(raw.captions) ? raw.captions.length : 0})`, {
+        field: 'captions',
+      });
+    }
+    captions = raw.captions.map((c, i) => (c === null || c === undefined ? null : cleanText(c, `captions[${i}]`, MAX_CAPTION_CHARS) || null));
+    if (captions.every((c) => c === null)) captions = null;
+  }
+
+  return { preset, opening, closing, captions, warnings };
+}
+
+/**
+ * Reorder captions from photoKeys order into render order
+ * @param {Object} titles - Output of sanitizeTitleCards
+ * @param {number[]} order - Render order (indices into photoKeys)
+ * @returns {Object} Title cards with captions[i] belonging to the i-th rendered shot
+ */
+export function titleCardsInRenderOrder(titles, order) {
+  if (!titles.captions) return titles;
+  return { ...titles, captions: order.map((idx) => titles.captions[idx] ?? null) };
+}
+
+/**
+ * Short description of the title cards for logs and API responses
+ */
+export function summarizeTitleCards(titles) {
+  return {
+    preset: titles.preset,
+    opening: !!titles.opening,
+    openingDate: !!titles.opening?.date,
+    closing: !!titles.closing,
+    captionCount: titles.captions ? titles.captions.filter(Boolean).length : 0,
+  };
+}
+
+/**
+ * Text-safe area of a frame
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {{layout: string, x: number, y: number, w: number, h: number}} Pixels
+ */
+export function safeAreaFor(width, height) {
+  const ratio = width / height;
+  const layout = ratio < 0.9 ? 'portrait' : ratio <= 1.25 ? 'square' : ratio < 2 ? 'landscape' : 'ultrawide';
+  const inset = SAFE_AREAS[layout];
+  const x = Math.round(width * inset.side);
+  const y = Math.round(height * inset.top);
+  return {
+    layout,
+    x,
+    y,
+    w: width - 2 * x,
+    h: height - y - Math.round(height * inset.bottom),
+  };
+}
+
+// Greedy word wrap to maxChars per line; a word longer than a line is hard-split
+function wrapWords(text, maxChars) {
+  const lines = [];
+  let line = '';
+  for (let word of text.split(' ')) {
+    while (word.length > maxChars) {
+      if (line) {
+        lines.push(line);
+        line = '';
+      }
+      lines.push(word.slice(0, maxChars));
+      word = word.slice(maxChars);
+    }
+    if (!line) {
+      line = word;
+    } else if (line.length + 1 + word.length <= maxChars) {
+      line += ` ${word}`;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Wrap text into at most maxLines lines of maxWidth pixels, shrinking the font down to
+ * MIN_FIT_SCALE first and cutting the last line with an ellipsis only if that is not enough
+ * @returns {{lines: string[], fontSize: number}}
+ */
+export function fitTextLines(text, { maxWidth, fontSize, charWidth, maxLines }) {
+  const minSize = Math.round(fontSize * MIN_FIT_SCALE);
+  let size = Math.round(fontSize);
+  for (;;) {
+    const maxChars = Math.max(1, Math.floor(maxWidth / (size * charWidth)));
+    const lines = wrapWords(text, maxChars);
+    if (lines.length <= maxLines) return { lines, fontSize: size };
+    if (size <= minSize) {
+      const kept = lines.slice(0, maxLines);
+      const last = kept[maxLines - 1];
+      kept[maxLines - 1] = `${last.length >= maxChars ? last.slice(0, maxChars - 1) : last}…`;
+      return { lines: kept, fontSize: size };
+    }
+    size = Math.max(minSize, size - Math.max(1, Math.round(fontSize * 0.05)));
+  }
+}
+
+function textBlock(kind, text, { preset, safe, base }) {
+  const style = TEXT_STYLES[kind];
+  const spec = TITLE_PRESETS[preset];
+  const { lines, fontSize } = fitTextLines(text, {
+    maxWidth: safe.w,
+    fontSize: base * style.size,
+    charWidth: spec[`${style.font}CharWidth`],
+    maxLines: style.maxLines,
+  });
+  return {
+    kind,
+    lines,
+    fontFile: spec[`${style.font}Font`],
+    fontSize,
+    lineHeight: Math.round(fontSize * LINE_HEIGHT),
+  };
+}
+
+const blockHeight = (block) => block.lines.length * block.lineHeight;
+
+/**
+ * Lay out the title cards on the render timeline
+ * @param {Object} titles - Sanitized title cards with captions in render order
+ * @param {Object} opts
+ * @param {Object} opts.timeline - Render timeline (see render-plan.js)
+ * @param {number} opts.width - Output width
+ * @param {number} opts.height - Output height
+ * @returns {{safe: Object, veils: Array<{start: number, end: number, opacity: number}>,
+ *   texts: Array<{kind: string, lines: string[], fontFile: string, fontSize: number, lineHeight: number,
+ *   top: number, start: number, end: number, fade: number, box: boolean}>}}
+ */
+export function planTitleOverlays(titles, { timeline, width, height }) {
+  const safe = safeAreaFor(width, height);
+  const base = Math.min(width, height);
+  const ctx = { preset: titles.preset, safe, base };
+  const total = timeline.totalDuration;
+  const veils = [];
+  const texts = [];
+
+  let openingEnd = 0;
+  if (titles.opening) {
+    const start = Math.min(OPENING_START_SEC, total * 0.1);
+    openingEnd = Math.min(OPENING_END_SEC, total * 0.35);
+    const blocks = [];
+    if (titles.opening.text) blocks.push(textBlock('title', titles.opening.text, ctx));
+    if (titles.opening.date) blocks.push(textBlock('date', titles.opening.date, ctx));
+    // Title and date stacked as one block in the middle of the safe area, half a line apart
+    const gap = blocks.length > 1 ? Math.round(blocks[1].lineHeight / 2) : 0;
+    let top = safe.y + Math.round((safe.h - blocks.reduce((sum, b) => sum + blockHeight(b), 0) - gap) / 2);
+    for (const block of blocks) {
+      texts.push({ ...block, top, start, end: openingEnd, fade: TEXT_FADE_SEC, box: false });
+      top += blockHeight(block) + gap;
+    }
+    veils.push({ start: 0, end: openingEnd, opacity: OPENING_VEIL_OPACITY });
+  }
+
+  let closingStart = total;
+  if (titles.closing) {
+    closingStart = Math.max(openingEnd, total - Math.min(CLOSING_CARD_SEC, total * 0.3));
+    const block = textBlock('closing', titles.closing.text, ctx);
+    const top = safe.y + Math.round((safe.h - blockHeight(block)) / 2);
+    veils.push({ start: closingStart, end: total, opacity: CLOSING_VEIL_OPACITY });
+    // The video fade-out takes the card to black, so the text only fades in
+    texts.push({ ...block, top, start: closingStart + TEXT_FADE_SEC / 2, end: total, fade: TEXT_FADE_SEC, box: false });
+  }
+
+  (titles.captions || []).forEach((caption, i) => {
+    const clip = timeline.clips[i];
+    if (!caption || !clip) return;
+    // Lower third while the shot is on screen on its own: after the incoming transition, before the next
+    // one starts, and never over the closing card
+    const incoming = i > 0 ? timeline.transitions[i - 1].duration : 0;
+    const start = clip.start + incoming + CAPTION_FADE_SEC / 2;
+    const end = Math.min(clip.start + clip.shotDuration, closingStart);
+    if (end - start < MIN_CAPTION_SEC) return;
+    const block = textBlock('caption', caption, ctx);
+    const top = safe.y + safe.h - blockHeight(block);
+    texts.push({ ...block, top, start, end, fade: CAPTION_FADE_SEC, box: true });
+  });
+
+  return { safe, veils, texts };
+}
+
+// Two escaping levels: the filter option value, then the filtergraph description
+// (ffmpeg-filters "Notes on filtergraph escaping")
+export function escapeFilterValue(value) {
+  const optionLevel = String(value).replace(/[\\':]/g, (c) => `\\${c}`);
+  return optionLevel.replace(/[\\'[\],;]/g, (c) => `\\${c}`);
+}
+
+const sec = (value) => value.toFixed(3);
+
+// Fade in over `fade` from start, out over `fade` before end
+function fadeAlphaExpr(start, end, fade) {
+  const f = Math.min(fade, (end - start) / 2);
+  return `if(lt(t,${sec(start + f)}),(t-${sec(start)})/${sec(f)},if(gt(t,${sec(end - f)}),(${sec(end)}-t)/${sec(f)},1))`;
+}
+
+/**
+ * Filtergraph parts that draw planned overlays on a stream
+ * Veils are black color sources faded in and out and laid over the video; each text line is its own
+ * drawtext, centered horizontally, so multi-line blocks stay centered line by line.
+ * @param {ReturnType<typeof planTitleOverlays>} overlays - Planned overlays
+ * @param {Object} opts
+ * @param {string} opts.input - Label of the video stream to draw on
+ * @param {string} opts.output - Label for the titled stream
+ * @param {number} opts.width - Frame width
+ * @param {number} opts.height - Frame height
+ * @param {number} opts.fps - Frame rate
+ * @returns {string[]}
+ */
+export function buildTitleCardFilters({ veils, texts }, { input, output, width, height, fps }) {
+  const parts = [];
+  let current = input;
+  veils.forEach((veil, i) => {
+    const length = veil.end - veil.start;
+    const fade = Math.min(TEXT_FADE_SEC, length / 2);
+    parts.push(
+      `color=c=black:s=${width}x${height}:r=${fps}:d=${sec(length)},format=yuva420p,` +
+      `colorchannelmixer=aa=${veil.opacity},` +
+      `fade=t=in:st=0:d=${sec(fade)}:alpha=1,fade=t=out:st=${sec(length - fade)}:d=${sec(fade)}:alpha=1,` +
+      `setpts=PTS+${sec(veil.start)}/TB[veil${i}]`
+    );
+    parts.push(`[${current}][veil${i}]overlay=eof_action=pass[veiled${i}]`);
+    current = `veiled${i}`;
+  });
+
+  const draws = [];
+  for (const text of texts) {
+    const shadow = Math.max(1, Math.round(text.fontSize / 24));
+    const common = [
+      `fontfile=${escapeFilterValue(titleFontPath(text.fontFile))}`,
+      'expansion=none',
+      `fontsize=${text.fontSize}`,
+      'fontcolor=white',
+      text.box ? `box=1:boxcolor=black@0.4:boxborderw=${Math.round(text.fontSize * 0.12)}` : `shadowcolor=black@0.5:shadowx=${shadow}:shadowy=${shadow}`,
+      `alpha='${fadeAlphaExpr(text.start, text.end, text.fade)}'`,
+      `enable='between(t,${sec(text.start)},${sec(text.end)})'`,
+    ].join(':');
+    text.lines.forEach((line, i) => {
+      draws.push(`drawtext=text=${escapeFilterValue(line)}:x=(w-text_w)/2:y=${text.top + i * text.lineHeight}:${common}`);
+    });
+  }
+  if (draws.length > 0) {
+    parts.push(`[${current}]${draws.join(',')}[${output}]`);
+  } else {
+    parts.push(`[${current}]null[${output}]`);
+  }
+  return parts;
+}
@@ -0,0 +1,344 @@
+import { spawn } from 'child_process';
+
+/**
+ * Offline beat / onset analysis for music tracks
+ * Fills the manifest v2 fields (durationSec, bpm, sections, beatTimes) used for beat-synced cutting.
+ *
+ * Pipeline: mono PCM -> spectral-flux onset envelope -> tempo by autocorrelation ->
+ * beat tracking by dynamic programming (Ellis 2007) -> energy-based sections.
+ */
+
+export const ANALYSIS_SAMPLE_RATE = 22050;
+const FRAME_SIZE = 1024;
+const HOP_SIZE = 512;
+const MIN_BPM = 60;
+const MAX_BPM = 180;
+const PRIOR_BPM = 110; // Memory-film music is mostly slow to mid tempo
+const TIGHTNESS = 100; // How strongly beat spacing sticks to the global tempo
+const MIN_SECTION_SEC = 8;
+
+/**
+ * Decode an audio file to mono float32 PCM with FFmpeg
+ * @param {string} filePath - Audio file
+ * @param {Object} [opts]
+ * @param {string} [opts.ffmpegPath] - FFmpeg binary (default FFMPEG_PATH or 'ffmpeg')
+ * @param {number} [opts.sampleRate] - Output sample rate
+ * @returns {Promise<Float32Array>}
+ */
+export function decodeMonoPcm(filePath, opts = {}) {
+  const ffmpegPath = opts.ffmpegPath || process.env.FFMPEG_PATH || 'ffmpeg';
+  const sampleRate = opts.sampleRate || ANALYSIS_SAMPLE_RATE;
+  const args = ['-v', 'error', '-i', filePath, '-ac', '1', '-ar', String(sampleRate), '-f', 'f32le', 'pipe:1'];
+  return new Promise((resolve, reject) => {
+    const proc = spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    const chunks = [];
+    let stderr = '';
+    proc.stdout.on('data', (d) => chunks.push(d));
+    proc.stderr.on('data', (d) => { stderr += d.toString(); });
+    proc.on('error', reject);
+    proc.on('close', (code) => {
+      if (code !== 0) {
+        return reject(new Error(`Command failed (${code}): ${ffmpegPath} ${args.join(' ')}\n${stderr}`));
+      }
+      const buf = Buffer.concat(chunks);
+      // Copy into an aligned buffer; Buffer.concat may return a view at an odd offset
+      const samples = new Float32Array(Math.floor(buf.length / 4));
+      new Uint8Array(samples.buffer).set(buf.subarray(0, samples.length * 4));
+      resolve(samples);
+    });
+  });
+}
+
+// In-place iterative radix-2 FFT; re/im have length FRAME_SIZE
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const angle = (-2 * Math.PI) / len;
+    const wr = Math.cos(angle);
+    const wi = Math.sin(angle);
+    for (let i = 0; i < n; i += len) {
+      let cr = 1;
+      let ci = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = i + k;
+        const b = a + len / 2;
+        const tr = re[b] * cr - im[b] * ci;
+        const ti = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+        const nextCr = cr * wr - ci * wi;
+        ci = cr * wi + ci * wr;
+        cr = nextCr;
+      }
+    }
+  }
+}
+
+/**
+ * Spectral-flux onset strength, one value per hop, mean-removed and normalized
+ * @param {Float32Array} samples - Mono PCM
+ * @returns {{envelope: Float64Array, rms: Float64Array}} Onset envelope and per-frame RMS
+ */
+export function onsetEnvelope(samples) {
+  const frameCount = Math.max(0, Math.floor((samples.length - FRAME_SIZE) / HOP_SIZE) + 1);
+  const bins = FRAME_SIZE / 2;
+  const window = new Float64Array(FRAME_SIZE);
+  for (let i = 0; i < FRAME_SIZE; i++) window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / FRAME_SIZE);
+
+  const envelope = new Float64Array(frameCount);
+  const rms = new Float64Array(frameCount);
+  let prev = new Float64Array(bins);
+  const re = new Float64Array(FRAME_SIZE);
+  const im = new Float64Array(FRAME_SIZE);
+
+  for (let f = 0; f < frameCount; f++) {
+    const offset = f * HOP_SIZE;
+    let energy = 0;
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      const s = samples[offset + i];
+      energy += s * s;
+      re[i] = s * window[i];
+      im[i] = 0;
+    }
+    rms[f] = Math.sqrt(energy / FRAME_SIZE);
+    fft(re, im);
+    const mag = new Float64Array(bins);
+    let flux = 0;
+    for (let k = 0; k < bins; k++) {
+      mag[k] = Math.log1p(10 * Math.hypot(re[k], im[k]));
+      const diff = mag[k] - prev[k];
+      if (diff > 0) flux += diff;
+    }
+    envelope[f] = f === 0 ? 0 : flux;
+    prev = mag;
+  }
+
+  // Remove the local mean (~0.5s) so sustained loud passages do not read as onsets
+  const half = Math.round((0.25 * ANALYSIS_SAMPLE_RATE) / HOP_SIZE);
+  const detrended = new Float64Array(frameCount);
+  for (let f = 0; f < frameCount; f++) {
+    let sum = 0;
+    let count = 0;
+    for (let j = Math.max(0, f - half); j <= Math.min(frameCount - 1, f + half); j++) {
+      sum += envelope[j];
+      count++;
+    }
+    detrended[f] = Math.max(0, envelope[f] - sum / count);
+  }
+  const std = Math.sqrt(detrended.reduce((acc, v) => acc + v * v, 0) / Math.max(1, frameCount)) || 1;
+  for (let f = 0; f < frameCount; f++) detrended[f] /= std;
+
+  return { envelope: detrended, rms };
+}
+
+/**
+ * Global tempo from the onset envelope autocorrelation, weighted toward PRIOR_BPM
+ * @param {Float64Array} envelope - Onset envelope
+ * @param {number} framesPerSecond - Envelope rate
+ * @returns {{bpm: number, period: number}} period in envelope frames
+ */
+export function estimateTempo(envelope, framesPerSecond) {
+  const minLag = Math.floor((60 * framesPerSecond) / MAX_BPM);
+  const maxLag = Math.ceil((60 * framesPerSecond) / MIN_BPM);
+
+  // Smooth first: a beat period that is not a whole number of frames otherwise splits its
+  // autocorrelation peak across two lags and the half tempo wins
+  const smoothed = new Float64Array(envelope.length);
+  for (let i = 0; i < envelope.length; i++) {
+    let acc = 0;
+    for (let j = -2; j <= 2; j++) acc += (envelope[i + j] || 0) * (3 - Math.abs(j));
+    smoothed[i] = acc / 9;
+  }
+
+  const scores = new Float64Array(maxLag + 2);
+  for (let lag = minLag; lag <= maxLag + 1; lag++) {
+    let acc = 0;
+    for (let i = lag; i < smoothed.length; i++) acc += smoothed[i] * smoothed[i - lag];
+    scores[lag] = acc / Math.max(1, smoothed.length - lag);
+  }
+
+  let bestLag = 0;
+  let bestScore = -Infinity;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const bpm = (60 * framesPerSecond) / lag;
+    const prior = Math.exp(-0.5 * Math.log2(bpm / PRIOR_BPM) ** 2);
+    const weighted = scores[lag] * prior;
+    if (weighted > bestScore) {
+      bestScore = weighted;
+      bestLag = lag;
+    }
+  }
+  if (bestLag === 0) return { bpm: 0, period: 0 };
+
+  // Parabolic interpolation around the peak for sub-frame tempo precision
+  const a = scores[bestLag - 1] ?? scores[bestLag];
+  const b = scores[bestLag];
+  const c = scores[bestLag + 1] ?? scores[bestLag];
+  const denom = a - 2 * b + c;
+  const shift = denom !== 0 ? Math.max(-0.5, Math.min(0.5, (0.5 * (a - c)) / denom)) : 0;
+  const period = bestLag + shift;
+  return { bpm: (60 * framesPerSecond) / period, period };
+}
+
+/**
+ * Beat positions by dynamic programming over the onset envelope
+ * @param {Float64Array} envelope - Onset envelope
+ * @param {number} period - Beat period in envelope frames
+ * @returns {number[]} Beat frame indices
+ */
+export function trackBeats(envelope, period) {
+  const n = envelope.length;
+  if (n === 0 || !period) return [];
+  const score = new Float64Array(n);
+  const backlink = new Int32Array(n).fill(-1);
+  const minBack = Math.max(1, Math.round(period / 2));
+  const maxBack = Math.round(period * 2);
+
+  for (let t = 0; t < n; t++) {
+    let best = 0;
+    let bestFrom = -1;
+    for (let tau = t - maxBack; tau <= t - minBack; tau++) {
+      if (tau < 0) continue;
+      const penalty = TIGHTNESS * Math.log((t - tau) / period) ** 2;
+      const candidate = score[tau] - penalty;
+      if (bestFrom === -1 || candidate > best) {
+        best = candidate;
+        bestFrom = tau;
+      }
+    }
+    score[t] = envelope[t] + (bestFrom >= 0 ? Math.max(0, best) : 0);
+    backlink[t] = bestFrom >= 0 && best > 0 ? bestFrom : -1;
+  }
+
+  // Start from the best-scoring frame within the last beat period
+  let last = Math.max(0, n - Math.ceil(period));
+  for (let t = last; t < n; t++) {
+    if (score[t] > score[last]) last = t;
+  }
+  const beats = [];
+  for (let t = last; t >= 0; t = backlink[t]) beats.push(t);
+  beats.reverse();
+
+  // Drop leading/trailing beats that sit in silence (fade-in / fade-out tails)
+  const meanRms = Math.sqrt(envelope.reduce((acc, v) => acc + v * v, 0) / n);
+  const threshold = 0.5 * meanRms;
+  const localStrength = (t) => {
+    let max = 0;
+    for (let j = Math.max(0, t - 2); j <= Math.min(n - 1, t + 2); j++) max = Math.max(max, envelope[j]);
+    return max;
+  };
+  while (beats.length > 0 && localStrength(beats[0]) < threshold) beats.shift();
+  while (beats.length > 0 && localStrength(beats[beats.length - 1]) < threshold) beats.pop();
+  return beats;
+}
+
+/**
+ * Split a track into sections where its loudness changes
+ * @param {Float64Array} rms - Per-frame RMS
+ * @param {number} framesPerSecond - RMS frame rate
+ * @param {number[]} beatTimes - Beat times (boundaries snap to the nearest beat)
+ * @param {number} durationSec - Track length
+ * @returns {Array<{startSec: number, endSec: number, energy: 'low'|'medium'|'high'}>}
+ */
+export function detectSections(rms, framesPerSecond, beatTimes, durationSec) {
+  const seconds = Math.floor(rms.length / framesPerSecond);
+  if (seconds < MIN_SECTION_SEC * 2) {
+    return [{ startSec: 0, endSec: round3(durationSec), energy: 'medium' }];
+  }
+
+  // Loudness per second in dB
+  const loudness = [];
+  for (let s = 0; s < seconds; s++) {
+    let acc = 0;
+    for (let f = Math.round(s * framesPerSecond); f < Math.round((s + 1) * framesPerSecond); f++) acc += rms[f] * rms[f];
+    loudness.push(10 * Math.log10(acc / framesPerSecond + 1e-10));
+  }
+
+  // Novelty: difference between the mean loudness of the next and previous windows
+  const win = 4;
+  const novelty = loudness.map((_, s) => {
+    if (s < win || s > seconds - win) return 0;
+    const before = loudness.slice(s - win, s).reduce((a, v) => a + v, 0) / win;
+    const after = loudness.slice(s, s + win).reduce((a, v) => a + v, 0) / win;
+    return Math.abs(after - before);
+  });
+
+  // Greedy peak picking: strongest changes first, at least MIN_SECTION_SEC apart, >= 3 dB
+  const candidates = novelty
+    .map((value, s) => ({ s, value }))
+    .filter(({ value }) => value >= 3)
+    .sort((a, b) => b.value - a.value);
+  const boundaries = [];
+  for (const { s } of candidates) {
+    if (s < MIN_SECTION_SEC || durationSec - s < MIN_SECTION_SEC) continue;
+    if (boundaries.every((b) => Math.abs(b - s) >= MIN_SECTION_SEC)) boundaries.push(s);
+  }
+  boundaries.sort((a, b) => a - b);
+
+  const snap = (t) => {
+    if (beatTimes.length === 0) return t;
+    return beatTimes.reduce((best, beat) => (Math.abs(beat - t) < Math.abs(best - t) ? beat : best), beatTimes[0]);
+  };
+  const edges = [0, ...boundaries.map(snap), durationSec];
+
+  const meanLoudness = loudness.reduce((a, v) => a + v, 0) / loudness.length;
+  const sections = [];
+  for (let i = 0; i < edges.length - 1; i++) {
+    const from = Math.floor(edges[i]);
+    const to = Math.max(from + 1, Math.floor(edges[i + 1]));
+    const slice = loudness.slice(from, Math.min(to, loudness.length));
+    const level = slice.reduce((a, v) => a + v, 0) / Math.max(1, slice.length);
+    let energy = 'medium';
+    if (level < meanLoudness - 3) energy = 'low';
+    else if (level > meanLoudness + 3) energy = 'high';
+    sections.push({ startSec: round3(edges[i]), endSec: round3(edges[i + 1]), energy });
+  }
+  return sections;
+}
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Analyze mono PCM
+ * @param {Float32Array} samples - Mono PCM at ANALYSIS_SAMPLE_RATE
+ * @returns {{durationSec: number, bpm: number|null, beatTimes: number[], sections: Array}}
+ */
+export function analyzeBeatsFromPcm(samples) {
+  const durationSec = samples.length / ANALYSIS_SAMPLE_RATE;
+  const framesPerSecond = ANALYSIS_SAMPLE_RATE / HOP_SIZE;
+  const { envelope, rms } = onsetEnvelope(samples);
+  const { bpm, period } = estimateTempo(envelope, framesPerSecond);
+  // Beat frames index the start of their analysis window; report the window center
+  const frameCenter = FRAME_SIZE / 2 / ANALYSIS_SAMPLE_RATE;
+  const beatTimes = trackBeats(envelope, period).map((f) => round3(f / framesPerSecond + frameCenter));
+  return {
+    durationSec: round3(durationSec),
+    bpm: bpm ? Math.round(bpm * 10) / 10 : null,
+    beatTimes,
+    sections: detectSections(rms, framesPerSecond, beatTimes, durationSec),
+  };
+}
+
+/**
+ * Decode and analyze an audio file
+ * @param {string} filePath - Audio file
+ * @param {Object} [opts] - See decodeMonoPcm
+ * @returns {Promise<{durationSec: number, bpm: number|null, beatTimes: number[], sections: Array}>}
+ */
+export async function analyzeTrackBeats(filePath, opts = {}) {
+  const samples = await decodeMonoPcm(filePath, { ...opts, sampleRate: ANALYSIS_SAMPLE_RATE });
+  return analyzeBeatsFromPcm(samples);
+}
@@ -0,0 +1,40 @@
+/**
+ * Bounded-concurrency helpers
+ */
+
+/**
+ * Map items through an async function with at most `limit` calls in flight
+ * Results keep input order. On the first rejection (or abort) no new items start; calls already
+ * in flight are allowed to settle before the error is rethrown, so callers can clean up safely.
+ * @param {Array} items
+ * @param {number} limit - Maximum concurrent calls (>= 1)
+ * @param {(item: any, index: number) => Promise<any>} fn
+ * @param {Object} [opts]
+ * @param {AbortSignal} [opts.signal] - Stops launching new items when aborted
+ * @returns {Promise<Array>}
+ */
+export async function mapWithConcurrency(items, limit, fn, { signal } = {}) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(Math.floor(limit) || 1, items.length));
+  let next = 0;
+  let firstError = null;
+
+  async function worker() {
+    while (next < items.length && !firstError) {
+      if (signal?.aborted) {
+        firstError = signal.reason instanceof Error ? signal.reason : new Error('Aborted');
+        return;
+      }
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (err) {
+        if (!firstError) firstError = err;
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  if (firstError) throw firstError;
+  return results;
+}
@@ -0,0 +1,89 @@
+import { createRequire } from 'module';
+import path from 'path';
+import sharp from 'sharp';
+
+/**
+ * Offline face detection for auto-reframe
+ * Runs the TinyFaceDetector model bundled with @vladmandic/face-api on the pure-JS
+ * TensorFlow.js CPU backend: no GPU, no native build, no network at runtime.
+ *
+ * Optional stage: FACE_DETECTION=off disables it, and if the model fails to load
+ * detectFaces() returns null so callers keep their gradient-energy anchor.
+ */
+
+const require = createRequire(import.meta.url);
+
+const INPUT_SIZE = 416; // TinyFaceDetector input (multiple of 32); ~2s per photo on one core
+const SCORE_THRESHOLD = 0.5;
+
+let detectorPromise = null;
+
+export function isFaceDetectionEnabled() {
+  return String(process.env.FACE_DETECTION || '').toLowerCase() !== 'off';
+}
+
+// Load TensorFlow.js + the bundled model once per process; resolves null when unavailable
+function loadDetector() {
+  if (!detectorPromise) {
+    detectorPromise = (async () => {
+      const startedAt = Date.now();
+      const tf = require('@tensorflow/tfjs');
+      const faceapi = require('@vladmandic/face-api/dist/face-api.node-wasm.js');
+      await tf.setBackend('cpu');
+      await tf.ready();
+      const modelDir = path.join(path.dirname(require.resolve('@vladmandic/face-api/package.json')), 'model');
+      await faceapi.nets.tinyFaceDetector.loadFromDisk(modelDir);
+      console.log(`[FACES] detector ready backend=${tf.getBackend()} model=tiny_face_detector ms=${Date.now() - startedAt}`);
+      return { tf, faceapi };
+    })().catch((err) => {
+      console.warn(`[FACES] detector unavailable, using gradient energy only: ${err.message}`);
+      return null;
+    });
+  }
+  return detectorPromise;
+}
+
+/**
+ * Detect faces in an image (EXIF orientation applied, same coordinates as FramePlan crops)
+ * @param {Buffer} inputBuffer - Source image buffer
+ * @param {Object} [opts]
+ * @param {number} [opts.scoreThreshold] - Minimum detection score
+ * @returns {Promise<Array<{x:number, y:number, w:number, h:number, score:number}>|null>}
+ *   Face boxes normalized 0-1, largest first; null when detection is disabled or unavailable
+ */
+export async function detectFaces(inputBuffer, opts = {}) {
+  if (!isFaceDetectionEnabled()) return null;
+  const detector = await loadDetector();
+  if (!detector) return null;
+  const { tf, faceapi } = detector;
+
+  const { data, info } = await sharp(inputBuffer)
+    .rotate()
+    .resize(INPUT_SIZE, INPUT_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const tensor = tf.tensor3d(new Uint8Array(data.buffer, data.byteOffset, data.length), [info.height, info.width, 3], 'int32');
+  try {
+    const results = await faceapi.detectAllFaces(tensor, new faceapi.TinyFaceDetectorOptions({
+      inputSize: INPUT_SIZE,
+      scoreThreshold: opts.scoreThreshold ?? SCORE_THRESHOLD,
+    }));
+    return results
+      .map(({ score, box }) => {
+        const x = Math.max(0, box.x / info.width);
+        const y = Math.max(0, box.y / info.height);
+        return {
+          x,
+          y,
+          w: Math.min(1, (box.x + box.width) / info.width) - x,
+          h: Math.min(1, (box.y + box.height) / info.height) - y,
+          score,
+        };
+      })
+      .sort((a, b) => b.w * b.h - a.w * a.h);
+  } finally {
+    tensor.dispose();
+  }
+}
@@ -1,7 +1,6 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { GetObjectCommand } from '@aws-sdk/client-s3';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -74,38 +73,23 @@ function saveRecentTrack(trackId) {
 }
 
 /**
- * Download file from S3 to local temp directory
+ * Download file from storage to local temp directory
  */
-async function downloadFromS3(s3Client, bucket, key, localPath) {
+async function downloadFromStorage(storage, key, localPath) {
   try {
-    const command = new GetObjectCommand({
-      Bucket: bucket,
-      Key: key,
-    });
-    
-    const response = await s3Client.send(command);
-    
-    // Convert stream to buffer and write to file
-    const chunks = [];
-    for await (const chunk of response.Body) {
-      chunks.push(chunk);
-    }
-    const buffer = Buffer.concat(chunks);
-    
-    // Write buffer to file
-    fs.writeFileSync(localPath, buffer);
-    
-    console.log(`[MUSIC] Downloaded ${key} (${(buffer.length / 1024 / 1024).toFixed(2)} MB) to ${localPath}`);
+    await storage.downloadToFile(key, localPath);
+    const { size } = fs.statSync(localPath);
+    console.log(`[MUSIC] Downloaded ${key} (${(size / 1024 / 1024).toFixed(2)} MB) to ${localPath}`);
   } catch (error) {
-    console.error(`[MUSIC] Failed to download ${key} from S3:`, error.message);
+    console.error(`[MUSIC] Failed to download ${key} from storage:`, error.message);
     throw error;
   }
 }
 
 /**
- * Load music catalog from S3 manifest
+ * Load music catalog from the storage manifest
  */
-async function loadMusicCatalogFromS3(s3Client, bucket, musicPrefix = 'music/') {
+async function loadMusicCatalogFromStorage(storage, musicPrefix = 'music/') {
   const manifestKey = `${musicPrefix}manifest.json`;
   
   try {
@@ -117,22 +101,22 @@ async function loadMusicCatalogFromS3(s3Client, bucket, musicPrefix = 'music/')
     
     const manifestPath = path.join(tempDir, 'manifest.json');
     
-    // Download manifest from S3
-    await downloadFromS3(s3Client, bucket, manifestKey, manifestPath);
+    // Download manifest from storage
+    await downloadFromStorage(storage, manifestKey, manifestPath);
     
     // Read and parse manifest
     const manifestContent = fs.readFileSync(manifestPath, 'utf-8');
     const catalog = JSON.parse(manifestContent);
     
-    console.log('[MUSIC] Loaded catalog from S3:', {
-      bucket,
+    console.log('[MUSIC] Loaded catalog from storage:', {
+      storage: storage.name,
       key: manifestKey,
       tracks: catalog.tracks?.length || 0
     });
     
     return catalog;
   } catch (error) {
-    console.error('[MUSIC] Failed to load catalog from S3:', error.message);
+    console.error('[MUSIC] Failed to load catalog from storage:', error.message);
     // Fallback to local manifest if available
     const localManifestPath = path.join(__dirname, '../../assets/music_pack/manifest.json');
     if (fs.existsSync(localManifestPath)) {
@@ -372,16 +356,15 @@ function scoreTrack(track, storySignals, usedTrackId = null) {
 
 /**
  * Select the best music track based on story signals (deterministic)
- * Downloads the selected track from S3 to a temp directory
+ * Downloads the selected track from storage to a temp directory
  * @param {Object} options
  * @param {number} options.totalDurationSec - Total video duration in seconds
  * @param {number} options.photoCount - Number of photos
  * @param {Array} options.analysisResults - Vision analysis results
  * @param {Array} options.durations - Per-image durations (optional)
  * @param {string} options.promptText - User's storytelling context (optional, for logging)
- * @param {Object} options.s3Client - AWS S3 Client instance
- * @param {string} options.bucket - S3 bucket name
- * @param {string} options.musicPrefix - S3 prefix for music files (defaults to 'music/')
+ * @param {Object} options.storage - Storage driver (see server/storage)
+ * @param {string} options.musicPrefix - Storage prefix for music files (defaults to 'music/')
  * @param {string} options.usedTrackId - ID of recently used track (for penalty)
  * @returns {Promise<Object|null>} Selected track with local path, or null if no track available
  */
@@ -391,14 +374,13 @@ export async function selectMusicTrack({
   analysisResults = [],
   durations = [],
   promptText = '',
-  s3Client = null,
-  bucket = null,
+  storage = null,
   musicPrefix = 'music/',
   usedTrackId = null
 }) {
-  // Require S3 client and bucket
-  if (!s3Client || !bucket) {
-    console.error('[MUSIC] S3 client and bucket are required for music selection');
+  // Require a storage driver
+  if (!storage) {
+    console.error('[MUSIC] Storage driver is required for music selection');
     return null;
   }
   
@@ -409,7 +391,7 @@ export async function selectMusicTrack({
   }
   
   // Load catalog
-  const catalog = await loadMusicCatalogFromS3(s3Client, bucket, musicPrefix);
+  const catalog = await loadMusicCatalogFromStorage(storage, musicPrefix);
   let tracks = catalog.tracks || [];
   
   if (tracks.length === 0) {
@@ -480,7 +462,7 @@ export async function selectMusicTrack({
     const localFilePath = path.join(tempDir, localFileName);
     
     try {
-      await downloadFromS3(s3Client, bucket, musicS3Key, localFilePath);
+      await downloadFromStorage(storage, musicS3Key, localFilePath);
       return {
         id: selectedTrack.id,
         file: selectedTrack.file,
@@ -502,7 +484,7 @@ export async function selectMusicTrack({
   // Log selection with required format (single clean line)
   console.log(`[MUSIC] storyTone=${storySignals.visualTone} pacing=${storySignals.pacing} selectedTrack=${selectedTrack.id} score=${best.score} reason="${reason}"`);
   
-  // Download music file from S3 to temp directory
+  // Download music file from storage to temp directory
   const musicS3Key = `${musicPrefix}${selectedTrack.file}`;
   const tempDir = path.join(__dirname, '../../tmp/music');
   if (!fs.existsSync(tempDir)) {
@@ -514,13 +496,13 @@ export async function selectMusicTrack({
   const localFilePath = path.join(tempDir, localFileName);
   
   try {
-    console.log('[MUSIC] Downloading track from S3:', {
-      bucket,
+    console.log('[MUSIC] Downloading track from storage:', {
+      storage: storage.name,
       key: musicS3Key,
       localPath: localFilePath
     });
     
-    await downloadFromS3(s3Client, bucket, musicS3Key, localFilePath);
+    await downloadFromStorage(storage, musicS3Key, localFilePath);
     
     console.log('[MUSIC] Track downloaded successfully');
     
@@ -542,7 +524,7 @@ export async function selectMusicTrack({
       _tempFile: true
     };
   } catch (error) {
-    console.error('[MUSIC] Failed to download track from S3:', error.message);
+    console.error('[MUSIC] Failed to download track from storage:', error.message);
     return null;
   }
 }
@@ -0,0 +1,14 @@
+/**
+ * Storage key helpers
+ */
+
+/**
+ * A uid as one storage key segment (memories/<uid>/, videos/drafts/users/<uid>/, usage/uid-<uid>/)
+ * Letters, digits and '-' are kept; any other character becomes '_' and its 4-digit hex code, so two
+ * different uids never share a segment. Firebase uids are alphanumeric and map to themselves.
+ * @param {string} uid
+ * @returns {string}
+ */
+export function uidKeySegment(uid) {
+  return uid.replace(/[^A-Za-z0-9-]/g, (c) => `_${c.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
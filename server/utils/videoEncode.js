@@ -0,0 +1,202 @@
+/**
+ * Shared encoder settings for final video encodes
+ *
+ * RENDER_CRF     libx264 constant rate factor, 0-51 (default 18: visually lossless for slideshows)
+ * RENDER_PRESET  libx264 preset, ultrafast..veryslow (default medium)
+ *
+ * Other output formats (see OUTPUT_FORMATS) use their own per-codec defaults; CRF scales are not
+ * comparable across encoders, so RENDER_CRF / RENDER_PRESET only tune H.264.
+ */
+
+export const X264_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+export const DEFAULT_CRF = 18;
+export const DEFAULT_PRESET = 'medium';
+
+/**
+ * Read CRF / preset from the environment; invalid values fall back to the defaults with a warning
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {{crf: number, preset: string}}
+ */
+export function resolveEncodeSettings(env = process.env) {
+  let crf = DEFAULT_CRF;
+  if (env.RENDER_CRF !== undefined && env.RENDER_CRF !== '') {
+    const parsed = Number(env.RENDER_CRF);
+    if (Number.isInteger(parsed) && parsed >= 0 && parsed <= 51) {
+      crf = parsed;
+    } else {
+      console.warn(`[ENCODE] Ignoring RENDER_CRF=${env.RENDER_CRF} (expected an integer 0-51), using ${DEFAULT_CRF}`);
+    }
+  }
+
+  let preset = DEFAULT_PRESET;
+  if (env.RENDER_PRESET) {
+    const requested = String(env.RENDER_PRESET).trim().toLowerCase();
+    if (X264_PRESETS.includes(requested)) {
+      preset = requested;
+    } else {
+      console.warn(`[ENCODE] Ignoring RENDER_PRESET=${env.RENDER_PRESET} (expected one of ${X264_PRESETS.join(', ')}), using ${DEFAULT_PRESET}`);
+    }
+  }
+
+  return { crf, preset };
+}
+
+/**
+ * FFmpeg output args for a web-playable H.264 stream
+ * aq-mode=3 biases bits toward dark, flat areas, which keeps gradients in night shots from banding
+ * @param {{crf: number, preset: string}} [settings] - Defaults to resolveEncodeSettings()
+ * @returns {string[]}
+ */
+export function x264Args(settings = resolveEncodeSettings()) {
+  return [
+    '-c:v', 'libx264',
+    '-preset', settings.preset,
+    '-crf', String(settings.crf),
+    '-profile:v', 'high',
+    '-pix_fmt', 'yuv420p',
+    '-x264-params', 'aq-mode=3',
+  ];
+}
+
+/**
+ * Output formats selectable with `outputFormat` on /api/create-memory
+ * codec / pixFmt / audioCodec / container are what ffprobe must report for a valid file.
+ * libaom-av1 (not SVT-AV1) because it ships with the distro ffmpeg builds we deploy on.
+ */
+export const OUTPUT_FORMATS = {
+  h264: {
+    label: 'H.264 MP4',
+    extension: '.mp4',
+    contentType: 'video/mp4',
+    codec: 'h264',
+    pixFmt: 'yuv420p',
+    audioCodec: 'aac',
+    container: /mp4|mov/,
+    renderTimeoutMs: 300000,
+  },
+  hevc: {
+    label: 'HEVC MP4',
+    extension: '.mp4',
+    contentType: 'video/mp4',
+    codec: 'hevc',
+    pixFmt: 'yuv420p',
+    audioCodec: 'aac',
+    container: /mp4|mov/,
+    renderTimeoutMs: 600000,
+    // x265 CRF 22 lands near x264 CRF 18 at roughly half the bitrate; hvc1 tag so Apple players accept it
+    videoArgs: () => [
+      '-c:v', 'libx265', '-preset', 'medium', '-crf', '22', '-profile:v', 'main', '-pix_fmt', 'yuv420p',
+      '-tag:v', 'hvc1', '-x265-params', 'aq-mode=3:log-level=error',
+    ],
+  },
+  av1: {
+    label: 'AV1 WebM',
+    extension: '.webm',
+    contentType: 'video/webm',
+    codec: 'av1',
+    pixFmt: 'yuv420p',
+    audioCodec: 'opus',
+    container: /webm/,
+    renderTimeoutMs: 900000,
+    // Constant quality (-b:v 0); cpu-used 6 keeps libaom within a few times realtime
+    videoArgs: () => ['-c:v', 'libaom-av1', '-crf', '30', '-b:v', '0', '-cpu-used', '6', '-row-mt', '1', '-pix_fmt', 'yuv420p'],
+  },
+  vp9: {
+    label: 'VP9 WebM',
+    extension: '.webm',
+    contentType: 'video/webm',
+    codec: 'vp9',
+    pixFmt: 'yuv420p',
+    audioCodec: 'opus',
+    container: /webm/,
+    renderTimeoutMs: 600000,
+    videoArgs: () => ['-c:v', 'libvpx-vp9', '-crf', '31', '-b:v', '0', '-deadline', 'good', '-cpu-used', '2', '-row-mt', '1', '-pix_fmt', 'yuv420p'],
+  },
+  prores: {
+    label: 'ProRes 422 MOV',
+    extension: '.mov',
+    contentType: 'video/quicktime',
+    codec: 'prores',
+    pixFmt: 'yuv422p10le',
+    audioCodec: 'pcm_s16le',
+    container: /mov/,
+    renderTimeoutMs: 300000,
+    // Editing master: profile 2 is ProRes 422 (standard), 10-bit 4:2:2, uncompressed PCM audio
+    videoArgs: () => ['-c:v', 'prores_ks', '-profile:v', '2', '-vendor', 'apl0', '-pix_fmt', 'yuv422p10le'],
+  },
+};
+
+export const DEFAULT_OUTPUT_FORMAT = 'h264';
+
+const OUTPUT_FORMAT_ALIASES = {
+  mp4: 'h264',
+  avc: 'h264',
+  h265: 'hevc',
+  webm: 'vp9',
+  mov: 'prores',
+};
+
+/**
+ * Canonical output format name for a request value (case-insensitive, common aliases accepted)
+ * @param {string} [name] - e.g. 'h264', 'HEVC', 'webm'; empty selects the default
+ * @returns {string|null} Key of OUTPUT_FORMATS, or null when unknown
+ */
+export function resolveOutputFormat(name) {
+  if (name === undefined || name === null || name === '') return DEFAULT_OUTPUT_FORMAT;
+  if (typeof name !== 'string') return null;
+  const key = name.trim().toLowerCase();
+  const resolved = OUTPUT_FORMAT_ALIASES[key] || key;
+  return Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, resolved) ? resolved : null;
+}
+
+/**
+ * FFmpeg output args for one format
+ * @param {string} format - Key of OUTPUT_FORMATS
+ * @param {{crf: number, preset: string}} [settings] - H.264 settings (defaults to resolveEncodeSettings())
+ * @returns {{video: string[], audio: string[], container: string[]}}
+ */
+export function outputEncodeArgs(format, settings) {
+  const spec = OUTPUT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown output format: ${format}`);
+  const video = spec.videoArgs ? spec.videoArgs() : x264Args(settings);
+  let audio;
+  if (spec.audioCodec === 'opus') {
+    audio = ['-c:a', 'libopus', '-b:a', '160k'];
+  } else if (spec.audioCodec === 'pcm_s16le') {
+    audio = ['-c:a', 'pcm_s16le'];
+  } else {
+    audio = ['-c:a', 'aac', '-b:a', '192k'];
+  }
+  const container = spec.extension === '.webm' ? [] : ['-movflags', '+faststart'];
+  return { video, audio, container };
+}
+
+/**
+ * Check an ffprobe result against a format's codec, pixel format, container and audio codec
+ * @param {{formatName?: string, video?: Object, audio?: Object}} info - From ffprobeInfo
+ * @param {string} format - Key of OUTPUT_FORMATS
+ * @returns {string[]} Problems found (empty when the file matches)
+ */
+export function validateOutputFormat(info, format) {
+  const spec = OUTPUT_FORMATS[format];
+  const v = info?.video;
+  if (!v) return ['no video stream'];
+  const problems = [];
+  if (v.codec_name !== spec.codec) problems.push(`video codec ${v.codec_name} (expected ${spec.codec})`);
+  if (v.pix_fmt !== spec.pixFmt) problems.push(`pixel format ${v.pix_fmt} (expected ${spec.pixFmt})`);
+  if (v.width % 2 !== 0 || v.height % 2 !== 0) problems.push(`odd dimensions ${v.width}x${v.height}`);
+  if (info.audio && info.audio.codec_name !== spec.audioCodec) problems.push(`audio codec ${info.audio.codec_name} (expected ${spec.audioCodec})`);
+  if (info.formatName && !spec.container.test(info.formatName)) problems.push(`container ${info.formatName} (expected ${spec.extension.slice(1)})`);
+  return problems;
+}
+
+/**
+ * Content type for a published video key, by extension (video/mp4 when unknown)
+ * @param {string} key - Storage key or path
+ * @returns {string}
+ */
+export function videoContentTypeFor(key) {
+  const lower = String(key).toLowerCase();
+  const spec = Object.values(OUTPUT_FORMATS).find((f) => lower.endsWith(f.extension));
+  return spec ? spec.contentType : 'video/mp4';
+}
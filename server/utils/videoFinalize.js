@@ -1,6 +1,7 @@
 ﻿import { spawn } from 'child_process';
 import fs from 'fs';
 import path from 'path';
+import { outputEncodeArgs, validateOutputFormat, OUTPUT_FORMATS } from './videoEncode.js';
 
 function run(cmd, args = []) {
   return new Promise((resolve, reject) => {
@@ -35,16 +36,15 @@ export async function ffprobeInfo(filePath, opts = {}) {
   };
 }
 
-function isWebSafe(info) {
-  const v = info.video;
-  if (!v) return false;
-  const codecOk = v.codec_name === 'h264';
-  const pixOk = v.pix_fmt === 'yuv420p';
-  const evenDims = v.width % 2 === 0 && v.height % 2 === 0;
-  const levelOk = !v.level || v.level <= 41;
-  const audioOk = !info.audio || info.audio.codec_name === 'aac';
-  const containerOk = info.formatName ? /mp4|mov/.test(info.formatName) : true;
-  return codecOk && pixOk && evenDims && levelOk && audioOk && containerOk;
+/**
+ * Whether a probed file already matches an output format (codec, pixel format, container, audio)
+ * H.264 is additionally held to level 4.1 so older phones and TVs can decode it
+ * @param {Object} info - From ffprobeInfo
+ * @param {string} [format] - Key of OUTPUT_FORMATS (default h264)
+ */
+export function isWebSafe(info, format = 'h264') {
+  if (validateOutputFormat(info, format).length > 0) return false;
+  return format !== 'h264' || !info.video.level || info.video.level <= 41;
 }
 
 /**
@@ -56,12 +56,18 @@ function isWebSafe(info) {
  * @param {string} opts.ffmpegPath - Path to ffmpeg binary
  * @param {string} opts.ffprobePath - Path to ffprobe binary
  * @param {Object} opts.musicTrack - Music track object with {path, recommendedStartSec}
+ * @param {string} opts.outputFormat - Key of OUTPUT_FORMATS (default h264); outputPath should use its extension
  * @returns {Promise<Object>} Video info
  */
 export async function finalizeForWeb(inputPath, outputPath, forceTranscode = true, opts = {}) {
   const ffmpegPath = opts.ffmpegPath || 'ffmpeg';
   const ffprobePath = opts.ffprobePath || 'ffprobe';
   const musicTrack = opts.musicTrack || null;
+  const outputFormat = opts.outputFormat || 'h264';
+  if (!OUTPUT_FORMATS[outputFormat]) {
+    throw new Error(`Unknown output format: ${outputFormat}`);
+  }
+  const encode = outputEncodeArgs(outputFormat);
 
   if (!fs.existsSync(inputPath)) {
     throw new Error(`Input file not found: ${inputPath}`);
@@ -85,13 +91,17 @@ export async function finalizeForWeb(inputPath, outputPath, forceTranscode = tru
     console.warn('[VIDEO] Could not determine video duration:', err.message);
   }
 
-  // If not forcing and no music, probe first
-  if (!forceTranscode && !musicTrack) {
+  // If not forcing, probe first: web-safe input is copied as-is, or stream-copied when only music is added
+  let copyVideo = false;
+  if (!forceTranscode) {
     try {
       const info = await ffprobeInfo(inputPath, { ffprobePath });
-      if (isWebSafe(info)) {
-        fs.copyFileSync(inputPath, outputPath);
-        return info;
+      if (isWebSafe(info, outputFormat)) {
+        if (!musicTrack) {
+          fs.copyFileSync(inputPath, outputPath);
+          return info;
+        }
+        copyVideo = true;
       }
     } catch (err) {
       // fall through to transcode
@@ -115,17 +125,18 @@ export async function finalizeForWeb(inputPath, outputPath, forceTranscode = tru
     });
   }
 
-  // Video encoding
-  args.push(
-    '-map', '0:v:0', // Map video from first input
-    '-c:v', 'libx264',
-    '-pix_fmt', 'yuv420p',
-    '-profile:v', 'high',
-    '-level:v', '4.1',
-    '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2',
-    '-preset', 'medium',
-    '-r', '24'
-  );
+  // Video encoding (skipped when the input is already web-safe: no generational loss)
+  args.push('-map', '0:v:0'); // Map video from first input
+  if (copyVideo) {
+    args.push('-c:v', 'copy');
+  } else {
+    args.push(
+      ...encode.video, // per-format defaults; RENDER_CRF / RENDER_PRESET for H.264
+      ...(outputFormat === 'h264' ? ['-level:v', '4.1'] : []),
+      '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2',
+      '-r', '24'
+    );
+  }
 
   // Audio encoding
   if (musicTrack && musicTrack.path && fs.existsSync(musicTrack.path)) {
@@ -160,8 +171,7 @@ export async function finalizeForWeb(inputPath, outputPath, forceTranscode = tru
     
     // Audio codec settings
     args.push(
-      '-c:a', 'aac',
-      '-b:a', '160k', // Higher bitrate for music
+      ...encode.audio,
       '-ac', '2',
       '-ar', '48000'
     );
@@ -169,9 +179,8 @@ export async function finalizeForWeb(inputPath, outputPath, forceTranscode = tru
     // No music - copy audio from video if it exists, otherwise no audio
     args.push(
       '-map', '0:a?', // Map audio from video if it exists (optional)
-    '-c:a', 'aac',
-    '-b:a', '128k',
-    '-ac', '2',
+      ...encode.audio,
+      '-ac', '2',
       '-ar', '48000'
     );
     console.log('[MUSIC] No music track provided - using video audio if available');
@@ -179,7 +188,7 @@ export async function finalizeForWeb(inputPath, outputPath, forceTranscode = tru
 
   // Output options
   args.push(
-    '-movflags', '+faststart',
+    ...encode.container,
     outputPath
   );
 
@@ -199,13 +208,14 @@ export async function finalizeForWeb(inputPath, outputPath, forceTranscode = tru
       throw new Error('[MUSIC] Failed to add audio track - output has no audio stream');
     }
     
-    if (info.audio.codec_name !== 'aac') {
-      console.error(`[MUSIC][MUX][FAILED] Audio codec is not AAC: ${info.audio.codec_name}`);
-      throw new Error(`[MUSIC] Audio codec is not AAC: ${info.audio.codec_name}`);
+    const expectedAudio = OUTPUT_FORMATS[outputFormat].audioCodec;
+    if (info.audio.codec_name !== expectedAudio) {
+      console.error(`[MUSIC][MUX][FAILED] Audio codec is not ${expectedAudio}: ${info.audio.codec_name}`);
+      throw new Error(`[MUSIC] Audio codec is not ${expectedAudio}: ${info.audio.codec_name}`);
     }
     
     // Log proof that mux succeeded
-    console.log('[MUSIC][MUX][SUCCESS] Audio stream verified in final MP4:', {
+    console.log('[MUSIC][MUX][SUCCESS] Audio stream verified in final video:', {
       codec: info.audio.codec_name,
       sampleRate: info.audio.sample_rate,
       channels: info.audio.channels,
@@ -217,8 +227,9 @@ export async function finalizeForWeb(inputPath, outputPath, forceTranscode = tru
     console.warn('[MUSIC][MUX] Music track provided but no path available');
   }
   
-  if (!isWebSafe(info)) {
-    throw new Error('Output not web-safe after transcode');
+  if (!isWebSafe(info, outputFormat)) {
+    const problems = validateOutputFormat(info, outputFormat);
+    throw new Error(`Output does not match ${OUTPUT_FORMATS[outputFormat].label} after transcode${problems.length ? `: ${problems.join('; ')}` : ''}`);
   }
   
   return info;
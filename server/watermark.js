@@ -0,0 +1,135 @@
+/**
+ * Watermark
+ * Free-tier renders carry the TRACE logo burned into the video (same encode as the slideshow);
+ * paid plans render clean. POST /api/jobs/:jobId/unlock re-renders a paid memory's job without it.
+ *
+ * Placement adapts to the frame: the logo sits in a corner of the title safe area (see safeAreaFor),
+ * top-right on vertical video where the bottom belongs to platform UI and captions, bottom-right
+ * elsewhere, sized from the short side and a little lighter on vertical video.
+ *
+ * TRACE_WATERMARK            off disables the watermark for every plan (default on)
+ * TRACE_WATERMARK_LOGO       PNG / WebP to use instead of the TRACE logo
+ * TRACE_WATERMARK_POSITION   auto | top-left | top-right | bottom-left | bottom-right (default auto)
+ * TRACE_WATERMARK_OPACITY    0.05-1, replaces the per-aspect opacity
+ * TRACE_WATERMARK_SCALE      0.25-3, multiplies the per-aspect size
+ */
+
+import { safeAreaFor } from './title-cards.js';
+import { getEntitlements } from './entitlements.js';
+
+export const WATERMARK_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+// Per safeAreaFor layout: logo width as a fraction of the frame's short side, opacity, auto corner
+export const WATERMARK_LAYOUTS = {
+  landscape: { size: 0.2, opacity: 0.7, position: 'bottom-right' },
+  ultrawide: { size: 0.24, opacity: 0.7, position: 'bottom-right' },
+  square: { size: 0.18, opacity: 0.65, position: 'bottom-right' },
+  portrait: { size: 0.24, opacity: 0.6, position: 'top-right' },
+};
+const OPACITY_RANGE = [0.05, 1];
+const SCALE_RANGE = [0.25, 3];
+
+const even = (n) => Math.max(2, Math.round(n / 2) * 2);
+
+function parseRange(env, name, [min, max]) {
+  if (!env[name]) return null;
+  const value = Number(env[name]);
+  if (Number.isFinite(value) && value >= min && value <= max) return value;
+  console.warn(`[WATERMARK] Ignoring ${name}=${env[name]} (expected ${min}-${max})`);
+  return null;
+}
+
+/**
+ * Read the TRACE_WATERMARK* settings; invalid values fall back to the defaults with a warning
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {{enabled: boolean, logoPath: string|null, position: string, opacity: number|null, scale: number}}
+ *   logoPath null means the TRACE logo; opacity null means per aspect
+ */
+export function resolveWatermarkConfig(env = process.env) {
+  const enabled = !['off', '0', 'false'].includes(String(env.TRACE_WATERMARK || '').trim().toLowerCase());
+
+  let position = 'auto';
+  if (env.TRACE_WATERMARK_POSITION) {
+    const requested = env.TRACE_WATERMARK_POSITION.trim().toLowerCase();
+    if (requested === 'auto' || WATERMARK_POSITIONS.includes(requested)) {
+      position = requested;
+    } else {
+      console.warn(`[WATERMARK] Ignoring TRACE_WATERMARK_POSITION=${env.TRACE_WATERMARK_POSITION} (expected auto or ${WATERMARK_POSITIONS.join(', ')})`);
+    }
+  }
+
+  return {
+    enabled,
+    logoPath: env.TRACE_WATERMARK_LOGO ? env.TRACE_WATERMARK_LOGO.trim() : null,
+    position,
+    opacity: parseRange(env, 'TRACE_WATERMARK_OPACITY', OPACITY_RANGE),
+    scale: parseRange(env, 'TRACE_WATERMARK_SCALE', SCALE_RANGE) ?? 1,
+  };
+}
+
+/**
+ * Whether a render for this plan is watermarked
+ * @param {string} plan - Caller's plan from verifyUserPlan ('free' | 'premium' | 'enterprise')
+ * @param {Object} config - Output of resolveWatermarkConfig
+ */
+export function shouldWatermark(plan, config) {
+  return config.enabled && getEntitlements(plan).watermark;
+}
+
+/**
+ * Whether a finished watermarked job may be re-rendered clean, from server-side records only
+ * A memory is unlocked by its payment record (marked paid by the verified checkout webhook) or, for a
+ * signed-in owner, by a plan without watermark; nothing the browser sends counts as payment.
+ * @param {Object} opts
+ * @param {{uid?: string|null}} opts.params - Params of the watermarked job
+ * @param {{uid: string|null, plan: string}} opts.caller - From verifyUserPlan
+ * @param {Object|null} opts.payment - The memory's payment record (payments/records.js)
+ * @returns {{allowed: boolean, reason: 'paid' | 'plan' | 'not_owner' | 'payment_required'}}
+ */
+export function unlockGrant({ params, caller, payment }) {
+  if (params.uid && caller.uid !== params.uid) return { allowed: false, reason: 'not_owner' };
+  if (payment?.status === 'paid') return { allowed: true, reason: 'paid' };
+  if (params.uid && !getEntitlements(caller.plan).watermark) return { allowed: true, reason: 'plan' };
+  return { allowed: false, reason: 'payment_required' };
+}
+
+/**
+ * Where and how the logo is drawn on a frame
+ * @param {Object} config - Output of resolveWatermarkConfig
+ * @param {{width: number, height: number}} frame - Output size
+ * @returns {{layout: string, position: string, logoWidth: number, opacity: number, x: string, y: string}}
+ *   x / y are overlay expressions (w / h are the scaled logo's size)
+ */
+export function planWatermark(config, { width, height }) {
+  const safe = safeAreaFor(width, height);
+  const layout = WATERMARK_LAYOUTS[safe.layout];
+  const position = config.position === 'auto' ? layout.position : config.position;
+  const logoWidth = even(Math.min(width, height) * layout.size * config.scale);
+  const [vertical, horizontal] = position.split('-');
+  return {
+    layout: safe.layout,
+    position,
+    logoWidth,
+    opacity: config.opacity ?? layout.opacity,
+    x: horizontal === 'left' ? String(safe.x) : `${safe.x + safe.w}-w`,
+    y: vertical === 'top' ? String(safe.y) : `${safe.y + safe.h}-h`,
+  };
+}
+
+/**
+ * Filtergraph parts that overlay the logo on a stream
+ * The logo is a single still frame; overlay repeats it for the whole video.
+ * @param {Object} placement - Output of planWatermark
+ * @param {Object} labels
+ * @param {string} labels.input - Video stream label (without brackets)
+ * @param {string} labels.output - Output label (without brackets)
+ * @param {number} labels.logoInput - FFmpeg input index of the logo image
+ * @returns {string[]}
+ */
+export function buildWatermarkFilters(placement, { input, output, logoInput }) {
+  return [
+    `[${logoInput}:v]scale=w=${placement.logoWidth}:h=-2:flags=lanczos,format=rgba,` +
+      `colorchannelmixer=aa=${placement.opacity.toFixed(3)}[wmlogo]`,
+    `[${input}][wmlogo]overlay=x=${placement.x}:y=${placement.y}:eof_action=repeat,format=yuv420p[${output}]`,
+  ];
+}
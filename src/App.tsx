@@ -4,10 +4,11 @@ import UploadFlow from "./components/UploadFlow";
 import PricingPage from "./components/PricingPage";
 import EnterprisePage from "./components/EnterprisePage";
 import CommunityPage from "./components/CommunityPage";
+import MyMemories from "./components/MyMemories";
 import Header from "./components/Header";
 import "./index.css";
 
-type Page = 'landing' | 'upload' | 'pricing' | 'enterprise' | 'community';
+type Page = 'landing' | 'upload' | 'pricing' | 'enterprise' | 'community' | 'memories';
 
 function App() {
   const [currentPage, setCurrentPage] = useState<Page>('landing');
@@ -51,6 +52,10 @@ function App() {
     );
   }
 
+  if (currentPage === 'memories') {
+    return <MyMemories onBack={handleBack} />;
+  }
+
   return (
     <>
       <Header onNavigate={handleNavigate} centered={true} />
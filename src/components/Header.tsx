@@ -1,5 +1,5 @@
 interface HeaderProps {
-  onNavigate?: (page: 'home' | 'pricing' | 'enterprise' | 'community') => void;
+  onNavigate?: (page: 'home' | 'pricing' | 'enterprise' | 'community' | 'memories') => void;
   centered?: boolean;
 }
 
@@ -10,6 +10,13 @@ export default function Header({ onNavigate, centered = false }: HeaderProps) {
         <nav className="max-w-7xl mx-auto px-6 lg:px-8 py-4 flex items-center justify-center min-h-[56px]">
           {/* Navigation Links - Centered */}
           <div className="flex items-center space-x-8">
+            <button
+              onClick={() => onNavigate?.('memories')}
+              className="text-white/90 hover:text-white transition-colors text-sm font-normal"
+            >
+              My memories
+            </button>
+            
             <button
               onClick={() => onNavigate?.('community')}
               className="text-white/90 hover:text-white transition-colors text-sm font-normal"
@@ -41,6 +48,13 @@ export default function Header({ onNavigate, centered = false }: HeaderProps) {
       <nav className="max-w-7xl mx-auto px-6 lg:px-8 py-4 flex items-center justify-between min-h-[56px]">
         {/* Navigation Links - Left */}
         <div className="flex items-center space-x-6">
+          <button
+            onClick={() => onNavigate?.('memories')}
+            className="text-white/90 hover:text-white transition-colors text-sm font-normal"
+          >
+            My memories
+          </button>
+          
           <button
             onClick={() => onNavigate?.('community')}
             className="text-white/90 hover:text-white transition-colors text-sm font-normal"
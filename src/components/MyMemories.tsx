@@ -0,0 +1,277 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import VideoPreview from './VideoPreview';
+import {
+  ApiError,
+  deleteMemory,
+  fetchMemories,
+  fetchMemory,
+  getRenderJobStatus,
+  remixMemory,
+  type MemoryDetail,
+  type MemorySummary,
+  type RemixOverrides,
+} from '../utils/api';
+
+interface MyMemoriesProps {
+  authToken?: string;
+  onBack: () => void;
+}
+
+type RemixChoices = { aspectRatio: string; music: 'keep' | 'new' | 'off'; reverse: boolean };
+
+const KEEP_SETTINGS: RemixChoices = { aspectRatio: '', music: 'keep', reverse: false };
+const REMIX_POLL_MS = 3000;
+
+function formatDuration(sec: number | null): string {
+  if (sec == null) return '';
+  const total = Math.round(sec);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+export default function MyMemories({ authToken, onBack }: MyMemoriesProps) {
+  const [memories, setMemories] = useState<MemorySummary[]>([]);
+  const [loading, setLoading] = useState<boolean>(true);
+  const [error, setError] = useState<string>('');
+  const [needsSignIn, setNeedsSignIn] = useState<boolean>(false);
+  const [playing, setPlaying] = useState<MemoryDetail | null>(null);
+  const [openingId, setOpeningId] = useState<string | null>(null);
+  const [deletingId, setDeletingId] = useState<string | null>(null);
+  const [remixingId, setRemixingId] = useState<string | null>(null);
+  const [remixChoices, setRemixChoices] = useState<RemixChoices>(KEEP_SETTINGS);
+  const [remixJobs, setRemixJobs] = useState<Record<string, string>>({}); // memoryId -> progress detail
+  const unmountedRef = useRef<boolean>(false);
+
+  useEffect(() => () => { unmountedRef.current = true; }, []);
+
+  const reloadMemories = useCallback(() => fetchMemories(authToken).then((list) => {
+    if (!unmountedRef.current) setMemories(list);
+  }), [authToken]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    fetchMemories(authToken)
+      .then((list) => {
+        if (!cancelled) setMemories(list);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        if (err instanceof ApiError && err.code === 'AUTH_REQUIRED') {
+          setNeedsSignIn(true);
+        } else {
+          console.error('[MEMORIES] Failed to load library:', err);
+          setError(err instanceof Error ? err.message : 'Failed to load your memories');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [authToken]);
+
+  // Signed URLs expire, so they are fetched each time a memory is opened
+  const openMemory = async (memoryId: string) => {
+    setOpeningId(memoryId);
+    setError('');
+    try {
+      setPlaying(await fetchMemory(memoryId, authToken));
+    } catch (err) {
+      console.error('[MEMORIES] Failed to open memory:', err);
+      setError(err instanceof Error ? err.message : 'Failed to open memory');
+    } finally {
+      setOpeningId(null);
+    }
+  };
+
+  const removeMemory = async (memory: MemorySummary) => {
+    if (!window.confirm(`Delete "${memory.title || 'Untitled memory'}"? Its video and photos will be removed.`)) return;
+    setDeletingId(memory.memoryId);
+    setError('');
+    try {
+      await deleteMemory(memory.memoryId, authToken);
+      setMemories((prev) => prev.filter((m) => m.memoryId !== memory.memoryId));
+    } catch (err) {
+      console.error('[MEMORIES] Failed to delete memory:', err);
+      setError(err instanceof Error ? err.message : 'Failed to delete memory');
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  // The remix is a new render job; it shows up in the list once it has finished
+  const startRemix = async (memory: MemorySummary) => {
+    const overrides: RemixOverrides = {};
+    if (remixChoices.aspectRatio) overrides.aspectRatio = remixChoices.aspectRatio;
+    if (remixChoices.music === 'off') overrides.enableMusic = false;
+    if (remixChoices.music === 'new') overrides.musicKey = null;
+    setError('');
+    try {
+      if (remixChoices.reverse) {
+        const { memory: record } = await fetchMemory(memory.memoryId, authToken);
+        overrides.order = [...record.order].reverse();
+      }
+      const job = await remixMemory(memory.memoryId, overrides, authToken);
+      setRemixingId(null);
+      setRemixChoices(KEEP_SETTINGS);
+      setRemixJobs((prev) => ({ ...prev, [memory.memoryId]: 'Queued...' }));
+      for (;;) {
+        await new Promise((resolve) => setTimeout(resolve, REMIX_POLL_MS));
+        if (unmountedRef.current) return;
+        const status = await getRenderJobStatus(job.jobId, authToken);
+        if (status.status === 'complete') break;
+        if (status.status === 'failed' || status.status === 'cancelled') {
+          throw new Error(status.error?.detail || `Remix ${status.status}`);
+        }
+        setRemixJobs((prev) => ({ ...prev, [memory.memoryId]: `${status.detail || 'Rendering...'} ${Math.round(status.percent || 0)}%` }));
+      }
+      await reloadMemories();
+    } catch (err) {
+      console.error('[MEMORIES] Remix failed:', err);
+      if (!unmountedRef.current) setError(err instanceof Error ? err.message : 'Failed to remix memory');
+    } finally {
+      if (!unmountedRef.current) {
+        setRemixJobs((prev) => {
+          const next = { ...prev };
+          delete next[memory.memoryId];
+          return next;
+        });
+      }
+    }
+  };
+
+  if (playing) {
+    return (
+      <VideoPreview
+        key={playing.memory.memoryId}
+        path={playing.fileUrl}
+        hlsUrl={playing.hlsUrl || undefined}
+        memoryId={playing.memory.memoryId}
+        videoKey={playing.memory.videoKey}
+        onBack={() => setPlaying(null)}
+      />
+    );
+  }
+
+  return (
+    <div className="h-screen flex flex-col bg-gradient-to-b from-black via-gray-900 to-black overflow-hidden">
+      <div className="flex-1 overflow-y-auto">
+        <div className="max-w-5xl mx-auto px-6 py-8">
+          <div className="flex items-start justify-between mb-8">
+            <button
+              onClick={onBack}
+              className="text-gray-400 hover:text-white transition-colors flex items-center space-x-2"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+              <span>Back</span>
+            </button>
+          </div>
+
+          <div className="mb-12">
+            <h1 className="text-4xl font-bold text-white mb-4">My memories</h1>
+            <p className="text-gray-400 text-lg">Every film you've made, ready to watch again</p>
+          </div>
+
+          {error && <p className="text-red-400 text-sm mb-6">{error}</p>}
+
+          {loading ? (
+            <p className="text-gray-400">Loading your memories...</p>
+          ) : needsSignIn ? (
+            <p className="text-gray-400">Sign in to keep your memories in one place.</p>
+          ) : memories.length === 0 ? (
+            <p className="text-gray-400">No memories yet. Films you create while signed in will appear here.</p>
+          ) : (
+            <div className="grid sm:grid-cols-2 md:grid-cols-3 gap-6">
+              {memories.map((memory) => (
+                <div key={memory.memoryId} className="bg-gray-900/50 border border-gray-800 rounded-lg overflow-hidden">
+                  <button
+                    onClick={() => openMemory(memory.memoryId)}
+                    disabled={openingId !== null}
+                    className="block w-full aspect-video bg-black relative group"
+                  >
+                    {memory.posterUrl ? (
+                      <img src={memory.posterUrl} alt="" className="w-full h-full object-cover opacity-90 group-hover:opacity-100 transition-opacity" />
+                    ) : (
+                      <div className="w-full h-full flex items-center justify-center text-gray-600 text-sm">No poster</div>
+                    )}
+                    <span className="absolute bottom-2 right-2 px-2 py-0.5 bg-black/70 text-white text-xs rounded-sm">
+                      {openingId === memory.memoryId ? 'Opening...' : formatDuration(memory.durationSec)}
+                    </span>
+                  </button>
+                  <div className="p-4 flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                      <h3 className="text-white font-medium truncate">{memory.title || 'Untitled memory'}</h3>
+                      <p className="text-gray-500 text-sm">
+                        {new Date(memory.createdAt).toLocaleDateString()} · {memory.photoCount} photos
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-3 shrink-0">
+                      <button
+                        onClick={() => {
+                          setRemixingId(remixingId === memory.memoryId ? null : memory.memoryId);
+                          setRemixChoices(KEEP_SETTINGS);
+                        }}
+                        disabled={!!remixJobs[memory.memoryId]}
+                        className="text-gray-500 hover:text-white transition-colors text-sm disabled:cursor-not-allowed"
+                      >
+                        Remix
+                      </button>
+                      <button
+                        onClick={() => removeMemory(memory)}
+                        disabled={deletingId === memory.memoryId}
+                        className="text-gray-500 hover:text-red-400 transition-colors text-sm disabled:cursor-not-allowed"
+                      >
+                        {deletingId === memory.memoryId ? 'Deleting...' : 'Delete'}
+                      </button>
+                    </div>
+                  </div>
+                  {remixJobs[memory.memoryId] && (
+                    <p className="px-4 pb-4 text-gray-400 text-sm">Remixing: {remixJobs[memory.memoryId]}</p>
+                  )}
+                  {remixingId === memory.memoryId && (
+                    <div className="px-4 pb-4 space-y-3">
+                      <select
+                        value={remixChoices.aspectRatio}
+                        onChange={(e) => setRemixChoices({ ...remixChoices, aspectRatio: e.target.value })}
+                        className="w-full px-3 py-2 bg-gray-800 border border-gray-700 text-white text-sm rounded-sm focus:outline-none focus:border-gray-600"
+                      >
+                        <option value="">Same aspect ratio{memory.aspectRatio ? ` (${memory.aspectRatio})` : ''}</option>
+                        <option value="16:9">16:9 (HD)</option>
+                        <option value="9:16">9:16 (Vertical)</option>
+                        <option value="1:1">1:1 (Square)</option>
+                      </select>
+                      <select
+                        value={remixChoices.music}
+                        onChange={(e) => setRemixChoices({ ...remixChoices, music: e.target.value as RemixChoices['music'] })}
+                        className="w-full px-3 py-2 bg-gray-800 border border-gray-700 text-white text-sm rounded-sm focus:outline-none focus:border-gray-600"
+                      >
+                        <option value="keep">Same music</option>
+                        <option value="new">Different music</option>
+                        <option value="off">No music</option>
+                      </select>
+                      <label className="flex items-center gap-2 text-gray-300 text-sm">
+                        <input
+                          type="checkbox"
+                          checked={remixChoices.reverse}
+                          onChange={(e) => setRemixChoices({ ...remixChoices, reverse: e.target.checked })}
+                        />
+                        Reverse photo order
+                      </label>
+                      <button
+                        onClick={() => startRemix(memory)}
+                        className="w-full px-4 py-2 bg-white text-black text-sm font-medium tracking-wide rounded-sm hover:bg-gray-100 transition-all duration-300"
+                      >
+                        Render remix
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
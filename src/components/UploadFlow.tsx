@@ -1,6 +1,14 @@
-﻿import { useState } from "react";
+﻿import { useEffect, useRef, useState } from "react";
 import VideoPreview from "./VideoPreview";
-import { getSequenceOrder, createMemoryRender, getPresignedUploadUrl, uploadFileToS3 } from "../utils/api";
+import { getSequenceOrder, createMemoryRender, watchRenderJob, cancelRenderJob, getPresignedUploadUrl, uploadFileToS3, fetchPlaybackUrl } from "../utils/api";
+
+const JOB_POLL_INTERVAL_MS = 2000;
+
+// Mirrors getTargetDurationRange in server/render-plan.js: 1-12s per photo plus the final crossfade, 6-180s overall
+function isTargetDurationAvailable(seconds: number, photoCount: number) {
+  if (photoCount === 0) return true;
+  return seconds >= Math.max(6, photoCount * 1 + 0.4) && seconds <= Math.min(180, photoCount * 12 + 0.4);
+}
 
 interface UploadFlowProps {
   onBack?: () => void;
@@ -12,12 +20,57 @@ export default function UploadFlow({ onBack }: UploadFlowProps) {
   const [promptText, setPromptText] = useState<string>("");
   const [outputRatio, setOutputRatio] = useState<string>("16:9");
   const [fps, setFps] = useState<number>(24);
+  const [targetDuration, setTargetDuration] = useState<string>("auto");
+  const [beatSync, setBeatSync] = useState(false);
+  const [cameraMotion, setCameraMotion] = useState(true);
   const [videoPath, setVideoPath] = useState<string | null>(null);
+  const [videoHlsUrl, setVideoHlsUrl] = useState<string | null>(null);
   const [memoryId, setMemoryId] = useState<string | null>(null);
+  const [videoKey, setVideoKey] = useState<string | null>(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [progress, setProgress] = useState<{ percent: number; step: string; detail: string } | null>(null);
   const [uploadStatus, setUploadStatus] = useState<{ selected: number; uploaded: number; used: number } | null>(null);
+  const [activeJobId, setActiveJobId] = useState<string | null>(null);
+  const [cancelling, setCancelling] = useState(false);
+  // Refs so unmount/pagehide cleanup sees the current job without re-subscribing
+  const activeJobIdRef = useRef<string | null>(null);
+  const watchAbortRef = useRef<AbortController | null>(null);
+
+  // Cancel the in-flight render when the user leaves this page so the server stops FFmpeg
+  useEffect(() => {
+    const cancelActiveJob = () => {
+      watchAbortRef.current?.abort();
+      if (activeJobIdRef.current) {
+        cancelRenderJob(activeJobIdRef.current, { keepalive: true }).catch(() => {});
+        activeJobIdRef.current = null;
+      }
+    };
+    window.addEventListener('pagehide', cancelActiveJob);
+    return () => {
+      window.removeEventListener('pagehide', cancelActiveJob);
+      cancelActiveJob();
+    };
+  }, []);
+
+  const trackActiveJob = (jobId: string | null) => {
+    activeJobIdRef.current = jobId;
+    setActiveJobId(jobId);
+  };
+
+  const handleCancel = async () => {
+    if (!activeJobId) return;
+    setCancelling(true);
+    try {
+      await cancelRenderJob(activeJobId);
+      // watchRenderJob resolves with status 'cancelled' and handleSubmit resets the UI
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      console.error('[UploadFlow] Cancel failed:', message);
+      setError(message || "Failed to cancel render");
+      setCancelling(false);
+    }
+  };
 
   const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     if (e.target.files) {
@@ -168,6 +221,9 @@ export default function UploadFlow({ onBack }: UploadFlowProps) {
       console.log('[CREATE_MEMORY] photoKeys.last3 =', orderedKeys.slice(-3));
       console.log('[CREATE_MEMORY] aspectRatio =', outputRatio);
       console.log('[CREATE_MEMORY] fps =', fps);
+      console.log('[CREATE_MEMORY] targetDuration =', targetDuration);
+      console.log('[CREATE_MEMORY] beatSync =', beatSync);
+      console.log('[CREATE_MEMORY] cameraMotion =', cameraMotion);
       console.log('[CREATE_MEMORY] order.length =', optimalOrder.length);
       console.log('[CREATE_MEMORY] order.first5 =', optimalOrder.slice(0, 5));
       console.log('[CREATE_MEMORY] order.last5 =', optimalOrder.slice(-5));
@@ -181,6 +237,10 @@ export default function UploadFlow({ onBack }: UploadFlowProps) {
         fps,
         context: promptText.trim() || undefined,
         motionPack,
+        motion: cameraMotion,
+        targetDurationSec: targetDuration === "auto" ? undefined : targetDuration === "music" ? "music" as const : Number(targetDuration),
+        beatSync,
+        hls: true, // Adaptive ladder so weak mobile connections don't stall on the full-bitrate MP4
       };
       console.log('[CREATE_MEMORY] sending', { motionPack, aspectRatio: outputRatio, fps, photoKeysCount: photoKeys.length });
       console.log('[CREATE_MEMORY] requestBody.photoKeys.length =', requestBody.photoKeys.length);
@@ -188,49 +248,49 @@ export default function UploadFlow({ onBack }: UploadFlowProps) {
       console.log('[CREATE_MEMORY] ========================================');
       console.log(`[UploadFlow] Calling Railway: ${API_BASE}/api/create-memory`);
       
-      // Show gradual progress while rendering (time-based estimates)
-      const startTime = Date.now();
-      const estimatedRenderTime = 45000; // 45 seconds estimate
-      let progressInterval: NodeJS.Timeout | null = null;
-      
       try {
-        progressInterval = setInterval(() => {
-          const elapsed = Date.now() - startTime;
-          const progressPercent = Math.min(95, 50 + (elapsed / estimatedRenderTime) * 45); // 50% to 95%
-          const steps = [
-            { min: 50, max: 60, detail: "Processing images..." },
-            { min: 60, max: 85, detail: "Rendering video..." },
-            { min: 85, max: 92, detail: "Applying effects..." },
-            { min: 92, max: 97, detail: "Adding music..." },
-            { min: 97, max: 100, detail: "Finalizing..." },
-          ];
-          const currentStep = steps.find(s => progressPercent >= s.min && progressPercent < s.max) || steps[steps.length - 1];
-          setProgress({ percent: Math.floor(progressPercent), step: "rendering", detail: currentStep.detail });
-        }, 500); // Update every 500ms
-
-        const result = await createMemoryRender(requestBody);
-        
-        if (progressInterval) {
-          clearInterval(progressInterval);
-          progressInterval = null;
+        const job = await createMemoryRender(requestBody);
+        trackActiveJob(job.jobId);
+        console.log('[UploadFlow] Render job queued:', job.jobId, 'position', job.queuePosition, 'of', job.queueDepth);
+        if (job.queuePosition && job.queuePosition > 1) {
+          setProgress({ percent: 50, step: "queued", detail: `Waiting in queue (position ${job.queuePosition})...` });
         }
 
-        if (!result.ok || !result.playbackUrl) {
-          throw new Error(result.detail || result.error || "Render failed.");
+        // Follow real server-side stage progress (server percent maps to 50-100%)
+        watchAbortRef.current = new AbortController();
+        const status = await watchRenderJob(job.jobId, (update) => {
+          setProgress({
+            percent: Math.floor(50 + (update.percent || 0) * 0.5),
+            step: update.step || "rendering",
+            detail: update.detail || "Creating your memory video...",
+          });
+        }, JOB_POLL_INTERVAL_MS, watchAbortRef.current.signal);
+        trackActiveJob(null);
+        setCancelling(false);
+
+        if (status.status === 'cancelled') {
+          console.log('[UploadFlow] Render cancelled:', status.jobId);
+          setLoading(false);
+          setProgress(null);
+          return;
         }
 
-        // Step 4: Show video
-        setProgress({ percent: 100, step: "complete", detail: "Memory created successfully!" });
-        setVideoPath(result.playbackUrl);
-        if (result.jobId) {
-          setMemoryId(result.jobId);
+        if (status.status === 'failed' || !status.videoKey) {
+          throw new Error(status.error?.detail || status.error?.error || status.detail || "Render failed.");
         }
-        console.log('[UploadFlow] Memory created successfully:', result.videoKey || result.playbackUrl);
+
+        // Step 4: Show video (the status has keys only; signing it counts as one of the month's downloads)
+        const urls = await fetchPlaybackUrl(`/${status.videoKey}`);
+        setProgress({ percent: 100, step: "complete", detail: "Memory created successfully!" });
+        setVideoPath(urls.fileUrl);
+        setVideoHlsUrl(urls.hlsUrl);
+        setMemoryId(status.jobId);
+        setVideoKey(status.videoKey);
+        console.log('[UploadFlow] Memory created successfully:', status.videoKey);
         
       } catch (renderError: any) {
-        if (progressInterval) {
-          clearInterval(progressInterval);
-        }
+        trackActiveJob(null);
+        setCancelling(false);
         console.error('[UploadFlow] Render failed:', renderError.message);
         // Show user-friendly error message
         let errorMessage = renderError.message || "Failed to create memory video. Please try again.";
@@ -253,10 +313,14 @@ export default function UploadFlow({ onBack }: UploadFlowProps) {
     return (
       <VideoPreview 
         path={videoPath} 
+        hlsUrl={videoHlsUrl || undefined}
         memoryId={memoryId || undefined}
+        videoKey={videoKey || undefined}
         onBack={() => {
           setVideoPath(null);
+          setVideoHlsUrl(null);
           setMemoryId(null);
+          setVideoKey(null);
         }}
       />
     );
@@ -428,6 +492,41 @@ export default function UploadFlow({ onBack }: UploadFlowProps) {
                 <option value={30} className="bg-gray-800">30 fps (Smooth)</option>
               </select>
             </div>
+
+            <div>
+              <label className="block text-gray-300 text-sm font-medium mb-2">
+                Film Length
+              </label>
+              <select
+                value={targetDuration}
+                onChange={(e) => setTargetDuration(e.target.value)}
+                className="w-full px-4 py-2 bg-gray-800 border border-gray-700 text-white rounded-sm focus:outline-none focus:border-gray-600"
+              >
+                <option value="auto" className="bg-gray-800">Automatic</option>
+                <option value="15" disabled={!isTargetDurationAvailable(15, files.length)} className="bg-gray-800">15 seconds</option>
+                <option value="30" disabled={!isTargetDurationAvailable(30, files.length)} className="bg-gray-800">30 seconds</option>
+                <option value="60" disabled={!isTargetDurationAvailable(60, files.length)} className="bg-gray-800">60 seconds</option>
+                <option value="music" className="bg-gray-800">Match music length</option>
+              </select>
+              <label className="mt-3 flex items-center space-x-2 text-sm text-gray-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={beatSync}
+                  onChange={(e) => setBeatSync(e.target.checked)}
+                  className="accent-gray-400"
+                />
+                <span>Cut on the beat of the music</span>
+              </label>
+              <label className="mt-2 flex items-center space-x-2 text-sm text-gray-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={cameraMotion}
+                  onChange={(e) => setCameraMotion(e.target.checked)}
+                  className="accent-gray-400"
+                />
+                <span>Slow camera motion on each photo</span>
+              </label>
+            </div>
           </div>
 
           {progress && (
@@ -444,6 +543,17 @@ export default function UploadFlow({ onBack }: UploadFlowProps) {
             </div>
           )}
 
+          {loading && activeJobId && (
+            <button
+              type="button"
+              onClick={handleCancel}
+              disabled={cancelling}
+              className="w-full px-12 py-3 bg-transparent border border-gray-700 text-gray-300 text-sm font-medium tracking-wide rounded-sm hover:border-gray-500 hover:text-white transition-all duration-300 disabled:text-gray-500 disabled:cursor-not-allowed"
+            >
+              {cancelling ? "Cancelling..." : "Cancel"}
+            </button>
+          )}
+
           {error && (
             <div className="p-4 bg-red-900/20 border border-red-800 text-red-300 rounded-sm text-sm">
               {error}
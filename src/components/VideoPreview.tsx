@@ -1,41 +1,61 @@
 ﻿import { useEffect, useState, useRef } from "react";
-import { resolvePlaybackUrl, fetchPlaybackUrl } from "../utils/api";
+import {
+  resolvePlaybackUrl,
+  fetchPlaybackUrl,
+  unlockRenderJob,
+  watchRenderJob,
+  fetchDownloadUrl,
+  fetchEntitlements,
+  createCheckout,
+  fetchCheckoutStatus,
+  waitForPayment,
+  confirmLocalPayment,
+  ApiError,
+  type CheckoutIntent,
+} from "../utils/api";
+import { loadStripe, type StripeClient, type StripeElements } from "../utils/stripe";
 
 console.log('[BOOT] VideoPreview loaded from', import.meta.url, 'MODE=', import.meta.env.MODE);
 
 
 interface VideoPreviewProps {
   path?: string;
+  hlsUrl?: string; // Signed HLS playlist; used instead of the MP4 where the browser plays HLS natively
   memoryId?: string;
+  videoKey?: string; // Storage key of the published video; downloads are signed (and counted) by the server
   onBack?: () => void;
 }
 
-const FREE_DOWNLOADS_LIMIT = 3;
-const DOWNLOAD_PRICE = 4.99;
+const HLS_MIME_TYPE = 'application/vnd.apple.mpegurl';
 
-function getFreeDownloadsUsed(): number {
-  if (typeof window === 'undefined') return 0;
-  const stored = localStorage.getItem('trace_free_downloads_used');
-  return stored ? parseInt(stored, 10) : 0;
+// Safari / iOS and Android browsers play HLS in <video> directly; elsewhere the MP4 is used
+function canPlayHlsNatively(): boolean {
+  if (typeof document === 'undefined') return false;
+  return document.createElement('video').canPlayType(HLS_MIME_TYPE) !== '';
 }
 
-function incrementFreeDownloadsUsed(): void {
-  if (typeof window === 'undefined') return;
-  const current = getFreeDownloadsUsed();
-  if (current < FREE_DOWNLOADS_LIMIT) {
-    localStorage.setItem('trace_free_downloads_used', String(current + 1));
+// Published files are .mp4 (H.264 / HEVC), .webm (AV1 / VP9) or .mov (ProRes master); signed
+// storage links carry the object key in ?key=, CDN / S3 links in the path
+function videoExtensionFor(url: string): string {
+  let name = url;
+  try {
+    const parsed = new URL(url, window.location.href);
+    name = parsed.searchParams.get('key') || parsed.pathname;
+  } catch {
+    // not a URL: treat it as a path
   }
+  const match = name.toLowerCase().match(/\.(mp4|m4v|webm|mov)$/);
+  return match ? match[1] : 'mp4';
 }
 
-function isMemoryPaid(memoryId: string): boolean {
-  if (typeof window === 'undefined' || !memoryId) return false;
-  return localStorage.getItem(`trace_paid_${memoryId}`) === 'true';
+function videoMimeTypeFor(url: string): string {
+  const ext = videoExtensionFor(url);
+  if (ext === 'webm') return 'video/webm';
+  if (ext === 'mov') return 'video/quicktime';
+  return 'video/mp4';
 }
 
-function markMemoryAsPaid(memoryId: string): void {
-  if (typeof window === 'undefined' || !memoryId) return;
-  localStorage.setItem(`trace_paid_${memoryId}`, 'true');
-}
+const DOWNLOAD_PRICE = 4.99;
 
 async function probePlaybackUrl(url: string) {
   try {
@@ -50,9 +70,10 @@ async function probePlaybackUrl(url: string) {
     }
     const buf = new Uint8Array(await res.arrayBuffer());
     const hasFtyp = new TextDecoder('latin1').decode(buf.slice(0, 200)).includes('ftyp');
-    console.log('[VIDEO][PROBE]', { url, status: res.status, hasFtyp, len: buf.length });
-    if (!hasFtyp) {
-      throw new Error('Playback URL failed probe (ftyp missing)');
+    const hasEbml = buf[0] === 0x1a && buf[1] === 0x45 && buf[2] === 0xdf && buf[3] === 0xa3; // WebM
+    console.log('[VIDEO][PROBE]', { url, status: res.status, hasFtyp, hasEbml, len: buf.length });
+    if (!hasFtyp && !hasEbml) {
+      throw new Error('Playback URL failed probe (no MP4/MOV ftyp or WebM header)');
     }
   } catch (err: any) {
     console.error('[VIDEO][PROBE] Error:', err);
@@ -60,13 +81,28 @@ async function probePlaybackUrl(url: string) {
   }
 }
 
-export default function VideoPreview({ path: propPath, memoryId, onBack }: VideoPreviewProps = {}) {
+export default function VideoPreview({ path: propPath, hlsUrl: propHlsUrl, memoryId, videoKey, onBack }: VideoPreviewProps = {}) {
   const [path, setPath] = useState<string>(propPath || '');
   const [videoSrc, setVideoSrc] = useState<string>('');
+  const [videoType, setVideoType] = useState<string>('video/mp4');
+  const [posterUrl, setPosterUrl] = useState<string>('');
   const [error, setError] = useState<string>('');
   const [loading, setLoading] = useState<boolean>(true);
   const [showPaywall, setShowPaywall] = useState<boolean>(false);
   const [downloading, setDownloading] = useState<boolean>(false);
+  const [unlocking, setUnlocking] = useState<boolean>(false);
+  // Clean re-render of a paid memory; replaces the watermarked video and its HLS playlist
+  const [unlocked, setUnlocked] = useState<{ path: string; hlsUrl: string | null; videoKey: string | null } | null>(null);
+  // Payment state comes from the server (webhook-verified), never from the browser
+  const [paid, setPaid] = useState<boolean>(false);
+  const [checkout, setCheckout] = useState<CheckoutIntent | null>(null);
+  const [paying, setPaying] = useState<boolean>(false);
+  const [paymentError, setPaymentError] = useState<string>('');
+  const paymentElementRef = useRef<HTMLDivElement | null>(null);
+  const stripeRef = useRef<{ stripe: StripeClient; elements: StripeElements } | null>(null);
+  // Downloads left this month per the server (null: unlimited, undefined: not known yet)
+  const [remainingDownloads, setRemainingDownloads] = useState<number | null | undefined>(undefined);
+  const [monthlyDownloads, setMonthlyDownloads] = useState<number | null>(null);
   const videoRef = useRef<HTMLVideoElement | null>(null);
   const downloadUrlRef = useRef<string | null>(null);
 
@@ -97,6 +133,53 @@ export default function VideoPreview({ path: propPath, memoryId, onBack }: Video
     setPath(propPath);
   }, [propPath]);
 
+  useEffect(() => {
+    let cancelled = false;
+    fetchEntitlements()
+      .then((info) => {
+        if (cancelled) return;
+        setRemainingDownloads(info.remaining.downloads);
+        setMonthlyDownloads(info.entitlements.monthlyDownloads);
+      })
+      .catch((err) => console.warn('[DOWNLOAD] Entitlements unavailable:', err));
+    return () => { cancelled = true; };
+  }, []);
+
+  useEffect(() => {
+    if (!memoryId) return;
+    let cancelled = false;
+    fetchCheckoutStatus(memoryId)
+      .then((status) => { if (!cancelled) setPaid(status.paid); })
+      .catch((err) => console.warn('[CHECKOUT] Payment status unavailable:', err));
+    return () => { cancelled = true; };
+  }, [memoryId]);
+
+  // Stripe's payment form for the open checkout (the local driver needs none)
+  useEffect(() => {
+    const clientSecret = checkout?.provider === 'stripe' ? checkout.clientSecret : undefined;
+    if (!clientSecret) return;
+    let cancelled = false;
+    let paymentElement: { destroy: () => void } | null = null;
+    loadStripe()
+      .then((stripe) => {
+        if (cancelled || !paymentElementRef.current) return;
+        const elements = stripe.elements({ clientSecret, appearance: { theme: 'night' } });
+        const element = elements.create('payment');
+        element.mount(paymentElementRef.current);
+        paymentElement = element;
+        stripeRef.current = { stripe, elements };
+      })
+      .catch((err) => {
+        console.error('[CHECKOUT] Stripe.js error:', err);
+        if (!cancelled) setPaymentError(err instanceof Error ? err.message : 'Payment form unavailable');
+      });
+    return () => {
+      cancelled = true;
+      paymentElement?.destroy();
+      stripeRef.current = null;
+    };
+  }, [checkout]);
+
   useEffect(() => {
     let cancelled = false;
     async function load() {
@@ -107,12 +190,17 @@ export default function VideoPreview({ path: propPath, memoryId, onBack }: Video
         setError('');
         console.log('[VIDEO] Resolving playback URL for:', path);
         let playbackUrl: string | null;
+        let hlsPlaylistUrl: string | null = unlocked ? unlocked.hlsUrl : propHlsUrl || null;
+        let poster: string | null = null;
         try {
           // First try to resolve from path directly
           playbackUrl = resolvePlaybackUrl(path);
           // If path is a string but not a URL, fetch the playback URL
           if (!playbackUrl && typeof path === 'string') {
-            playbackUrl = await fetchPlaybackUrl(path);
+            const urls = await fetchPlaybackUrl(path);
+            playbackUrl = urls.fileUrl;
+            hlsPlaylistUrl = hlsPlaylistUrl || urls.hlsUrl;
+            poster = urls.posterUrl;
           }
           console.log('[VIDEO] Resolved playback URL');
         } catch (apiError: any) {
@@ -136,9 +224,14 @@ export default function VideoPreview({ path: propPath, memoryId, onBack }: Video
           console.warn('[VIDEO] Probe failed, but will attempt to load video anyway:', probeError.message);
         }
 
+        // Adaptive streaming where supported; downloads always use the MP4
+        const useHls = !!hlsPlaylistUrl && canPlayHlsNatively();
+        const src = useHls && hlsPlaylistUrl ? hlsPlaylistUrl : playbackUrl;
         if (!cancelled) {
-          setVideoSrc(playbackUrl);
-          console.log('[VIDEO] MODE:', isDev ? 'DEV (S3 only)' : 'PROD (CDN preferred)', 'initialSrc=', playbackUrl);
+          setVideoSrc(src);
+          setPosterUrl(poster || '');
+          setVideoType(useHls ? HLS_MIME_TYPE : videoMimeTypeFor(playbackUrl));
+          console.log('[VIDEO] MODE:', isDev ? 'DEV (S3 only)' : 'PROD (CDN preferred)', useHls ? 'HLS' : 'MP4', 'initialSrc=', src);
         }
       } catch (err: any) {
         if (!cancelled) {
@@ -153,7 +246,7 @@ export default function VideoPreview({ path: propPath, memoryId, onBack }: Video
     }
     load();
     return () => { cancelled = true; };
-  }, [path, isDev]);
+  }, [path, propHlsUrl, unlocked, isDev]);
 
   useEffect(() => {
     if (videoRef.current && videoSrc) {
@@ -182,7 +275,7 @@ export default function VideoPreview({ path: propPath, memoryId, onBack }: Video
       while (videoEl.firstChild) videoEl.removeChild(videoEl.firstChild);
       const source = document.createElement('source');
       source.src = videoSrc;
-      source.type = 'video/mp4';
+      source.type = videoType;
       videoEl.appendChild(source);
       videoEl.load();
       
@@ -190,7 +283,7 @@ export default function VideoPreview({ path: propPath, memoryId, onBack }: Video
         videoEl.removeEventListener('error', handleError);
       };
     }
-  }, [videoSrc]);
+  }, [videoSrc, videoType]);
 
   const handleDownload = async () => {
     if (!downloadUrlRef.current) {
@@ -210,26 +303,48 @@ export default function VideoPreview({ path: propPath, memoryId, onBack }: Video
       return;
     }
 
-    const downloadsUsed = getFreeDownloadsUsed();
-    const isPaid = isMemoryPaid(effectiveMemoryId);
+    // A paid memory whose clean re-render failed earlier retries it rather than downloading the watermarked video
+    if (paid && !unlocked) {
+      setError('');
+      await downloadPaidMemory(effectiveMemoryId);
+      return;
+    }
 
-    // Check if paywall should be shown
-    if (downloadsUsed >= FREE_DOWNLOADS_LIMIT && !isPaid) {
-      setShowPaywall(true);
+    const key = unlocked?.videoKey || videoKey;
+    if (!key) {
+      await performDownload(downloadUrlRef.current, effectiveMemoryId);
       return;
     }
 
-    // Proceed with download
-    await performDownload(downloadUrlRef.current, effectiveMemoryId, !isPaid);
+    // The server signs the download: free for a paid memory, otherwise counted against the monthly quota
+    setDownloading(true);
+    let url: string;
+    try {
+      url = await fetchDownloadUrl(`/${key}`);
+    } catch (err) {
+      setDownloading(false);
+      if (err instanceof ApiError && err.code === 'QUOTA_EXHAUSTED') {
+        setRemainingDownloads(0);
+        await openPaywall();
+      } else {
+        console.error('[DOWNLOAD] Error:', err);
+        setError(err instanceof Error ? err.message : 'Download failed');
+      }
+      return;
+    }
+    if (!paid) {
+      setRemainingDownloads((remaining) => (typeof remaining === 'number' ? Math.max(0, remaining - 1) : remaining));
+    }
+    await performDownload(url, effectiveMemoryId);
   };
 
-  const performDownload = async (url: string, memId: string, isFree: boolean) => {
+  const performDownload = async (url: string, memId: string) => {
     setDownloading(true);
     try {
       // Create download link
       const link = document.createElement('a');
       link.href = url;
-      link.download = `trace-${memId}.mp4`;
+      link.download = `trace-${memId}.${videoExtensionFor(url)}`;
       link.style.display = 'none';
       document.body.appendChild(link);
       
@@ -241,11 +356,6 @@ export default function VideoPreview({ path: propPath, memoryId, onBack }: Video
         document.body.removeChild(link);
       }, 100);
 
-      // If free download, increment counter
-      if (isFree) {
-        incrementFreeDownloadsUsed();
-      }
-
       // Fallback: if download didn't work (cross-origin), open in new tab
       setTimeout(() => {
         // Check if download actually happened (heuristic: if link is still in DOM, it might have failed)
@@ -261,32 +371,109 @@ export default function VideoPreview({ path: propPath, memoryId, onBack }: Video
     }
   };
 
-  const handlePaywallPay = async () => {
-    if (!downloadUrlRef.current) return;
-
-    let effectiveMemoryId = memoryId;
-    if (!effectiveMemoryId && path) {
-      const filename = path.split('/').pop()?.replace(/\.mp4$/, '') || '';
-      effectiveMemoryId = filename;
-    }
-
-    if (!effectiveMemoryId) {
+  // Start checkout for this memory; the paywall shows the provider's payment form for the intent
+  const openPaywall = async () => {
+    if (!memoryId) {
       setError('Memory ID not available');
       return;
     }
+    setShowPaywall(true);
+    setPaymentError('');
+    setCheckout(null);
+    try {
+      const intent = await createCheckout(memoryId);
+      if (intent.paid) {
+        setPaid(true);
+        setShowPaywall(false);
+        await downloadPaidMemory(memoryId);
+        return;
+      }
+      setCheckout(intent);
+    } catch (err) {
+      console.error('[CHECKOUT] Error:', err);
+      setPaymentError(err instanceof Error ? err.message : 'Checkout unavailable');
+    }
+  };
 
-    // Mark as paid (fake payment)
-    markMemoryAsPaid(effectiveMemoryId);
+  const closePaywall = () => {
     setShowPaywall(false);
+    setCheckout(null);
+    setPaymentError('');
+  };
 
-    // Trigger download
-    await performDownload(downloadUrlRef.current, effectiveMemoryId, false);
+  const handlePaywallPay = async () => {
+    if (!checkout?.paymentIntentId || !memoryId) return;
+    setPaying(true);
+    setPaymentError('');
+    try {
+      if (checkout.provider === 'local') {
+        await confirmLocalPayment(checkout.paymentIntentId);
+      } else {
+        if (!stripeRef.current) throw new Error('Payment form is still loading');
+        const { stripe, elements } = stripeRef.current;
+        const result = await stripe.confirmPayment({ elements, redirect: 'if_required' });
+        if (result.error) throw new Error(result.error.message || 'Payment failed');
+      }
+
+      // Only the server's record counts: it is written when the provider's webhook is verified
+      const status = await waitForPayment(memoryId);
+      if (!status.paid) {
+        throw new Error(status.status === 'failed' ? 'Payment failed' : 'Payment is still processing; try the download again shortly');
+      }
+      setPaid(true);
+      closePaywall();
+      await downloadPaidMemory(memoryId);
+    } catch (err) {
+      console.error('[CHECKOUT] Payment error:', err);
+      setPaymentError(err instanceof Error ? err.message : 'Payment failed');
+    } finally {
+      setPaying(false);
+    }
+  };
+
+  // Free-tier videos are watermarked: download the clean re-render (the current video only when it is already clean)
+  const downloadPaidMemory = async (jobId: string) => {
+    try {
+      const cleanKey = await renderUnlockedVideo(jobId);
+      const key = cleanKey || videoKey;
+      if (!key) {
+        if (downloadUrlRef.current) await performDownload(downloadUrlRef.current, jobId);
+        return;
+      }
+      await performDownload(await fetchDownloadUrl(`/${key}`), jobId);
+    } catch (err) {
+      console.error('[DOWNLOAD] Error:', err);
+      setError(err instanceof Error ? err.message : 'Download failed');
+    }
+  };
+
+  const renderUnlockedVideo = async (jobId: string): Promise<string | null> => {
+    setUnlocking(true);
+    try {
+      const job = await unlockRenderJob(jobId);
+      const status = await watchRenderJob(job.jobId, (update) => {
+        console.log('[UNLOCK] Progress:', update.percent, update.detail);
+      });
+      if (status.status !== 'complete' || !status.videoKey) {
+        throw new Error(status.error?.detail || status.error?.error || 'Clean render failed');
+      }
+      const urls = await fetchPlaybackUrl(`/${status.videoKey}`);
+      setUnlocked({ path: urls.fileUrl, hlsUrl: urls.hlsUrl, videoKey: status.videoKey });
+      setPath(urls.fileUrl);
+      return status.videoKey;
+    } catch (err) {
+      // Already clean: the current video is the one to download
+      if (err instanceof ApiError && err.code === 'NOT_WATERMARKED') return null;
+      console.error('[UNLOCK] Error:', err);
+      throw err;
+    } finally {
+      setUnlocking(false);
+    }
   };
 
-  const downloadsUsed = typeof window !== 'undefined' ? getFreeDownloadsUsed() : 0;
-  const remainingFree = Math.max(0, FREE_DOWNLOADS_LIMIT - downloadsUsed);
-  const effectiveMemoryId = memoryId || (path ? path.split('/').pop()?.replace(/\.mp4$/, '') : '');
-  const isPaid = effectiveMemoryId ? isMemoryPaid(effectiveMemoryId) : false;
+  const price = checkout?.amount && checkout.currency
+    ? `${(checkout.amount / 100).toFixed(2)} ${checkout.currency.toUpperCase()}`
+    : `$${DOWNLOAD_PRICE.toFixed(2)}`;
 
   return (
     <div className="min-h-screen bg-gradient-to-b from-black via-gray-900 to-black">
@@ -323,6 +510,7 @@ export default function VideoPreview({ path: propPath, memoryId, onBack }: Video
               <video
                 ref={videoRef}
                 controls
+                poster={posterUrl || undefined}
                 className="w-full h-full rounded-lg bg-black"
                 style={{ maxWidth: '100%', height: 'auto' }}
               >
@@ -337,10 +525,10 @@ export default function VideoPreview({ path: propPath, memoryId, onBack }: Video
           <div className="flex gap-4 justify-center">
             <button
               onClick={handleDownload}
-              disabled={downloading || !videoSrc || loading}
+              disabled={downloading || unlocking || !videoSrc || loading}
               className="px-8 py-3 bg-white text-black text-sm font-medium tracking-wide rounded-sm hover:bg-gray-100 transition-all duration-300 disabled:bg-gray-600 disabled:text-gray-400 disabled:cursor-not-allowed"
             >
-              {downloading ? 'Downloading...' : 'Download MP4'}
+              {unlocking ? 'Removing watermark...' : downloading ? 'Downloading...' : 'Download MP4'}
             </button>
             <button
               onClick={onBack || (() => window.history.back())}
@@ -352,12 +540,12 @@ export default function VideoPreview({ path: propPath, memoryId, onBack }: Video
 
           {/* Download Info */}
           <p className="text-center text-gray-500 text-xs mt-4">
-            {remainingFree > 0 ? (
-              <span>{remainingFree} free download{remainingFree !== 1 ? 's' : ''} remaining. Then ${DOWNLOAD_PRICE.toFixed(2)} per download.</span>
-            ) : isPaid ? (
+            {paid ? (
               <span>This memory is unlocked.</span>
+            ) : remainingDownloads === undefined || remainingDownloads === null ? null : remainingDownloads > 0 ? (
+              <span>{remainingDownloads} download{remainingDownloads !== 1 ? 's' : ''} left this month. Then ${DOWNLOAD_PRICE.toFixed(2)} to unlock a memory.</span>
             ) : (
-              <span>3 free downloads used. ${DOWNLOAD_PRICE.toFixed(2)} per download.</span>
+              <span>{monthlyDownloads ?? 0} downloads used this month. ${DOWNLOAD_PRICE.toFixed(2)} to unlock this memory.</span>
             )}
           </p>
         </div>
@@ -369,18 +557,21 @@ export default function VideoPreview({ path: propPath, memoryId, onBack }: Video
           <div className="bg-gray-900 border border-gray-700 rounded-lg p-8 max-w-md w-full">
             <h2 className="text-2xl font-light text-white mb-4">Unlock Download</h2>
             <p className="text-gray-400 mb-6">
-              You've used your 3 free downloads. Unlock this download for ${DOWNLOAD_PRICE.toFixed(2)}.
+              You've used this month's {monthlyDownloads ?? ''} downloads. Unlock this memory for {price}: unlimited downloads, without the watermark.
             </p>
+            {checkout?.provider === 'stripe' && <div ref={paymentElementRef} className="mb-6" />}
+            {paymentError && <p className="text-red-400 text-sm mb-4">{paymentError}</p>}
             <div className="flex gap-4">
               <button
                 onClick={handlePaywallPay}
-                disabled={downloading}
+                disabled={paying || downloading || !checkout?.paymentIntentId}
                 className="px-6 py-3 bg-white text-black text-sm font-medium tracking-wide rounded-sm hover:bg-gray-100 transition-all duration-300 disabled:bg-gray-600 disabled:text-gray-400 disabled:cursor-not-allowed flex-1"
               >
-                {downloading ? 'Processing...' : `Pay $${DOWNLOAD_PRICE.toFixed(2)} (Dev)`}
+                {paying ? 'Processing...' : !checkout ? 'Loading...' : `Pay ${price}${checkout.provider === 'local' ? ' (Dev)' : ''}`}
               </button>
               <button
-                onClick={() => setShowPaywall(false)}
+                onClick={closePaywall}
+                disabled={paying}
                 className="px-6 py-3 bg-gray-800 border border-gray-700 text-white text-sm font-medium tracking-wide rounded-sm hover:bg-gray-700 transition-all duration-300"
               >
                 Not now
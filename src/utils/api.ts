@@ -4,10 +4,48 @@ const VERCEL_API_BASE = typeof window !== 'undefined'
   ? window.location.origin 
   : 'https://tracememory.store';
 
+/**
+ * Error response from the backend ({ error, detail, ...extra }); code is the `error` field
+ * Plan limits answer 403 PLAN_LIMIT_EXCEEDED and used-up monthly quotas 402 QUOTA_EXHAUSTED
+ */
+export class ApiError extends Error {
+  status: number;
+  code: string;
+  extra: Record<string, unknown>;
+
+  constructor(status: number, code: string, message: string, extra: Record<string, unknown> = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.extra = extra;
+  }
+}
+
+/** Throw an ApiError for a failed response, with the server's detail as the message when it sent JSON */
+async function throwApiError(resp: Response, prefix: string): Promise<never> {
+  const text = await resp.text();
+  let body: Record<string, unknown> | null = null;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    // not JSON: keep the raw text
+  }
+  if (body && typeof body.error === 'string') {
+    const { error, detail, ...extra } = body;
+    throw new ApiError(resp.status, error, typeof detail === 'string' ? detail : `${prefix} (${resp.status}): ${error}`, extra);
+  }
+  throw new ApiError(resp.status, 'HTTP_ERROR', `${prefix} (${resp.status}): ${text}`);
+}
+
 export type SignedUrlPayload = {
   signedUrl: string | null;
   cdnUrl: string | null;
   s3SignedUrl: string | null;
+  hlsUrl: string | null;
+  posterUrl: string | null;
+  thumbnailsUrl: string | null; // WebVTT scrubbing thumbnails (sprite URIs already signed)
+  previewUrl: string | null; // Looping animated WebP / GIF teaser
   preferred: string | null;
   resourcePath: string | null;
 };
@@ -58,13 +96,16 @@ export async function getImageSequence(
   return data;
 }
 
-export async function fetchSignedVideoPayload(path: string, prefer?: string): Promise<SignedUrlPayload> {
+/**
+ * Signed URLs for a video path; a rendered video's URL counts as one of the month's downloads (once per video)
+ * Throws ApiError 403 NOT_JOB_OWNER for another account's video, 402 QUOTA_EXHAUSTED once downloads are used up
+ */
+export async function fetchSignedVideoPayload(path: string, prefer?: string, authToken?: string): Promise<SignedUrlPayload> {
   const params = new URLSearchParams({ path });
   if (prefer) params.set('prefer', prefer);
-  const resp = await fetch(`${API_BASE}/api/media/signed-url?${params.toString()}`);
+  const resp = await fetch(`${API_BASE}/api/media/signed-url?${params.toString()}`, { headers: authHeaders(authToken) });
   if (!resp.ok) {
-    const text = await resp.text();
-    throw new Error(`Failed to fetch signed URL (${resp.status}): ${text}`);
+    await throwApiError(resp, 'Failed to fetch signed URL');
   }
   const data = await resp.json();
   const signedUrl = data?.signedUrl ?? data?.s3SignedUrl ?? data?.cdnUrl ?? null;
@@ -75,23 +116,94 @@ export async function fetchSignedVideoPayload(path: string, prefer?: string): Pr
     signedUrl,
     cdnUrl: data?.cdnUrl ?? null,
     s3SignedUrl: data?.s3SignedUrl ?? null,
+    hlsUrl: data?.hlsUrl ?? null,
+    posterUrl: data?.posterUrl ?? null,
+    thumbnailsUrl: data?.thumbnailsUrl ?? null,
+    previewUrl: data?.previewUrl ?? null,
     preferred: data?.preferred ?? null,
     resourcePath: data?.resourcePath ?? null,
   };
 }
 
-export async function fetchPlaybackUrl(key: string): Promise<string> {
-  const params = new URLSearchParams({ key });
-  const resp = await fetch(`${API_BASE}/api/media/playback-url?${params.toString()}`);
+/**
+ * Attachment URL for downloading a published video (path like /videos/published/<jobId>.mp4)
+ * Counts against the plan's monthly downloads; throws ApiError 402 QUOTA_EXHAUSTED once they are used up
+ */
+export async function fetchDownloadUrl(path: string, authToken?: string): Promise<string> {
+  const params = new URLSearchParams({ path, download: '1' });
+  const resp = await fetch(`${API_BASE}/api/media/signed-url?${params.toString()}`, { headers: authHeaders(authToken) });
   if (!resp.ok) {
-    const text = await resp.text();
-    throw new Error(`Failed to fetch playback URL (${resp.status}): ${text}`);
+    await throwApiError(resp, 'Failed to fetch download URL');
+  }
+  const data = await resp.json();
+  const url = data?.s3SignedUrl ?? data?.signedUrl ?? null;
+  if (!url) {
+    throw new Error('Download URL missing from response');
+  }
+  return url;
+}
+
+export type PlanName = 'free' | 'premium' | 'enterprise';
+
+export type Entitlements = {
+  plan: PlanName;
+  verified: boolean;
+  entitlements: {
+    maxPhotos: number;
+    maxDurationSec: number;
+    maxResolution: number; // Short side of the output in pixels
+    maxFps: number;
+    outputFormats: string[];
+    monthlyRenders: number | null; // null: unlimited
+    monthlyDrafts: number | null;
+    monthlyDownloads: number | null;
+    watermark: boolean;
+  };
+  usage: { renders: number; drafts: number; downloads: number; month: string; resetsAt: string };
+  remaining: { renders: number | null; drafts: number | null; downloads: number | null };
+};
+
+/**
+ * Caller's plan, its limits and this month's usage
+ */
+export async function fetchEntitlements(authToken?: string): Promise<Entitlements> {
+  const resp = await fetch(`${API_BASE}/api/entitlements`, { headers: authHeaders(authToken) });
+  if (!resp.ok) {
+    await throwApiError(resp, 'Failed to fetch entitlements');
+  }
+  return resp.json();
+}
+
+export type PlaybackUrls = {
+  playbackUrl: string; // HLS playlist when the video has a ladder, otherwise fileUrl
+  fileUrl: string; // The published file itself (MP4 / WebM / MOV)
+  hlsUrl: string | null;
+  posterUrl: string | null;
+  thumbnailsUrl: string | null; // WebVTT scrubbing thumbnails (sprite URIs already signed)
+  previewUrl: string | null; // Looping animated WebP / GIF teaser
+};
+
+/**
+ * Viewer URLs for a published video; counts as one of the month's downloads (once per video, see fetchSignedVideoPayload)
+ */
+export async function fetchPlaybackUrl(path: string, authToken?: string): Promise<PlaybackUrls> {
+  const params = new URLSearchParams({ path });
+  const resp = await fetch(`${API_BASE}/api/media/playback-url?${params.toString()}`, { headers: authHeaders(authToken) });
+  if (!resp.ok) {
+    await throwApiError(resp, 'Failed to fetch playback URL');
   }
   const data = await resp.json();
   if (!data?.playbackUrl) {
     throw new Error('Playback URL missing in response');
   }
-  return data.playbackUrl as string;
+  return {
+    playbackUrl: data.playbackUrl,
+    fileUrl: data.fileUrl ?? data.playbackUrl,
+    hlsUrl: data.hlsUrl ?? null,
+    posterUrl: data.posterUrl ?? null,
+    thumbnailsUrl: data.thumbnailsUrl ?? null,
+    previewUrl: data.previewUrl ?? null,
+  };
 }
 
 export function resolvePlaybackUrl(input: any): string | null {
@@ -105,10 +217,11 @@ export function resolvePlaybackUrl(input: any): string | null {
   );
 }
 
-export async function getPresignedUploadUrl(filename: string, mimeType: string): Promise<{ url: string; key: string }> {
+// Signed-in uploads (authToken) go under the user's own prefix; only those can go into their renders
+export async function getPresignedUploadUrl(filename: string, mimeType: string, authToken?: string): Promise<{ url: string; key: string }> {
   const resp = await fetch(`${API_BASE}/api/media/presign-upload`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', ...authHeaders(authToken) },
     body: JSON.stringify({ fileName: filename, contentType: mimeType }),
   });
   if (!resp.ok) {
@@ -154,33 +267,491 @@ export async function getSequenceOrder(params: {
   return { order: response.order };
 }
 
+/**
+ * One rendered aspect of a job (`aspectRatios` on create-memory); the first is the primary video
+ * Videos come as keys: fetchPlaybackUrl signs them (and counts the download)
+ */
+export type RenderOutput = {
+  aspectRatio: string;
+  videoKey: string;
+  hlsKey?: string | null;
+  posterUrl?: string | null;
+  thumbnailsUrl?: string | null;
+  previewUrl?: string | null;
+  width: number;
+  height: number;
+  endCardApplied?: boolean; // false when the end card was requested but could not be appended
+  finalDurationSec: number;
+};
+
+export type RenderJobStatus = {
+  ok: boolean;
+  jobId: string;
+  status: 'queued' | 'running' | 'complete' | 'failed' | 'cancelled';
+  step: string;
+  percent: number;
+  detail: string;
+  queuePosition?: number; // 1-based while queued
+  queueDepth?: number;
+  posterUrl?: string | null; // Poster frame, scrubbing thumbnails track and teaser (null for drafts)
+  thumbnailsUrl?: string | null;
+  previewUrl?: string | null;
+  videoKey?: string; // Sign with fetchPlaybackUrl to play or download (counts against the month's downloads)
+  outputs?: RenderOutput[]; // Every requested aspect, primary first
+  result?: Record<string, unknown>;
+  error?: { error: string; detail?: string; [key: string]: unknown };
+};
+
+/**
+ * Render plan for create-memory: one duration per image and one transition per cut, in render order.
+ * Transitions: crossfade | dissolve | fade_black | match_dissolve | push_through |
+ * dip_to_black_micro | breath_hold | hard_cut (unknown names render as hard_cut).
+ */
+export type RenderPlan = {
+  order?: number[];
+  /** Default opening title text when `titles` is on */
+  memoryNote?: string;
+  durations: number[];
+  transitions: string[];
+  chapterCuts?: {
+    arrivalEnd?: number;
+    recognitionEnd?: number;
+    intimacyEnd?: number;
+    pauseEnd?: number;
+  };
+};
+
+/**
+ * Title cards drawn over the render: an opening title (defaults to the plan's memoryNote, then context)
+ * with an optional date ('2024-06-12' is shown as 'June 12, 2024'), a closing card and lower-third
+ * captions, one entry per photoKeys entry (null for none)
+ */
+export type TitleCards = {
+  preset?: 'classic' | 'modern' | 'editorial';
+  opening?: boolean | string | { text?: string; date?: string };
+  closing?: false | string | { text: string };
+  captions?: (string | null)[];
+};
+
+/**
+ * Branded end card appended after the last shot (freeze → fade to backgroundColor → logo and tagline).
+ * logoKey is a PNG / JPEG / WebP this account uploaded (getPresignedUploadUrl); without it the TRACE logo is shown. Colors are #RRGGBB.
+ */
+export type EndCard = {
+  logoKey?: string;
+  tagline?: string;
+  backgroundColor?: string;
+  textColor?: string;
+  freezeSec?: number;
+  fadeSec?: number;
+  holdSec?: number;
+};
+
+/**
+ * Start a render job on Railway /api/create-memory
+ * The server responds immediately with a jobId; poll getRenderJobStatus for progress
+ */
 export async function createMemoryRender(params: {
   photoKeys: string[];
-  outputRatio: string;
+  order?: number[];
+  plan?: RenderPlan;
+  /** Total length in seconds, or 'music' to match the selected track; omit for automatic length */
+  targetDurationSec?: number | 'music';
+  /** Snap cuts and dissolves to the beats of the selected music track */
+  beatSync?: boolean;
+  aspectRatio: string;
+  /** Render one video per aspect (e.g. ['16:9', '9:16', '1:1']) in the same job; overrides aspectRatio */
+  aspectRatios?: string[];
   fps: number;
-  promptText?: string;
-}): Promise<{ ok: boolean; playbackUrl: string; jobId: string; videoKey?: string }> {
+  context?: string;
+  /** 'default' or 'documentary'; 'none' renders still photos */
+  motionPack?: string;
+  /** false opts out of camera motion regardless of motionPack */
+  motion?: boolean;
+  /** Also publish an HLS ladder (1080p/720p/480p) for adaptive streaming */
+  hls?: boolean;
+  /** h264 (MP4, default) | hevc (MP4) | av1 / vp9 (WebM) | prores (ProRes 422 MOV master for editors) */
+  outputFormat?: 'h264' | 'hevc' | 'av1' | 'vp9' | 'prores';
+  /** 'draft' renders a quick 480p / 15fps preview (kept for a day, counted against the monthly drafts); promote it with promoteDraftRender */
+  quality?: 'full' | 'draft';
+  /** Opening title, closing card and per-photo captions; omit for a video without text */
+  titles?: TitleCards;
+  /** true for the TRACE end card, or custom branding; drafts skip it */
+  endCard?: boolean | EndCard;
+  /** Firebase ID token; the account's plan sets the limits (see fetchEntitlements) and the watermark */
+  authToken?: string;
+}): Promise<{ ok: boolean; jobId: string; status: string; queuePosition?: number; queueDepth?: number; plan: PlanName; watermark: boolean }> {
   const resp = await fetch(`${API_BASE}/api/create-memory`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', ...authHeaders(params.authToken) },
     body: JSON.stringify({
       photoKeys: params.photoKeys, // Backend expects photoKeys as array of strings
-      outputRatio: params.outputRatio,
+      order: params.order,
+      plan: params.plan,
+      targetDurationSec: params.targetDurationSec,
+      beatSync: params.beatSync,
+      aspectRatio: params.aspectRatio,
+      aspectRatios: params.aspectRatios,
       fps: params.fps,
-      promptText: params.promptText || '',
+      context: params.context || '',
+      motionPack: params.motionPack,
+      motion: params.motion,
+      hls: params.hls,
+      outputFormat: params.outputFormat,
+      quality: params.quality,
+      titles: params.titles,
+      endCard: params.endCard,
     }),
   });
+  if (!resp.ok) {
+    await throwApiError(resp, 'Failed to create memory');
+  }
+  const data = await resp.json();
+  // Backend returns: { ok: true, jobId, status: 'queued', queuePosition, queueDepth, statusUrl }
+  if (!data.jobId) {
+    throw new Error('Failed to create memory: server did not return a jobId');
+  }
+  return {
+    ok: data.ok !== false,
+    jobId: data.jobId,
+    status: data.status || 'queued',
+    queuePosition: data.queuePosition,
+    queueDepth: data.queueDepth,
+    plan: data.plan === 'premium' || data.plan === 'enterprise' ? data.plan : 'free',
+    watermark: data.watermark !== false,
+  };
+}
+
+function authHeaders(authToken?: string): Record<string, string> {
+  return authToken ? { Authorization: `Bearer ${authToken}` } : {};
+}
+
+/**
+ * Get render job status (stage, percent, detail and, once complete, videoKey)
+ * A signed-in user's job needs that user's token (403 NOT_JOB_OWNER otherwise)
+ */
+export async function getRenderJobStatus(jobId: string, authToken?: string): Promise<RenderJobStatus> {
+  const resp = await fetch(`${API_BASE}/api/jobs/${encodeURIComponent(jobId)}`, { headers: authHeaders(authToken) });
   if (!resp.ok) {
     const text = await resp.text();
-    throw new Error(`Failed to create memory (${resp.status}): ${text}`);
+    throw new Error(`Failed to get job status (${resp.status}): ${text}`);
+  }
+  return resp.json();
+}
+
+/**
+ * Cancel a queued or running render job (server kills its FFmpeg processes)
+ * Use keepalive when cancelling from an unload/unmount handler so the request outlives the page
+ */
+export async function cancelRenderJob(jobId: string, options: { keepalive?: boolean; authToken?: string } = {}): Promise<void> {
+  const resp = await fetch(`${API_BASE}/api/jobs/${encodeURIComponent(jobId)}`, {
+    method: 'DELETE',
+    keepalive: options.keepalive,
+    headers: authHeaders(options.authToken),
+  });
+  // 409 means the job already finished, which is fine for a cancel
+  if (!resp.ok && resp.status !== 409) {
+    const text = await resp.text();
+    throw new Error(`Failed to cancel job (${resp.status}): ${text}`);
+  }
+}
+
+/**
+ * Re-render a finished draft at full quality with the same photos, order, plan and music
+ * Returns the new job; follow it like any other render job. Counts as one of the month's renders.
+ */
+export async function promoteDraftRender(jobId: string, authToken?: string): Promise<{ ok: boolean; jobId: string; status: string; queuePosition?: number; queueDepth?: number }> {
+  const resp = await fetch(`${API_BASE}/api/jobs/${encodeURIComponent(jobId)}/promote`, { method: 'POST', headers: authHeaders(authToken) });
+  if (!resp.ok) {
+    await throwApiError(resp, 'Failed to promote draft');
   }
   const data = await resp.json();
-  // Backend returns: { ok: true, jobId, videoKey, playbackUrl, ... }
   return {
-    ok: data.ok || true,
-    playbackUrl: data.playbackUrl || data.path || data.videoPath || '',
-    jobId: data.jobId || data.memoryId || data.id || '',
-    videoKey: data.videoKey,
+    ok: data.ok !== false,
+    jobId: data.jobId,
+    status: data.status || 'queued',
+    queuePosition: data.queuePosition,
+    queueDepth: data.queueDepth,
   };
 }
 
+/**
+ * Re-render a finished watermarked (free-tier) job without the watermark once the memory is paid for
+ * Same photos, plan, music and camera moves; returns the new job to follow like any other render
+ * Unlocking again returns the clean render already queued, running or complete instead of starting another
+ * Throws ApiError 402 PAYMENT_REQUIRED until checkout for the memory has been verified
+ */
+export async function unlockRenderJob(jobId: string, authToken?: string): Promise<{ ok: boolean; jobId: string; status: string; queuePosition?: number; queueDepth?: number }> {
+  const resp = await fetch(`${API_BASE}/api/jobs/${encodeURIComponent(jobId)}/unlock`, {
+    method: 'POST',
+    headers: authHeaders(authToken),
+  });
+  if (!resp.ok) {
+    await throwApiError(resp, 'Failed to unlock memory');
+  }
+  const data = await resp.json();
+  return {
+    ok: data.ok !== false,
+    jobId: data.jobId,
+    status: data.status || 'queued',
+    queuePosition: data.queuePosition,
+    queueDepth: data.queueDepth,
+  };
+}
+
+export type CheckoutStatus = {
+  memoryId: string;
+  paid: boolean;
+  status: 'none' | 'pending' | 'paid' | 'failed';
+  paidAt: string | null;
+};
+
+export type CheckoutIntent = CheckoutStatus & {
+  provider: 'stripe' | 'local';
+  // Absent when the memory was already paid for
+  paymentIntentId?: string;
+  clientSecret?: string;
+  amount?: number; // Smallest currency unit (cents)
+  currency?: string;
+};
+
+/**
+ * Start paying for a memory (jobId): returns the payment intent to confirm with the provider
+ * The memory only counts as paid once the provider's webhook has been verified; see waitForPayment
+ */
+export async function createCheckout(memoryId: string, authToken?: string): Promise<CheckoutIntent> {
+  const resp = await fetch(`${API_BASE}/api/checkout/memories/${encodeURIComponent(memoryId)}`, {
+    method: 'POST',
+    headers: authHeaders(authToken),
+  });
+  if (!resp.ok) {
+    await throwApiError(resp, 'Failed to start checkout');
+  }
+  return resp.json();
+}
+
+/**
+ * Payment status of a memory as recorded by the server
+ */
+export async function fetchCheckoutStatus(memoryId: string): Promise<CheckoutStatus> {
+  const resp = await fetch(`${API_BASE}/api/checkout/memories/${encodeURIComponent(memoryId)}`);
+  if (!resp.ok) {
+    await throwApiError(resp, 'Failed to fetch payment status');
+  }
+  return resp.json();
+}
+
+/**
+ * Poll until the webhook has marked the memory paid (or failed), up to timeoutMs
+ */
+export async function waitForPayment(memoryId: string, { intervalMs = 1500, timeoutMs = 60_000 } = {}): Promise<CheckoutStatus> {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const status = await fetchCheckoutStatus(memoryId);
+    if (status.paid || status.status === 'failed' || Date.now() >= deadline) return status;
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+}
+
+/**
+ * Local payment driver only (development): settle an intent as the provider would, webhook included
+ */
+export async function confirmLocalPayment(paymentIntentId: string, outcome: 'succeeded' | 'failed' = 'succeeded'): Promise<{ handled: boolean; status: string | null }> {
+  const resp = await fetch(`${API_BASE}/api/checkout/local/${encodeURIComponent(paymentIntentId)}/confirm`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ outcome }),
+  });
+  if (!resp.ok) {
+    await throwApiError(resp, 'Failed to confirm payment');
+  }
+  return resp.json();
+}
+
+export type RenderJobProgress = { step: string; percent: number; detail: string };
+
+/**
+ * Follow a render job until it finishes via the SSE stream at /api/jobs/:jobId/events
+ * Falls back to polling getRenderJobStatus if the stream cannot be opened or drops
+ * Aborting `signal` stops watching (the job itself keeps running; see cancelRenderJob)
+ * A signed-in user's job needs that user's token; EventSource cannot send headers, so it goes in the query
+ */
+export function watchRenderJob(
+  jobId: string,
+  onProgress: (progress: RenderJobProgress) => void,
+  pollIntervalMs = 2000,
+  signal?: AbortSignal,
+  authToken?: string
+): Promise<RenderJobStatus> {
+  const pollUntilDone = async (): Promise<RenderJobStatus> => {
+    let status = await getRenderJobStatus(jobId, authToken);
+    while ((status.status === 'queued' || status.status === 'running') && !signal?.aborted) {
+      onProgress({ step: status.step, percent: status.percent, detail: status.detail });
+      await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+      status = await getRenderJobStatus(jobId, authToken);
+    }
+    return status;
+  };
+
+  if (typeof EventSource === 'undefined') {
+    return pollUntilDone();
+  }
+
+  return new Promise((resolve, reject) => {
+    const query = authToken ? `?access_token=${encodeURIComponent(authToken)}` : '';
+    const source = new EventSource(`${API_BASE}/api/jobs/${encodeURIComponent(jobId)}/events${query}`);
+    signal?.addEventListener('abort', () => {
+      source.close();
+      reject(new Error('Stopped watching render job'));
+    }, { once: true });
+
+    source.addEventListener('progress', (event) => {
+      const data = JSON.parse((event as MessageEvent).data);
+      onProgress({ step: data.step, percent: data.percent, detail: data.detail });
+    });
+
+    source.addEventListener('complete', (event) => {
+      source.close();
+      resolve(JSON.parse((event as MessageEvent).data));
+    });
+
+    source.addEventListener('error', (event) => {
+      source.close();
+      // Server-sent `event: error` frames carry data; a bare Event means the connection failed
+      if (event instanceof MessageEvent && event.data) {
+        // Payload is the job's { error, detail, ...extra } record (see streamRenderJobEvents)
+        const data = JSON.parse(event.data);
+        const status = data.error === 'JOB_CANCELLED' ? 'cancelled' : 'failed';
+        resolve({ ...data, jobId, status, ok: false, error: data });
+        return;
+      }
+      if (signal?.aborted) return;
+      console.warn('[watchRenderJob] Event stream unavailable, falling back to polling');
+      pollUntilDone().then(resolve, reject);
+    });
+  });
+}
+
+export type MemorySummary = {
+  memoryId: string;
+  title: string | null;
+  createdAt: string;
+  videoKey: string;
+  posterKey: string | null;
+  posterUrl: string | null; // Freshly signed, valid for an hour
+  durationSec: number | null;
+  aspectRatio: string | null;
+  photoCount: number;
+  watermarked: boolean;
+};
+
+export type MemoryRecord = {
+  memoryId: string;
+  uid: string;
+  createdAt: string;
+  completedAt: string;
+  photoKeys: string[];
+  order: number[]; // Indices into photoKeys, in rendered order
+  settings: {
+    aspectRatio: string;
+    aspectRatios?: string[];
+    fps: number;
+    outputFormat?: string;
+    quality?: string;
+    targetDurationSec: number | null;
+    beatSync: boolean;
+    motionPack?: string;
+    autoReframe: boolean;
+    hls: boolean;
+    context: string;
+    plan: PlanName | null;
+    watermarked: boolean;
+  };
+  music: { enabled: boolean; trackKey: string | null };
+  videoKey: string;
+  outputs: { aspectRatio: string; videoKey: string; hlsKey: string | null; posterKey: string | null }[];
+  posterKey: string | null;
+  durationSec: number | null;
+  title: string | null;
+  remixedFrom: string | null;
+};
+
+export type MemoryDetail = PlaybackUrls & { memory: MemoryRecord };
+
+/**
+ * Signed-in user's memories, newest first (ApiError 401 AUTH_REQUIRED without a token)
+ */
+export async function fetchMemories(authToken?: string): Promise<MemorySummary[]> {
+  const resp = await fetch(`${API_BASE}/api/memories`, { headers: authHeaders(authToken) });
+  if (!resp.ok) {
+    await throwApiError(resp, 'Failed to fetch memories');
+  }
+  const data = await resp.json();
+  return Array.isArray(data?.memories) ? data.memories : [];
+}
+
+/**
+ * One memory with freshly signed playback URLs (the video counts as one of the month's downloads, once a month)
+ */
+export async function fetchMemory(memoryId: string, authToken?: string): Promise<MemoryDetail> {
+  const resp = await fetch(`${API_BASE}/api/memories/${encodeURIComponent(memoryId)}`, { headers: authHeaders(authToken) });
+  if (!resp.ok) {
+    await throwApiError(resp, 'Failed to fetch memory');
+  }
+  return resp.json();
+}
+
+/**
+ * Delete a memory with its video and the photos no other memory uses
+ */
+export async function deleteMemory(memoryId: string, authToken?: string): Promise<{ ok: boolean; memoryId: string; deleted: { videos: number; photos: number } }> {
+  const resp = await fetch(`${API_BASE}/api/memories/${encodeURIComponent(memoryId)}`, {
+    method: 'DELETE',
+    headers: authHeaders(authToken),
+  });
+  if (!resp.ok) {
+    await throwApiError(resp, 'Failed to delete memory');
+  }
+  return resp.json();
+}
+
+/**
+ * Partial create-memory request for a remix; anything left out stays as the memory was made
+ * (same photos, order, song and camera moves). musicKey null picks a track again
+ */
+export type RemixOverrides = {
+  order?: number[];
+  plan?: RenderPlan;
+  targetDurationSec?: number | 'music' | null;
+  beatSync?: boolean;
+  aspectRatio?: string;
+  aspectRatios?: string[];
+  fps?: number;
+  context?: string;
+  enableMusic?: boolean;
+  musicKey?: string | null;
+  motionPack?: string;
+  motion?: boolean;
+  autoReframe?: boolean;
+  hls?: boolean;
+  outputFormat?: 'h264' | 'hevc' | 'av1' | 'vp9' | 'prores';
+  quality?: 'full' | 'draft';
+  titles?: TitleCards;
+  endCard?: boolean | EndCard;
+};
+
+/**
+ * Re-render a memory with some settings changed, from the photos already uploaded
+ * Returns the new render job (follow it with getRenderJobStatus); it joins the library once finished
+ */
+export async function remixMemory(memoryId: string, overrides: RemixOverrides, authToken?: string): Promise<{ ok: boolean; jobId: string; remixedFrom: string; status: string; queuePosition?: number; queueDepth?: number; plan: PlanName; watermark: boolean }> {
+  const resp = await fetch(`${API_BASE}/api/memories/${encodeURIComponent(memoryId)}/remix`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders(authToken) },
+    body: JSON.stringify(overrides),
+  });
+  if (!resp.ok) {
+    await throwApiError(resp, 'Failed to remix memory');
+  }
+  return resp.json();
+}
@@ -0,0 +1,56 @@
+// Stripe.js loader for checkout (Stripe requires loading it from js.stripe.com rather than bundling it)
+// VITE_STRIPE_PUBLISHABLE_KEY must belong to the same account as the server's STRIPE_SECRET_KEY
+
+const STRIPE_JS_URL = 'https://js.stripe.com/v3/';
+
+export type StripePaymentElement = {
+  mount: (el: HTMLElement) => void;
+  destroy: () => void;
+};
+
+export type StripeElements = {
+  create: (type: 'payment') => StripePaymentElement;
+};
+
+export type StripeClient = {
+  elements: (opts: { clientSecret: string; appearance?: { theme?: 'stripe' | 'night' | 'flat' } }) => StripeElements;
+  confirmPayment: (opts: {
+    elements: StripeElements;
+    redirect: 'if_required';
+    confirmParams?: { return_url?: string };
+  }) => Promise<{ error?: { message?: string }; paymentIntent?: { id: string; status: string } }>;
+};
+
+declare global {
+  interface Window {
+    Stripe?: (publishableKey: string) => StripeClient;
+  }
+}
+
+let stripePromise: Promise<StripeClient> | null = null;
+
+/**
+ * Load Stripe.js once and return the client for VITE_STRIPE_PUBLISHABLE_KEY
+ */
+export function loadStripe(): Promise<StripeClient> {
+  const publishableKey = import.meta.env.VITE_STRIPE_PUBLISHABLE_KEY;
+  if (!publishableKey) {
+    return Promise.reject(new Error('VITE_STRIPE_PUBLISHABLE_KEY is not set'));
+  }
+  if (!stripePromise) {
+    stripePromise = new Promise<StripeClient>((resolve, reject) => {
+      const ready = () => (window.Stripe ? resolve(window.Stripe(publishableKey)) : reject(new Error('Stripe.js failed to initialize')));
+      if (window.Stripe) return ready();
+      const script = document.createElement('script');
+      script.src = STRIPE_JS_URL;
+      script.async = true;
+      script.onload = ready;
+      script.onerror = () => {
+        stripePromise = null;
+        reject(new Error('Failed to load Stripe.js'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return stripePromise;
+}